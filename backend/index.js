@@ -4,11 +4,59 @@ const express = require("express");
 const fs = require("fs").promises;
 const path = require("path");
 const parser = require("./parser");
+const lineFormats = require("./src/ingest/line-formats");
+const encodings = require("./src/ingest/encoding");
+const { writeBulk } = require("./src/ingest/bulk-writer");
+const { appendDeadLetters, deadLetterPath, hasDeadLetters } = require("./src/ingest/dead-letter");
+const { appendQuarantined, quarantinePath, hasQuarantined } = require("./src/ingest/quarantine");
+const { DEFAULT_INGEST_RULES, createRuleApplier } = require("./src/ingest/ingest-rules");
+const { DEFAULT_ADAPTIVE_INGEST, createAdaptiveController } = require("./src/ingest/adaptive-ingest");
+const { createBatchBuilder } = require("./src/ingest/index-batch");
+const { reserveFilename, releaseFilename, recordFile, fileSha256, recordParseStart, recordParseEnd, clearCatalogIndices, syncCatalog } = require("./src/ingest/file-catalog");
+const {
+  DEFAULT_MIN_FILE_MB,
+  parseWorkerCount,
+  canParseInParallel,
+  splitByteRanges,
+  parseRangesInWorkers,
+} = require("./src/ingest/parallel-parse");
+const { isIngestFile, isSafeFilename, getCompression, pendingFilename, INGEST_EXTENSIONS } = require("./src/ingest/file-source");
 const jwt = require("jsonwebtoken");
 const multer = require("multer");
 const cors = require("cors");
 const { syncSearchIndices, getCacheFiltered, refreshClusterCache } = require("./src/cache/indices-cache");
-const { createIndexMapping } = require("./src/elasticsearch/client");
+const { createIndexMapping, hasStructuredMapping, ensureProvenanceMapping } = require("./src/elasticsearch/client");
+const { buildDocument, provenanceFields, sourceToAccount } = require("./src/ingest/document");
+const { startAutoIngest } = require("./src/ingest/auto-ingest");
+const { getProvenance, recordIngest, deleteProvenance, ingestTargets } = require("./src/ingest/provenance");
+const { dryRunFile } = require("./src/ingest/dry-run");
+const { buildSearchQuery, SEARCH_SOURCE_FIELDS, QUERY_SYNTAX, INVALID_MATCH } = require("./src/search/query-builder");
+const { searchPage, searchFingerprint, INVALID_CURSOR, CURSOR_EXPIRED } = require("./src/search/paged-search");
+const { searchCacheKey, getCachedSearch, cacheSearch, invalidateSearchCache } = require("./src/search/result-cache");
+const { publicRateLimit, getRateLimitSettings, applyTrustProxy } = require("./src/middleware/rate-limit");
+const { recordSearchEvent, loadSearchAnalytics } = require("./src/search/search-analytics");
+const {
+  INVALID_FACET,
+  normalizeFacetFields,
+  parseFacetFilters,
+  applyFacetFilters,
+  facetSearch,
+} = require("./src/search/facets");
+const {
+  resolveSearchTargets,
+  targetOverrides,
+  SEARCH_TARGET_DENIED,
+  UNKNOWN_SEARCH_TARGET,
+  SEARCH_TARGET_UNAVAILABLE,
+} = require("./src/search/search-targets");
+const {
+  getCheckpoint,
+  saveCheckpoint,
+  deleteCheckpoint,
+  listCheckpoints,
+  checkpointPercent,
+  markInterruptedCheckpoints,
+} = require("./src/ingest/checkpoints");
 
 // Configuration management
 const { loadConfig: loadCentralizedConfig, getConfig, setConfig } = require("./src/config");
@@ -29,21 +77,14 @@ const UNPARSED_DIR = path.join(DATA_DIR, "unparsed");
 const PARSED_DIR = path.join(DATA_DIR, "parsed");
 const PENDING_DIR = path.join(DATA_DIR, "pending");
 
+// A name already in use gets the next version (name-v2.txt) instead of overwriting the existing file
 const storage = multer.diskStorage({
   destination: PENDING_DIR,
   filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname);
-    const baseName = path.basename(file.originalname, ext);
-
-    let newFilename = baseName;
-    if (ext === "") {
-      newFilename += ".txt";
-    } else if (ext.toLowerCase() !== ".txt") {
-      newFilename += ".txt";
-    } else {
-      newFilename = file.originalname;
-    }
-    cb(null, newFilename);
+    reserveFilename(pendingFilename(file.originalname)).then(({ filename, version }) => {
+      file.catalogVersion = version;
+      cb(null, filename);
+    }, cb);
   },
 });
 
@@ -52,17 +93,39 @@ const upload = multer({ storage: storage });
 app.use(cors());
 app.use(express.json());
 
+// Every :filename route parameter must name a file directly inside one of the data directories
+app.param("filename", (req, res, next, filename) => {
+  if (!isSafeFilename(filename)) {
+    return res.status(400).json({ error: "Invalid filename." });
+  }
+  next();
+});
+
 
 const esConfigRoutes = require("./src/routes/elasticsearch-config");
 const setupWizardRoutes = require("./src/routes/setup-wizard");
 const nodeManagementRoutes = require("./src/routes/node-management");
 const clusterManagementRoutes = require("./src/routes/cluster-management");
+const uploadRoutes = require("./src/routes/uploads");
+const autoIngestRoutes = require("./src/routes/auto-ingest");
+const ingestRulesRoutes = require("./src/routes/ingest-rules");
+const adaptiveIngestRoutes = require("./src/routes/adaptive-ingest");
+const fileCatalogRoutes = require("./src/routes/file-catalog");
+const rateLimitRoutes = require("./src/routes/rate-limits");
+const searchAnalyticsRoutes = require("./src/routes/search-analytics");
 
 
 app.use("/api/admin/es/config", esConfigRoutes);
 app.use("/api/setup-wizard", setupWizardRoutes);
 app.use("/api/admin/node-management", nodeManagementRoutes);
 app.use("/api/admin/cluster-management", clusterManagementRoutes);
+app.use("/api/admin/uploads", uploadRoutes);
+app.use("/api/admin/auto-ingest", autoIngestRoutes);
+app.use("/api/admin/ingest-rules", ingestRulesRoutes);
+app.use("/api/admin/adaptive-ingest", adaptiveIngestRoutes);
+app.use("/api/admin/catalog", fileCatalogRoutes);
+app.use("/api/admin/rate-limits", rateLimitRoutes);
+app.use("/api/admin/search-analytics", searchAnalyticsRoutes);
 
 // Initialize Elasticsearch client with configuration
 const { getES, isElasticsearchAvailable } = require("./src/elasticsearch/client");
@@ -75,6 +138,8 @@ function getCurrentES() {
 // Initialize server and Elasticsearch
 async function initializeServer() {
   await loadCentralizedConfig();
+  // Client addresses for rate limits come through the configured proxies (rateLimits.trustProxy)
+  applyTrustProxy(app);
 
   // Verify and clean up node metadata
   const clusterManager = require("./src/elasticsearch/cluster-manager");
@@ -112,6 +177,38 @@ async function initializeServer() {
   await syncSearchIndices();
   console.log("🔄 Initial search indices sync completed");
 
+  // Parses cut off by the previous shutdown stay resumable
+  const interrupted = await markInterruptedCheckpoints();
+  if (interrupted > 0) {
+    console.log(`⏸️ ${interrupted} interrupted parse(s) can be resumed from their checkpoints`);
+  }
+
+  // Files copied into the data directories by hand are catalogued in the background
+  syncCatalog()
+    .then((added) => {
+      if (added > 0) console.log(`🗂️ Catalogued ${added} file(s) found in the data directories`);
+    })
+    .catch((error) => console.error("File catalog sync failed:", error));
+
+  // Search analytics from the retention period, so the dashboard survives restarts
+  loadSearchAnalytics()
+    .then((loaded) => {
+      if (loaded > 0) console.log(`📈 Loaded ${loaded} search analytics event(s)`);
+    })
+    .catch((error) => console.error("Failed to load search analytics:", error));
+
+  // Drop-folder watcher; picked-up files are parsed like a single-file parse from the admin UI
+  startAutoIngest({
+    pendingDir: PENDING_DIR,
+    unparsedDir: UNPARSED_DIR,
+    parsedDir: PARSED_DIR,
+    runParse: ({ filename, ...options }) => {
+      const taskId = createTask("Parse File", "initializing", filename);
+      updateTask(taskId, { autoIngest: true });
+      return { taskId, done: runParseFile(taskId, { filename, ...options }) };
+    },
+  });
+
   // Start the server
   app.listen(PORT, () => {
     console.log(`✅ Server running on: http://localhost:${PORT}`);
@@ -157,6 +254,9 @@ app.get("/api/admin/pending-files", verifyJwt, async (req, res) => {
 // Move file from pending to unparsed
 app.post("/api/admin/move-to-unparsed", verifyJwt, async (req, res) => {
   const { filename } = req.body;
+  if (!isSafeFilename(filename)) {
+    return res.status(400).json({ error: "Invalid filename." });
+  }
   const pendingFilePath = path.join(PENDING_DIR, filename);
   const unparsedFilePath = path.join(UNPARSED_DIR, filename);
 
@@ -197,6 +297,7 @@ app.post("/api/admin/move-to-pending/:filename", verifyJwt, async (req, res) =>
   (async () => {
     try {
       await fs.rename(unparsedFilePath, pendingFilePath);
+      await deleteCheckpoint(filename); // Offsets are meaningless once the file can change
       updateTask(taskId, {
         status: "completed",
         progress: 1,
@@ -246,168 +347,774 @@ app.delete("/api/admin/pending-files/:filename", verifyJwt, async (req, res) =>
   })();
 });
 
-// Shared helper for parsing and indexing files
-async function parseAndIndexFiles({ files, parseTargetIndex, parseTargetNode, batchSize, onProgress, onFileDone, taskId }) {
-  const { default: pLimit } = await import('p-limit');
-  // Resolve ES client
-  let parseES = getCurrentES();
-  let resolvedNode = parseTargetNode || getConfig("writeNode");
-  if (resolvedNode) {
-    const config = getConfig();
-    const nodeMetadata = config.nodeMetadata || {};
-    let nodeUrl = nodeMetadata[resolvedNode]?.nodeUrl;
-    if (!nodeUrl && resolvedNode.startsWith("http")) {
-      nodeUrl = resolvedNode;
-    }
-    if (nodeUrl) {
-      const { Client } = require("@elastic/elasticsearch");
-      parseES = new Client({ node: nodeUrl });
-      resolvedNode = nodeUrl;
+// GET a sample of a pending file as the parser would see it, one entry per line with its parsed fields.
+// ?lines= sample size (default 50), ?format= and ?encoding= override auto-detection.
+app.get("/api/admin/pending-files/:filename/preview", verifyJwt, async (req, res) => {
+  const { filename } = req.params;
+  const filePath = path.join(PENDING_DIR, filename);
+  const lineCount = req.query.lines === undefined ? 50 : Number(req.query.lines);
+  if (!Number.isInteger(lineCount) || lineCount < 1 || lineCount > 1000) {
+    return res.status(400).json({ error: "lines must be an integer between 1 and 1000." });
+  }
+  let requestedFormatOptions;
+  let requestedEncoding;
+  try {
+    requestedFormatOptions = lineFormats.normalizeFormatOptions(req.query.format);
+    requestedEncoding = encodings.normalizeEncoding(req.query.encoding);
+  } catch (optionsError) {
+    return res.status(400).json({ error: optionsError.message });
+  }
+  try {
+    await fs.access(filePath);
+  } catch (err) {
+    return res.status(404).json({ error: "File not found in pending directory." });
+  }
+  try {
+    const resolvedEncoding = await resolveFileEncoding(filePath, requestedEncoding);
+    const resolvedFormat = await resolveFileFormat(filePath, requestedFormatOptions, resolvedEncoding.encoding);
+    const sampleLines = await parser.readSampleLines(filePath, lineCount, resolvedEncoding.encoding);
+    const parseLine = lineFormats.createLineParser(resolvedFormat.formatOptions);
+    const applyRules = createRuleApplier(currentIngestRules());
+    res.json({
+      filename,
+      encoding: resolvedEncoding.encoding,
+      encodingDetection: resolvedEncoding.detection,
+      formatOptions: resolvedFormat.formatOptions,
+      formatDetection: resolvedFormat.detection,
+      delimiter: lineFormats.formatDelimiter(resolvedFormat.formatOptions),
+      // Fields as they would be indexed; "quarantined" lines are rejected by the ingest rules
+      lines: sampleLines.map((line, i) => {
+        const { status, fields } = lineFormats.inspectLine(parseLine, line);
+        if (!fields) return { lineNumber: i + 1, line, status, fields };
+        const ruled = applyRules(fields);
+        return ruled.rejected
+          ? { lineNumber: i + 1, line, status: "quarantined", reason: ruled.rejected, fields }
+          : { lineNumber: i + 1, line, status, fields: ruled.fields };
+      }),
+    });
+  } catch (error) {
+    console.error(`Error previewing pending file ${filename}:`, error);
+    res.status(500).json({ error: "Failed to preview file" });
+  }
+});
+
+// POST scan a whole pending file with the parser, without indexing anything.
+// The task's `report` holds line counts (total, empty, malformed, ...), format, encoding and top domains.
+app.post("/api/admin/pending-files/:filename/dry-run", verifyJwt, async (req, res) => {
+  const { filename } = req.params;
+  const filePath = path.join(PENDING_DIR, filename);
+  let requestedFormatOptions;
+  let requestedEncoding;
+  try {
+    requestedFormatOptions = lineFormats.normalizeFormatOptions(req.body.formatOptions);
+    requestedEncoding = encodings.normalizeEncoding(req.body.encoding);
+  } catch (optionsError) {
+    return res.status(400).json({ error: optionsError.message });
+  }
+  try {
+    await fs.access(filePath);
+  } catch (err) {
+    return res.status(404).json({ error: "File not found in pending directory." });
+  }
+
+  const taskId = createTask("Dry Run", "scanning", filename);
+  res.json({ taskId });
+
+  (async () => {
+    try {
+      const resolvedEncoding = await resolveFileEncoding(filePath, requestedEncoding);
+      const resolvedFormat = await resolveFileFormat(filePath, requestedFormatOptions, resolvedEncoding.encoding);
+      const { size: totalBytes } = await fs.stat(filePath);
+      updateTask(taskId, {
+        status: "scanning",
+        total: totalBytes,
+        unit: "bytes",
+        message: `Scanning ${filename} (${formatBytes(totalBytes)}) as ${describeFormat(resolvedFormat)}, ${describeEncoding(resolvedEncoding)}...`,
+      });
+      const scan = await dryRunFile(filePath, {
+        formatOptions: resolvedFormat.formatOptions,
+        encoding: resolvedEncoding.encoding,
+        ingestRules: currentIngestRules(),
+        onProgress: (linesProcessed, bytes) => {
+          if (linesProcessed % 10000 === 0) updateTask(taskId, { progress: bytes });
+        },
+      });
+      const report = {
+        filename,
+        ...scan,
+        format: resolvedFormat.formatOptions.format,
+        formatOptions: resolvedFormat.formatOptions,
+        formatDetection: resolvedFormat.detection,
+        delimiter: lineFormats.formatDelimiter(resolvedFormat.formatOptions),
+        encoding: resolvedEncoding.encoding,
+        encodingDetection: resolvedEncoding.detection,
+      };
+      updateTask(taskId, {
+        status: "completed",
+        progress: totalBytes,
+        completed: true,
+        report,
+        message: `Dry run of ${filename}: ${scan.totalLines} lines, ${scan.parsedLines} parsed, ${scan.malformedLines} malformed, ${scan.emptyLines} empty, ${scan.quarantinedLines} quarantined by ingest rules.`,
+      });
+      console.log(`Task ${taskId} completed: dry run of ${filename}.`);
+    } catch (error) {
+      console.error(`Dry run task ${taskId} failed:`, error);
+      updateTask(taskId, {
+        status: "error",
+        error: error.message,
+        completed: true,
+      });
     }
+  })();
+});
+
+// Configured ingest rules, falling back to the defaults for fields missing from config.json
+function currentIngestRules() {
+  return { ...DEFAULT_INGEST_RULES, ...(getConfig("ingestRules") || {}) };
+}
+
+function currentAdaptiveIngestSettings() {
+  return { ...DEFAULT_ADAPTIVE_INGEST, ...(getConfig("adaptiveIngest") || {}) };
+}
+
+// URL of a node name from the node metadata, or the node itself when it is a URL; null otherwise
+function nodeUrlFor(node) {
+  if (!node) return null;
+  const nodeMetadata = getConfig().nodeMetadata || {};
+  return nodeMetadata[node]?.nodeUrl || (node.startsWith("http") ? node : null);
+}
+
+// Elasticsearch client for a node name from the node metadata or a node URL; the default client otherwise
+// (a client of its own for the node, which the caller hands to closeNodeClient when done)
+function resolveNodeClient(node) {
+  const nodeUrl = nodeUrlFor(node);
+  if (nodeUrl) {
+    const { Client } = require("@elastic/elasticsearch");
+    const client = new Client({ node: nodeUrl });
+    ownedNodeClients.add(client);
+    return client;
   }
+  return getCurrentES();
+}
+
+// Clients resolveNodeClient created for one caller; the shared default client is never closed here
+const ownedNodeClients = new WeakSet();
+
+async function closeNodeClient(client) {
+  if (!ownedNodeClients.has(client)) return;
+  ownedNodeClients.delete(client);
+  await client.close().catch((error) => console.error("Failed to close Elasticsearch client:", error));
+}
+
+// Node URLs for parse workers, which build their own client: the node's, or the default client's nodes
+function resolveNodeUrls(node) {
+  const nodeUrl = nodeUrlFor(node);
+  if (nodeUrl) return [nodeUrl];
+  return getCurrentES().connectionPool.connections.map((connection) => connection.url.toString());
+}
+
+// Error code thrown out of parseAndIndexFiles when its task was paused between batches
+const PARSE_PAUSED = "PARSE_PAUSED";
+
+function pausedError(filename) {
+  const error = new Error(`Parsing of ${filename} was paused.`);
+  error.code = PARSE_PAUSED;
+  return error;
+}
+
+// Shared helper for parsing and indexing files
+// With dedupe enabled, documents get a content-hash _id and are written with `create`,
+// so lines already in the index are counted as duplicates instead of being indexed again.
+// After every acknowledged bulk batch the file's byte offset is checkpointed to data/checkpoints;
+// a file entry with `resumeFrom` (a checkpoint) continues from there instead of the start.
+// Lines Elasticsearch rejects go to the task's dead-letter file; a file with such failures stays in
+// data/unparsed (checkpoint status "needs review") unless acceptFailures is set.
+// Parsed fields go through the ingest rules (the configured set unless a file entry carries its own,
+// as resumed files do); lines the rules reject go to the task's quarantine file.
+// Batch size and file concurrency start from the configured values and are then steered by the
+// adaptive controller (bulk latency, rejections, node heap); its live values are kept on the task.
+// Large plain files are split into newline-aligned byte ranges parsed by worker threads
+// (config "parseWorkers", 0 = one per core, and "parallelParseMinMB"); their checkpoint keeps
+// every range's offset. Progress is reported in bytes of the files on disk.
+// A file entry without parsedFilePath is re-ingested in place (a copy of a parsed file into another
+// node/index): it is never moved and keeps no checkpoint, so a stopped re-ingest is simply run again.
+async function parseAndIndexFiles(options) {
+  const writeNode = options.parseTargetNode || getConfig("writeNode") || null;
+  const parseES = resolveNodeClient(writeNode);
+  try {
+    return await indexFilesWith(parseES, writeNode, options);
+  } finally {
+    await closeNodeClient(parseES);
+  }
+}
+
+// parseAndIndexFiles with the client of the node it writes to
+async function indexFilesWith(parseES, writeNode, { files, parseTargetIndex, parseTargetNode, batchSize, dedupe = false, acceptFailures = false, onProgress, onFileDone, taskId }) {
+  const { default: pLimit } = await import('p-limit');
 
   // Index creation is now handled via the admin route. We only check for existence here.
   const indexExists = await parseES.indices.exists({ index: parseTargetIndex });
   if (!indexExists) {
     throw new Error(`Target index '${parseTargetIndex}' does not exist. Please create it using the admin interface before indexing.`);
   }
-
-  // Parallel file processing with concurrency limit
-  const concurrency = getConfig("indexConcurrency") || 4;
-  const limit = pLimit(concurrency);
-  let cumulativeProcessedLines = 0;
-  let cumulativeLock = Promise.resolve();
-  const updateCumulative = async (delta) => {
-    await cumulativeLock;
-    cumulativeProcessedLines += delta;
-  };
-  await Promise.all(files.map(({ filePath, parsedFilePath, totalLines }) =>
+  // Legacy indices only accept raw_line until they are upgraded to the structured mapping
+  const structured = await hasStructuredMapping(parseES, parseTargetIndex);
+  await ensureProvenanceMapping(parseES, parseTargetIndex);
+
+  // Parallel file processing with concurrency limit, resized live by the adaptive controller
+  const limit = pLimit(1);
+  const adaptive = createAdaptiveController({
+    settings: currentAdaptiveIngestSettings(),
+    initial: {
+      batchSize: batchSize || getConfig("batchSize") || 1000,
+      concurrency: getConfig("indexConcurrency") || 4,
+    },
+    files: files.length,
+    client: parseES,
+    onChange: (snapshot) => {
+      limit.concurrency = snapshot.concurrency;
+      if (taskId) updateTask(taskId, { adaptive: snapshot });
+    },
+  });
+  limit.concurrency = adaptive.concurrency();
+  if (taskId) updateTask(taskId, { adaptive: adaptive.snapshot() });
+
+  const parseWorkers = parseWorkerCount(getConfig("parseWorkers"));
+  const parallelParseMinMB = getConfig("parallelParseMinMB") || DEFAULT_MIN_FILE_MB;
+  // Totals over every file; files report on the same event loop, so plain updates need no lock
+  let cumulativeBytes = 0;
+  let cumulativeLines = 0;
+  const configuredRules = currentIngestRules();
+  const results = await Promise.allSettled(files.map(({ filePath, parsedFilePath, totalBytes, formatOptions, encoding, resumeFrom }) =>
     limit(async () => {
-      let lastProgress = 0;
-      await parser.parseFile(
-        filePath,
-        async (batch) => {
-          const bulkBody = batch.flatMap((doc) => [{ index: { _index: parseTargetIndex } }, { raw_line: doc }]);
-          if (bulkBody.length > 0) {
-            if (parseES && parseES.bulk) {
-              try {
-                await parseES.bulk({ refresh: false, body: bulkBody });
-              } catch (err) {
-                console.error("Bulk indexing error:", err);
+      const filename = path.basename(filePath);
+      const inPlace = !parsedFilePath;
+      // Checkpoints track files on their way from unparsed to parsed; a re-ingest only keeps the latest in memory
+      const checkpoint = (data) => (inPlace ? data : saveCheckpoint(filename, data));
+      const fileStats = {
+        created: resumeFrom ? resumeFrom.created || 0 : 0,
+        duplicates: resumeFrom ? resumeFrom.duplicates || 0 : 0,
+        undecodable: resumeFrom ? resumeFrom.undecodable || 0 : 0,
+        failed: resumeFrom ? resumeFrom.failed || 0 : 0,
+        quarantined: resumeFrom ? resumeFrom.quarantined || 0 : 0,
+      };
+      const ingestRules = (resumeFrom && resumeFrom.ingestRules) || configuredRules;
+      // A resumed run keeps the hash and timestamp its first batches were stamped with; otherwise the hash is the
+      // catalog's, taken when the file arrived, rather than another pass over the file
+      const sourceHash = (resumeFrom && resumeFrom.sourceHash) || (await fileSha256(filename, filePath));
+      const ingestedAt = (resumeFrom && resumeFrom.ingestedAt) || new Date().toISOString();
+      // Parallel ranges and resumed parses start mid-file, so a header row is mapped to columns here, from the
+      // start of the file; checkpoints keep the mapping, so a resume reuses it (older checkpoints resolve it again)
+      const fileFormatOptions = await resolveHeaderColumns(filePath, formatOptions, encoding);
+      const job = {
+        formatOptions: fileFormatOptions,
+        ingestRules,
+        structured,
+        provenance: provenanceFields({ filename, sourceHash, taskId, ingestedAt }),
+        dedupe,
+        targetIndex: parseTargetIndex,
+      };
+      // A file split into ranges resumes in ranges; a sequential checkpoint resumes sequentially
+      const parallel = resumeFrom
+        ? Array.isArray(resumeFrom.ranges)
+        : canParseInParallel(filePath, totalBytes, { workers: parseWorkers, minFileMB: parallelParseMinMB });
+      const checkpointBase = {
+        taskId,
+        targetNode: parseTargetNode,
+        targetIndex: parseTargetIndex,
+        formatOptions: fileFormatOptions,
+        encoding,
+        dedupe,
+        totalBytes,
+        sourceHash,
+        ingestedAt,
+        ingestRules,
+      };
+
+      // Compressed files are re-read from their start on resume, so their byte progress restarts at 0
+      let lastLines = resumeFrom ? resumeFrom.linesProcessed : 0;
+      let lastBytes = resumeFrom && !getCompression(filePath)
+        ? resumeFrom.bytesProcessed ?? resumeFrom.byteOffset ?? 0
+        : 0;
+      const reportProgress = (lines, bytes) => {
+        cumulativeBytes += bytes - lastBytes;
+        cumulativeLines += lines - lastLines;
+        lastBytes = bytes;
+        lastLines = lines;
+        if (onProgress) {
+          onProgress({
+            filePath,
+            processed: bytes,
+            lines,
+            total: totalBytes,
+            cumulative: cumulativeBytes,
+            cumulativeLines,
+          });
+        }
+      };
+
+      // Fold one indexed batch into the file's counts and its dead-letter/quarantine files
+      const recordBatch = async ({ created, duplicates, failed, quarantined, undecodable }) => {
+        fileStats.created += created;
+        fileStats.duplicates += duplicates;
+        fileStats.failed += failed.length;
+        fileStats.quarantined += quarantined.length;
+        fileStats.undecodable += undecodable;
+        await appendDeadLetters(taskId || "untracked", filename, failed);
+        await appendQuarantined(taskId || "untracked", filename, quarantined);
+      };
+
+      let lastCheckpoint = resumeFrom || null;
+      if (!resumeFrom && !inPlace) {
+        await deleteCheckpoint(filename); // A fresh parse discards any stale checkpoint
+      }
+      try {
+        // Recorded before the first batch so a partial or failed ingest can still be removed
+        await recordIngest(filename, { taskId: taskId || null, targetNode: writeNode, targetIndex: parseTargetIndex, sourceHash, ingestedAt });
+        await recordParseStart(filename, { taskId: taskId || null, targetNode: writeNode, targetIndex: parseTargetIndex, resumed: !!resumeFrom, reingest: inPlace });
+        if (resumeFrom) {
+          lastCheckpoint = await checkpoint({ ...resumeFrom, ...checkpointBase, status: "running" });
+        }
+        if (parallel) {
+          const ranges = resumeFrom
+            ? resumeFrom.ranges.map((range) => ({ ...range }))
+            : (await splitByteRanges(filePath, parseWorkers, encoding)).map((range) => ({
+                ...range,
+                offset: range.start,
+                linesProcessed: 0,
+              }));
+          const rangeTotals = () => ({
+            lines: ranges.reduce((sum, range) => sum + range.linesProcessed, 0),
+            bytes: ranges.reduce((sum, range) => sum + (range.offset - range.start), 0),
+          });
+          const run = parseRangesInWorkers({
+            filePath,
+            encoding,
+            ranges,
+            nodeUrls: resolveNodeUrls(writeNode),
+            job,
+            batchSize: adaptive.batchSize(),
+            onBatch: async (rangeIndex, batch) => {
+              if (batch.latencyMs !== null) {
+                adaptive.recordBulk({ latencyMs: batch.latencyMs, rejected: batch.bulkRejected });
+                run.setBatchSize(adaptive.batchSize());
               }
-            } else {
-              console.warn("Elasticsearch client not available for bulk indexing.");
-            }
-          }
-        },
-        batchSize || getConfig("batchSize") || 1000,
-        (processedLinesInCurrentFile) => {
-          const delta = processedLinesInCurrentFile - lastProgress;
-          lastProgress = processedLinesInCurrentFile;
-          if (onProgress) {
-            updateCumulative(delta).then(() => {
-              onProgress({
-                filePath,
-                processed: processedLinesInCurrentFile,
-                total: totalLines,
-                cumulative: cumulativeProcessedLines,
+              await recordBatch(batch);
+              ranges[rangeIndex].offset = batch.endOffset;
+              ranges[rangeIndex].linesProcessed = batch.linesProcessed;
+              const totals = rangeTotals();
+              reportProgress(totals.lines, totals.bytes);
+              lastCheckpoint = await checkpoint({
+                ...checkpointBase,
+                status: "running",
+                ranges,
+                linesProcessed: totals.lines,
+                bytesProcessed: totals.bytes,
+                ...fileStats,
               });
-            });
-          }
+              const task = taskId ? getTask(taskId) : null;
+              if (task && task.pauseRequested) run.stop();
+            },
+          });
+          const { stopped } = await run.done;
+          if (stopped) throw pausedError(filename);
+        } else {
+          const buildEntries = createBatchBuilder(job);
+          await parser.parseFile(
+            filePath,
+            async (batch, { endOffset, linesProcessed, undecodable }) => {
+              const task = taskId ? getTask(taskId) : null;
+              if (task && task.pauseRequested) {
+                throw pausedError(filename);
+              }
+              const { entries, rejected } = buildEntries(batch);
+              let written = { indexed: 0, duplicates: 0, failed: [] };
+              if (entries.length > 0) {
+                // A failed request leaves the checkpoint at the last acknowledged batch
+                const bulkStart = Date.now();
+                written = await writeBulk(parseES, entries);
+                adaptive.recordBulk({ latencyMs: Date.now() - bulkStart, rejected: written.rejected });
+              }
+              await recordBatch({
+                created: written.indexed,
+                duplicates: written.duplicates,
+                failed: written.failed,
+                quarantined: rejected,
+                undecodable,
+              });
+              lastCheckpoint = await checkpoint({
+                ...checkpointBase,
+                status: "running",
+                byteOffset: endOffset,
+                linesProcessed,
+                bytesProcessed: lastBytes,
+                ...fileStats,
+              });
+            },
+            adaptive.batchSize,
+            reportProgress,
+            resumeFrom
+              ? { encoding, startOffset: resumeFrom.byteOffset, startLine: resumeFrom.linesProcessed }
+              : { encoding }
+          );
         }
-      );
+      } catch (error) {
+        const status = error.code === PARSE_PAUSED ? "paused" : "failed";
+        // Keep the checkpoint so the file can be resumed; nothing acknowledged means nothing to resume
+        if (lastCheckpoint && !inPlace) {
+          await saveCheckpoint(filename, {
+            ...lastCheckpoint,
+            status,
+            error: error.code === PARSE_PAUSED ? null : error.message,
+          });
+        }
+        await recordParseEnd(filename, taskId || null, { status, lines: lastLines, ...fileStats }).catch((catalogError) =>
+          console.error(`Failed to record the parse of ${filename} in the file catalog:`, catalogError)
+        );
+        throw error;
+      }
+      if (fileStats.created > 0) invalidateSearchCache(parseTargetIndex);
+      const fileResult = { filePath, parsedFilePath, totalBytes, lines: lastLines, ...fileStats };
+      if (inPlace) {
+        // Already parsed, so failed lines are only reported (dead-letter file) rather than holding the file back
+        await recordParseEnd(filename, taskId || null, { status: "completed", lines: lastLines, ...fileStats });
+        if (onFileDone) onFileDone({ ...fileResult, movedToParsed: false, inPlace: true });
+        return;
+      }
+      if (fileStats.failed > 0 && !acceptFailures) {
+        // Keep the file and its counts around until someone accepts or re-parses it
+        await saveCheckpoint(filename, { ...lastCheckpoint, ...fileStats, status: "needs review", error: null });
+        await recordParseEnd(filename, taskId || null, { status: "needs review", lines: lastLines, ...fileStats });
+        if (onFileDone) onFileDone({ ...fileResult, movedToParsed: false });
+        return;
+      }
       await fs.rename(filePath, parsedFilePath);
-      if (onFileDone) onFileDone({ filePath, parsedFilePath, totalLines });
+      await deleteCheckpoint(filename);
+      await recordParseEnd(filename, taskId || null, { status: "completed", lines: lastLines, ...fileStats });
+      if (onFileDone) onFileDone({ ...fileResult, movedToParsed: true });
     })
   ));
 
-  return cumulativeProcessedLines;
+  // Wait for every file to stop before reporting, so no checkpoint is still being written
+  invalidateSearchCache(parseTargetIndex); // Stopped files may have indexed part of their lines
+  const failures = results.filter((result) => result.status === "rejected").map((result) => result.reason);
+  if (failures.length > 0) {
+    throw failures.find((error) => error.code !== PARSE_PAUSED) || failures[0];
+  }
+
+  return cumulativeLines;
+}
+
+// Task fields for a parse that stopped: paused tasks are finished but resumable, anything else is an error
+function parseStoppedUpdate(error) {
+  if (error.code === PARSE_PAUSED) {
+    return {
+      status: "paused",
+      completed: true,
+      message: `${error.message} Resume it from the Files tab to continue from the last checkpoint.`,
+    };
+  }
+  return {
+    status: "error",
+    error: error.message,
+    completed: true,
+  };
+}
+
+// Task fields for a finished parse: indexed/failed totals and the files held back because of failed lines
+function parseCompletedUpdate(taskId, fileResults, summary) {
+  const indexed = fileResults.reduce((sum, result) => sum + (result.created || 0), 0);
+  const failed = fileResults.reduce((sum, result) => sum + (result.failed || 0), 0);
+  const quarantined = fileResults.reduce((sum, result) => sum + (result.quarantined || 0), 0);
+  const heldBack = fileResults.filter((result) => !result.movedToParsed && !result.inPlace).map((result) => result.filename);
+  return {
+    status: failed > 0 ? "completed with errors" : "completed",
+    completed: true,
+    fileResults,
+    indexed,
+    failed,
+    deadLetter: failed > 0 ? `/api/admin/tasks/${taskId}/dead-letter` : null,
+    quarantined,
+    quarantine: quarantined > 0 ? `/api/admin/tasks/${taskId}/quarantine` : null,
+    message: `${summary} ${indexed} indexed, ${failed} failed.` +
+      (failed > 0 ? " Failed lines were written to the task's dead-letter file." : "") +
+      (quarantined > 0 ? ` ${quarantined} line(s) rejected by the ingest rules were quarantined.` : "") +
+      (heldBack.length > 0
+        ? ` Kept in unparsed for review: ${heldBack.join(", ")} (accept the failures or re-parse).`
+        : ""),
+  };
+}
+
+// Resolve the source encoding for a file: explicit choice, or detected from BOM/heuristics on a sample
+async function resolveFileEncoding(filePath, encoding) {
+  if (encoding !== "auto") {
+    return { encoding, detection: null };
+  }
+  const detection = encodings.detectEncoding(await parser.readSampleBytes(filePath));
+  return { encoding: detection.encoding, detection };
+}
+
+// Resolve the line format for a file: explicit choice, or auto-detected from a sample of lines
+async function resolveFileFormat(filePath, formatOptions, encoding = "utf-8") {
+  if (formatOptions.format !== "auto") {
+    return { formatOptions, detection: null };
+  }
+  const sampleLines = await parser.readSampleLines(filePath, 200, encoding);
+  const { options, detection } = lineFormats.resolveFormatOptions(formatOptions, sampleLines);
+  return { formatOptions: { ...formatOptions, ...options }, detection };
+}
+
+const HEADER_SCAN_LINES = 50; // The header is the first non-blank line among these
+
+// Resolve the header row of a CSV/TSV file into explicit columns (lineFormats.resolveHeaderOptions)
+async function resolveHeaderColumns(filePath, formatOptions, encoding = "utf-8") {
+  if (!formatOptions || !formatOptions.hasHeader) return formatOptions;
+  const sampleLines = await parser.readSampleLines(filePath, HEADER_SCAN_LINES, encoding);
+  const headerLine = sampleLines.find((line) => line.trim() !== "");
+  return lineFormats.resolveHeaderOptions(formatOptions, headerLine);
+}
+
+// Describe a resolved format for task messages
+function describeFormat({ formatOptions, detection }) {
+  return detection ? `${formatOptions.format} (auto-detected)` : formatOptions.format;
+}
+
+// Describe a resolved encoding for task messages
+function describeEncoding({ encoding, detection }) {
+  return detection ? `${encoding} (detected)` : encoding;
+}
+
+// Human-readable byte count for task messages
+function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB", "TB"];
+  let value = bytes;
+  let unit = 0;
+  while (value >= 1024 && unit < units.length - 1) {
+    value /= 1024;
+    unit++;
+  }
+  return `${unit === 0 ? value : value.toFixed(1)} ${units[unit]}`;
+}
+
+// Describe per-file new/duplicate counts for task messages
+function describeFileResults(fileResults) {
+  return fileResults
+    .map(({ filename, created, duplicates }) => `${filename}: ${created} new, ${duplicates} duplicates`)
+    .join("; ");
+}
+
+// Describe lines with bytes invalid in their file's encoding, or "" when there were none
+function describeUndecodable(fileResults) {
+  const affected = fileResults.filter(({ undecodable }) => undecodable > 0);
+  if (affected.length === 0) return "";
+  const total = affected.reduce((sum, { undecodable }) => sum + undecodable, 0);
+  return ` ${total} undecodable line(s) were indexed with replacement characters (${affected
+    .map(({ filename, undecodable }) => `${filename}: ${undecodable}`)
+    .join(", ")}).`;
 }
 
 // Refactored /api/admin/parse-all-unparsed
 app.post("/api/admin/parse-all-unparsed", verifyJwt, async (req, res) => {
-  const { targetIndex, targetNode } = req.body;
+  const { targetIndex, targetNode, fileFormats, fileEncodings, dedupe, acceptFailures } = req.body;
+  if (dedupe !== undefined && typeof dedupe !== "boolean") {
+    return res.status(400).json({ error: "dedupe must be a boolean if provided." });
+  }
+  if (acceptFailures !== undefined && typeof acceptFailures !== "boolean") {
+    return res.status(400).json({ error: "acceptFailures must be a boolean if provided." });
+  }
+  let defaultFormatOptions;
+  let defaultEncoding;
+  const perFileFormatOptions = {};
+  const perFileEncodings = {};
+  try {
+    defaultFormatOptions = lineFormats.normalizeFormatOptions(req.body.formatOptions);
+    defaultEncoding = encodings.normalizeEncoding(req.body.encoding);
+    if (fileFormats !== undefined && (typeof fileFormats !== "object" || fileFormats === null || Array.isArray(fileFormats))) {
+      return res.status(400).json({ error: "fileFormats must be an object keyed by filename if provided." });
+    }
+    if (fileEncodings !== undefined && (typeof fileEncodings !== "object" || fileEncodings === null || Array.isArray(fileEncodings))) {
+      return res.status(400).json({ error: "fileEncodings must be an object keyed by filename if provided." });
+    }
+    for (const [filename, options] of Object.entries(fileFormats || {})) {
+      perFileFormatOptions[filename] = lineFormats.normalizeFormatOptions(options);
+    }
+    for (const [filename, encoding] of Object.entries(fileEncodings || {})) {
+      perFileEncodings[filename] = encodings.normalizeEncoding(encoding);
+    }
+  } catch (formatError) {
+    return res.status(400).json({ error: formatError.message });
+  }
   const taskId = createTask("Parse All Unparsed Files", "initializing");
   res.json({ taskId });
   (async () => {
     try {
       const files = await fs.readdir(UNPARSED_DIR);
-      const txtFiles = files.filter((file) => path.extname(file).toLowerCase() === ".txt");
+      // Partially parsed files are left for an explicit resume so their indexed part is not duplicated
+      const checkpoints = await listCheckpoints();
+      const skippedFiles = files.filter((file) => isIngestFile(file) && checkpoints[file]);
+      const txtFiles = files.filter((file) => isIngestFile(file) && !checkpoints[file]);
+      const skippedNote = skippedFiles.length > 0
+        ? ` Skipped ${skippedFiles.length} partially parsed file(s) (${skippedFiles.join(", ")}); resume them individually.`
+        : "";
       if (txtFiles.length === 0) {
         updateTask(taskId, {
           status: "completed",
           progress: 0,
           total: 0,
           completed: true,
-          message: "No .txt files found in unparsed directory to parse.",
+          message: `No ${INGEST_EXTENSIONS.join("/")} files found in unparsed directory to parse.${skippedNote}`,
         });
         return;
       }
-      // Count lines in all files
-      let grandTotalLines = 0;
+      // Progress is measured in bytes, so sizes are all that is needed up front
+      let grandTotalBytes = 0;
       const fileObjs = [];
+      const formatSummary = [];
       for (const filename of txtFiles) {
         const filePath = path.join(UNPARSED_DIR, filename);
         const parsedFilePath = path.join(PARSED_DIR, filename);
-        const totalLines = await parser.countLines(filePath);
-        grandTotalLines += totalLines;
-        fileObjs.push({ filePath, parsedFilePath, totalLines });
+        const resolvedEncoding = await resolveFileEncoding(filePath, perFileEncodings[filename] || defaultEncoding);
+        const { size: totalBytes } = await fs.stat(filePath);
+        const resolvedFormat = await resolveFileFormat(
+          filePath,
+          perFileFormatOptions[filename] || defaultFormatOptions,
+          resolvedEncoding.encoding
+        );
+        grandTotalBytes += totalBytes;
+        fileObjs.push({
+          filePath,
+          parsedFilePath,
+          totalBytes,
+          formatOptions: resolvedFormat.formatOptions,
+          encoding: resolvedEncoding.encoding,
+        });
+        formatSummary.push(`${filename}: ${describeFormat(resolvedFormat)}, ${describeEncoding(resolvedEncoding)}`);
       }
-      if (grandTotalLines === 0) {
+      if (grandTotalBytes === 0) {
         updateTask(taskId, {
           status: "completed",
           progress: 0,
           total: 0,
           completed: true,
-          message: "No lines found in any .txt files to parse.",
+          message: "No data found in any files to parse.",
         });
         return;
       }
       updateTask(taskId, {
-        total: grandTotalLines,
-        message: `Found ${grandTotalLines} lines across ${txtFiles.length} files. Parsing to index '${targetIndex || getSelectedIndex()}' via node '${targetNode || getConfig("writeNode")}'...`,
+        total: grandTotalBytes,
+        unit: "bytes",
+        message: `Parsing ${txtFiles.length} files (${formatBytes(grandTotalBytes)}; ${formatSummary.join(", ")}) to index '${targetIndex || getSelectedIndex()}' via node '${targetNode || getConfig("writeNode")}'...`,
       });
       let lastProgress = 0;
+      const fileResults = [];
       await parseAndIndexFiles({
         files: fileObjs,
         parseTargetIndex: targetIndex || getSelectedIndex(),
         parseTargetNode: targetNode || getConfig("writeNode"),
         batchSize: getConfig("batchSize"),
-        onProgress: ({ cumulative }) => {
+        dedupe: !!dedupe,
+        acceptFailures: !!acceptFailures,
+        taskId,
+        onFileDone: ({ filePath, lines, created, duplicates, undecodable, failed, quarantined, movedToParsed }) => {
+          fileResults.push({ filename: path.basename(filePath), lines, created, duplicates, undecodable, failed, quarantined, movedToParsed });
+        },
+        onProgress: ({ cumulative, cumulativeLines }) => {
           if (cumulative !== lastProgress) {
             updateTask(taskId, {
               status: "processing files",
               progress: cumulative,
-              message: `Processing... ${cumulative}/${grandTotalLines} lines.`,
+              message: `Processing... ${formatBytes(cumulative)} of ${formatBytes(grandTotalBytes)} (${cumulativeLines} lines).`,
             });
             lastProgress = cumulative;
           }
         },
       });
+      const totalLines = fileResults.reduce((sum, result) => sum + result.lines, 0);
+      const completion = parseCompletedUpdate(taskId, fileResults, `Parsed ${txtFiles.length} files (${totalLines} lines):`);
       updateTask(taskId, {
-        status: "completed",
-        progress: grandTotalLines,
-        completed: true,
-        message: `Successfully parsed and moved ${txtFiles.length} files. Total lines processed: ${grandTotalLines}.`,
+        ...completion,
+        progress: grandTotalBytes,
+        message: completion.message + (dedupe ? ` ${describeFileResults(fileResults)}.` : "") +
+          describeUndecodable(fileResults) + skippedNote,
       });
       console.log(`Task ${taskId} completed.`);
     } catch (error) {
-      console.error(`Parse all unparsed task ${taskId} failed:`, error);
-      updateTask(taskId, {
-        status: "error",
-        error: error.message,
-        completed: true,
-      });
+      console.error(`Parse all unparsed task ${taskId} stopped:`, error);
+      updateTask(taskId, parseStoppedUpdate(error));
     }
   })();
 });
 
+// GET available line formats for parsing
+app.get("/api/admin/parse-formats", verifyJwt, (req, res) => {
+  res.json({ formats: lineFormats.listFormats(), encodings: encodings.listEncodings() });
+});
+
+// GET detected line format, encoding and a parsed preview for an unparsed file (?location=parsed for a parsed one).
+// ?encoding= decodes the sample with an explicit encoding instead of the detected one.
+app.get("/api/admin/detect-format/:filename", verifyJwt, async (req, res) => {
+  const { filename } = req.params;
+  const location = req.query.location || "unparsed";
+  if (location !== "unparsed" && location !== "parsed") {
+    return res.status(400).json({ error: "location must be unparsed or parsed." });
+  }
+  const filePath = path.join(location === "parsed" ? PARSED_DIR : UNPARSED_DIR, filename);
+  let requestedEncoding;
+  try {
+    requestedEncoding = encodings.normalizeEncoding(req.query.encoding);
+  } catch (encodingError) {
+    return res.status(400).json({ error: encodingError.message });
+  }
+  try {
+    await fs.access(filePath);
+  } catch (err) {
+    return res.status(404).json({ error: `File not found in ${location} directory.` });
+  }
+  try {
+    const encodingDetection = encodings.detectEncoding(await parser.readSampleBytes(filePath));
+    const encoding = requestedEncoding === "auto" ? encodingDetection.encoding : requestedEncoding;
+    const sampleLines = await parser.readSampleLines(filePath, 200, encoding);
+    const detection = lineFormats.detectFormat(sampleLines);
+    res.json({
+      filename,
+      ...detection,
+      encoding,
+      encodingDetection,
+      preview: lineFormats.previewLines(sampleLines, detection.options),
+    });
+  } catch (error) {
+    console.error(`Error detecting format for ${filename}:`, error);
+    res.status(500).json({ error: "Failed to detect file format" });
+  }
+});
+
 // GET all unparsed files
 app.get("/api/admin/files", verifyJwt, async (req, res) => {
   try {
     await fs.mkdir(UNPARSED_DIR, { recursive: true });
     const files = await fs.readdir(UNPARSED_DIR);
-    res.json({ files });
+    // Partially parsed files, keyed by filename
+    const checkpoints = await listCheckpoints();
+    const partial = {};
+    for (const filename of files) {
+      const checkpoint = checkpoints[filename];
+      if (checkpoint) {
+        partial[filename] = {
+          status: checkpoint.status,
+          percent: checkpointPercent(checkpoint),
+          linesProcessed: checkpoint.linesProcessed,
+          totalBytes: checkpoint.totalBytes || null,
+          parallelRanges: Array.isArray(checkpoint.ranges) ? checkpoint.ranges.length : 0,
+          targetNode: checkpoint.targetNode,
+          targetIndex: checkpoint.targetIndex,
+          taskId: checkpoint.taskId,
+          error: checkpoint.error || null,
+          failed: checkpoint.failed || 0,
+          updatedAt: checkpoint.updatedAt,
+        };
+      }
+    }
+    res.json({ files, partial });
   } catch (error) {
     console.error("Error reading unparsed files:", error);
     res.status(500).json({ error: "Failed to list unparsed files" });
@@ -435,7 +1142,19 @@ app.post("/api/admin/upload", verifyJwt, upload.array("files"), async (req, res)
   const taskId = createTask("Upload Files", "uploading", req.files.map((f) => f.originalname).join(", "));
   res.json({ taskId });
   try {
-    const uploadedFiles = req.files.map((file) => file.originalname);
+    // Catalog each file (checksum and line count) before reporting the upload as done
+    updateTask(taskId, { status: "cataloging", total: req.files.length, message: "Computing checksums..." });
+    const uploadedFiles = [];
+    for (const file of req.files) {
+      await recordFile(file.filename, "pending", {
+        originalName: file.originalname,
+        version: file.catalogVersion,
+        uploadedBy: req.user && req.user.username,
+        source: "upload",
+      });
+      uploadedFiles.push(file.filename === file.originalname ? file.filename : `${file.originalname} (stored as ${file.filename})`);
+      updateTask(taskId, { progress: uploadedFiles.length });
+    }
     updateTask(taskId, {
       status: "completed",
       progress: uploadedFiles.length,
@@ -446,6 +1165,7 @@ app.post("/api/admin/upload", verifyJwt, upload.array("files"), async (req, res)
     console.log(`Task ${taskId} completed: Files ${uploadedFiles.join(", ")} uploaded.`);
   } catch (error) {
     console.error(`Upload task ${taskId} failed:`, error);
+    for (const file of req.files) releaseFilename(file.filename);
     updateTask(taskId, {
       status: "error",
       error: error.message,
@@ -457,13 +1177,27 @@ app.post("/api/admin/upload", verifyJwt, upload.array("files"), async (req, res)
 // Refactored /api/admin/parse/:filename
 app.post("/api/admin/parse/:filename", verifyJwt, async (req, res) => {
   const { filename } = req.params;
-  const { targetIndex, targetNode } = req.body;
+  const { targetIndex, targetNode, dedupe, restart, acceptFailures } = req.body;
+  if (dedupe !== undefined && typeof dedupe !== "boolean") {
+    return res.status(400).json({ error: "dedupe must be a boolean if provided." });
+  }
+  if (acceptFailures !== undefined && typeof acceptFailures !== "boolean") {
+    return res.status(400).json({ error: "acceptFailures must be a boolean if provided." });
+  }
   if (targetIndex && typeof targetIndex !== "string") {
     return res.status(400).json({ error: "targetIndex must be a string if provided." });
   }
   if (targetNode && typeof targetNode !== "string") {
     return res.status(400).json({ error: "targetNode must be a string if provided." });
   }
+  let requestedFormatOptions;
+  let requestedEncoding;
+  try {
+    requestedFormatOptions = lineFormats.normalizeFormatOptions(req.body.formatOptions);
+    requestedEncoding = encodings.normalizeEncoding(req.body.encoding);
+  } catch (formatError) {
+    return res.status(400).json({ error: formatError.message });
+  }
   const filePath = path.join(UNPARSED_DIR, filename);
   const parsedFilePath = path.join(PARSED_DIR, filename);
   try {
@@ -471,38 +1205,316 @@ app.post("/api/admin/parse/:filename", verifyJwt, async (req, res) => {
   } catch (err) {
     return res.status(404).json({ error: "File not found in unparsed directory." });
   }
+  const checkpoint = await getCheckpoint(filename);
+  if (checkpoint && checkpoint.status === "running") {
+    return res.status(409).json({ error: `${filename} is already being parsed.` });
+  }
+  if (checkpoint && restart !== true) {
+    return res.status(409).json({
+      error: `${filename} is partially parsed (${checkpointPercent(checkpoint)}%). Resume it, or pass restart: true to parse it again from the start.`,
+      checkpoint,
+    });
+  }
   const taskId = createTask("Parse File", "initializing", filename);
   res.json({ taskId });
+  runParseFile(taskId, {
+    filename,
+    filePath,
+    parsedFilePath,
+    targetIndex,
+    targetNode,
+    formatOptions: requestedFormatOptions,
+    encoding: requestedEncoding,
+    dedupe,
+    acceptFailures,
+  });
+});
+
+// Parse one unparsed file for an existing task; used by the parse route and by auto-ingest.
+// Without parsedFilePath the file is re-ingested where it is (see parseAndIndexFiles).
+// formatOptions/encoding may be "auto". Resolves when the task has finished (errors end up on the task).
+async function runParseFile(taskId, { filename, filePath, parsedFilePath, targetIndex, targetNode, formatOptions: requestedFormatOptions, encoding: requestedEncoding, dedupe, acceptFailures }) {
+  const verb = parsedFilePath ? "Parsing" : "Re-ingesting";
+  try {
+    const resolvedEncoding = await resolveFileEncoding(filePath, requestedEncoding);
+    const { size: totalBytes } = await fs.stat(filePath);
+    const resolvedFormat = await resolveFileFormat(filePath, requestedFormatOptions, resolvedEncoding.encoding);
+    updateTask(taskId, {
+      total: totalBytes,
+      unit: "bytes",
+      format: resolvedFormat.formatOptions,
+      encoding: resolvedEncoding.encoding,
+      message: `${verb} ${filename} (${formatBytes(totalBytes)}${getCompression(filePath) ? ", decompressing stream" : ""}; format: ${describeFormat(resolvedFormat)}, encoding: ${describeEncoding(resolvedEncoding)}) to index '${targetIndex || getSelectedIndex()}' via node '${targetNode || getConfig("writeNode")}'...`,
+    });
+    const fileResults = [];
+    await parseAndIndexFiles({
+      files: [{
+        filePath,
+        parsedFilePath,
+        totalBytes,
+        formatOptions: resolvedFormat.formatOptions,
+        encoding: resolvedEncoding.encoding,
+      }],
+      parseTargetIndex: targetIndex || getSelectedIndex(),
+      parseTargetNode: targetNode || getConfig("writeNode"),
+      batchSize: getConfig("batchSize"),
+      dedupe: !!dedupe,
+      acceptFailures: !!acceptFailures,
+      taskId,
+      onFileDone: ({ lines, created, duplicates, undecodable, failed, quarantined, movedToParsed }) => {
+        fileResults.push({ filename, lines, created, duplicates, undecodable, failed, quarantined, movedToParsed });
+      },
+      onProgress: ({ processed, lines }) => {
+        updateTask(taskId, {
+          status: "parsing",
+          progress: processed,
+          message: `${verb} file: ${formatBytes(processed)} of ${formatBytes(totalBytes)} (${lines} lines) processed...`,
+        });
+      },
+    });
+    const lines = fileResults[0] ? fileResults[0].lines : 0;
+    const completion = parseCompletedUpdate(
+      taskId,
+      fileResults,
+      parsedFilePath ? `Parsed ${lines} lines from ${filename}:` : `Re-ingested ${lines} lines from ${filename} (left in parsed):`
+    );
+    updateTask(taskId, {
+      ...completion,
+      progress: totalBytes,
+      total: totalBytes,
+      message: completion.message +
+        (dedupe && fileResults[0] ? ` ${fileResults[0].duplicates} duplicates skipped.` : "") +
+        describeUndecodable(fileResults),
+    });
+    console.log(`Task ${taskId} completed successfully.`);
+  } catch (error) {
+    console.error(`Parse task ${taskId} stopped:`, error);
+    updateTask(taskId, parseStoppedUpdate(error));
+  }
+}
+
+// POST resume a partially parsed file from its checkpoint, with the target and format it was started with
+app.post("/api/admin/parse/:filename/resume", verifyJwt, async (req, res) => {
+  const { filename } = req.params;
+  const filePath = path.join(UNPARSED_DIR, filename);
+  const parsedFilePath = path.join(PARSED_DIR, filename);
+  try {
+    await fs.access(filePath);
+  } catch (err) {
+    return res.status(404).json({ error: "File not found in unparsed directory." });
+  }
+  const checkpoint = await getCheckpoint(filename);
+  if (!checkpoint) {
+    return res.status(404).json({ error: `No parse checkpoint found for ${filename}.` });
+  }
+  if (checkpoint.status === "running") {
+    return res.status(409).json({ error: `${filename} is already being parsed.` });
+  }
+  if (checkpoint.status === "needs review") {
+    return res.status(409).json({ error: `${filename} was parsed to the end with failed lines. Accept the failures or re-parse it.` });
+  }
+  if (req.body && req.body.acceptFailures !== undefined && typeof req.body.acceptFailures !== "boolean") {
+    return res.status(400).json({ error: "acceptFailures must be a boolean if provided." });
+  }
+  const taskId = createTask("Resume Parse File", "initializing", filename);
+  res.json({ taskId });
   (async () => {
     try {
-      const totalLines = await parser.countLines(filePath);
+      // Checkpoints from before byte progress have no totalBytes
+      const totalBytes = checkpoint.totalBytes || (await fs.stat(filePath)).size;
       updateTask(taskId, {
-        total: totalLines,
-        message: `Found ${totalLines} lines in ${filename}. Parsing to index '${targetIndex || getSelectedIndex()}' via node '${targetNode || getConfig("writeNode")}'...`,
+        status: "parsing",
+        progress: checkpoint.bytesProcessed ?? checkpoint.byteOffset ?? 0,
+        total: totalBytes,
+        unit: "bytes",
+        format: checkpoint.formatOptions,
+        encoding: checkpoint.encoding,
+        message: `Resuming ${filename} at line ${checkpoint.linesProcessed} (${checkpointPercent(checkpoint)}%${Array.isArray(checkpoint.ranges) ? `, ${checkpoint.ranges.length} parallel ranges` : ""}) into index '${checkpoint.targetIndex}' via node '${checkpoint.targetNode}'...`,
       });
+      const fileResults = [];
       await parseAndIndexFiles({
-        files: [{ filePath, parsedFilePath, totalLines }],
-        parseTargetIndex: targetIndex || getSelectedIndex(),
-        parseTargetNode: targetNode || getConfig("writeNode"),
+        files: [{
+          filePath,
+          parsedFilePath,
+          totalBytes,
+          formatOptions: checkpoint.formatOptions,
+          encoding: checkpoint.encoding || "utf-8",
+          resumeFrom: checkpoint,
+        }],
+        parseTargetIndex: checkpoint.targetIndex,
+        parseTargetNode: checkpoint.targetNode,
         batchSize: getConfig("batchSize"),
-        onProgress: ({ processed }) => {
+        dedupe: !!checkpoint.dedupe,
+        acceptFailures: !!(req.body && req.body.acceptFailures),
+        taskId,
+        onFileDone: ({ lines, created, duplicates, undecodable, failed, quarantined, movedToParsed }) => {
+          fileResults.push({ filename, lines, created, duplicates, undecodable, failed, quarantined, movedToParsed });
+        },
+        onProgress: ({ processed, lines }) => {
           updateTask(taskId, {
             status: "parsing",
             progress: processed,
-            message: `Parsing file: ${processed}/${totalLines} lines processed...`,
+            message: `Parsing file: ${formatBytes(processed)} of ${formatBytes(totalBytes)} (${lines} lines) processed...`,
+          });
+        },
+      });
+      const remainingLines = fileResults[0] ? fileResults[0].lines - checkpoint.linesProcessed : 0;
+      const completion = parseCompletedUpdate(
+        taskId,
+        fileResults,
+        `Resumed and finished ${filename} (${remainingLines} remaining lines). In total:`
+      );
+      updateTask(taskId, {
+        ...completion,
+        progress: totalBytes,
+        message: completion.message +
+          (checkpoint.dedupe && fileResults[0] ? ` ${fileResults[0].duplicates} duplicates skipped.` : "") +
+          describeUndecodable(fileResults),
+      });
+      console.log(`Task ${taskId} completed successfully.`);
+    } catch (error) {
+      console.error(`Resume parse task ${taskId} stopped:`, error);
+      updateTask(taskId, parseStoppedUpdate(error));
+    }
+  })();
+});
+
+// POST accept the failed lines of a parsed file and move it to parsed
+app.post("/api/admin/parse/:filename/accept-failures", verifyJwt, async (req, res) => {
+  const { filename } = req.params;
+  const filePath = path.join(UNPARSED_DIR, filename);
+  const parsedFilePath = path.join(PARSED_DIR, filename);
+  const checkpoint = await getCheckpoint(filename);
+  if (!checkpoint || checkpoint.status !== "needs review") {
+    return res.status(409).json({ error: `${filename} has no completed parse with failed lines to accept.` });
+  }
+  const taskId = createTask("Accept Parse Failures", "moving", filename);
+  res.json({ taskId });
+  (async () => {
+    try {
+      await fs.rename(filePath, parsedFilePath);
+      await deleteCheckpoint(filename);
+      updateTask(taskId, {
+        status: "completed",
+        progress: 1,
+        total: 1,
+        completed: true,
+        message: `Accepted ${checkpoint.failed} failed line(s) of ${filename} and moved it to parsed.`,
+      });
+      console.log(`Task ${taskId} completed: ${filename} accepted with failures.`);
+    } catch (error) {
+      console.error(`Accept failures task ${taskId} failed:`, error);
+      updateTask(taskId, {
+        status: "error",
+        error: error.message,
+        completed: true,
+      });
+    }
+  })();
+});
+
+// How often a running delete-by-query task is polled
+const DELETE_BY_QUERY_POLL_MS = 2000;
+
+// Delete-by-query run as an Elasticsearch task (wait_for_completion false) and polled until it finishes,
+// so large deletes don't hit the request timeout. onProgress(deletedSoFar) is called on every poll.
+// Resolves with the number of deleted documents, or null when the index does not exist.
+async function deleteByQueryTask(es, { index, query, onProgress = () => {} }) {
+  let task;
+  try {
+    ({ task } = await es.deleteByQuery({ index, query, conflicts: "proceed", refresh: true, wait_for_completion: false }));
+  } catch (error) {
+    if (error.meta?.statusCode === 404) return null;
+    throw error;
+  }
+  for (;;) {
+    await new Promise((resolve) => setTimeout(resolve, DELETE_BY_QUERY_POLL_MS));
+    const status = await es.tasks.get({ task_id: task });
+    if (status.completed) {
+      if (status.error) {
+        throw new Error(`Delete-by-query in ${index} failed: ${status.error.reason || status.error.type}`);
+      }
+      return status.response?.deleted || 0;
+    }
+    onProgress(status.task.status?.deleted || 0);
+  }
+}
+
+// POST remove every document ingested from a file (delete-by-query on its source_file/source_hash
+// in each node/index it was ingested into), then move the file back to unparsed
+app.post("/api/admin/delete-by-source/:filename", verifyJwt, async (req, res) => {
+  const { filename } = req.params;
+  const record = await getProvenance(filename);
+  if (!record || record.ingests.length === 0) {
+    return res.status(404).json({ error: `No ingest record for ${filename}; only files ingested with provenance fields can be removed.` });
+  }
+  const checkpoint = await getCheckpoint(filename);
+  if (checkpoint && checkpoint.status === "running") {
+    return res.status(409).json({ error: `${filename} is being parsed. Pause the parse first.` });
+  }
+  const targets = ingestTargets(record);
+  const taskId = createTask("Delete By Source", "deleting", filename);
+  res.json({ taskId });
+
+  (async () => {
+    try {
+      let deleted = 0;
+      const skipped = [];
+      updateTask(taskId, { total: targets.length, message: `Removing documents ingested from ${filename}...` });
+      for (const [i, { targetNode, targetIndex, sourceHashes }] of targets.entries()) {
+        const es = resolveNodeClient(targetNode);
+        try {
+          const indexDeleted = await deleteByQueryTask(es, {
+            index: targetIndex,
+            query: {
+              bool: {
+                filter: [{ term: { source_file: filename } }, { terms: { source_hash: sourceHashes } }],
+              },
+            },
+            onProgress: (running) =>
+              updateTask(taskId, {
+                message: `Deleted ${deleted + running} document(s), ${i}/${targets.length} index(es) done...`,
+              }),
           });
-        },
-      });
+          if (indexDeleted === null) {
+            skipped.push(targetIndex); // Index was deleted in the meantime; nothing left to remove
+          } else {
+            deleted += indexDeleted;
+            invalidateSearchCache(targetIndex);
+          }
+        } finally {
+          await closeNodeClient(es);
+        }
+        updateTask(taskId, {
+          progress: i + 1,
+          message: `Deleted ${deleted} document(s) from ${i + 1}/${targets.length} index(es)...`,
+        });
+      }
+
+      let moved = false;
+      try {
+        await fs.rename(path.join(PARSED_DIR, filename), path.join(UNPARSED_DIR, filename));
+        moved = true;
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error; // Already in unparsed (partial ingest) or deleted
+      }
+      await deleteCheckpoint(filename);
+      await deleteProvenance(filename);
+      await clearCatalogIndices(filename);
+
       updateTask(taskId, {
         status: "completed",
-        progress: totalLines,
-        total: totalLines,
+        progress: targets.length,
         completed: true,
-        message: `Parsed and indexed ${totalLines} lines from ${filename}`,
+        deleted,
+        message:
+          `Deleted ${deleted} document(s) ingested from ${filename}` +
+          (moved ? " and moved it back to unparsed." : ".") +
+          (skipped.length > 0 ? ` Missing index(es) skipped: ${skipped.join(", ")}.` : ""),
       });
-      console.log(`Task ${taskId} completed successfully.`);
+      console.log(`Task ${taskId} completed: deleted ${deleted} documents from source ${filename}.`);
     } catch (error) {
-      console.error(`Parse task ${taskId} failed:`, error);
+      console.error(`Delete by source task ${taskId} failed:`, error);
       updateTask(taskId, {
         status: "error",
         error: error.message,
@@ -512,6 +1524,48 @@ app.post("/api/admin/parse/:filename", verifyJwt, async (req, res) => {
   })();
 });
 
+// POST re-ingest a parsed file into another node/index; the file stays in parsed.
+// Body: { targetIndex, targetNode?, dedupe?, formatOptions?, encoding? }
+app.post("/api/admin/parsed-files/:filename/reingest", verifyJwt, async (req, res) => {
+  const { filename } = req.params;
+  const { targetIndex, targetNode, dedupe } = req.body;
+  if (!targetIndex || typeof targetIndex !== "string") {
+    return res.status(400).json({ error: "targetIndex is required." });
+  }
+  if (targetNode && typeof targetNode !== "string") {
+    return res.status(400).json({ error: "targetNode must be a string if provided." });
+  }
+  if (dedupe !== undefined && typeof dedupe !== "boolean") {
+    return res.status(400).json({ error: "dedupe must be a boolean if provided." });
+  }
+  let requestedFormatOptions;
+  let requestedEncoding;
+  try {
+    requestedFormatOptions = lineFormats.normalizeFormatOptions(req.body.formatOptions);
+    requestedEncoding = encodings.normalizeEncoding(req.body.encoding);
+  } catch (formatError) {
+    return res.status(400).json({ error: formatError.message });
+  }
+  const filePath = path.join(PARSED_DIR, filename);
+  try {
+    await fs.access(filePath);
+  } catch (err) {
+    return res.status(404).json({ error: "File not found in parsed directory." });
+  }
+  const taskId = createTask("Re-ingest File", "initializing", filename);
+  res.json({ taskId });
+  runParseFile(taskId, {
+    filename,
+    filePath,
+    parsedFilePath: null,
+    targetIndex,
+    targetNode,
+    formatOptions: requestedFormatOptions,
+    encoding: requestedEncoding,
+    dedupe,
+  });
+});
+
 // DELETE unparsed file
 app.delete("/api/admin/unparsed-files/:filename", verifyJwt, async (req, res) => {
   const { filename } = req.params;
@@ -523,6 +1577,7 @@ app.delete("/api/admin/unparsed-files/:filename", verifyJwt, async (req, res) =>
   (async () => {
     try {
       await fs.unlink(filePath);
+      await deleteCheckpoint(filename);
       updateTask(taskId, {
         status: "completed",
         progress: 1,
@@ -542,229 +1597,334 @@ app.delete("/api/admin/unparsed-files/:filename", verifyJwt, async (req, res) =>
   })();
 });
 
-// GET accounts with pagination
-app.get("/api/admin/accounts", verifyJwt, async (req, res) => {
-  const page = parseInt(req.query.page) || 1;
-  const size = parseInt(req.query.size) || 20;
-  const from = (page - 1) * size;
-  const requestedNode = req.query.node;
-  const requestedIndex = req.query.index;
-  const requestedCluster = req.query.cluster;
-  const { Client } = require("@elastic/elasticsearch");
+// Batch file operations: delete, move between pending/unparsed/parsed, or re-parse a selection of files
+const FILE_LOCATIONS = { pending: PENDING_DIR, unparsed: UNPARSED_DIR, parsed: PARSED_DIR };
+const FILE_BATCH_ACTIONS = ["delete", "move", "reparse"];
+const MAX_BATCH_FILES = 500;
 
-  try {
-    let cachedIndices = await getCacheFiltered();
-    const config = getConfig();
-    // If cluster filter is provided, filter nodes to only those in the cluster
-    if (requestedCluster) {
-      cachedIndices = Object.fromEntries(
-        Object.entries(cachedIndices).filter(
-          ([nodeName, nodeData]) => {
-            // Try to get cluster from nodeData or from config.nodeMetadata
-            let cluster = nodeData.cluster;
-            if (!cluster && config.nodeMetadata && config.nodeMetadata[nodeName]) {
-              cluster = config.nodeMetadata[nodeName].cluster;
-            }
-            return cluster === requestedCluster;
-          }
-        )
-      );
+// Validate a batch request's files ([{ filename, location }]); returns an error message or null
+function validateBatchFiles(files) {
+  if (!Array.isArray(files) || files.length === 0) {
+    return "files must be a non-empty array of { filename, location }.";
+  }
+  if (files.length > MAX_BATCH_FILES) {
+    return `A batch can hold at most ${MAX_BATCH_FILES} files.`;
+  }
+  const seen = new Set();
+  for (const file of files) {
+    if (!file || typeof file !== "object" || !isSafeFilename(file.filename)) {
+      return "Every file needs a plain filename (no paths).";
     }
-
-    // Check if any nodes are running
-    const runningNodes = Object.values(cachedIndices).filter(node => node.status === "running");
-    if (runningNodes.length === 0) {
-      return res.status(503).json({
-        error: "No Elasticsearch nodes are currently running",
-        results: [],
-        total: 0
-      });
+    if (!FILE_LOCATIONS[file.location]) {
+      return `Invalid location for ${file.filename}; must be one of: ${Object.keys(FILE_LOCATIONS).join(", ")}.`;
     }
+    if (seen.has(file.filename)) {
+      return `${file.filename} is listed more than once.`;
+    }
+    seen.add(file.filename);
+  }
+  return null;
+}
+
+async function pathExists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
 
-    // Determine which index(es) to search and which ES client to use
-    let searchIndex;
-    let es;
-    let targetNodeUrl;
+// Move one file between data directories, refusing to overwrite; offsets are dropped once it leaves unparsed
+async function moveDataFile(filename, from, to) {
+  const destination = path.join(FILE_LOCATIONS[to], filename);
+  if (await pathExists(destination)) {
+    throw new Error(`A file named ${filename} is already in ${to}.`);
+  }
+  await fs.mkdir(FILE_LOCATIONS[to], { recursive: true });
+  await fs.rename(path.join(FILE_LOCATIONS[from], filename), destination);
+  if (from === "unparsed") await deleteCheckpoint(filename);
+}
 
-    if (requestedNode && requestedIndex) {
-      // Only allow search if node is running
-      if (!cachedIndices[requestedNode] || cachedIndices[requestedNode].status !== "running") {
-        return res.status(503).json({
-          error: `Node '${requestedNode}' is not running or not reachable`,
-          results: [],
-          total: 0,
-        });
+// Run a batch as one task; every file gets a result ({ filename, location, status, message }) on task.results.
+// Files are handled one at a time and a failure only fails that file. A paused re-parse stops the batch.
+async function runFileBatch(taskId, { action, files, to, parseOptions }) {
+  const results = [];
+  const fileResults = []; // Parse outcomes, for the dead-letter/quarantine summary of a re-parse
+  let paused = null;
+  updateTask(taskId, { total: files.length, message: `Processing ${files.length} file(s)...` });
+  try {
+    for (const [i, { filename, location }] of files.entries()) {
+      if (paused) {
+        results.push({ filename, location, status: "skipped", message: "Not started; the batch was paused." });
+        continue;
       }
-      // Specific index on specific node requested
-      let nodeData = cachedIndices[requestedNode];
-      let nodeCacheKey = requestedNode;
-      const nodeMetadata = config.nodeMetadata || {};
-      if (!nodeData) {
-        const url = Object.keys(nodeMetadata).find((url) => nodeMetadata[url].name === requestedNode);
-        if (url && cachedIndices[nodeMetadata[url].name]) {
-          nodeData = cachedIndices[nodeMetadata[url].name];
-          nodeCacheKey = nodeMetadata[url].name;
-        } else if (url && cachedIndices[url]) {
-          nodeData = cachedIndices[url];
-          nodeCacheKey = url;
+      const filePath = path.join(FILE_LOCATIONS[location], filename);
+      try {
+        if (!(await pathExists(filePath))) {
+          throw new Error(`Not found in ${location}.`);
         }
-      }
-      if (nodeData && !nodeData.nodeUrl && nodeMetadata[requestedNode] && nodeMetadata[requestedNode].nodeUrl) {
-        nodeData.nodeUrl = nodeMetadata[requestedNode].nodeUrl;
-      }
-      if (
-        !nodeData ||
-        !nodeData.indices ||
-        !Object.keys(
-          Array.isArray(nodeData.indices)
-            ? nodeData.indices.reduce((acc, idx) => {
-                acc[idx.index] = true;
-                return acc;
-              }, {})
-            : nodeData.indices
-        ).includes(requestedIndex)
-      ) {
-        return res.status(400).json({
-          error: `Index '${requestedIndex}' not found on node '${requestedNode}'`,
-          results: [],
-          total: 0,
-        });
-      }
-      if (nodeData.status !== "running") {
-        return res.status(503).json({
-          error: `Node '${requestedNode}' is not running or not reachable`,
-          results: [],
-          total: 0,
-        });
-      }
-      let nodeUrl = nodeData.nodeUrl;
-      if (!nodeUrl && nodeMetadata[requestedNode] && nodeMetadata[requestedNode].nodeUrl) {
-        nodeUrl = nodeMetadata[requestedNode].nodeUrl;
-      }
-      if (!nodeUrl) {
-        nodeUrl = `http://localhost:${nodeData.port || 9200}`;
-      }
-      searchIndex = requestedIndex;
-      targetNodeUrl = nodeUrl;
-      es = new Client({ node: targetNodeUrl });
-    } else if (requestedNode && !requestedIndex) {
-      if (!cachedIndices[requestedNode] || cachedIndices[requestedNode].status !== "running") {
-        return res.status(503).json({
-          error: `Node '${requestedNode}' is not running or not reachable`,
-          results: [],
-          total: 0,
-        });
-      }
-      const nodeData = cachedIndices[requestedNode];
-      if (!nodeData || !nodeData.nodeUrl) {
-        return res.status(400).json({
-          error: `Node '${requestedNode}' not found or not configured`,
-          results: [],
-          total: 0,
-        });
-      }
-      if (!nodeData.indices || nodeData.indices.length === 0) {
-        return res.json({
-          results: [],
-          total: 0,
-          message: `No indices found on node '${requestedNode}'`,
-        });
-      }
-      searchIndex = nodeData.indices.map((idx) => idx.index).join(",");
-      targetNodeUrl = nodeData.nodeUrl;
-      es = new Client({ node: targetNodeUrl });
-    } else if (!requestedNode && requestedIndex) {
-      let indexExists = false;
-      for (const [, nodeData] of Object.entries(cachedIndices)) {
-        if (nodeData.status !== 'running') continue;
-        if (nodeData.indices && nodeData.indices.find((idx) => idx.index === requestedIndex)) {
-          indexExists = true;
-          break;
+        const checkpoint = await getCheckpoint(filename);
+        if (checkpoint && checkpoint.status === "running") {
+          throw new Error("It is being parsed. Pause the parse first.");
         }
-      }
-      if (!indexExists) {
-        return res.status(400).json({
-          error: `Index '${requestedIndex}' not found on any configured node`,
-          results: [],
-          total: 0,
-        });
-      }
-      searchIndex = requestedIndex;
-      es = getCurrentES();
-    } else {
-      // No specific node or index - use all available indices from all running nodes
-      const allIndices = [];
-      let anyRunningNode = false;
-      for (const [nodeName, nodeData] of Object.entries(cachedIndices)) {
-        if (nodeData.status === 'running' && nodeData.indices && nodeData.indices.length > 0) {
-          anyRunningNode = true;
-          const nodeClient = new Client({ node: nodeData.nodeUrl });
-          for (const indexInfo of nodeData.indices) {
-            allIndices.push({
-              node: nodeName,
-              index: indexInfo.index,
-              client: nodeClient
-            });
+        let message;
+        if (action === "delete") {
+          await fs.unlink(filePath);
+          if (location === "unparsed") await deleteCheckpoint(filename);
+          message = `Deleted from ${location}.`;
+        } else if (action === "move") {
+          if (location === to) {
+            results.push({ filename, location, status: "skipped", message: `Already in ${to}.` });
+            updateTask(taskId, { progress: i + 1, results });
+            continue;
           }
+          await moveDataFile(filename, location, to);
+          message = `Moved from ${location} to ${to}.`;
+        } else {
+          if (location !== "unparsed") await moveDataFile(filename, location, "unparsed");
+          await deleteCheckpoint(filename); // A re-parse always starts from the beginning
+          updateTask(taskId, { status: "parsing", message: `Re-parsing ${filename} (${i + 1}/${files.length})...` });
+          const parsed = await reparseFile(taskId, filename, parseOptions);
+          fileResults.push(parsed);
+          message = `${parsed.lines} lines, ${parsed.created} indexed, ${parsed.failed} failed` +
+            (parseOptions.dedupe ? `, ${parsed.duplicates} duplicates skipped` : "") +
+            (parsed.movedToParsed ? "; moved to parsed." : "; kept in unparsed for review.");
+        }
+        results.push({ filename, location, status: "ok", message });
+      } catch (error) {
+        if (error.code === PARSE_PAUSED) {
+          paused = error;
+          results.push({ filename, location, status: "paused", message: "Paused; resume it from the Files tab." });
+        } else {
+          console.error(`Batch ${action} of ${filename} failed:`, error);
+          results.push({ filename, location, status: "error", message: error.message });
         }
       }
-      if (allIndices.length > 0) {
-        es = allIndices[0].client;
-        searchIndex = allIndices.map(i => i.index).join(',');
-        console.log(`No search indices configured, using all available indices: ${searchIndex}`);
-      } else {
-        return res.json({
-          results: [],
-          total: 0,
-          message: anyRunningNode
-            ? "No indices found on running nodes. Please create indices first."
-            : "No indices available.",
-        });
-      }
+      updateTask(taskId, { progress: i + 1, results });
     }
 
-    // Execute search query
+    const failed = results.filter((result) => result.status === "error").length;
+    const done = results.filter((result) => result.status === "ok").length;
+    const summary = `${done} of ${files.length} file(s) ${action === "delete" ? "deleted" : action === "move" ? `moved to ${to}` : "re-parsed"}` +
+      (failed > 0 ? `, ${failed} failed` : "") + ".";
+    if (paused) {
+      updateTask(taskId, { ...parseStoppedUpdate(paused), results, message: `${summary} ${paused.message} The rest of the batch was not started.` });
+      return;
+    }
+    const completion = action === "reparse" && fileResults.length > 0 ? parseCompletedUpdate(taskId, fileResults, summary) : null;
+    updateTask(taskId, {
+      ...(completion || {}),
+      status: failed > 0 ? "completed with errors" : completion ? completion.status : "completed",
+      completed: true,
+      progress: files.length,
+      results,
+      message: completion ? completion.message : summary,
+    });
+    console.log(`Task ${taskId} completed: ${summary}`);
+  } catch (error) {
+    console.error(`Batch ${action} task ${taskId} failed:`, error);
+    updateTask(taskId, { status: "error", error: error.message, completed: true, results });
+  }
+}
+
+// Parse one file that is now in unparsed as part of a batch task; resolves with its parse outcome
+async function reparseFile(taskId, filename, { targetIndex, targetNode, formatOptions, encoding, dedupe, acceptFailures }) {
+  const filePath = path.join(UNPARSED_DIR, filename);
+  const resolvedEncoding = await resolveFileEncoding(filePath, encoding);
+  const { size: totalBytes } = await fs.stat(filePath);
+  const resolvedFormat = await resolveFileFormat(filePath, formatOptions, resolvedEncoding.encoding);
+  let outcome = null;
+  await parseAndIndexFiles({
+    files: [{
+      filePath,
+      parsedFilePath: path.join(PARSED_DIR, filename),
+      totalBytes,
+      formatOptions: resolvedFormat.formatOptions,
+      encoding: resolvedEncoding.encoding,
+    }],
+    parseTargetIndex: targetIndex || getSelectedIndex(),
+    parseTargetNode: targetNode || getConfig("writeNode"),
+    batchSize: getConfig("batchSize"),
+    dedupe: !!dedupe,
+    acceptFailures: !!acceptFailures,
+    taskId,
+    onFileDone: ({ lines, created, duplicates, undecodable, failed, quarantined, movedToParsed }) => {
+      outcome = { filename, lines, created, duplicates, undecodable, failed, quarantined, movedToParsed };
+    },
+    onProgress: ({ processed, lines }) => {
+      updateTask(taskId, {
+        message: `Re-parsing ${filename}: ${formatBytes(processed)} of ${formatBytes(totalBytes)} (${lines} lines) processed...`,
+      });
+    },
+  });
+  return outcome;
+}
+
+// Validate the re-parse options of a batch request; returns { parseOptions } or { error }
+function batchParseOptions(body) {
+  const { targetIndex, targetNode, dedupe, acceptFailures } = body;
+  if (dedupe !== undefined && typeof dedupe !== "boolean") {
+    return { error: "dedupe must be a boolean if provided." };
+  }
+  if (acceptFailures !== undefined && typeof acceptFailures !== "boolean") {
+    return { error: "acceptFailures must be a boolean if provided." };
+  }
+  if (targetIndex && typeof targetIndex !== "string") {
+    return { error: "targetIndex must be a string if provided." };
+  }
+  if (targetNode && typeof targetNode !== "string") {
+    return { error: "targetNode must be a string if provided." };
+  }
+  try {
+    return {
+      parseOptions: {
+        targetIndex,
+        targetNode,
+        dedupe,
+        acceptFailures,
+        formatOptions: lineFormats.normalizeFormatOptions(body.formatOptions),
+        encoding: encodings.normalizeEncoding(body.encoding),
+      },
+    };
+  } catch (formatError) {
+    return { error: formatError.message };
+  }
+}
+
+// POST a batch file operation:
+//   { action: "delete" | "move" | "reparse", files: [{ filename, location }], to?, targetNode?, targetIndex?,
+//     dedupe?, acceptFailures?, formatOptions?, encoding? }
+// `to` is the destination of a move; re-parsed files are moved to unparsed first and parsed from the start.
+app.post("/api/admin/files/batch", verifyJwt, async (req, res) => {
+  const { action, files, to } = req.body;
+  if (!FILE_BATCH_ACTIONS.includes(action)) {
+    return res.status(400).json({ error: `action must be one of: ${FILE_BATCH_ACTIONS.join(", ")}.` });
+  }
+  const filesError = validateBatchFiles(files);
+  if (filesError) {
+    return res.status(400).json({ error: filesError });
+  }
+  if (action === "move" && !FILE_LOCATIONS[to]) {
+    return res.status(400).json({ error: `to must be one of: ${Object.keys(FILE_LOCATIONS).join(", ")}.` });
+  }
+  let parseOptions = null;
+  if (action === "reparse") {
+    const parsed = batchParseOptions(req.body);
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    parseOptions = parsed.parseOptions;
+  }
+  const taskType = action === "delete" ? "Batch Delete Files" : action === "move" ? "Batch Move Files" : "Batch Re-parse Files";
+  const initialStatus = action === "delete" ? "deleting" : action === "move" ? "moving" : "initializing";
+  const taskId = createTask(taskType, initialStatus, files.length === 1 ? files[0].filename : `${files.length} files`);
+  res.json({ taskId });
+  runFileBatch(taskId, { action, files, to, parseOptions });
+});
+
+// DELETE one or more files from a directory: body { filename } or { filenames: [...] }; runs as a batch task
+function batchDeleteHandler(location) {
+  return (req, res) => {
+    const { filename, filenames } = req.body || {};
+    const names = filenames !== undefined ? filenames : filename !== undefined ? [filename] : [];
+    if (!Array.isArray(names)) {
+      return res.status(400).json({ error: "filenames must be an array if provided." });
+    }
+    const files = names.map((name) => ({ filename: name, location }));
+    const filesError = validateBatchFiles(files);
+    if (filesError) {
+      return res.status(400).json({ error: filesError });
+    }
+    const taskId = createTask("Batch Delete Files", "deleting", files.length === 1 ? files[0].filename : `${files.length} files`);
+    res.json({ taskId });
+    runFileBatch(taskId, { action: "delete", files });
+  };
+}
+
+app.delete("/api/admin/files", verifyJwt, batchDeleteHandler("unparsed"));
+app.delete("/api/admin/parsed-files", verifyJwt, batchDeleteHandler("parsed"));
+
+// GET accounts with pagination
+app.get("/api/admin/accounts", verifyJwt, async (req, res) => {
+  const page = parseInt(req.query.page) || 1;
+  const size = parseInt(req.query.size) || 20;
+  const requestedNode = req.query.node;
+  const { Client } = require("@elastic/elasticsearch");
+
+  // Optional search within the listing, with the same syntax and match modes as /api/search
+  let accountQuery = { match_all: {} };
+  if (req.query.q && req.query.q.trim()) {
     try {
-      // If we don't have a client or index to search, return empty results
-      if (!es || !searchIndex) {
-        return res.json({
-          results: [],
-          total: 0,
-          message: "No searchable indices available",
-        });
-      }
+      accountQuery = buildSearchQuery(req.query.q, req.query.mode);
+    } catch (queryError) {
+      if (queryError.code !== QUERY_SYNTAX && queryError.code !== INVALID_MATCH) throw queryError;
+      return res.status(400).json({ error: queryError.message, position: queryError.position, results: [], total: 0 });
+    }
+  }
+  // Facet values picked in the sidebar (filter=field:value, repeatable)
+  try {
+    accountQuery = applyFacetFilters(accountQuery, parseFacetFilters(req.query.filter));
+  } catch (filterError) {
+    if (filterError.code !== INVALID_FACET) throw filterError;
+    return res.status(400).json({ error: filterError.message, results: [], total: 0 });
+  }
 
-      const response = await es.search({
-        index: searchIndex,
-        from,
-        size,
-        body: {
-          query: {
-            match_all: {},
-          },
-          // Remove the problematic sort by _id
-          // Use doc_id for consistent pagination if needed
-        },
+  try {
+    // Every running index unless narrowed by node, index, cluster or scope=configured
+    let searchTargets;
+    try {
+      searchTargets = await resolveSearchTargets({
+        isAdmin: true,
+        overrides: targetOverrides(req.query),
+        defaultScope: "all",
+      });
+    } catch (targetError) {
+      const status = searchTargetErrorStatus(targetError);
+      if (!status) throw targetError;
+      return res.status(status).json({ error: targetError.message, results: [], total: 0 });
+    }
+    if (searchTargets.targets.length === 0) {
+      return res.json({
+        results: [],
+        total: 0,
+        searchIndices: [],
+        message: requestedNode ? `No indices found on node '${requestedNode}'` : searchTargets.message,
+      });
+    }
+
+    // Execute search query
+    try {
+      const response = await searchPage({
+        nodes: searchTargets.nodes.map(({ node, nodeUrl, indices }) => ({
+          node,
+          indices,
+          client: new Client({ node: nodeUrl || "http://localhost:9200" }),
+        })),
+        query: accountQuery,
+        search: searchFingerprint(req.query.q || "", req.query.mode),
+        size: Math.min(size, 10000),
+        max: 10000,
+        page,
+        continuable: false,
       });
 
       // Process results
-      const hits = response.hits.hits;
-      const results = hits.map((hit) => {
+      const results = response.hits.map(({ node, hit }) => {
         const source = hit._source;
-        const rawLine = source.raw_line;
 
-        if (!rawLine) {
+        if (!source.raw_line && typeof source.username !== "string") {
           return {
             id: hit._id,
             url: "Unknown",
             username: "Unknown",
             password: "Unknown",
             _index: hit._index,
-            node: requestedNode || null,
+            node,
           };
         }
 
-        const { url, username, password } = parser.parseLineForDisplay(rawLine);
+        const { url, username, password } = sourceToAccount(source);
 
         return {
           id: hit._id,
@@ -772,13 +1932,17 @@ app.get("/api/admin/accounts", verifyJwt, async (req, res) => {
           username,
           password,
           _index: hit._index,
-          node: requestedNode || null,
+          node,
+          sourceFile: source.source_file || null,
+          ingestedAt: source.ingested_at || null,
         };
       });
 
       res.json({
         results,
-        total: response.hits.total.value,
+        total: response.total,
+        searchIndices: searchTargets.targets,
+        warnings: response.warnings.length > 0 ? response.warnings : undefined,
         message: requestedNode
           ? `Showing accounts from node ${requestedNode}`
           : undefined,
@@ -801,6 +1965,69 @@ app.get("/api/admin/accounts", verifyJwt, async (req, res) => {
   }
 });
 
+// GET facets of the records the listing shows: top values and distinct counts per field, and records
+// ingested over time, merged across the same targets (node, index, cluster, scope) and filters (q, mode, filter)
+app.get("/api/admin/accounts/facets", verifyJwt, async (req, res) => {
+  const { Client } = require("@elastic/elasticsearch");
+  let query = { match_all: {} };
+  let fields;
+  try {
+    if (req.query.q && req.query.q.trim()) query = buildSearchQuery(req.query.q, req.query.mode);
+    query = applyFacetFilters(query, parseFacetFilters(req.query.filter));
+    fields = normalizeFacetFields(req.query.fields);
+  } catch (queryError) {
+    if (![QUERY_SYNTAX, INVALID_MATCH, INVALID_FACET].includes(queryError.code)) throw queryError;
+    return res.status(400).json({ error: queryError.message, position: queryError.position });
+  }
+
+  try {
+    let searchTargets;
+    try {
+      searchTargets = await resolveSearchTargets({
+        isAdmin: true,
+        overrides: targetOverrides(req.query),
+        defaultScope: "all",
+      });
+    } catch (targetError) {
+      const status = searchTargetErrorStatus(targetError);
+      if (!status) throw targetError;
+      return res.status(status).json({ error: targetError.message });
+    }
+    if (searchTargets.targets.length === 0) {
+      return res.json({ total: 0, facets: [], histogram: null, searchIndices: [], message: searchTargets.message });
+    }
+
+    let result;
+    try {
+      result = await facetSearch({
+        nodes: searchTargets.nodes.map(({ node, nodeUrl, indices }) => ({
+          node,
+          indices,
+          client: new Client({ node: nodeUrl || "http://localhost:9200" }),
+        })),
+        query,
+        fields,
+        buckets: req.query.buckets === undefined ? undefined : parseInt(req.query.buckets),
+        interval: req.query.interval || undefined,
+      });
+    } catch (facetError) {
+      if (facetError.code === INVALID_FACET) return res.status(400).json({ error: facetError.message });
+      throw facetError;
+    }
+
+    res.json({
+      total: result.total,
+      facets: result.facets,
+      histogram: result.histogram,
+      searchIndices: searchTargets.targets,
+      warnings: result.warnings.length > 0 ? result.warnings : undefined,
+    });
+  } catch (error) {
+    console.error("Error computing facets:", error);
+    res.status(500).json({ error: "Failed to compute facets: " + error.message });
+  }
+});
+
 // DELETE single account
 app.delete("/api/admin/accounts/:id", verifyJwt, async (req, res) => {
   const { id } = req.params;
@@ -854,6 +2081,7 @@ app.delete("/api/admin/accounts/:id", verifyJwt, async (req, res) => {
       id: id,
       refresh: true,
     });
+    invalidateSearchCache(requestedIndex);
 
     res.json({ message: "Account deleted successfully" });
   } catch (error) {
@@ -916,16 +2144,18 @@ app.put("/api/admin/accounts/:id", verifyJwt, async (req, res) => {
 
     // Construct the raw_line from the provided fields
     const raw_line = `${url}:${username}:${password}`;
+    const structured = await hasStructuredMapping(es, requestedIndex);
 
     await es.update({
       index: requestedIndex,
       id: id,
       body: {
-        doc: { raw_line },
+        doc: structured ? buildDocument({ url, username, password }, raw_line) : { raw_line },
       },
       refresh: true,
     });
 
+    invalidateSearchCache(requestedIndex);
     res.json({ message: "Account updated successfully" });
   } catch (error) {
     console.error("Error updating account:", error);
@@ -992,6 +2222,7 @@ app.post("/api/admin/accounts/bulk-delete", verifyJwt, async (req, res) => {
             return;
           }
 
+          invalidateSearchCache(index);
           const bulkItems = bulkResponse.items;
           const currentDeleted = bulkItems.filter(
             (item) => item.delete && (item.delete.result === "deleted" || item.delete.result === "not_found")
@@ -1078,6 +2309,7 @@ app.post("/api/admin/accounts/clean", verifyJwt, async (req, res) => {
         },
         refresh: true, // Refresh index after deletion
       });
+      invalidateSearchCache(getSelectedIndex());
 
       accountsDeleted =
         deleteResponse.body && deleteResponse.body.deleted !== undefined ? deleteResponse.body.deleted : 0;
@@ -1141,6 +2373,38 @@ app.get("/api/admin/tasks/:taskId", verifyJwt, (req, res) => {
   }
 });
 
+// GET the dead-letter file (JSON lines) of a parse task
+app.get("/api/admin/tasks/:taskId/dead-letter", verifyJwt, async (req, res) => {
+  const { taskId } = req.params;
+  if (!(await hasDeadLetters(taskId))) {
+    return res.status(404).json({ error: "No dead-letter file for this task" });
+  }
+  res.download(deadLetterPath(taskId), `dead-letter-${taskId}.jsonl`);
+});
+
+// GET the quarantine file (JSON lines) of a parse task: lines rejected by the ingest rules
+app.get("/api/admin/tasks/:taskId/quarantine", verifyJwt, async (req, res) => {
+  const { taskId } = req.params;
+  if (!(await hasQuarantined(taskId))) {
+    return res.status(404).json({ error: "No quarantine file for this task" });
+  }
+  res.download(quarantinePath(taskId), `quarantine-${taskId}.jsonl`);
+});
+
+// POST pause a running parse task; it stops after the batch in flight and keeps its checkpoints
+app.post("/api/admin/tasks/:taskId/pause", verifyJwt, (req, res) => {
+  const { taskId } = req.params;
+  const task = getTask(taskId);
+  if (!task) {
+    return res.status(404).json({ error: "Task not found" });
+  }
+  if (task.completed || task.status === "error") {
+    return res.status(400).json({ error: "Task is no longer running" });
+  }
+  updateTask(taskId, { pauseRequested: true, message: "Pausing after the current batch..." });
+  res.json({ message: "Pause requested" });
+});
+
 // DELETE a specific task (only if completed or errored)
 const tasksStore = require("./src/utils/task-utils");
 app.delete("/api/admin/tasks/:taskId", verifyJwt, (req, res) => {
@@ -1444,6 +2708,7 @@ app.delete("/api/indices/:indexName", verifyJwt, async (req, res) => {
 
       // Delete the index
       await es.indices.delete({ index: indexName });
+      invalidateSearchCache(indexName);
 
       // Remove the index from searchIndices in config.json
       try {
@@ -1639,61 +2904,49 @@ app.get("/api/indices/:indexName/documents", verifyJwt, async (req, res) => {
 // ==================== PUBLIC ENDPOINTS ====================
 
 // GET total accounts count (public endpoint)
-app.get("/api/total-accounts", async (req, res) => {
+// Counting is cheap, so it only draws on the request rate, not the daily search quota
+app.get("/api/total-accounts", publicRateLimit({ quota: false, skip: isAdminRequest }), async (req, res) => {
   try {
-    const config = getConfig();
-    const searchIndices = config.searchIndices || [];
-    const nodeMetadata = config.nodeMetadata || {};
-
-    // If no search indices are configured, return 0
-    if (searchIndices.length === 0) {
+    // Counts what /api/search would search
+    let searchTargets;
+    try {
+      searchTargets = await resolveSearchTargets({ isAdmin: isAdminRequest(req), overrides: targetOverrides(req.query) });
+    } catch (targetError) {
+      const status = searchTargetErrorStatus(targetError);
+      if (!status) throw targetError;
+      return res.status(status).json({ error: targetError.message, totalAccounts: 0, searchIndices: [] });
+    }
+    if (searchTargets.targets.length === 0) {
       return res.json({
         totalAccounts: 0,
         searchIndices: [],
-        message: "No search indices configured",
+        skippedIndices: searchTargets.skipped,
+        message: searchTargets.message,
       });
     }
 
+    const { Client } = require("@elastic/elasticsearch");
     let totalCount = 0;
     const availableIndices = [];
-    let anySuccess = false;
-
-    // Only count indices on running nodes
-    for (const entry of searchIndices) {
-      let nodeName, indexName;
-      if (typeof entry === "object" && entry.node && entry.index) {
-        nodeName = entry.node;
-        indexName = entry.index;
-      } else {
-        // fallback for legacy config
-        nodeName = null;
-        indexName = entry;
-      }
-      if (nodeName && (!nodeMetadata[nodeName] || nodeMetadata[nodeName].status !== 'running')) {
-        continue; // skip non-running nodes
-      }
-      let es = null;
-      if (nodeName && nodeMetadata[nodeName] && nodeMetadata[nodeName].nodeUrl) {
-        const { Client } = require("@elastic/elasticsearch");
-        es = new Client({ node: nodeMetadata[nodeName].nodeUrl });
-      } else {
-        es = getCurrentES();
-      }
-      try {
-        const response = await es.count({ index: indexName });
-        totalCount += response.count;
-        availableIndices.push({ node: nodeName, index: indexName });
-        anySuccess = true;
-      } catch (indexError) {
-        console.warn(`Failed to count documents in index ${indexName} (node: ${nodeName}):`, indexError.message);
-        // Continue with other indices even if one fails
+    for (const { node, nodeUrl, indices } of searchTargets.nodes) {
+      const es = new Client({ node: nodeUrl || "http://localhost:9200" });
+      for (const index of indices) {
+        try {
+          const response = await es.count({ index });
+          totalCount += response.count;
+          availableIndices.push({ node, index });
+        } catch (indexError) {
+          console.warn(`Failed to count documents in index ${index} (node: ${node}):`, indexError.message);
+          // Continue with other indices even if one fails
+        }
       }
     }
 
     res.json({
       totalAccounts: totalCount,
       searchIndices: availableIndices,
-      message: anySuccess ? undefined : "Elasticsearch not available",
+      skippedIndices: searchTargets.skipped.length > 0 ? searchTargets.skipped : undefined,
+      message: availableIndices.length > 0 ? undefined : "Elasticsearch not available",
     });
   } catch (error) {
     console.error("Error fetching total accounts:", error);
@@ -1705,6 +2958,14 @@ app.get("/api/total-accounts", async (req, res) => {
   }
 });
 
+// HTTP status for a search-target error (search-targets.js), or null for any other error
+function searchTargetErrorStatus(error) {
+  if (error.code === SEARCH_TARGET_DENIED) return 403;
+  if (error.code === UNKNOWN_SEARCH_TARGET) return 400;
+  if (error.code === SEARCH_TARGET_UNAVAILABLE) return 503;
+  return null;
+}
+
 // Helper function to check if request is from an admin user
 function isAdminRequest(req) {
   try {
@@ -1722,174 +2983,177 @@ function isAdminRequest(req) {
 }
 
 // GET search endpoint (public endpoint)
-app.get("/api/search", async (req, res) => {
+app.get("/api/search", publicRateLimit({ concurrency: true, skip: isAdminRequest }), async (req, res) => {
+  const startTime = Date.now();
+  // Every answered search is one analytics event (search-analytics.js)
+  const recordSearch = (fields) =>
+    recordSearchEvent({
+      q: req.query.q,
+      mode: req.query.mode || "auto",
+      admin: isAdminRequest(req),
+      timeMs: Date.now() - startTime,
+      nodes: [],
+      ...fields,
+    });
   try {
-    const { q, page = 1, search_after: userSearchAfter } = req.query;
+    const { q, page = 1 } = req.query;
     const userPageSize = parseInt(req.query.size || req.query.itemsPerPage) || 20;
     const userMaxTotal = parseInt(req.query.max || req.query.maxTotalResults) || 10000;
     const pageNum = parseInt(page) || 1;
-    const from = (pageNum - 1) * userPageSize;
     const config = getConfig();
     const nodeMetadata = config.nodeMetadata || {};
     const isAdmin = isAdminRequest(req);
-    const startTime = Date.now();
 
     if (!q || !q.trim()) {
       return res.status(400).json({ error: "Search query is required" });
     }
-
-    // Build all {node, index} pairs from all running nodes that are reachable
-    const { isNodeRunning } = require("./src/elasticsearch/node-utils");
-    const runningNodeIndexPairs = [];
-    for (const [nodeName, nodeData] of Object.entries(nodeMetadata)) {
-      if (nodeData.status !== "running" || !Array.isArray(nodeData.indices)) continue;
-      try {
-        const alive = await isNodeRunning(nodeName, { fastMode: true });
-        if (!alive) continue;
-      } catch (e) {
-        continue;
-      }
-      for (const idx of nodeData.indices) {
-        runningNodeIndexPairs.push({ node: nodeName, index: idx.index });
+    // Field-scoped syntax (user:, domain:, AND/OR/NOT, ...) or plain free text, compared in match `mode`;
+    // syntax errors and bad modes or patterns are the user's to fix
+    let searchQuery;
+    try {
+      searchQuery = buildSearchQuery(q, req.query.mode);
+    } catch (queryError) {
+      if (queryError.code === INVALID_MATCH) {
+        recordSearch({ status: 400, error: "match" });
+        return res.status(400).json({ error: queryError.message });
       }
+      if (queryError.code !== QUERY_SYNTAX) throw queryError;
+      recordSearch({ status: 400, error: "syntax" });
+      return res.status(400).json({ error: queryError.message, position: queryError.position, syntaxError: true });
     }
-    if (runningNodeIndexPairs.length === 0) {
+
+    // The configured search set on reachable nodes; admins may override it with node, index, cluster or scope
+    let searchTargets;
+    try {
+      searchTargets = await resolveSearchTargets({ isAdmin, overrides: targetOverrides(req.query) });
+    } catch (targetError) {
+      const status = searchTargetErrorStatus(targetError);
+      if (!status) throw targetError;
+      recordSearch({ status, error: "target" });
+      return res.status(status).json({ error: targetError.message });
+    }
+    if (searchTargets.targets.length === 0) {
+      recordSearch({ status: 200, cache: "bypass", total: 0, returned: 0 });
       return res.json({
         results: [],
         total: 0,
         searchIndices: [],
-        message: "No online nodes or indices available for search.",
+        skippedIndices: searchTargets.skipped,
+        message: searchTargets.message,
       });
     }
 
-    // Group indices by node for efficient querying
-    const clientsCache = {};
-    const nodeWarnings = [];
-    let totalCount = 0;
-    let allResults = [];
-    let searchedIndices = [];
-    const indicesByNode = {};
-    for (const { node, index } of runningNodeIndexPairs) {
-      if (!indicesByNode[node]) indicesByNode[node] = [];
-      indicesByNode[node].push(index);
-    }
-
-    // Calculate the max results to fetch per node (buffer for sorting)
+    // Public searches page through at most the configured maxResultsPerSearch (0 = the 10000 hard cap)
     const hardCap = 10000;
-    const effectiveMax = Math.min(userMaxTotal, hardCap);
-    const fetchSize = Math.min(from + userPageSize * 2, effectiveMax); // buffer for sorting
-    const terminateAfter = effectiveMax; // per-shard early termination
-    const preFilterShardSize = Math.max(1, Math.floor(effectiveMax / userPageSize));
-    let earlyTerminated = false;
-
-    // For each node, query all its indices in one request
-    const searchPromises = Object.entries(indicesByNode).map(async ([node, indices]) => {
-      let nodeUrl = nodeMetadata[node]?.nodeUrl;
-      if (!nodeUrl && node.startsWith("http")) nodeUrl = node;
-      if (!nodeUrl) nodeUrl = `http://localhost:9200`;
-      if (!clientsCache[nodeUrl]) {
-        const { Client } = require("@elastic/elasticsearch");
-        clientsCache[nodeUrl] = new Client({
-          node: nodeUrl,
-          compression: true,
-          sniffOnStart: false,
-          sniffOnConnectionFault: false,
-          maxRetries: 1
+    const publicMax = getRateLimitSettings().maxResultsPerSearch || hardCap;
+    const effectiveMax = Math.min(userMaxTotal, hardCap, isAdmin ? hardCap : publicMax);
+
+    // Public pages are served from the result cache while fresh; admins see unmasked results and always search live.
+    // Only pages started without a cursor are cached; clients served one share its cursor and that search's PITs.
+    const cacheKey = isAdmin || req.query.cursor
+      ? null
+      : searchCacheKey({
+          q,
+          mode: req.query.mode,
+          targets: searchTargets.targets,
+          page: pageNum,
+          size: userPageSize,
+          max: effectiveMax,
         });
+    if (cacheKey) {
+      const cached = await getCachedSearch(cacheKey);
+      if (cached) {
+        recordSearch({ status: 200, cache: "hit", total: cached.total, returned: cached.results.length });
+        return res.json({ ...cached, time_ms: Date.now() - startTime, cache: "hit" });
       }
-      const es = clientsCache[nodeUrl];
-      try {
-        // Use wildcard query for substring search
-        const searchBody = {
-          _source: ["raw_line"],
-          // sort: ["_score", "_id"], // REMOVE sort for fastest results
-          query: {
-            wildcard: {
-              raw_line: {
-                value: `*${q}*`,
-                case_insensitive: true
-              }
-            }
-          },
-          terminate_after: terminateAfter,
+    }
+
+    // One client per node, searching all of the node's indices in one request
+    const { Client } = require("@elastic/elasticsearch");
+    const searchNodes = searchTargets.nodes.map(({ node, nodeUrl, indices }) => ({
+      node,
+      indices,
+      client: new Client({
+        node: nodeUrl || "http://localhost:9200",
+        compression: true,
+        sniffOnStart: false,
+        sniffOnConnectionFault: false,
+        maxRetries: 1
+      }),
+    }));
+
+    // Exact pages across nodes: a PIT per node, a tie-broken sort and a k-way merge (paged-search.js).
+    // The first page (or a jump to page N) starts a search; `cursor` continues it.
+    let searchResult;
+    try {
+      searchResult = await searchPage({
+        nodes: searchNodes,
+        query: searchQuery,
+        source: SEARCH_SOURCE_FIELDS,
+        search: searchFingerprint(q, req.query.mode),
+        size: Math.min(userPageSize, effectiveMax),
+        max: effectiveMax,
+        page: pageNum,
+        cursor: req.query.cursor,
+      });
+    } catch (pageError) {
+      if (pageError.code === INVALID_CURSOR) {
+        recordSearch({ status: 400, error: "cursor" });
+        return res.status(400).json({ error: pageError.message });
+      }
+      if (pageError.code === CURSOR_EXPIRED) {
+        recordSearch({ status: 400, error: "cursorExpired" });
+        return res.status(400).json({ error: pageError.message, cursorExpired: true });
+      }
+      throw pageError;
+    }
+
+    const results = searchResult.hits.map(({ node, hit }) => {
+      const parsedAccount = sourceToAccount(hit._source);
+      if (isAdmin) {
+        return {
+          id: hit._id,
+          ...parsedAccount,
+          raw_line: hit._source.raw_line,
+          _index: hit._index,
+          node,
         };
-        if (userSearchAfter) {
-          // Use search_after for deep pagination
-          try {
-            const parsedSearchAfter = JSON.parse(userSearchAfter);
-            if (Array.isArray(parsedSearchAfter)) {
-              searchBody.search_after = parsedSearchAfter;
-            }
-          } catch (e) {
-            // Ignore parse error, fallback to from/size
-          }
-        } else {
-          searchBody.from = 0;
-          searchBody.size = fetchSize;
-        }
-        const response = await es.search({
-          index: indices,
-          track_total_hits: true,
-          pre_filter_shard_size: preFilterShardSize, // <-- move here
-          body: searchBody
-        });
-        if (response.terminated_early) earlyTerminated = true;
-        const indexResults = response.hits.hits.map((hit) => {
-          const parsedAccount = parser.parseLineForDisplay(hit._source.raw_line);
-          if (isAdmin) {
-            return {
-              id: hit._id,
-              ...parsedAccount,
-              raw_line: hit._source.raw_line,
-              _index: hit._index,
-              node,
-              _score: hit._score || 0,
-            };
-          } else {
-            const maskedAccount = applyMaskingForPublicSearch(parsedAccount, config);
-            return {
-              id: hit._id,
-              ...maskedAccount,
-              _index: hit._index,
-              node,
-              _score: hit._score || 0,
-            };
-          }
-        });
-        searchedIndices.push(...indices.map(idx => ({ node, index: idx })));
-        totalCount += response.hits.total && response.hits.total.value ? response.hits.total.value : 0;
-        allResults.push(...indexResults);
-        return null;
-      } catch (indexError) {
-        nodeWarnings.push({ node, indices, error: indexError.message });
-        return null;
       }
+      const maskedAccount = applyMaskingForPublicSearch(parsedAccount, config);
+      return {
+        id: hit._id,
+        ...maskedAccount,
+        _index: hit._index,
+        node,
+      };
     });
-    await Promise.allSettled(searchPromises);
-
-    // After collecting allResults and totalCount:
-    let trimmedTotal = Math.min(totalCount, effectiveMax);
-    allResults.sort((a, b) => b._score - a._score);
-    const limitedResults = allResults.slice(0, effectiveMax);
-    const pagedResults = limitedResults.slice(from, from + userPageSize);
-    const executionTime = Date.now() - startTime;
-    res.json({
-      results: pagedResults.map(({ _score, ...rest }) => rest),
-      total: trimmedTotal,
-      searchIndices: searchedIndices,
-      page: pageNum,
+    // Exactly the pairs searched: nodes that failed this page are reported in warnings instead
+    const failedNodes = new Set(searchResult.warnings.map((warning) => warning.node));
+    const responseBody = {
+      results,
+      total: searchResult.total,
+      searchIndices: searchTargets.targets.filter((target) => !failedNodes.has(target.node)),
+      skippedIndices: searchTargets.skipped.length > 0 ? searchTargets.skipped : undefined,
+      page: searchResult.page,
       size: userPageSize,
+      cursor: searchResult.cursor,
       max_allowed: hardCap,
       effective_max: effectiveMax,
-      terminate_after: terminateAfter,
-      pre_filter_shard_size: preFilterShardSize,
-      used_search_after: !!userSearchAfter,
-      early_terminated: earlyTerminated,
-      time_ms: executionTime,
-      warnings: nodeWarnings.length > 0 ? nodeWarnings : undefined
+      warnings: searchResult.warnings.length > 0 ? searchResult.warnings : undefined
+    };
+    // Pages missing a node's results are not worth keeping
+    if (cacheKey && searchResult.warnings.length === 0) await cacheSearch(cacheKey, responseBody);
+    recordSearch({
+      status: 200,
+      cache: cacheKey ? "miss" : "bypass",
+      total: searchResult.total,
+      returned: results.length,
+      nodes: searchResult.timings,
     });
+    res.json({ ...responseBody, time_ms: Date.now() - startTime, cache: cacheKey ? "miss" : "bypass" });
   } catch (error) {
     console.error("Error performing search:", error);
+    recordSearch({ status: 500, error: "server" });
     res.status(500).json({
       error: "Search failed",
       details: error.message,
@@ -1,131 +1,144 @@
-const readline = require("readline");
-const { createReadStream, promises: fsPromises } = require("fs");
-
-
-exports.countLines = async function (filePath, progressCallback = () => {}) {
-  let lineCount = 0;
-  const CHUNK_SIZE = 64 * 1024; // 64 KB
-  const buffer = Buffer.alloc(CHUNK_SIZE);
-  let bytesRead;
-  let fileHandle;
-
-  try {
-    fileHandle = await fsPromises.open(filePath, 'r');
-    let position = 0;
-
-    while ((bytesRead = await fileHandle.read(buffer, 0, CHUNK_SIZE, position)).bytesRead > 0) {
-      for (let i = 0; i < bytesRead.bytesRead; i++) {
-        if (buffer[i] === 10) {
-          lineCount++;
-        }
-      }
-      position += bytesRead.bytesRead;
-      progressCallback(lineCount);
-    }
-
-
-    if (lineCount === 0 && position > 0) {
-        lineCount = 1;
-    }
-
-    return lineCount;
-
-  } catch (error) {
-    throw error;
-  } finally {
-    if (fileHandle) {
-      await fileHandle.close();
-    }
-  }
-};
-
-
+const lineFormats = require("./src/ingest/line-formats");
+const { getCompression, openDecompressedStream } = require("./src/ingest/file-source");
+const { SAMPLE_BYTES, createLineDecoder } = require("./src/ingest/encoding");
+
+// Stream a file line by line and hand lines to onBatch in batches.
+// onBatch receives the batch plus { endOffset, linesProcessed, undecodable }: the byte offset just
+// past the batch's last line, the line count so far (what a resume checkpoint needs) and how many
+// lines of the batch held bytes invalid in the file's encoding.
+// options.startOffset / options.startLine continue a previous run from such a checkpoint;
+// options.endOffset (plain files only) stops at that byte, so a file can be parsed in newline-aligned ranges;
+// options.encoding is the source encoding (lines are split on raw bytes, then decoded to UTF-8).
+// batchSize may be a function, read before each line is added, so callers can resize batches mid-file.
+// progressCallback receives (linesProcessed, bytes): the byte offset past the last line for plain files,
+// or the compressed bytes consumed so far for .gz/.zip, so progress needs no separate line count.
 exports.parseFile = async function (
   filePath,
   onBatch,
   batchSize = 1000,
-  progressCallback = () => {}
+  progressCallback = () => {},
+  options = {}
 ) {
-  return new Promise((resolve, reject) => {
-    let buffer = "";
-    let currentBatch = [];
-    let totalProcessedLines = 0;
-    let readStream;
-    const MAX_LINE_LENGTH = 10 * 1024 * 1024; // 10 MB
-    let isProcessingBatch = false; // Flag to manage backpressure
+  const MAX_LINE_LENGTH = 10 * 1024 * 1024; // 10 MB
+  const startOffset = options.startOffset || 0;
+  let totalProcessedLines = options.startLine || 0;
+  let currentBatch = [];
+  let pending = Buffer.alloc(0); // Bytes of a line not terminated yet
+  let pendingOffset = startOffset; // Byte offset where `pending` starts
+  let undecodable = 0; // Undecodable lines in the current batch
+  const decoder = createLineDecoder(options.encoding || "utf-8");
+  const currentBatchSize = typeof batchSize === "function" ? batchSize : () => batchSize;
+  const compressed = !!getCompression(filePath);
+  let sourceBytes = 0; // Compressed bytes consumed so far
+
+  const pushLine = (bytes, endOffset) => {
+    const { text, valid } = decoder.decode(bytes);
+    if (!valid) undecodable++;
+    currentBatch.push(text);
+    totalProcessedLines++;
+    progressCallback(totalProcessedLines, compressed ? sourceBytes : endOffset);
+  };
 
-    try {
-      readStream = createReadStream(filePath, { encoding: "utf8" });
-    } catch (error) {
-      return reject(error);
+  // Compressed files are decompressed on the fly; nothing is unpacked to disk
+  const readStream = openDecompressedStream(filePath, {
+    start: startOffset,
+    end: options.endOffset,
+    onSourceBytes: (bytes) => {
+      sourceBytes = bytes;
+    },
+  });
+
+  // The stream is not read further while a batch is awaited, which is the backpressure
+  const flushBatch = async (endOffset) => {
+    if (currentBatch.length === 0) {
+      return;
     }
+    const batch = currentBatch;
+    const batchUndecodable = undecodable;
+    currentBatch = [];
+    undecodable = 0;
+    await onBatch(batch, { endOffset, linesProcessed: totalProcessedLines, undecodable: batchUndecodable });
+  };
 
-    const processBatch = async () => {
-        if (currentBatch.length === 0 || isProcessingBatch) {
-            return;
-        }
-        isProcessingBatch = true; // Set flag to true to prevent re-entry
+  for await (const chunk of readStream) {
+    const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+    let lineStart = 0;
+    let newlineIndex;
+    while ((newlineIndex = decoder.indexOfNewline(data, lineStart)) !== -1) {
+      const lineEnd = newlineIndex + decoder.newlineLength;
+      pushLine(data.subarray(lineStart, newlineIndex), pendingOffset + lineEnd);
+      lineStart = lineEnd;
+      if (currentBatch.length >= currentBatchSize()) {
+        await flushBatch(pendingOffset + lineStart);
+      }
+    }
+    pending = data.subarray(lineStart);
+    pendingOffset += lineStart;
+    if (pending.length > MAX_LINE_LENGTH) {
+      // Drop runaway lines instead of buffering them without bound (whole code units, to stay aligned)
+      const dropped = pending.length - (pending.length % decoder.unitSize);
+      pendingOffset += dropped;
+      pending = pending.subarray(dropped);
+    }
+  }
 
-        try {
-            await onBatch(currentBatch); // Await the batch processing
-            currentBatch = []; // Clear batch only after successful processing
-            isProcessingBatch = false; // Reset flag
-            if (readStream.isPaused()) {
-                readStream.resume(); // Resume if paused
-            }
-        } catch (error) {
-            isProcessingBatch = false; // Reset flag
-            readStream.destroy(error); // Destroy stream on error
-        }
-    };
+  if (pending.length > 0) {
+    pushLine(pending, pendingOffset + pending.length);
+  }
+  await flushBatch(pendingOffset + pending.length);
 
-    const processLine = (line) => {
-        totalProcessedLines++;
+  return totalProcessedLines;
+};
 
-        currentBatch.push(line);
-        progressCallback(totalProcessedLines);
 
-        if (currentBatch.length >= batchSize) {
-            readStream.pause(); // Pause stream before processing batch
-            processBatch(); // Process batch asynchronously
-        }
-    };
 
-    readStream.on("data", (chunk) => {
-      buffer += chunk;
-      while (buffer.length > MAX_LINE_LENGTH && buffer.indexOf('\n') === -1) {
-        buffer = buffer.slice(MAX_LINE_LENGTH);
-      }
-      let newlineIndex;
-      while ((newlineIndex = buffer.indexOf('\n')) !== -1) {
-        const line = buffer.substring(0, newlineIndex);
-        buffer = buffer.substring(newlineIndex + 1);
-        processLine(line);
-      }
-    });
 
-    readStream.on("end", async () => { // Make end handler async
-      if (buffer.length > 0) {
-        processLine(buffer);
-      }
+// Read the first bytes of the decompressed file contents (used for encoding detection)
+exports.readSampleBytes = async function (filePath, maxBytes = SAMPLE_BYTES) {
+  const chunks = [];
+  let length = 0;
+  const readStream = openDecompressedStream(filePath);
+  try {
+    for await (const chunk of readStream) {
+      chunks.push(chunk);
+      length += chunk.length;
+      if (length >= maxBytes) break;
+    }
+  } finally {
+    readStream.destroy();
+  }
+  return Buffer.concat(chunks, length).subarray(0, maxBytes);
+};
 
-      if (currentBatch.length > 0) {
-        await processBatch(); // Ensure last batch is processed
+// Read the first `maxLines` lines of a file (used for format detection and previews)
+exports.readSampleLines = async function (filePath, maxLines = 200, encoding = "utf-8") {
+  const lines = [];
+  const decoder = createLineDecoder(encoding);
+  let pending = Buffer.alloc(0);
+  const readStream = openDecompressedStream(filePath);
+  try {
+    for await (const chunk of readStream) {
+      const data = pending.length > 0 ? Buffer.concat([pending, chunk]) : chunk;
+      let lineStart = 0;
+      let newlineIndex;
+      while (lines.length < maxLines && (newlineIndex = decoder.indexOfNewline(data, lineStart)) !== -1) {
+        lines.push(decoder.decode(data.subarray(lineStart, newlineIndex)).text.replace(/\r$/, ""));
+        lineStart = newlineIndex + decoder.newlineLength;
       }
-
-      resolve(totalProcessedLines);
-    });
-
-    readStream.on("error", (error) => {
-      reject(error);
-    });
-  });
+      pending = data.subarray(lineStart);
+      if (lines.length >= maxLines) break;
+    }
+  } finally {
+    readStream.destroy();
+  }
+  if (lines.length < maxLines && pending.length > 0) {
+    lines.push(decoder.decode(pending).text.replace(/\r$/, ""));
+  }
+  return lines;
 };
 
-
-
-
 // Helper function to parse account line for display
+// Stored lines are always url:username:password (other formats are normalized at ingest)
 exports.parseLineForDisplay = function (rawLine) {
   if (!rawLine || typeof rawLine !== "string") {
     return {
@@ -135,38 +148,5 @@ exports.parseLineForDisplay = function (rawLine) {
     };
   }
 
-  const line = rawLine.trim();
-
-  // Parse from the right: last colon is password, next colon (from right) splits url and username
-  // Handles cases like url:username:password and also passwords/usernames with colons
-  const lastColon = line.lastIndexOf(":");
-  if (lastColon !== -1) {
-    const left = line.substring(0, lastColon);
-    const password = line.substring(lastColon + 1);
-    const secondLastColon = left.lastIndexOf(":");
-    if (secondLastColon !== -1) {
-      // url:username:password (or url:username:pass:with:colons)
-      const url = left.substring(0, secondLastColon);
-      const username = left.substring(secondLastColon + 1);
-      return {
-        url: url,
-        username: username,
-        password: password,
-      };
-    } else {
-      // username:password (or username:pass:with:colons)
-      return {
-        url: "",
-        username: left,
-        password: password,
-      };
-    }
-  }
-
-  // Fallback: treat the entire line as raw data
-  return {
-    url: line,
-    username: "",
-    password: "",
-  };
-}
\ No newline at end of file
+  return lineFormats.splitFromRight(rawLine.trim(), ":");
+};
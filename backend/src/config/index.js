@@ -15,9 +15,13 @@ const DEFAULT_CONFIG = {
 
   // Search and parsing settings
   batchSize: 10000,
+  parseWorkers: 0, // Worker threads for one large file; 0 = one per CPU core
+  parallelParseMinMB: 256, // Plain files at least this large are parsed in parallel byte ranges
   minVisibleChars: 2,
   maskingRatio: 0.2,
   usernameMaskingRatio: 0.4,
+  searchCacheTtlSeconds: 60, // Public search pages are cached this long (0 = no cache)
+  searchCacheMaxEntries: 500, // Most cached pages, least recently used dropped first
 
   // Admin UI settings
   adminSettings: {
@@ -121,6 +121,26 @@ async function isElasticsearchAvailable(opts = {}) {
 }
 
 
+// Structured account fields stored alongside raw_line
+// wildcard for substring-searchable values, keyword for exact host/domain/email lookups
+const STRUCTURED_PROPERTIES = {
+  url: { type: "wildcard" },
+  host: { type: "keyword" },
+  domain: { type: "keyword" },
+  username: { type: "wildcard" },
+  password: { type: "keyword", index: false, doc_values: false },
+  email_local: { type: "keyword" },
+  email_domain: { type: "keyword" },
+};
+
+// Where a document came from: source file, its SHA-256, the ingest task and when it ran
+const PROVENANCE_PROPERTIES = {
+  source_file: { type: "keyword" },
+  source_hash: { type: "keyword" },
+  ingest_task_id: { type: "keyword" },
+  ingested_at: { type: "date" },
+};
+
 // Helper function to create proper index mapping
 function createIndexMapping(shards = 1, replicas = 0) {
   return {
@@ -133,12 +153,31 @@ function createIndexMapping(shards = 1, replicas = 0) {
       properties: {
         raw_line: {
           type: "wildcard"
-        }
+        },
+        ...STRUCTURED_PROPERTIES,
+        ...PROVENANCE_PROPERTIES,
       }
     }
   };
 }
 
+// Check whether an index already has the structured account fields (legacy indices only have raw_line)
+async function hasStructuredMapping(client, index) {
+  const response = await client.indices.getMapping({ index });
+  const indexMapping = Object.values(response.body || response)[0];
+  const properties = indexMapping?.mappings?.properties || {};
+  return Object.keys(STRUCTURED_PROPERTIES).every((field) => field in properties);
+}
+
+// Add the provenance fields to an index created before they existed (allowed on a strict mapping)
+async function ensureProvenanceMapping(client, index) {
+  const response = await client.indices.getMapping({ index });
+  const indexMapping = Object.values(response.body || response)[0];
+  const properties = indexMapping?.mappings?.properties || {};
+  if (Object.keys(PROVENANCE_PROPERTIES).every((field) => field in properties)) return;
+  await client.indices.putMapping({ index, properties: PROVENANCE_PROPERTIES });
+}
+
 // Helper function to safely format index name
 function formatIndexName(name) {
   return name.toLowerCase().replace(/[^a-z0-9_-]/g, "_");
@@ -151,5 +190,9 @@ module.exports = {
   getWriteES: () => esWrite,
   isElasticsearchAvailable,
   createIndexMapping,
+  hasStructuredMapping,
+  ensureProvenanceMapping,
+  STRUCTURED_PROPERTIES,
+  PROVENANCE_PROPERTIES,
   formatIndexName,
 };
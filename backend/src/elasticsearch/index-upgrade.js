@@ -0,0 +1,79 @@
+// Upgrade legacy raw_line-only indices to the structured account mapping
+const { STRUCTURED_PROPERTIES } = require("./client");
+const { buildDocument, sourceToAccount } = require("../ingest/document");
+
+// Documents written before the upgrade have no username field
+const LEGACY_DOCS_QUERY = {
+  bool: {
+    must_not: [{ exists: { field: "username" } }],
+  },
+};
+
+// Add the structured fields to an existing index and backfill them from raw_line.
+// Adding new properties is allowed on a strict mapping, so no reindex into a new index is needed.
+async function upgradeIndexMapping({ client, index, batchSize = 1000, onProgress = () => {} }) {
+  await client.indices.putMapping({
+    index,
+    properties: STRUCTURED_PROPERTIES,
+  });
+
+  const countResponse = await client.count({ index, query: LEGACY_DOCS_QUERY });
+  const total = countResponse.count || 0;
+  onProgress({ processed: 0, updated: 0, failed: 0, total });
+  if (total === 0) {
+    return { total, updated: 0, failed: 0 };
+  }
+
+  // Point-in-time keeps the scan stable while we update documents underneath it
+  const pit = await client.openPointInTime({ index, keep_alive: "5m" });
+  let pitId = pit.id;
+  let searchAfter;
+  let processed = 0;
+  let updated = 0;
+  let failed = 0;
+
+  try {
+    while (true) {
+      const response = await client.search({
+        size: batchSize,
+        pit: { id: pitId, keep_alive: "5m" },
+        sort: ["_shard_doc"],
+        search_after: searchAfter,
+        _source: ["raw_line"],
+        query: LEGACY_DOCS_QUERY,
+      });
+      pitId = response.pit_id || pitId;
+      const hits = response.hits.hits;
+      if (hits.length === 0) break;
+
+      const operations = hits.flatMap((hit) => {
+        const rawLine = hit._source.raw_line || "";
+        return [
+          { update: { _index: hit._index, _id: hit._id } },
+          { doc: buildDocument(sourceToAccount({ raw_line: rawLine }), rawLine) },
+        ];
+      });
+      const bulkResponse = await client.bulk({ refresh: false, operations });
+      const itemErrors = bulkResponse.errors ? bulkResponse.items.filter((item) => item.update && item.update.error).length : 0;
+      failed += itemErrors;
+      updated += hits.length - itemErrors;
+      processed += hits.length;
+      onProgress({ processed, updated, failed, total });
+
+      searchAfter = hits[hits.length - 1].sort;
+    }
+  } finally {
+    try {
+      await client.closePointInTime({ id: pitId });
+    } catch (e) {
+      // PIT expires on its own
+    }
+  }
+
+  await client.indices.refresh({ index });
+  return { total, updated, failed };
+}
+
+module.exports = {
+  upgradeIndexMapping,
+};
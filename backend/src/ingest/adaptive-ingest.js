@@ -0,0 +1,166 @@
+// Adaptive bulk indexing: batch size and file concurrency follow the write node's bulk latency,
+// back-pressure rejections and JVM heap. Bounds live in config.json under "adaptiveIngest".
+// Concurrency is the number of files parsed at once; each file sends one bulk request at a time,
+// so a single-file parse only adapts its batch size.
+
+const DEFAULT_ADAPTIVE_INGEST = {
+  enabled: true,
+  minBatchSize: 500,
+  maxBatchSize: 20000,
+  minConcurrency: 1,
+  maxConcurrency: 8,
+  targetLatencyMs: 2000, // Per bulk request
+  heapHighPercent: 85,
+};
+
+const HEAP_SAMPLE_INTERVAL_MS = 10000;
+const HEALTHY_BATCHES_TO_GROW = 3; // Consecutive healthy batches before stepping up
+const GROWTH_FACTOR = 1.25;
+const LATENCY_SMOOTHING = 0.3; // Weight of the newest sample in the moving average
+const HEAP_HEADROOM_PERCENT = 10; // Only grow while heap is this far below the high mark
+
+const INTEGER_SETTINGS = ["minBatchSize", "maxBatchSize", "minConcurrency", "maxConcurrency", "targetLatencyMs"];
+
+// Validate and fill in the settings; throws with a user-facing message
+function normalizeAdaptiveIngestSettings(input = {}) {
+  if (typeof input !== "object" || input === null || Array.isArray(input)) {
+    throw new Error("Adaptive ingest settings must be an object.");
+  }
+  const settings = { ...DEFAULT_ADAPTIVE_INGEST, ...input };
+  if (typeof settings.enabled !== "boolean") throw new Error("enabled must be a boolean.");
+  for (const key of INTEGER_SETTINGS) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 1) {
+      throw new Error(`${key} must be a positive integer.`);
+    }
+  }
+  if (settings.minBatchSize > settings.maxBatchSize) {
+    throw new Error("minBatchSize cannot be larger than maxBatchSize.");
+  }
+  if (settings.minConcurrency > settings.maxConcurrency) {
+    throw new Error("minConcurrency cannot be larger than maxConcurrency.");
+  }
+  if (!Number.isInteger(settings.heapHighPercent) || settings.heapHighPercent < 10 || settings.heapHighPercent > 100) {
+    throw new Error("heapHighPercent must be an integer between 10 and 100.");
+  }
+  return Object.fromEntries(Object.keys(DEFAULT_ADAPTIVE_INGEST).map((key) => [key, settings[key]]));
+}
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value));
+}
+
+// Highest heap_used_percent across the nodes the client talks to, or null when stats are unavailable
+async function sampleHeapPercent(client) {
+  const stats = await client.nodes.stats({ metric: "jvm" });
+  const percents = Object.values((stats && stats.nodes) || {})
+    .map((node) => node.jvm && node.jvm.mem && node.jvm.mem.heap_used_percent)
+    .filter((percent) => typeof percent === "number");
+  return percents.length > 0 ? Math.max(...percents) : null;
+}
+
+// Create a controller for one parse run.
+// `initial` is the configured { batchSize, concurrency }; with settings.enabled false they stay fixed
+// and the controller only reports measurements. `files` (the number of files in the run) caps concurrency,
+// as files beyond it would have nothing to run. `client` is sampled for heap; `onChange(snapshot)`
+// is called after every recorded batch.
+function createAdaptiveController({ settings, initial, files = Infinity, client, onChange = () => {} }) {
+  const enabled = settings.enabled;
+  const maxConcurrency = Math.max(1, Math.min(settings.maxConcurrency, files));
+  const minConcurrency = Math.min(settings.minConcurrency, maxConcurrency);
+  const state = {
+    enabled,
+    batchSize: enabled ? clamp(initial.batchSize, settings.minBatchSize, settings.maxBatchSize) : initial.batchSize,
+    concurrency: enabled ? clamp(initial.concurrency, minConcurrency, maxConcurrency) : initial.concurrency,
+    avgLatencyMs: null,
+    lastLatencyMs: null,
+    heapPercent: null,
+    rejections: 0,
+    batches: 0,
+    lastAdjustment: null,
+  };
+  let healthyBatches = 0;
+  let lastHeapSample = 0;
+  let heapSampling = null;
+
+  // Refresh heap in the background so a slow stats call never delays indexing
+  const refreshHeap = () => {
+    if (heapSampling || Date.now() - lastHeapSample < HEAP_SAMPLE_INTERVAL_MS) return;
+    lastHeapSample = Date.now();
+    heapSampling = sampleHeapPercent(client)
+      .then((percent) => {
+        state.heapPercent = percent;
+      })
+      .catch((error) => {
+        console.warn("Adaptive ingest: failed to sample node heap:", error.message);
+      })
+      .finally(() => {
+        heapSampling = null;
+      });
+  };
+
+  const shrink = (reason) => {
+    state.batchSize = Math.max(settings.minBatchSize, Math.floor(state.batchSize / 2));
+    state.concurrency = Math.max(minConcurrency, state.concurrency - 1);
+    state.lastAdjustment = `shrank: ${reason}`;
+    healthyBatches = 0;
+  };
+
+  const grow = () => {
+    if (state.batchSize < settings.maxBatchSize) {
+      state.batchSize = Math.min(settings.maxBatchSize, Math.ceil(state.batchSize * GROWTH_FACTOR));
+      state.lastAdjustment = "grew batch size";
+    } else if (state.concurrency < maxConcurrency) {
+      state.concurrency++;
+      state.lastAdjustment = "grew files at once";
+    }
+    healthyBatches = 0;
+  };
+
+  // Feed one bulk write: how long it took (retries included) and how many items were rejected for back-pressure
+  const recordBulk = ({ latencyMs, rejected = 0 }) => {
+    state.batches++;
+    state.rejections += rejected;
+    state.lastLatencyMs = latencyMs;
+    state.avgLatencyMs = state.avgLatencyMs === null
+      ? latencyMs
+      : Math.round(LATENCY_SMOOTHING * latencyMs + (1 - LATENCY_SMOOTHING) * state.avgLatencyMs);
+
+    if (enabled) {
+      const heapHigh = state.heapPercent !== null && state.heapPercent >= settings.heapHighPercent;
+      if (rejected > 0) {
+        shrink(`${rejected} bulk rejection${rejected === 1 ? "" : "s"}`);
+      } else if (heapHigh) {
+        shrink(`heap at ${state.heapPercent}%`);
+      } else if (latencyMs > settings.targetLatencyMs * 2) {
+        shrink(`bulk took ${latencyMs} ms`);
+      } else if (
+        state.avgLatencyMs <= settings.targetLatencyMs &&
+        (state.heapPercent === null || state.heapPercent < settings.heapHighPercent - HEAP_HEADROOM_PERCENT)
+      ) {
+        healthyBatches++;
+        if (healthyBatches >= HEALTHY_BATCHES_TO_GROW) grow();
+      } else {
+        healthyBatches = 0;
+      }
+    }
+
+    refreshHeap();
+    onChange(snapshot());
+  };
+
+  const snapshot = () => ({ ...state });
+
+  refreshHeap();
+  return {
+    recordBulk,
+    snapshot,
+    batchSize: () => state.batchSize,
+    concurrency: () => state.concurrency,
+  };
+}
+
+module.exports = {
+  DEFAULT_ADAPTIVE_INGEST,
+  normalizeAdaptiveIngestSettings,
+  createAdaptiveController,
+};
@@ -0,0 +1,397 @@
+// Drop-folder auto-ingest: polls a configured directory (and optionally data/pending), waits for each
+// file to stop growing, validates a sample of it and hands it to the parser.
+// Every stage runs as a task ("Auto-Ingest Wait", "Auto-Ingest Validate", then the parse task).
+const fs = require("fs").promises;
+const { constants: fsConstants } = require("fs");
+const path = require("path");
+const parser = require("../../parser");
+const lineFormats = require("./line-formats");
+const encodings = require("./encoding");
+const { isIngestFile, INGEST_EXTENSIONS } = require("./file-source");
+const { getConfig } = require("../config");
+const { createTask, updateTask } = require("../utils/task-utils");
+const { reserveFilename, releaseFilename, recordFile } = require("./file-catalog");
+
+const DEFAULT_AUTO_INGEST = {
+  enabled: false,
+  watchDir: "", // Absolute server-side directory; files are moved out of it once picked up
+  watchPending: false, // Also pick up files uploaded to data/pending
+  targetNode: "", // Empty means the configured write node
+  targetIndex: "",
+  format: "auto",
+  encoding: "auto",
+  dedupe: false,
+  stableSeconds: 30, // How long size and mtime must stay unchanged before a file counts as complete
+  pollSeconds: 10,
+  maxMalformedRatio: 0.2, // Share of malformed lines in the validation sample above which a file is rejected
+};
+
+const VALIDATION_SAMPLE_LINES = 500;
+const REJECTED_SUBDIR = "rejected";
+
+// Validate and fill in auto-ingest settings; throws with a user-facing message
+function normalizeAutoIngestSettings(input = {}) {
+  const settings = { ...DEFAULT_AUTO_INGEST, ...input };
+  for (const key of ["enabled", "watchPending", "dedupe"]) {
+    if (typeof settings[key] !== "boolean") throw new Error(`${key} must be a boolean.`);
+  }
+  for (const key of ["watchDir", "targetNode", "targetIndex"]) {
+    if (typeof settings[key] !== "string") throw new Error(`${key} must be a string.`);
+    settings[key] = settings[key].trim();
+  }
+  if (settings.watchDir && !path.isAbsolute(settings.watchDir)) {
+    throw new Error("watchDir must be an absolute path on the server.");
+  }
+  if (!Number.isFinite(settings.stableSeconds) || settings.stableSeconds < 1) {
+    throw new Error("stableSeconds must be a number of at least 1.");
+  }
+  if (!Number.isFinite(settings.pollSeconds) || settings.pollSeconds < 1) {
+    throw new Error("pollSeconds must be a number of at least 1.");
+  }
+  if (!Number.isFinite(settings.maxMalformedRatio) || settings.maxMalformedRatio < 0 || settings.maxMalformedRatio > 1) {
+    throw new Error("maxMalformedRatio must be a number between 0 and 1.");
+  }
+  settings.format = lineFormats.normalizeFormatOptions(settings.format).format;
+  settings.encoding = encodings.normalizeEncoding(settings.encoding);
+  if (settings.enabled) {
+    if (!settings.watchDir && !settings.watchPending) {
+      throw new Error("Set a watch directory or enable watching data/pending before enabling auto-ingest.");
+    }
+    if (!settings.targetIndex) {
+      throw new Error("A target index is required to enable auto-ingest.");
+    }
+  }
+  return settings;
+}
+
+function currentSettings() {
+  return { ...DEFAULT_AUTO_INGEST, ...(getConfig("autoIngest") || {}) };
+}
+
+// Sample the file the way ingest will read it and decide whether it is worth parsing.
+// Resolves with { formatOptions, encoding, sampled, malformed }; throws with the reason for rejecting it.
+async function validateFile(filePath, settings) {
+  const filename = path.basename(filePath);
+  if (!isIngestFile(filename)) {
+    throw new Error(`Unsupported file type (expected ${INGEST_EXTENSIONS.join(", ")}).`);
+  }
+  const { size } = await fs.stat(filePath);
+  if (size === 0) {
+    throw new Error("File is empty.");
+  }
+  const encoding = settings.encoding === "auto"
+    ? encodings.detectEncoding(await parser.readSampleBytes(filePath)).encoding
+    : settings.encoding;
+  const sampleLines = await parser.readSampleLines(filePath, VALIDATION_SAMPLE_LINES, encoding);
+  const requested = lineFormats.normalizeFormatOptions(settings.format);
+  const { options } = lineFormats.resolveFormatOptions(requested, sampleLines);
+  const formatOptions = { ...requested, ...options };
+
+  const parseLine = lineFormats.createLineParser(formatOptions);
+  let parsed = 0;
+  let malformed = 0;
+  for (const line of sampleLines) {
+    const { status } = lineFormats.inspectLine(parseLine, line);
+    if (status === "ok") parsed++;
+    else if (status === "malformed") malformed++;
+  }
+  if (parsed === 0) {
+    throw new Error(`No parseable lines in the first ${sampleLines.length} lines (format ${formatOptions.format}, encoding ${encoding}).`);
+  }
+  const ratio = malformed / (parsed + malformed);
+  if (ratio > settings.maxMalformedRatio) {
+    throw new Error(
+      `${Math.round(ratio * 100)}% of the sampled lines are malformed (limit ${Math.round(settings.maxMalformedRatio * 100)}%, format ${formatOptions.format}, encoding ${encoding}).`
+    );
+  }
+  return { formatOptions, encoding, sampled: parsed + malformed, malformed };
+}
+
+// Watcher state; one watcher per process
+const tracked = new Map(); // filePath -> { filePath, filename, source, size, mtimeMs, stableSince, stage, taskId }
+let dirs = null; // { pendingDir, unparsedDir, parsedDir }
+let runParse = null; // ({ filename, filePath, parsedFilePath, targetNode, targetIndex, formatOptions, encoding, dedupe }) -> { taskId, done }
+let pollTimer = null;
+let pollGeneration = 0; // Bumped on reload, so a poll still running from before does not schedule another
+let queue = Promise.resolve(); // Validation and parsing run one file at a time
+let lastError = null;
+
+function watchedDirectories(settings) {
+  const watched = [];
+  if (settings.watchDir) watched.push({ dir: settings.watchDir, source: "watch" });
+  if (settings.watchPending) watched.push({ dir: dirs.pendingDir, source: "pending" });
+  return watched;
+}
+
+// Leftovers of other writers (temp files, partial downloads, hidden files) are never picked up
+function isCandidate(filename) {
+  return !filename.startsWith(".") && !/\.(part|tmp|crdownload)$/i.test(filename);
+}
+
+async function listCandidates(settings) {
+  const candidates = [];
+  for (const { dir, source } of watchedDirectories(settings)) {
+    let entries;
+    try {
+      entries = await fs.readdir(dir, { withFileTypes: true });
+    } catch (error) {
+      if (error.code === "ENOENT" && source === "pending") continue;
+      throw new Error(`Cannot read watch directory ${dir}: ${error.message}`);
+    }
+    for (const entry of entries) {
+      if (entry.isFile() && isCandidate(entry.name)) {
+        candidates.push({ filePath: path.join(dir, entry.name), filename: entry.name, source });
+      }
+    }
+  }
+  return candidates;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Rename, or copy and unlink when the watch directory is on another filesystem (EXDEV)
+async function moveFile(from, to) {
+  try {
+    await fs.rename(from, to);
+  } catch (error) {
+    if (error.code !== "EXDEV") throw error;
+    try {
+      await fs.copyFile(from, to, fsConstants.COPYFILE_EXCL);
+    } catch (copyError) {
+      if (copyError.code !== "EEXIST") await fs.rm(to, { force: true });
+      throw copyError;
+    }
+    await fs.unlink(from);
+  }
+}
+
+// Validate a stable file, move it into data/unparsed and parse it
+async function processFile(entry, settings) {
+  const validateTaskId = createTask("Auto-Ingest Validate", "validating", entry.filename);
+  entry.stage = "validating";
+  entry.taskId = validateTaskId;
+  let validation;
+  let filename = entry.filename; // Name in unparsed; a dropped file whose name is taken gets the next version
+  try {
+    updateTask(validateTaskId, { total: 1, message: `Validating a sample of ${entry.filename}...` });
+    validation = await validateFile(entry.filePath, settings);
+    if (entry.source === "watch") {
+      let version;
+      ({ filename, version } = await reserveFilename(entry.filename));
+      try {
+        await fs.mkdir(dirs.unparsedDir, { recursive: true });
+        await moveFile(entry.filePath, path.join(dirs.unparsedDir, filename));
+      } catch (moveError) {
+        releaseFilename(filename);
+        throw moveError;
+      }
+      await recordFile(filename, "unparsed", {
+        originalName: entry.filename,
+        version,
+        uploadedBy: "auto-ingest",
+        source: "auto-ingest",
+      });
+    } else {
+      const unparsedPath = path.join(dirs.unparsedDir, entry.filename);
+      if ((await exists(unparsedPath)) || (await exists(path.join(dirs.parsedDir, entry.filename)))) {
+        throw new Error(`A file named ${entry.filename} is already in unparsed or parsed.`);
+      }
+      await fs.mkdir(dirs.unparsedDir, { recursive: true });
+      await moveFile(entry.filePath, unparsedPath);
+    }
+    const storedAs = filename === entry.filename ? "" : ` as ${filename}`;
+    updateTask(validateTaskId, {
+      status: "completed",
+      progress: 1,
+      completed: true,
+      message: `${entry.filename} looks valid (format ${validation.formatOptions.format}, encoding ${validation.encoding}, ${validation.malformed}/${validation.sampled} sampled lines malformed). Moved to unparsed${storedAs}.`,
+    });
+  } catch (error) {
+    let note = "";
+    if (entry.source === "watch") {
+      // Out of the drop folder so it is not picked up again; kept for inspection
+      try {
+        const rejectedDir = path.join(path.dirname(entry.filePath), REJECTED_SUBDIR);
+        await fs.mkdir(rejectedDir, { recursive: true });
+        await moveFile(entry.filePath, path.join(rejectedDir, entry.filename));
+        note = ` Moved to ${REJECTED_SUBDIR}/.`;
+      } catch (moveError) {
+        note = ` Could not move it aside: ${moveError.message}`;
+      }
+    }
+    updateTask(validateTaskId, {
+      status: "error",
+      error: `${entry.filename} rejected: ${error.message}${note}`,
+      completed: true,
+    });
+    entry.stage = "rejected"; // A pending file stays rejected until it changes
+    return;
+  }
+
+  entry.stage = "parsing";
+  const { taskId, done } = runParse({
+    filename,
+    filePath: path.join(dirs.unparsedDir, filename),
+    parsedFilePath: path.join(dirs.parsedDir, filename),
+    targetNode: settings.targetNode,
+    targetIndex: settings.targetIndex,
+    formatOptions: validation.formatOptions,
+    encoding: validation.encoding,
+    dedupe: settings.dedupe,
+  });
+  entry.taskId = taskId;
+  await done;
+  tracked.delete(entry.filePath);
+}
+
+async function poll() {
+  const settings = currentSettings();
+  if (!settings.enabled) return;
+  const now = Date.now();
+  const candidates = await listCandidates(settings);
+  const seen = new Set();
+
+  for (const candidate of candidates) {
+    seen.add(candidate.filePath);
+    let stat;
+    try {
+      stat = await fs.stat(candidate.filePath);
+    } catch (error) {
+      continue; // Moved away between readdir and stat
+    }
+    const entry = tracked.get(candidate.filePath);
+    if (!entry) {
+      const taskId = createTask("Auto-Ingest Wait", "waiting", candidate.filename);
+      updateTask(taskId, {
+        total: stat.size,
+        progress: stat.size,
+        message: `Waiting for ${candidate.filename} to stop growing (${settings.stableSeconds}s without changes)...`,
+      });
+      tracked.set(candidate.filePath, {
+        ...candidate,
+        size: stat.size,
+        mtimeMs: stat.mtimeMs,
+        stableSince: now,
+        stage: "waiting",
+        taskId,
+      });
+      continue;
+    }
+    const changed = stat.size !== entry.size || stat.mtimeMs !== entry.mtimeMs;
+    if (entry.stage === "rejected") {
+      if (changed) tracked.delete(candidate.filePath); // Picked up again as a new file on the next poll
+      continue;
+    }
+    if (entry.stage !== "waiting") continue;
+    if (changed) {
+      Object.assign(entry, { size: stat.size, mtimeMs: stat.mtimeMs, stableSince: now });
+      updateTask(entry.taskId, { total: stat.size, progress: stat.size });
+      continue;
+    }
+    if (now - entry.stableSince >= settings.stableSeconds * 1000) {
+      updateTask(entry.taskId, {
+        status: "completed",
+        completed: true,
+        message: `${entry.filename} stopped growing at ${stat.size} bytes.`,
+      });
+      entry.stage = "queued";
+      queue = queue
+        .then(() => processFile(entry, currentSettings()))
+        .catch((error) => {
+          console.error(`Auto-ingest of ${entry.filename} failed:`, error);
+          tracked.delete(entry.filePath);
+        });
+    }
+  }
+
+  // Files that disappeared while we were waiting on them (moved or deleted by someone else)
+  for (const [filePath, entry] of tracked) {
+    if (seen.has(filePath) || (entry.stage !== "waiting" && entry.stage !== "rejected")) continue;
+    if (entry.stage === "waiting") {
+      updateTask(entry.taskId, {
+        status: "completed",
+        completed: true,
+        message: `${entry.filename} was removed before it stopped growing.`,
+      });
+    }
+    tracked.delete(filePath);
+  }
+}
+
+function schedulePoll() {
+  const settings = currentSettings();
+  if (!settings.enabled) {
+    pollTimer = null;
+    return;
+  }
+  const generation = pollGeneration;
+  pollTimer = setTimeout(async () => {
+    try {
+      await poll();
+      if (generation === pollGeneration) lastError = null;
+    } catch (error) {
+      if (generation === pollGeneration) lastError = error.message;
+      console.error("Auto-ingest poll failed:", error);
+    }
+    if (generation === pollGeneration) schedulePoll();
+  }, settings.pollSeconds * 1000);
+}
+
+// Start watching with the current settings. `runParse` is supplied by the server so parsing
+// goes through the same code path as the admin parse routes.
+function startAutoIngest(options) {
+  dirs = { pendingDir: options.pendingDir, unparsedDir: options.unparsedDir, parsedDir: options.parsedDir };
+  runParse = options.runParse;
+  reloadAutoIngest();
+}
+
+// Apply changed settings: stop the timer, forget files still waiting, and start again if enabled
+function reloadAutoIngest() {
+  if (!dirs) return;
+  pollGeneration++;
+  if (pollTimer) {
+    clearTimeout(pollTimer);
+    pollTimer = null;
+  }
+  for (const [filePath, entry] of tracked) {
+    if (entry.stage === "waiting") {
+      updateTask(entry.taskId, { status: "completed", completed: true, message: "Auto-ingest settings changed; waiting restarted." });
+      tracked.delete(filePath);
+    } else if (entry.stage === "rejected") {
+      tracked.delete(filePath);
+    }
+  }
+  lastError = null;
+  const settings = currentSettings();
+  if (settings.enabled) {
+    console.log(`👀 Auto-ingest watching ${watchedDirectories(settings).map(({ dir }) => dir).join(", ")}`);
+    schedulePoll();
+  }
+}
+
+function getAutoIngestStatus() {
+  const settings = currentSettings();
+  return {
+    settings,
+    watching: !!pollTimer,
+    directories: dirs ? watchedDirectories(settings).map(({ dir }) => dir) : [],
+    lastError,
+    files: [...tracked.values()].map(({ filename, source, stage, size, taskId }) => ({ filename, source, stage, size, taskId })),
+  };
+}
+
+module.exports = {
+  DEFAULT_AUTO_INGEST,
+  normalizeAutoIngestSettings,
+  validateFile,
+  startAutoIngest,
+  reloadAutoIngest,
+  getAutoIngestStatus,
+};
@@ -0,0 +1,80 @@
+// Bulk indexing with per-item result checks and retries for back-pressure rejections
+
+const DEFAULT_MAX_RETRIES = 5;
+const DEFAULT_BASE_DELAY_MS = 500;
+const MAX_DELAY_MS = 30000;
+
+// 429 and rejected-execution mean "too busy, try again"; everything else is permanent
+function isRetryableItemError(status, error) {
+  return status === 429 || (error && error.type === "es_rejected_execution_exception");
+}
+
+function isRetryableRequestError(error) {
+  return error && (error.statusCode === 429 || error.meta?.statusCode === 429);
+}
+
+function backoffDelay(attempt, baseDelayMs) {
+  const delay = Math.min(MAX_DELAY_MS, baseDelayMs * 2 ** attempt);
+  return delay / 2 + Math.random() * (delay / 2); // Jitter so parallel files don't retry in lockstep
+}
+
+// Send `entries` ({ action, doc, line }) through the bulk API.
+// Items rejected for back-pressure are resent with exponential backoff; a whole request rejected
+// with 429 is resent the same way. Other request errors (e.g. the node is down) are thrown.
+// Resolves with { indexed, duplicates, failed: [{ line, status, error }], rejected }, where `rejected`
+// counts the back-pressure rejections that were retried (a rejected request counts all its items).
+async function writeBulk(client, entries, { maxRetries = DEFAULT_MAX_RETRIES, baseDelayMs = DEFAULT_BASE_DELAY_MS } = {}) {
+  const result = { indexed: 0, duplicates: 0, failed: [], rejected: 0 };
+  let pending = entries;
+  let attempt = 0;
+
+  while (pending.length > 0) {
+    let response;
+    try {
+      response = await client.bulk({
+        refresh: false,
+        operations: pending.flatMap(({ action, doc }) => [action, doc]),
+      });
+    } catch (error) {
+      if (isRetryableRequestError(error) && attempt < maxRetries) {
+        result.rejected += pending.length;
+        await new Promise((resolve) => setTimeout(resolve, backoffDelay(attempt, baseDelayMs)));
+        attempt++;
+        continue;
+      }
+      throw error;
+    }
+
+    const retry = [];
+    (response.items || []).forEach((item, i) => {
+      const entry = pending[i];
+      const outcome = item.create || item.index || Object.values(item)[0];
+      if (outcome.status >= 200 && outcome.status < 300) {
+        result.indexed++;
+      } else if (outcome.status === 409 && item.create) {
+        result.duplicates++; // Content-hash id already present (dedupe ingest)
+      } else if (isRetryableItemError(outcome.status, outcome.error) && attempt < maxRetries) {
+        retry.push(entry);
+      } else {
+        result.failed.push({
+          line: entry.line,
+          status: outcome.status,
+          error: outcome.error ? `${outcome.error.type}: ${outcome.error.reason}` : `HTTP ${outcome.status}`,
+        });
+      }
+    });
+
+    result.rejected += retry.length;
+    pending = retry;
+    if (pending.length > 0) {
+      await new Promise((resolve) => setTimeout(resolve, backoffDelay(attempt, baseDelayMs)));
+      attempt++;
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  writeBulk,
+};
@@ -0,0 +1,96 @@
+// Persisted parse checkpoints so an interrupted or paused parse can resume where it stopped
+const fs = require("fs").promises;
+const path = require("path");
+
+const CHECKPOINT_DIR = path.join(__dirname, "../../data/checkpoints");
+
+function checkpointPath(filename) {
+  return path.join(CHECKPOINT_DIR, `${path.basename(filename)}.json`);
+}
+
+// Read the checkpoint of a file, or null if it has none
+async function getCheckpoint(filename) {
+  try {
+    const data = await fs.readFile(checkpointPath(filename), "utf8");
+    return JSON.parse(data);
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// Write a checkpoint atomically (temp file + rename) so a crash never leaves half a JSON file
+async function saveCheckpoint(filename, checkpoint) {
+  await fs.mkdir(CHECKPOINT_DIR, { recursive: true });
+  const target = checkpointPath(filename);
+  const temp = `${target}.tmp`;
+  const data = { ...checkpoint, filename: path.basename(filename), updatedAt: Date.now() };
+  await fs.writeFile(temp, JSON.stringify(data, null, 2));
+  await fs.rename(temp, target);
+  return data;
+}
+
+async function deleteCheckpoint(filename) {
+  try {
+    await fs.unlink(checkpointPath(filename));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+// All checkpoints keyed by filename
+async function listCheckpoints() {
+  let entries;
+  try {
+    entries = await fs.readdir(CHECKPOINT_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return {};
+    throw error;
+  }
+  const checkpoints = {};
+  for (const entry of entries.filter((name) => name.endsWith(".json"))) {
+    try {
+      const checkpoint = JSON.parse(await fs.readFile(path.join(CHECKPOINT_DIR, entry), "utf8"));
+      checkpoints[checkpoint.filename] = checkpoint;
+    } catch (error) {
+      console.warn(`Ignoring unreadable parse checkpoint ${entry}:`, error.message);
+    }
+  }
+  return checkpoints;
+}
+
+// Completion percentage of a checkpoint, by bytes of the file on disk
+// (checkpoints written before byte progress only have a line total)
+function checkpointPercent(checkpoint) {
+  if (checkpoint.totalBytes > 0) {
+    const bytes = checkpoint.bytesProcessed ?? checkpoint.byteOffset ?? 0;
+    return Math.min(100, Math.floor((bytes / checkpoint.totalBytes) * 100));
+  }
+  if (checkpoint.totalLines > 0) {
+    return Math.min(100, Math.floor((checkpoint.linesProcessed / checkpoint.totalLines) * 100));
+  }
+  return 0;
+}
+
+// On startup, nothing can still be running: checkpoints left "running" were cut off by a crash or restart
+async function markInterruptedCheckpoints() {
+  const checkpoints = await listCheckpoints();
+  let count = 0;
+  for (const checkpoint of Object.values(checkpoints)) {
+    if (checkpoint.status === "running") {
+      await saveCheckpoint(checkpoint.filename, { ...checkpoint, status: "interrupted" });
+      count++;
+    }
+  }
+  return count;
+}
+
+module.exports = {
+  CHECKPOINT_DIR,
+  getCheckpoint,
+  saveCheckpoint,
+  deleteCheckpoint,
+  listCheckpoints,
+  checkpointPercent,
+  markInterruptedCheckpoints,
+};
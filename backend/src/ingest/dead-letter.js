@@ -0,0 +1,36 @@
+// Per-task dead-letter files for lines that could not be indexed
+const fs = require("fs").promises;
+const path = require("path");
+
+const DEAD_LETTER_DIR = path.join(__dirname, "../../data/dead-letter");
+
+function deadLetterPath(taskId) {
+  return path.join(DEAD_LETTER_DIR, `${path.basename(String(taskId))}.jsonl`);
+}
+
+// Append failed lines as JSON records ({ file, line, status, error, failedAt }), one per line
+async function appendDeadLetters(taskId, filename, failures) {
+  if (failures.length === 0) return;
+  await fs.mkdir(DEAD_LETTER_DIR, { recursive: true });
+  const failedAt = new Date().toISOString();
+  const records = failures
+    .map(({ line, status, error }) => JSON.stringify({ file: filename, line, status, error, failedAt }))
+    .join("\n");
+  await fs.appendFile(deadLetterPath(taskId), records + "\n");
+}
+
+async function hasDeadLetters(taskId) {
+  try {
+    await fs.access(deadLetterPath(taskId));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  DEAD_LETTER_DIR,
+  deadLetterPath,
+  appendDeadLetters,
+  hasDeadLetters,
+};
@@ -0,0 +1,127 @@
+// Structured document building for indexed accounts
+const { createHash } = require("crypto");
+const { splitFromRight } = require("./line-formats");
+
+// Multi-label public suffixes we see often; anything else is treated as a single-label TLD
+const MULTI_LABEL_SUFFIXES = new Set([
+  "co.uk", "org.uk", "ac.uk", "gov.uk", "me.uk", "ltd.uk", "plc.uk", "net.uk",
+  "com.au", "net.au", "org.au", "edu.au", "gov.au",
+  "co.nz", "org.nz", "net.nz",
+  "co.jp", "ne.jp", "or.jp", "ac.jp",
+  "co.kr", "or.kr",
+  "com.br", "net.br", "org.br", "gov.br",
+  "com.cn", "net.cn", "org.cn", "gov.cn",
+  "com.mx", "com.ar", "com.co", "com.tr", "com.tw", "com.hk", "com.sg", "com.my",
+  "com.ph", "com.pk", "com.sa", "com.eg", "com.ng", "com.ua", "com.vn",
+  "co.in", "net.in", "org.in", "gov.in",
+  "co.za", "org.za", "gov.za",
+  "co.id", "or.id", "ac.id",
+  "co.il", "org.il",
+  "co.th", "in.th",
+]);
+
+const IPV4_PATTERN = /^\d{1,3}(\.\d{1,3}){3}$/;
+const EMAIL_PATTERN = /^[^\s@]+@([^\s@]+\.[^\s@]+)$/;
+
+// Normalize a URL-ish value to a bare lowercase host (no scheme, credentials, port, path or www.)
+function normalizeHost(url) {
+  if (!url || typeof url !== "string") return "";
+  let value = url.trim().toLowerCase();
+  value = value.replace(/^[a-z][a-z0-9+.-]*:\/\//, ""); // scheme
+  value = value.split(/[/?#]/)[0]; // path, query, fragment
+  if (value.includes("@")) value = value.substring(value.lastIndexOf("@") + 1); // credentials
+  if (value.startsWith("[")) {
+    // IPv6 literal
+    const end = value.indexOf("]");
+    return end !== -1 ? value.substring(1, end) : value;
+  }
+  value = value.replace(/:\d*$/, ""); // port
+  value = value.replace(/^www\d*\./, "");
+  value = value.replace(/\.$/, "");
+  return value;
+}
+
+// Registrable domain (eTLD+1) from a normalized host
+function registrableDomain(host) {
+  if (!host || IPV4_PATTERN.test(host) || host.includes(":") || !host.includes(".")) {
+    return host || "";
+  }
+  const labels = host.split(".");
+  const lastTwo = labels.slice(-2).join(".");
+  const suffixLength = MULTI_LABEL_SUFFIXES.has(lastTwo) ? 2 : 1;
+  return labels.slice(-(suffixLength + 1)).join(".");
+}
+
+// Split an email-shaped username into local and domain parts
+function splitEmail(username) {
+  if (!username || typeof username !== "string") return null;
+  const value = username.trim().toLowerCase();
+  const match = value.match(EMAIL_PATTERN);
+  if (!match) return null;
+  return { local: value.substring(0, value.lastIndexOf("@")), domain: match[1] };
+}
+
+// Build the structured document stored in Elasticsearch from parsed fields and the original line
+function buildDocument(fields, rawLine) {
+  const url = (fields.url || "").trim();
+  const username = (fields.username || "").trim();
+  const host = normalizeHost(url);
+  const doc = {
+    raw_line: rawLine,
+    url,
+    host,
+    domain: registrableDomain(host),
+    username,
+    password: fields.password || "",
+  };
+  const email = splitEmail(username);
+  if (email) {
+    doc.email_local = email.local;
+    doc.email_domain = email.domain;
+  }
+  return doc;
+}
+
+// Provenance fields stamped on every document of an ingest run
+function provenanceFields({ filename, sourceHash, taskId, ingestedAt }) {
+  return {
+    source_file: filename,
+    source_hash: sourceHash,
+    ingest_task_id: taskId || null,
+    ingested_at: ingestedAt,
+  };
+}
+
+// Stable document id for deduplicated ingest.
+// The same credential hashes identically whatever the source format, scheme or username case.
+function documentId(fields, rawLine) {
+  const normalized = fields && (fields.username || fields.password)
+    ? [normalizeHost(fields.url), String(fields.username || "").trim().toLowerCase(), fields.password || ""].join("\u0000")
+    : String(rawLine).trim();
+  return createHash("sha256").update(normalized).digest("hex");
+}
+
+// Turn an indexed _source into display fields, falling back to parsing raw_line for legacy documents
+function sourceToAccount(source = {}) {
+  if (typeof source.username === "string" || typeof source.password === "string") {
+    return {
+      url: source.url || "",
+      username: source.username || "",
+      password: source.password || "",
+    };
+  }
+  if (!source.raw_line) {
+    return { url: "", username: "", password: "" };
+  }
+  return splitFromRight(source.raw_line.trim(), ":");
+}
+
+module.exports = {
+  normalizeHost,
+  registrableDomain,
+  splitEmail,
+  buildDocument,
+  provenanceFields,
+  documentId,
+  sourceToAccount,
+};
@@ -0,0 +1,102 @@
+// Dry-run of the ingest parser over a whole file: what would be indexed, without touching Elasticsearch
+const parser = require("../../parser");
+const lineFormats = require("./line-formats");
+const { createRuleApplier } = require("./ingest-rules");
+const { normalizeHost, registrableDomain, splitEmail } = require("./document");
+
+const TOP_DOMAINS = 20;
+const MAX_SAMPLES = 10;
+// Distinct domains tracked at once; above this the rarest are evicted, so counts become lower bounds
+const MAX_TRACKED_DOMAINS = 50000;
+
+// Domain a parsed line is attributed to: the URL's registrable domain, else the email domain of the username
+function lineDomain(fields) {
+  const host = normalizeHost(fields.url);
+  if (host) return registrableDomain(host);
+  const email = splitEmail(fields.username);
+  return email ? email.domain : "";
+}
+
+function evictRareDomains(domainCounts) {
+  let threshold = 1;
+  while (domainCounts.size > MAX_TRACKED_DOMAINS / 2) {
+    for (const [domain, count] of domainCounts) {
+      if (count <= threshold) domainCounts.delete(domain);
+    }
+    threshold++;
+  }
+}
+
+// Scan `filePath` with resolved formatOptions/encoding and ingest rules and resolve with the report:
+// { totalLines, emptyLines, headerLines, malformedLines, parsedLines, undecodableLines,
+//   quarantinedLines, quarantineReasons: { reason: count }, indexableLines,
+//   topDomains: [{ domain, count }], domainsApproximate, malformedSamples: [{ lineNumber, line }] }
+async function dryRunFile(filePath, { formatOptions, encoding, ingestRules, onProgress = () => {} }) {
+  const parseLine = lineFormats.createLineParser(formatOptions);
+  const applyRules = createRuleApplier(ingestRules);
+  const report = {
+    totalLines: 0,
+    emptyLines: 0,
+    headerLines: 0,
+    malformedLines: 0,
+    parsedLines: 0,
+    undecodableLines: 0,
+    quarantinedLines: 0,
+    indexableLines: 0,
+  };
+  const quarantineReasons = {};
+  const domainCounts = new Map();
+  const malformedSamples = [];
+  let domainsApproximate = false;
+
+  await parser.parseFile(
+    filePath,
+    async (batch, { undecodable }) => {
+      report.undecodableLines += undecodable;
+      for (const line of batch) {
+        report.totalLines++;
+        const { status, fields } = lineFormats.inspectLine(parseLine, line);
+        if (status === "empty") {
+          report.emptyLines++;
+        } else if (status === "header") {
+          report.headerLines++;
+        } else {
+          if (status === "malformed") {
+            report.malformedLines++;
+            if (malformedSamples.length < MAX_SAMPLES) {
+              malformedSamples.push({ lineNumber: report.totalLines, line: line.trim() });
+            }
+          } else {
+            report.parsedLines++;
+          }
+          const ruled = applyRules(fields);
+          if (ruled.rejected) {
+            report.quarantinedLines++;
+            quarantineReasons[ruled.rejected] = (quarantineReasons[ruled.rejected] || 0) + 1;
+            continue;
+          }
+          report.indexableLines++;
+          const domain = status === "ok" ? lineDomain(ruled.fields) : "";
+          if (domain) domainCounts.set(domain, (domainCounts.get(domain) || 0) + 1);
+        }
+      }
+      if (domainCounts.size > MAX_TRACKED_DOMAINS) {
+        evictRareDomains(domainCounts);
+        domainsApproximate = true;
+      }
+    },
+    10000,
+    onProgress,
+    { encoding }
+  );
+
+  const topDomains = [...domainCounts]
+    .sort((a, b) => b[1] - a[1])
+    .slice(0, TOP_DOMAINS)
+    .map(([domain, count]) => ({ domain, count }));
+  return { ...report, quarantineReasons, topDomains, domainsApproximate, malformedSamples };
+}
+
+module.exports = {
+  dryRunFile,
+};
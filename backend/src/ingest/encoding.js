@@ -0,0 +1,195 @@
+// Character-encoding detection and per-line decoding for ingest files
+const { isUtf8 } = require("buffer");
+
+// Encodings offered for explicit override; all are decoded with the built-in TextDecoder (full ICU)
+const SUPPORTED_ENCODINGS = [
+  { id: "utf-8", label: "UTF-8" },
+  { id: "utf-16le", label: "UTF-16 LE" },
+  { id: "utf-16be", label: "UTF-16 BE" },
+  { id: "windows-1252", label: "Windows-1252 / Latin-1" },
+  { id: "iso-8859-15", label: "ISO-8859-15 (Latin-9)" },
+  { id: "iso-8859-2", label: "ISO-8859-2 (Central European)" },
+  { id: "windows-1250", label: "Windows-1250 (Central European)" },
+  { id: "windows-1251", label: "Windows-1251 (Cyrillic)" },
+  { id: "koi8-r", label: "KOI8-R (Cyrillic)" },
+  { id: "shift_jis", label: "Shift_JIS" },
+  { id: "euc-jp", label: "EUC-JP" },
+  { id: "euc-kr", label: "EUC-KR" },
+  { id: "gbk", label: "GBK" },
+  { id: "gb18030", label: "GB18030" },
+  { id: "big5", label: "Big5" },
+];
+
+const ENCODING_ALIASES = {
+  utf8: "utf-8",
+  utf16le: "utf-16le",
+  utf16be: "utf-16be",
+  "utf-16": "utf-16le",
+  latin1: "windows-1252",
+  "iso-8859-1": "windows-1252",
+  cp1252: "windows-1252",
+  cp1251: "windows-1251",
+  cp1250: "windows-1250",
+  sjis: "shift_jis",
+};
+
+// Bytes sampled from the start of the (decompressed) file for detection
+const SAMPLE_BYTES = 64 * 1024;
+
+function listEncodings() {
+  return SUPPORTED_ENCODINGS;
+}
+
+// Validate an encoding choice; "auto" (the default) means detect from a sample
+function normalizeEncoding(value) {
+  if (value === undefined || value === null || value === "" || value === "auto") {
+    return "auto";
+  }
+  if (typeof value !== "string") {
+    throw new Error("encoding must be a string if provided.");
+  }
+  const lower = value.trim().toLowerCase();
+  const id = ENCODING_ALIASES[lower] || lower;
+  if (!SUPPORTED_ENCODINGS.some((encoding) => encoding.id === id)) {
+    throw new Error(`Unsupported encoding '${value}'. Supported: auto, ${SUPPORTED_ENCODINGS.map((e) => e.id).join(", ")}.`);
+  }
+  return id;
+}
+
+// Detect the encoding of a sample buffer: BOM first, then NUL layout (UTF-16), UTF-8 validity,
+// and finally a single-byte guess between Western and Cyrillic code pages
+function detectEncoding(sample) {
+  if (!sample || sample.length === 0) {
+    return { encoding: "utf-8", confidence: 0.5, reason: "Empty sample; assuming UTF-8" };
+  }
+  if (sample.length >= 3 && sample[0] === 0xef && sample[1] === 0xbb && sample[2] === 0xbf) {
+    return { encoding: "utf-8", confidence: 1, reason: "UTF-8 byte order mark" };
+  }
+  if (sample.length >= 2 && sample[0] === 0xff && sample[1] === 0xfe) {
+    return { encoding: "utf-16le", confidence: 1, reason: "UTF-16 LE byte order mark" };
+  }
+  if (sample.length >= 2 && sample[0] === 0xfe && sample[1] === 0xff) {
+    return { encoding: "utf-16be", confidence: 1, reason: "UTF-16 BE byte order mark" };
+  }
+
+  // ASCII-range text in UTF-16 has a NUL in every other byte
+  let evenZeros = 0;
+  let oddZeros = 0;
+  for (let i = 0; i < sample.length; i++) {
+    if (sample[i] === 0) {
+      if (i % 2 === 0) evenZeros++;
+      else oddZeros++;
+    }
+  }
+  const pairs = Math.floor(sample.length / 2) || 1;
+  if (oddZeros / pairs > 0.2 && oddZeros > evenZeros * 4) {
+    return { encoding: "utf-16le", confidence: 0.9, reason: "NUL high bytes in odd positions" };
+  }
+  if (evenZeros / pairs > 0.2 && evenZeros > oddZeros * 4) {
+    return { encoding: "utf-16be", confidence: 0.9, reason: "NUL high bytes in even positions" };
+  }
+
+  // Cut at the last newline so a multi-byte character split by the sample edge is not held against UTF-8
+  const lastNewline = sample.lastIndexOf(10);
+  const complete = lastNewline > 0 ? sample.subarray(0, lastNewline + 1) : sample;
+  let highBytes = 0;
+  let upperHalf = 0;
+  let asciiLetters = 0;
+  for (const byte of complete) {
+    if (byte >= 0x80) {
+      highBytes++;
+      if (byte >= 0xc0) upperHalf++;
+    } else if ((byte >= 0x41 && byte <= 0x5a) || (byte >= 0x61 && byte <= 0x7a)) {
+      asciiLetters++;
+    }
+  }
+  if (highBytes === 0) {
+    return { encoding: "utf-8", confidence: 1, reason: "ASCII only" };
+  }
+  if (isUtf8(complete)) {
+    return { encoding: "utf-8", confidence: 0.95, reason: "Valid multi-byte UTF-8" };
+  }
+  // Dumps are often UTF-8 with a few broken lines; those are better counted as undecodable
+  // than decoding every valid line as a single-byte code page
+  let validLines = 0;
+  let invalidLines = 0;
+  let lineStart = 0;
+  while (lineStart < complete.length) {
+    let lineEnd = complete.indexOf(10, lineStart);
+    if (lineEnd === -1) lineEnd = complete.length;
+    const line = complete.subarray(lineStart, lineEnd);
+    if (line.some((byte) => byte >= 0x80)) {
+      if (isUtf8(line)) validLines++;
+      else invalidLines++;
+    }
+    lineStart = lineEnd + 1;
+  }
+  if (validLines > invalidLines) {
+    return {
+      encoding: "utf-8",
+      confidence: 0.8,
+      reason: `Mostly valid UTF-8 (${invalidLines} of ${validLines + invalidLines} non-ASCII sample lines invalid)`,
+    };
+  }
+  // Cyrillic text is mostly high bytes, Western text only has the odd accented letter
+  if (highBytes / (highBytes + asciiLetters) > 0.3 && upperHalf / highBytes > 0.7) {
+    return { encoding: "windows-1251", confidence: 0.6, reason: "Invalid UTF-8; high-byte letters suggest Cyrillic" };
+  }
+  return { encoding: "windows-1252", confidence: 0.7, reason: "Invalid UTF-8; assuming Western single-byte text" };
+}
+
+// Decoder for one encoding: finds line breaks on raw bytes (so byte offsets stay exact)
+// and decodes each line, reporting lines that contain undecodable bytes
+function createLineDecoder(encoding = "utf-8") {
+  const unitSize = encoding === "utf-16le" || encoding === "utf-16be" ? 2 : 1;
+  const newline = encoding === "utf-16le"
+    ? Buffer.from([0x0a, 0x00])
+    : encoding === "utf-16be"
+      ? Buffer.from([0x00, 0x0a])
+      : Buffer.from([0x0a]);
+  const fatalDecoder = encoding === "utf-8" ? null : new TextDecoder(encoding, { fatal: true, ignoreBOM: true });
+  const lenientDecoder = encoding === "utf-8" ? null : new TextDecoder(encoding, { ignoreBOM: true });
+
+  // Index of the next line break at or after `from`; `data` always starts at a line start,
+  // so UTF-16 breaks must sit on an even position
+  const indexOfNewline = (data, from) => {
+    if (unitSize === 1) {
+      return data.indexOf(10, from);
+    }
+    let index = data.indexOf(newline, from);
+    while (index !== -1 && index % 2 !== 0) {
+      index = data.indexOf(newline, index + 1);
+    }
+    return index;
+  };
+
+  const decode = (bytes) => {
+    let text;
+    let valid = true;
+    if (encoding === "utf-8") {
+      valid = isUtf8(bytes);
+      text = bytes.toString("utf8");
+    } else {
+      try {
+        text = fatalDecoder.decode(bytes);
+      } catch (error) {
+        valid = false;
+        text = lenientDecoder.decode(bytes);
+      }
+    }
+    if (text.charCodeAt(0) === 0xfeff) {
+      text = text.substring(1); // Byte order mark
+    }
+    return { text, valid };
+  };
+
+  return { encoding, unitSize, newlineLength: newline.length, indexOfNewline, decode };
+}
+
+module.exports = {
+  SAMPLE_BYTES,
+  listEncodings,
+  normalizeEncoding,
+  detectEncoding,
+  createLineDecoder,
+};
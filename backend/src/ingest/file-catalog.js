@@ -0,0 +1,309 @@
+// Persisted catalog of ingest files (data/catalog/files.json): size, SHA-256, line count, who uploaded
+// each file and when, every parse of it and the indices its documents are in. Filenames are unique across pending, unparsed, parsed and
+// the catalog's history, so an upload whose name is taken is stored as the next version (name-v2.txt)
+// instead of overwriting anything. Where a file currently is is read from the data directories.
+const fs = require("fs").promises;
+const { createReadStream } = require("fs");
+const path = require("path");
+const { createHash } = require("crypto");
+const { getCompression, isIngestFile } = require("./file-source");
+
+const DATA_DIR = path.join(__dirname, "../../data");
+const CATALOG_DIR = path.join(DATA_DIR, "catalog");
+const CATALOG_FILE = path.join(CATALOG_DIR, "files.json");
+const LOCATIONS = ["pending", "unparsed", "parsed"];
+const SORT_FIELDS = ["filename", "size", "lineCount", "uploadedAt", "location", "lastParsedAt", "parseCount", "indexCount"];
+const MAX_PAGE_SIZE = 200;
+const INVALID_CATALOG_QUERY = "INVALID_CATALOG_QUERY";
+
+let entries = null; // filename -> entry, loaded on first use
+let writeChain = Promise.resolve(); // Catalog changes are applied one at a time
+const reserved = new Set(); // Names handed out for uploads still being written
+let reserveChain = Promise.resolve();
+
+async function loadEntries() {
+  if (entries) return entries;
+  try {
+    entries = JSON.parse(await fs.readFile(CATALOG_FILE, "utf8")).files || {};
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    entries = {};
+  }
+  return entries;
+}
+
+// Apply `change(entries)` and persist atomically (temp file + rename); changes never interleave
+function updateCatalog(change) {
+  const run = writeChain.then(async () => {
+    const current = await loadEntries();
+    const result = change(current);
+    await fs.mkdir(CATALOG_DIR, { recursive: true });
+    const temp = `${CATALOG_FILE}.tmp`;
+    await fs.writeFile(temp, JSON.stringify({ files: current }, null, 2));
+    await fs.rename(temp, CATALOG_FILE);
+    return result;
+  });
+  writeChain = run.catch(() => {});
+  return run;
+}
+
+async function exists(filePath) {
+  try {
+    await fs.access(filePath);
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// "name.txt" -> "name-v2.txt"; a compressed "name.txt.gz" keeps its double extension ("name-v2.txt.gz")
+function versionedName(filename, version) {
+  if (version === 1) return filename;
+  let ext = path.extname(filename);
+  if (getCompression(filename) && path.extname(path.basename(filename, ext))) {
+    ext = path.extname(path.basename(filename, ext)) + ext;
+  }
+  return `${filename.slice(0, filename.length - ext.length)}-v${version}${ext}`;
+}
+
+async function nameTaken(filename) {
+  if (reserved.has(filename) || (await loadEntries())[filename]) return true;
+  for (const location of LOCATIONS) {
+    if (await exists(path.join(DATA_DIR, location, filename))) return true;
+  }
+  return false;
+}
+
+// Claim a free name for an incoming file: `filename` itself, or its next free version.
+// Resolves with { filename, version }; the claim holds until recordFile or releaseFilename.
+function reserveFilename(filename) {
+  // Serialized so two uploads of the same name cannot both see it free
+  const run = reserveChain.then(async () => {
+    let version = 1;
+    while (await nameTaken(versionedName(filename, version))) version++;
+    const name = versionedName(filename, version);
+    reserved.add(name);
+    return { filename: name, version };
+  });
+  reserveChain = run.catch(() => {});
+  return run;
+}
+
+function releaseFilename(filename) {
+  reserved.delete(filename);
+}
+
+// One pass over a file for its size, SHA-256 (as stored, compressed files compressed) and line count.
+// Lines are counted on plain files only; compressed files get theirs from their first full parse.
+async function fingerprintFile(filePath) {
+  const hash = createHash("sha256");
+  const countLines = !getCompression(filePath);
+  let size = 0;
+  let newlines = 0;
+  let lastByte = null;
+  for await (const chunk of createReadStream(filePath)) {
+    hash.update(chunk);
+    size += chunk.length;
+    if (countLines && chunk.length > 0) {
+      for (let i = chunk.indexOf(10); i !== -1; i = chunk.indexOf(10, i + 1)) newlines++;
+      lastByte = chunk[chunk.length - 1];
+    }
+  }
+  const lineCount = countLines ? newlines + (lastByte !== null && lastByte !== 10 ? 1 : 0) : null;
+  return { size, sha256: hash.digest("hex"), lineCount };
+}
+
+// Catalog a file that has just arrived in `location` under a reserved (or already unique) name.
+// `meta` is { originalName, uploadedBy, source, version }.
+async function recordFile(filename, location, meta = {}) {
+  try {
+    const fingerprint = await fingerprintFile(path.join(DATA_DIR, location, filename));
+    return await updateCatalog((current) => {
+      current[filename] = {
+        filename,
+        originalName: meta.originalName || filename,
+        version: meta.version || 1,
+        ...fingerprint,
+        uploadedAt: meta.uploadedAt || new Date().toISOString(),
+        uploadedBy: meta.uploadedBy || null,
+        source: meta.source || "upload",
+        parses: current[filename] ? current[filename].parses : [],
+        indices: current[filename] ? current[filename].indices || [] : [],
+      };
+      return current[filename];
+    });
+  } finally {
+    releaseFilename(filename);
+  }
+}
+
+// SHA-256 of a file (as stored), from its catalog entry while the size still matches, so parses and
+// re-ingests need no extra pass over large files. Files the catalog has no hash for are fingerprinted once
+// and their entry filled in.
+async function fileSha256(filename, filePath) {
+  const entry = (await loadEntries())[filename];
+  const { size } = await fs.stat(filePath);
+  if (entry && entry.sha256 && entry.size === size) return entry.sha256;
+  const fingerprint = await fingerprintFile(filePath);
+  await updateCatalog((current) => {
+    const updated = current[filename] || (current[filename] = emptyEntry(filename));
+    Object.assign(updated, fingerprint);
+  });
+  return fingerprint.sha256;
+}
+
+function emptyEntry(filename) {
+  return {
+    filename,
+    originalName: filename,
+    version: 1,
+    size: null,
+    sha256: null,
+    lineCount: null,
+    uploadedAt: null,
+    uploadedBy: null,
+    source: "discovered",
+    parses: [],
+    indices: [],
+  };
+}
+
+// Add a parse ({ taskId, targetNode, targetIndex, resumed }) to a file's history as running
+async function recordParseStart(filename, parse) {
+  await updateCatalog((current) => {
+    const entry = current[filename] || (current[filename] = emptyEntry(filename));
+    entry.parses.push({ ...parse, status: "running", startedAt: new Date().toISOString(), finishedAt: null });
+  });
+}
+
+// Close the file's parse of `taskId` with its outcome: { status, lines, created, duplicates, failed, quarantined, undecodable }.
+// A parse that reached the end of the file also settles the file's line count. Its node/index is added to
+// the file's indices (one entry per node/index, `complete` false while only part of the file is in it).
+async function recordParseEnd(filename, taskId, outcome) {
+  await updateCatalog((current) => {
+    const entry = current[filename];
+    if (!entry) return;
+    const parse = [...entry.parses].reverse().find((candidate) => candidate.taskId === taskId);
+    const finishedAt = new Date().toISOString();
+    if (parse) Object.assign(parse, outcome, { finishedAt });
+    const reachedEnd = outcome.status === "completed" || outcome.status === "needs review";
+    if (reachedEnd && Number.isInteger(outcome.lines)) {
+      entry.lineCount = outcome.lines;
+    }
+    if (parse && (reachedEnd || outcome.created > 0)) {
+      const indices = (entry.indices || []).filter(
+        (target) => target.targetNode !== parse.targetNode || target.targetIndex !== parse.targetIndex
+      );
+      indices.push({ targetNode: parse.targetNode, targetIndex: parse.targetIndex, taskId, ingestedAt: finishedAt, complete: reachedEnd });
+      entry.indices = indices;
+    }
+  });
+}
+
+// Forget where a file's documents are, once they have all been deleted by source
+async function clearCatalogIndices(filename) {
+  await updateCatalog((current) => {
+    if (current[filename]) current[filename].indices = [];
+  });
+}
+
+// Where each catalogued file is now: filename -> "pending" | "unparsed" | "parsed"
+async function currentLocations() {
+  const locations = {};
+  for (const location of LOCATIONS) {
+    let files = [];
+    try {
+      files = await fs.readdir(path.join(DATA_DIR, location));
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+    for (const filename of files) locations[filename] = location;
+  }
+  return locations;
+}
+
+// Catalog files that are on disk but not in the catalog yet (copied in by hand, or from before the catalog)
+async function syncCatalog() {
+  const known = await loadEntries();
+  const locations = await currentLocations();
+  let added = 0;
+  for (const [filename, location] of Object.entries(locations)) {
+    if (known[filename] || reserved.has(filename) || !isIngestFile(filename)) continue;
+    const { mtime } = await fs.stat(path.join(DATA_DIR, location, filename));
+    await recordFile(filename, location, { source: "discovered", uploadedAt: mtime.toISOString() });
+    added++;
+  }
+  return added;
+}
+
+function lastParse(entry) {
+  return entry.parses.length > 0 ? entry.parses[entry.parses.length - 1] : null;
+}
+
+function sortValue(entry, field) {
+  if (field === "lastParsedAt") return lastParse(entry) ? lastParse(entry).startedAt : null;
+  if (field === "parseCount") return entry.parses.length;
+  if (field === "indexCount") return (entry.indices || []).length;
+  return entry[field];
+}
+
+// A page of the catalog. Options: { page (1-based), pageSize, sort (one of SORT_FIELDS), order ("asc"|"desc"),
+// location ("pending"|"unparsed"|"parsed"|"deleted"), search (substring of the name) }.
+// Resolves with { files, total, page, pageSize }; empty values sort last either way.
+// Bad options reject with code INVALID_CATALOG_QUERY.
+async function listCatalog({ page = 1, pageSize = 25, sort = "uploadedAt", order = "desc", location, search } = {}) {
+  let problem = null;
+  if (!SORT_FIELDS.includes(sort)) {
+    problem = `sort must be one of: ${SORT_FIELDS.join(", ")}.`;
+  } else if (order !== "asc" && order !== "desc") {
+    problem = "order must be asc or desc.";
+  } else if (location && ![...LOCATIONS, "deleted"].includes(location)) {
+    problem = `location must be one of: ${[...LOCATIONS, "deleted"].join(", ")}.`;
+  }
+  if (problem) {
+    const queryError = new Error(problem);
+    queryError.code = INVALID_CATALOG_QUERY;
+    throw queryError;
+  }
+  const size = Math.min(MAX_PAGE_SIZE, Math.max(1, pageSize));
+  const locations = await currentLocations();
+  const needle = search ? search.toLowerCase() : "";
+  const rows = Object.values(await loadEntries())
+    .map((entry) => ({ indices: [], ...entry, location: locations[entry.filename] || "deleted" }))
+    .filter((entry) => !location || entry.location === location)
+    .filter((entry) => !needle || entry.filename.toLowerCase().includes(needle) || entry.originalName.toLowerCase().includes(needle));
+  const direction = order === "asc" ? 1 : -1;
+  rows.sort((a, b) => {
+    const left = sortValue(a, sort);
+    const right = sortValue(b, sort);
+    if (left === right) return a.filename.localeCompare(b.filename);
+    if (left === null || left === undefined) return 1;
+    if (right === null || right === undefined) return -1;
+    return (typeof left === "string" ? left.localeCompare(right) : left - right) * direction;
+  });
+  const start = (Math.max(1, page) - 1) * size;
+  return { files: rows.slice(start, start + size), total: rows.length, page: Math.max(1, page), pageSize: size };
+}
+
+async function getCatalogEntry(filename) {
+  const entry = (await loadEntries())[filename];
+  if (!entry) return null;
+  const locations = await currentLocations();
+  return { indices: [], ...entry, location: locations[filename] || "deleted" };
+}
+
+module.exports = {
+  CATALOG_DIR,
+  SORT_FIELDS,
+  INVALID_CATALOG_QUERY,
+  reserveFilename,
+  releaseFilename,
+  recordFile,
+  fileSha256,
+  recordParseStart,
+  recordParseEnd,
+  clearCatalogIndices,
+  syncCatalog,
+  listCatalog,
+  getCatalogEntry,
+};
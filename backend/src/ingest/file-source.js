@@ -0,0 +1,164 @@
+// Readable sources for ingest files, with streaming decompression for .gz and .zip uploads
+const path = require("path");
+const zlib = require("zlib");
+const { createReadStream } = require("fs");
+const { PassThrough, Transform } = require("stream");
+const yauzl = require("yauzl");
+
+// Extensions accepted for ingest, in the form they are kept in pending/unparsed/parsed
+const INGEST_EXTENSIONS = [".txt", ".gz", ".zip"];
+
+function getCompression(filePath) {
+  const ext = path.extname(filePath).toLowerCase();
+  if (ext === ".gz") return "gzip";
+  if (ext === ".zip") return "zip";
+  return null;
+}
+
+function isIngestFile(filename) {
+  return INGEST_EXTENSIONS.includes(path.extname(filename).toLowerCase());
+}
+
+// Name an upload is stored under in data/pending: .txt, .gz and .zip keep their real extension,
+// anything else is stored as plain text
+function pendingFilename(originalName) {
+  const baseName = path.basename(originalName);
+  if (isIngestFile(baseName)) {
+    return baseName;
+  }
+  return path.basename(baseName, path.extname(baseName)) + ".txt";
+}
+
+// A bare file name that stays inside the directory it is joined to: no separators, "..", or NUL bytes
+function isSafeFilename(filename) {
+  return (
+    typeof filename === "string" &&
+    filename.length > 0 &&
+    filename !== "." &&
+    filename !== ".." &&
+    !filename.includes("\0") &&
+    !/[\\/]/.test(filename) &&
+    path.basename(filename) === filename
+  );
+}
+
+// Zip entries that never contain data lines
+function isSkippedZipEntry(fileName) {
+  return /\/$/.test(fileName) || fileName.startsWith("__MACOSX/") || path.basename(fileName).startsWith("._");
+}
+
+// Concatenate every file entry of a zip archive into one stream, one entry after another.
+// A newline is inserted between entries so the last line of one entry never merges with the next.
+// onSourceBytes gets an estimate of the compressed bytes consumed (entry sizes scaled by progress).
+function openZipStream(filePath, onSourceBytes) {
+  const output = new PassThrough();
+  yauzl.open(filePath, { lazyEntries: true, autoClose: true }, (openError, zipFile) => {
+    if (openError) {
+      output.destroy(openError);
+      return;
+    }
+    let needsSeparator = false;
+    let completedSourceBytes = 0;
+    zipFile.on("entry", (entry) => {
+      if (isSkippedZipEntry(entry.fileName)) {
+        completedSourceBytes += entry.compressedSize;
+        zipFile.readEntry();
+        return;
+      }
+      zipFile.openReadStream(entry, (streamError, entryStream) => {
+        if (streamError) {
+          output.destroy(streamError);
+          if (zipFile.isOpen) zipFile.close();
+          return;
+        }
+        if (needsSeparator) output.write("\n");
+        let lastByte = null;
+        let entryBytes = 0;
+        entryStream.on("data", (chunk) => {
+          if (chunk.length > 0) lastByte = chunk[chunk.length - 1];
+          entryBytes += chunk.length;
+          const fraction = entry.uncompressedSize > 0 ? Math.min(1, entryBytes / entry.uncompressedSize) : 1;
+          onSourceBytes(completedSourceBytes + Math.floor(entry.compressedSize * fraction));
+        });
+        entryStream.on("end", () => {
+          needsSeparator = lastByte !== null && lastByte !== 10;
+          completedSourceBytes += entry.compressedSize;
+          zipFile.readEntry();
+        });
+        entryStream.on("error", (error) => output.destroy(error));
+        entryStream.pipe(output, { end: false });
+      });
+    });
+    zipFile.on("end", () => output.end());
+    zipFile.on("error", (error) => output.destroy(error));
+    output.on("close", () => {
+      if (zipFile.isOpen) zipFile.close();
+    });
+    zipFile.readEntry();
+  });
+  return output;
+}
+
+// Drop the first `count` bytes of a stream (compressed sources cannot seek)
+function skipBytes(count) {
+  let remaining = count;
+  return new Transform({
+    transform(chunk, encoding, callback) {
+      if (remaining >= chunk.length) {
+        remaining -= chunk.length;
+        callback();
+        return;
+      }
+      const rest = remaining > 0 ? chunk.subarray(remaining) : chunk;
+      remaining = 0;
+      callback(null, rest);
+    },
+  });
+}
+
+// Open a byte stream of the (decompressed) file contents.
+// `start` is a byte offset into the decompressed contents; plain files seek to it directly.
+// `end` (exclusive) limits a plain file to a byte range; compressed files cannot be read in ranges.
+// `onSourceBytes(bytes)` reports how much of a compressed file on disk has been consumed, for progress.
+function openDecompressedStream(filePath, options = {}) {
+  const compression = getCompression(filePath);
+  const start = options.start > 0 ? options.start : 0;
+  const onSourceBytes = options.onSourceBytes || (() => {});
+  if (compression && options.end !== undefined) {
+    throw new Error(`${path.basename(filePath)} is compressed and cannot be read in byte ranges.`);
+  }
+  let stream;
+  if (compression === "zip") {
+    stream = openZipStream(filePath, onSourceBytes);
+  } else if (compression === "gzip") {
+    const fileStream = createReadStream(filePath, { highWaterMark: options.highWaterMark || 64 * 1024 });
+    const gunzip = zlib.createGunzip();
+    let sourceBytes = 0;
+    fileStream.on("data", (chunk) => {
+      sourceBytes += chunk.length;
+      onSourceBytes(sourceBytes);
+    });
+    fileStream.on("error", (error) => gunzip.destroy(error));
+    gunzip.on("close", () => fileStream.destroy());
+    stream = fileStream.pipe(gunzip);
+  } else {
+    const end = options.end !== undefined ? options.end - 1 : undefined; // createReadStream's end is inclusive
+    return createReadStream(filePath, { highWaterMark: options.highWaterMark || 64 * 1024, start, end });
+  }
+  if (start === 0) {
+    return stream;
+  }
+  const skipper = skipBytes(start);
+  stream.on("error", (error) => skipper.destroy(error));
+  skipper.on("close", () => stream.destroy());
+  return stream.pipe(skipper);
+}
+
+module.exports = {
+  INGEST_EXTENSIONS,
+  getCompression,
+  isIngestFile,
+  pendingFilename,
+  isSafeFilename,
+  openDecompressedStream,
+};
@@ -0,0 +1,41 @@
+// Turn a batch of raw lines into bulk entries; shared by the in-process parse and the parse workers
+const lineFormats = require("./line-formats");
+const { createRuleApplier } = require("./ingest-rules");
+const { buildDocument, documentId } = require("./document");
+
+// Create a function that maps raw lines to { entries: [{ action, doc, line }], rejected: [{ line, reason }] }.
+// Blank lines and header rows are skipped; lines the ingest rules reject are returned for quarantine.
+// `structured` is false for legacy indices that only accept raw_line; `provenance` is merged into every doc.
+function createBatchBuilder({ formatOptions, ingestRules, structured, provenance, dedupe, targetIndex }) {
+  const format = (formatOptions && formatOptions.format) || "colon";
+  const parseLine = lineFormats.createLineParser({ ...formatOptions, format });
+  const applyRules = createRuleApplier(ingestRules);
+
+  return (batch) => {
+    const rejected = [];
+    const entries = batch.flatMap((line) => {
+      const parsed = parseLine(line);
+      if (!parsed) return []; // Blank line or header row
+      const ruled = applyRules(parsed);
+      if (ruled.rejected) {
+        rejected.push({ line, reason: ruled.rejected });
+        return [];
+      }
+      const { fields } = ruled;
+      // Normalized fields no longer match the source line, so store them in canonical form
+      const rawLine = ruled.changed ? lineFormats.joinFields(fields) : line.trim();
+      const doc = structured
+        ? { ...buildDocument(fields, rawLine), ...provenance }
+        : { raw_line: lineFormats.toRawLine(fields, rawLine, format), ...provenance };
+      const action = dedupe
+        ? { create: { _index: targetIndex, _id: documentId(fields, line) } }
+        : { index: { _index: targetIndex } };
+      return [{ action, doc, line }];
+    });
+    return { entries, rejected };
+  };
+}
+
+module.exports = {
+  createBatchBuilder,
+};
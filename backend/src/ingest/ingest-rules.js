@@ -0,0 +1,104 @@
+// Ingest normalization and quarantine rules, applied to parsed fields before they are indexed.
+// The rule set lives in config.json under "ingestRules".
+
+const DEFAULT_INGEST_RULES = {
+  trimWhitespace: true,
+  stripScheme: false, // http:// and https://
+  stripWww: false,
+  lowercaseHost: false,
+  lowercaseEmail: false,
+  dropMissingPassword: false,
+  dropControlChars: false,
+  maxFieldLength: 0, // 0 = no cap
+  overLengthAction: "truncate", // or "quarantine"
+};
+
+const BOOLEAN_RULES = [
+  "trimWhitespace",
+  "stripScheme",
+  "stripWww",
+  "lowercaseHost",
+  "lowercaseEmail",
+  "dropMissingPassword",
+  "dropControlChars",
+];
+const OVER_LENGTH_ACTIONS = ["truncate", "quarantine"];
+const FIELDS = ["url", "username", "password"];
+
+// C0 controls except tab, plus DEL
+const CONTROL_CHARS = /[\u0000-\u0008\u000A-\u001F\u007F]/;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Validate and fill in a rule set; throws with a user-facing message
+function normalizeIngestRules(input = {}) {
+  if (typeof input !== "object" || input === null || Array.isArray(input)) {
+    throw new Error("Ingest rules must be an object.");
+  }
+  const rules = { ...DEFAULT_INGEST_RULES, ...input };
+  for (const key of BOOLEAN_RULES) {
+    if (typeof rules[key] !== "boolean") throw new Error(`${key} must be a boolean.`);
+  }
+  if (!Number.isInteger(rules.maxFieldLength) || rules.maxFieldLength < 0) {
+    throw new Error("maxFieldLength must be a non-negative integer (0 disables the cap).");
+  }
+  if (!OVER_LENGTH_ACTIONS.includes(rules.overLengthAction)) {
+    throw new Error(`overLengthAction must be one of: ${OVER_LENGTH_ACTIONS.join(", ")}.`);
+  }
+  return Object.fromEntries(Object.keys(DEFAULT_INGEST_RULES).map((key) => [key, rules[key]]));
+}
+
+// Lowercase scheme and host of a URL, leaving path and query alone
+function lowercaseUrlHost(url) {
+  const match = url.match(/^([a-z][a-z0-9+.-]*:\/\/)?([^/?#]*)(.*)$/is);
+  if (!match) return url;
+  return (match[1] || "").toLowerCase() + match[2].toLowerCase() + match[3];
+}
+
+// Create a function that applies `rules` to parsed fields.
+// It returns { fields, changed } for a line to index, or { rejected: reason } for a line to quarantine.
+function createRuleApplier(rules = DEFAULT_INGEST_RULES) {
+  return (input) => {
+    const fields = { url: input.url || "", username: input.username || "", password: input.password || "" };
+
+    if (rules.dropControlChars) {
+      const field = FIELDS.find((name) => CONTROL_CHARS.test(fields[name]));
+      if (field) return { rejected: `control characters in ${field}` };
+    }
+    if (rules.trimWhitespace) {
+      for (const name of FIELDS) fields[name] = fields[name].trim();
+    }
+    if (rules.stripScheme) {
+      fields.url = fields.url.replace(/^https?:\/\//i, "");
+    }
+    if (rules.stripWww) {
+      fields.url = fields.url.replace(/^((?:https?:\/\/)?)www\./i, "$1");
+    }
+    if (rules.lowercaseHost && fields.url) {
+      fields.url = lowercaseUrlHost(fields.url);
+    }
+    if (rules.lowercaseEmail && EMAIL_PATTERN.test(fields.username)) {
+      fields.username = fields.username.toLowerCase();
+    }
+    if (rules.dropMissingPassword && !fields.password) {
+      return { rejected: "missing password" };
+    }
+    if (rules.maxFieldLength > 0) {
+      for (const name of FIELDS) {
+        if (fields[name].length <= rules.maxFieldLength) continue;
+        if (rules.overLengthAction === "quarantine") {
+          return { rejected: `${name} longer than ${rules.maxFieldLength} characters` };
+        }
+        fields[name] = fields[name].substring(0, rules.maxFieldLength);
+      }
+    }
+
+    const changed = FIELDS.some((name) => fields[name] !== (input[name] || ""));
+    return { fields, changed };
+  };
+}
+
+module.exports = {
+  DEFAULT_INGEST_RULES,
+  normalizeIngestRules,
+  createRuleApplier,
+};
@@ -0,0 +1,455 @@
+// Line format registry for ingest
+// Each format turns one raw line into { url, username, password }.
+
+// Header / key aliases used to map columns and JSON keys to our fields
+const FIELD_ALIASES = {
+  url: ["url", "uri", "host", "hostname", "domain", "site", "website", "origin", "origin_url", "link"],
+  username: ["username", "user", "login", "email", "mail", "user_name", "account", "name"],
+  password: ["password", "pass", "passwd", "pwd", "secret"],
+};
+
+const FIELDS = ["url", "username", "password"];
+
+// Split from the right: last delimiter is password, the one before splits url and username.
+// Handles url:username:password and also usernames/passwords containing the delimiter.
+function splitFromRight(line, delimiter) {
+  const lastIndex = line.lastIndexOf(delimiter);
+  if (lastIndex === -1) {
+    // Fallback: treat the entire line as raw data
+    return { url: line, username: "", password: "" };
+  }
+  const left = line.substring(0, lastIndex);
+  const password = line.substring(lastIndex + delimiter.length);
+  const secondLastIndex = left.lastIndexOf(delimiter);
+  if (secondLastIndex === -1) {
+    return { url: "", username: left, password };
+  }
+  return {
+    url: left.substring(0, secondLastIndex),
+    username: left.substring(secondLastIndex + delimiter.length),
+    password,
+  };
+}
+
+// Split a single CSV/TSV record, honouring double quotes ("" is an escaped quote)
+function splitDelimitedRecord(line, delimiter) {
+  const values = [];
+  let current = "";
+  let inQuotes = false;
+  for (let i = 0; i < line.length; i++) {
+    const char = line[i];
+    if (inQuotes) {
+      if (char === '"') {
+        if (line[i + 1] === '"') {
+          current += '"';
+          i++;
+        } else {
+          inQuotes = false;
+        }
+      } else {
+        current += char;
+      }
+    } else if (char === '"' && current.length === 0) {
+      inQuotes = true;
+    } else if (line.startsWith(delimiter, i)) {
+      values.push(current);
+      current = "";
+      i += delimiter.length - 1;
+    } else {
+      current += char;
+    }
+  }
+  values.push(current);
+  return values;
+}
+
+// Find the column index for each field from header names (or explicit mapping)
+function resolveColumns(header, columns = {}) {
+  const normalizedHeader = header.map((h) => String(h).trim().toLowerCase());
+  const resolved = {};
+  for (const field of FIELDS) {
+    const wanted = columns[field];
+    if (typeof wanted === "number") {
+      resolved[field] = wanted;
+    } else if (typeof wanted === "string" && wanted !== "") {
+      const asNumber = Number(wanted);
+      resolved[field] = Number.isInteger(asNumber) ? asNumber : normalizedHeader.indexOf(wanted.trim().toLowerCase());
+    } else {
+      resolved[field] = normalizedHeader.findIndex((h) => FIELD_ALIASES[field].includes(h));
+    }
+  }
+  return resolved;
+}
+
+// Default column positions when there is no header and no explicit mapping
+function defaultColumns(valueCount, columns = {}) {
+  if (FIELDS.some((field) => columns[field] !== undefined && columns[field] !== "")) {
+    return resolveColumns([], columns);
+  }
+  if (valueCount >= 3) return { url: 0, username: 1, password: 2 };
+  if (valueCount === 2) return { url: -1, username: 0, password: 1 };
+  return { url: 0, username: -1, password: -1 };
+}
+
+function pickColumns(values, mapping) {
+  const fields = {};
+  for (const field of FIELDS) {
+    const index = mapping[field];
+    fields[field] = index >= 0 && index < values.length ? String(values[index]).trim() : "";
+  }
+  return fields;
+}
+
+// Resolve a dotted path like "credentials.login" or "items.0.url" in an object
+function getPath(obj, pathExpression) {
+  if (!pathExpression) return undefined;
+  return String(pathExpression)
+    .split(".")
+    .reduce((value, key) => (value !== null && value !== undefined ? value[key] : undefined), obj);
+}
+
+function findAliasedKey(obj, field) {
+  const key = Object.keys(obj).find((k) => FIELD_ALIASES[field].includes(k.toLowerCase()));
+  return key !== undefined ? obj[key] : undefined;
+}
+
+// Build a delimiter-based format that splits from the right like the legacy colon parser
+function rightSplitFormat(name, label, delimiter) {
+  return {
+    name,
+    label,
+    delimiter,
+    createParser(options = {}) {
+      const hasColumns = FIELDS.some((field) => options.columns && options.columns[field] !== undefined && options.columns[field] !== "");
+      return (line) => {
+        if (!hasColumns) {
+          return splitFromRight(line, delimiter);
+        }
+        const values = line.split(delimiter);
+        return pickColumns(values, resolveColumns([], options.columns));
+      };
+    },
+  };
+}
+
+// Build a CSV-style format with quote handling and optional header mapping
+function recordFormat(name, label, defaultDelimiter) {
+  return {
+    name,
+    label,
+    delimiter: defaultDelimiter,
+    headerRow: true,
+    createParser(options = {}) {
+      const delimiter = options.delimiter || defaultDelimiter;
+      let mapping = null;
+      let headerPending = !!options.hasHeader;
+      return (line) => {
+        // A header row already resolved into columns (resolveHeaderOptions) is skipped wherever it turns up
+        if (options.header !== undefined && line === options.header) return null;
+        const values = splitDelimitedRecord(line, delimiter);
+        if (headerPending) {
+          headerPending = false;
+          mapping = resolveColumns(values, options.columns);
+          return null; // Header row is not a record
+        }
+        return pickColumns(values, mapping || defaultColumns(values.length, options.columns));
+      };
+    },
+  };
+}
+
+const FORMATS = {
+  colon: rightSplitFormat("colon", "Colon (url:username:password)", ":"),
+  pipe: rightSplitFormat("pipe", "Pipe (url|username|password)", "|"),
+  semicolon: rightSplitFormat("semicolon", "Semicolon (url;username;password)", ";"),
+  csv: recordFormat("csv", "CSV (quoted, optional header)", ","),
+  tsv: recordFormat("tsv", "TSV (tab separated, optional header)", "\t"),
+  jsonl: {
+    name: "jsonl",
+    label: "JSON lines",
+    createParser(options = {}) {
+      const paths = options.fields || {};
+      return (line) => {
+        let record;
+        try {
+          record = JSON.parse(line);
+        } catch (e) {
+          return { url: line, username: "", password: "" };
+        }
+        if (!record || typeof record !== "object") {
+          return { url: line, username: "", password: "" };
+        }
+        const fields = {};
+        for (const field of FIELDS) {
+          const value = paths[field] ? getPath(record, paths[field]) : findAliasedKey(record, field);
+          fields[field] = value === undefined || value === null ? "" : String(value);
+        }
+        return fields;
+      };
+    },
+  },
+  regex: {
+    name: "regex",
+    label: "Custom regex (named groups url, username, password)",
+    createParser(options = {}) {
+      const regex = compilePattern(options.pattern, options.flags);
+      return (line) => {
+        const match = regex.exec(line);
+        if (!match) {
+          return { url: line, username: "", password: "" };
+        }
+        const groups = match.groups || {};
+        return {
+          url: groups.url || "",
+          username: groups.username || "",
+          password: groups.password || "",
+        };
+      };
+    },
+  },
+};
+
+function compilePattern(pattern, flags = "") {
+  if (!pattern || typeof pattern !== "string") {
+    throw new Error("A regex pattern is required for the regex format.");
+  }
+  let regex;
+  try {
+    regex = new RegExp(pattern, String(flags || "").replace(/[gy]/g, ""));
+  } catch (error) {
+    throw new Error(`Invalid regex pattern: ${error.message}`);
+  }
+  if (!/\(\?<(url|username|password)>/.test(pattern)) {
+    throw new Error("Regex pattern must contain at least one named group: url, username or password.");
+  }
+  return regex;
+}
+
+// Validate and normalize format options coming from a request body
+function normalizeFormatOptions(input) {
+  if (input === undefined || input === null || input === "") {
+    return { format: "auto" };
+  }
+  const options = typeof input === "string" ? { format: input } : { ...input };
+  if (typeof options.format !== "string" || options.format === "") {
+    options.format = "auto";
+  }
+  if (options.format !== "auto" && !FORMATS[options.format]) {
+    throw new Error(`Unknown line format '${options.format}'. Available: auto, ${Object.keys(FORMATS).join(", ")}`);
+  }
+  if (options.columns !== undefined && (typeof options.columns !== "object" || options.columns === null)) {
+    throw new Error("columns must be an object mapping url/username/password to header names or column numbers.");
+  }
+  if (options.fields !== undefined && (typeof options.fields !== "object" || options.fields === null)) {
+    throw new Error("fields must be an object mapping url/username/password to JSON paths.");
+  }
+  if (options.format === "regex") {
+    compilePattern(options.pattern, options.flags);
+  }
+  options.hasHeader = !!options.hasHeader;
+  return options;
+}
+
+// Resolve the header row of a CSV/TSV file into explicit column numbers, once for the whole file.
+// The parser otherwise takes the first line it sees as the header, which is only right at the start of the
+// file: a byte range parsed in a worker or a parse resumed from a checkpoint starts mid-file.
+// Returns options with hasHeader off, `columns` holding the resolved numbers (-1 for a field the header
+// lacks) and `header` holding the row itself so it is still skipped; other options are returned unchanged.
+function resolveHeaderOptions(formatOptions = {}, headerLine) {
+  const format = FORMATS[formatOptions.format];
+  if (!formatOptions.hasHeader || !format || !format.headerRow || typeof headerLine !== "string") {
+    return formatOptions;
+  }
+  const header = headerLine.replace(/\r$/, "").trim();
+  const values = splitDelimitedRecord(header, formatOptions.delimiter || format.delimiter);
+  return { ...formatOptions, hasHeader: false, header, columns: resolveColumns(values, formatOptions.columns) };
+}
+
+// Create a stateful line parser for a file.
+// Returns null for lines that should not be indexed (blank lines, header rows).
+function createLineParser(formatOptions = {}) {
+  const format = FORMATS[formatOptions.format] || FORMATS.colon;
+  const parseLine = format.createParser(formatOptions);
+  return (rawLine) => {
+    if (typeof rawLine !== "string") return null;
+    const line = rawLine.replace(/\r$/, "");
+    if (line.trim() === "") return null;
+    return parseLine(line.trim());
+  };
+}
+
+// Classify a raw line the way ingest sees it: "empty", "header" (skipped by the parser),
+// "malformed" (no username or password could be extracted) or "ok", with the parsed fields
+function inspectLine(parseLine, rawLine) {
+  if (typeof rawLine !== "string" || rawLine.trim() === "") {
+    return { status: "empty", fields: null };
+  }
+  const fields = parseLine(rawLine);
+  if (!fields) {
+    return { status: "header", fields: null };
+  }
+  return { status: fields.username && fields.password ? "ok" : "malformed", fields };
+}
+
+// Delimiter a resolved format splits on, or null for formats that don't use one
+function formatDelimiter(formatOptions = {}) {
+  if (formatOptions.delimiter) return formatOptions.delimiter;
+  const format = FORMATS[formatOptions.format];
+  return format && format.delimiter ? format.delimiter : null;
+}
+
+// Count how often a delimiter appears outside of double quotes
+function countDelimiter(line, delimiter) {
+  if (delimiter === "," || delimiter === "\t") {
+    return splitDelimitedRecord(line, delimiter).length - 1;
+  }
+  return line.split(delimiter).length - 1;
+}
+
+function looksLikeHeader(values) {
+  const names = values.map((v) => String(v).trim().toLowerCase());
+  const matched = FIELDS.filter((field) => names.some((n) => FIELD_ALIASES[field].includes(n)));
+  return matched.length >= 2;
+}
+
+// Guess the line format from a sample of lines
+function detectFormat(sampleLines = []) {
+  const lines = sampleLines.map((l) => String(l).replace(/\r$/, "").trim()).filter((l) => l !== "");
+  if (lines.length === 0) {
+    return { format: "colon", options: { format: "colon" }, confidence: 0, reason: "No non-empty lines in sample" };
+  }
+
+  // JSON lines: most lines parse as JSON objects
+  const jsonLines = lines.filter((l) => {
+    if (!l.startsWith("{")) return false;
+    try {
+      const parsed = JSON.parse(l);
+      return parsed && typeof parsed === "object";
+    } catch (e) {
+      return false;
+    }
+  }).length;
+  if (jsonLines / lines.length >= 0.8) {
+    return {
+      format: "jsonl",
+      options: { format: "jsonl" },
+      confidence: jsonLines / lines.length,
+      reason: `${jsonLines}/${lines.length} lines are JSON objects`,
+    };
+  }
+
+  // Delimited formats, in order of how rarely the delimiter occurs inside values
+  const candidates = [
+    { format: "tsv", delimiter: "\t" },
+    { format: "pipe", delimiter: "|" },
+    { format: "semicolon", delimiter: ";" },
+    { format: "csv", delimiter: "," },
+  ];
+  const first = lines[0];
+  for (const candidate of candidates) {
+    const counts = lines.map((l) => countDelimiter(l, candidate.delimiter));
+    const withDelimiter = counts.filter((c) => c >= 1).length;
+    const ratio = withDelimiter / lines.length;
+    if (ratio < 0.8) continue;
+
+    // Column count should be stable across lines for record formats
+    const mode = mostFrequent(counts);
+    const stable = counts.filter((c) => c === mode).length / lines.length;
+    if (candidate.format === "csv" && stable < 0.8) continue;
+
+    const options = { format: candidate.format };
+    if (candidate.format === "csv" || candidate.format === "tsv") {
+      const headerValues = splitDelimitedRecord(first, candidate.delimiter);
+      options.hasHeader = looksLikeHeader(headerValues);
+    } else if (candidate.format === "semicolon" && looksLikeHeader(first.split(";"))) {
+      // Semicolon files with a header row are usually European-style CSV
+      options.format = "csv";
+      options.delimiter = ";";
+      options.hasHeader = true;
+    }
+    return {
+      format: options.format,
+      options,
+      confidence: Math.min(ratio, stable),
+      reason: `${withDelimiter}/${lines.length} lines contain '${candidate.delimiter === "\t" ? "\\t" : candidate.delimiter}'`,
+    };
+  }
+
+  const colonLines = lines.filter((l) => l.includes(":")).length;
+  return {
+    format: "colon",
+    options: { format: "colon" },
+    confidence: colonLines / lines.length,
+    reason: `${colonLines}/${lines.length} lines contain ':'`,
+  };
+}
+
+function mostFrequent(values) {
+  const counts = new Map();
+  let best = values[0];
+  for (const value of values) {
+    const count = (counts.get(value) || 0) + 1;
+    counts.set(value, count);
+    if (count > (counts.get(best) || 0)) best = value;
+  }
+  return best;
+}
+
+// Resolve "auto" into a concrete format using a sample of the file
+function resolveFormatOptions(formatOptions, sampleLines) {
+  if (formatOptions && formatOptions.format && formatOptions.format !== "auto") {
+    return { options: formatOptions, detection: null };
+  }
+  const detection = detectFormat(sampleLines);
+  return { options: { ...detection.options }, detection };
+}
+
+// Parse sample lines for a preview, using the same stateful parser as ingest
+function previewLines(sampleLines, formatOptions, limit = 10) {
+  const parseLine = createLineParser(formatOptions);
+  const preview = [];
+  for (const line of sampleLines) {
+    if (preview.length >= limit) break;
+    const fields = parseLine(line);
+    if (fields) preview.push({ line, ...fields });
+  }
+  return preview;
+}
+
+// Canonical raw_line for storage, so display parsing keeps working for any source format
+function toRawLine(fields, originalLine, format) {
+  if (format === "colon" || !fields || (!fields.username && !fields.password)) {
+    return originalLine;
+  }
+  return joinFields(fields);
+}
+
+// Fields as a url:username:password line (username:password without a URL)
+function joinFields(fields) {
+  return fields.url ? `${fields.url}:${fields.username}:${fields.password}` : `${fields.username}:${fields.password}`;
+}
+
+// List formats for the admin UI
+function listFormats() {
+  return Object.values(FORMATS).map(({ name, label }) => ({ name, label }));
+}
+
+function getFormat(name) {
+  return FORMATS[name] || null;
+}
+
+module.exports = {
+  listFormats,
+  getFormat,
+  inspectLine,
+  formatDelimiter,
+  normalizeFormatOptions,
+  createLineParser,
+  resolveHeaderOptions,
+  detectFormat,
+  resolveFormatOptions,
+  previewLines,
+  toRawLine,
+  joinFields,
+  splitFromRight,
+};
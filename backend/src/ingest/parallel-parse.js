@@ -0,0 +1,130 @@
+// Parallel parsing of one large plain file: newline-aligned byte ranges, each parsed and
+// bulk-indexed in its own worker thread (parse-worker.js)
+const fs = require("fs").promises;
+const os = require("os");
+const path = require("path");
+const { Worker } = require("worker_threads");
+const { getCompression } = require("./file-source");
+const { createLineDecoder } = require("./encoding");
+
+const WORKER_SCRIPT = path.join(__dirname, "parse-worker.js");
+const SCAN_CHUNK_BYTES = 64 * 1024; // Even, so UTF-16 code units never straddle two reads
+const DEFAULT_MIN_FILE_MB = 256;
+
+// Worker count: configured value, or one per core when it is 0/unset
+function parseWorkerCount(configured) {
+  return Number.isInteger(configured) && configured > 0 ? configured : os.availableParallelism();
+}
+
+// Whether a file is worth splitting: plain (compressed streams cannot seek), large enough, and more than one worker
+function canParseInParallel(filePath, sizeBytes, { workers, minFileMB = DEFAULT_MIN_FILE_MB }) {
+  return !getCompression(filePath) && workers > 1 && sizeBytes >= minFileMB * 1024 * 1024;
+}
+
+// Offset of the first line start at or after `position`, or `size` when no line break follows
+async function nextLineStart(handle, position, size, decoder) {
+  const buffer = Buffer.alloc(SCAN_CHUNK_BYTES);
+  let offset = position;
+  while (offset < size) {
+    const { bytesRead } = await handle.read(buffer, 0, SCAN_CHUNK_BYTES, offset);
+    if (bytesRead === 0) break;
+    const index = decoder.indexOfNewline(buffer.subarray(0, bytesRead), 0);
+    if (index !== -1) return offset + index + decoder.newlineLength;
+    offset += bytesRead;
+  }
+  return size;
+}
+
+// Split a plain file into up to `parts` contiguous ranges [{ start, end }] that each begin at a line start
+async function splitByteRanges(filePath, parts, encoding = "utf-8") {
+  const { size } = await fs.stat(filePath);
+  const decoder = createLineDecoder(encoding);
+  const boundaries = [0];
+  const handle = await fs.open(filePath, "r");
+  try {
+    for (let i = 1; i < parts; i++) {
+      let position = Math.floor((size * i) / parts);
+      position -= position % decoder.unitSize;
+      if (position <= boundaries[boundaries.length - 1]) continue;
+      const start = await nextLineStart(handle, position, size, decoder);
+      if (start > boundaries[boundaries.length - 1] && start < size) boundaries.push(start);
+    }
+  } finally {
+    await handle.close();
+  }
+  boundaries.push(size);
+  const ranges = [];
+  for (let i = 0; i < boundaries.length - 1; i++) {
+    if (boundaries[i] < boundaries[i + 1]) ranges.push({ start: boundaries[i], end: boundaries[i + 1] });
+  }
+  return ranges;
+}
+
+// Parse `ranges` ([{ start, end, offset, linesProcessed }], offset being where to continue) in one worker each.
+// `job` is what the workers need to build bulk entries (see index-batch.js); they index through `nodeUrls`.
+// onBatch(rangeIndex, batch) is awaited for every indexed batch, one at a time in arrival order.
+// Returns { done, setBatchSize, stop }: `done` resolves with { stopped } once every worker has exited,
+// or rejects with the first worker (or onBatch) error after stopping the rest.
+function parseRangesInWorkers({ filePath, encoding, ranges, nodeUrls, job, batchSize, onBatch }) {
+  const workers = [];
+  let queue = Promise.resolve();
+  let stopped = false;
+  let failure = null;
+  let currentBatchSize = batchSize;
+
+  const stop = () => {
+    if (stopped) return;
+    stopped = true;
+    for (const worker of workers) worker.postMessage({ type: "stop" });
+  };
+
+  const fail = (error) => {
+    if (!failure) failure = error;
+    stop();
+  };
+
+  const runs = ranges.map((range, rangeIndex) => {
+    if (range.offset >= range.end) return Promise.resolve(); // Finished before a pause or restart
+    return new Promise((resolve) => {
+      const worker = new Worker(WORKER_SCRIPT, {
+        workerData: { filePath, encoding, range, nodeUrls, job, batchSize: currentBatchSize },
+      });
+      workers.push(worker);
+      worker.on("message", (message) => {
+        if (message.type === "batch") {
+          queue = queue.then(() => (failure ? undefined : onBatch(rangeIndex, message))).catch(fail);
+        } else if (message.type === "error") {
+          fail(new Error(message.message));
+        }
+      });
+      worker.on("error", fail);
+      worker.on("exit", (code) => {
+        if (code !== 0) fail(new Error(`Parse worker for bytes ${range.start}-${range.end} exited with code ${code}.`));
+        resolve();
+      });
+    });
+  });
+
+  const done = Promise.all(runs)
+    .then(() => queue)
+    .then(() => {
+      if (failure) throw failure;
+      return { stopped };
+    });
+
+  const setBatchSize = (size) => {
+    if (size === currentBatchSize) return;
+    currentBatchSize = size;
+    for (const worker of workers) worker.postMessage({ type: "batchSize", batchSize: size });
+  };
+
+  return { done, setBatchSize, stop };
+}
+
+module.exports = {
+  DEFAULT_MIN_FILE_MB,
+  parseWorkerCount,
+  canParseInParallel,
+  splitByteRanges,
+  parseRangesInWorkers,
+};
@@ -0,0 +1,75 @@
+// Worker thread: parse and bulk-index one byte range of a plain file (started by parallel-parse.js).
+// Every indexed batch is reported to the parent, which owns checkpoints, dead-letter and quarantine files.
+const { parentPort, workerData } = require("worker_threads");
+const { Client } = require("@elastic/elasticsearch");
+const parser = require("../../parser");
+const { writeBulk } = require("./bulk-writer");
+const { createBatchBuilder } = require("./index-batch");
+
+const RANGE_STOPPED = "RANGE_STOPPED";
+
+const { filePath, encoding, range, nodeUrls, job } = workerData;
+let batchSize = workerData.batchSize;
+let stopRequested = false;
+
+parentPort.on("message", (message) => {
+  if (message.type === "batchSize") {
+    batchSize = message.batchSize;
+  } else if (message.type === "stop") {
+    stopRequested = true;
+  }
+});
+parentPort.unref(); // Listening for control messages must not keep the worker alive once its range is done
+
+async function run() {
+  const client = new Client({ nodes: nodeUrls });
+  const buildEntries = createBatchBuilder(job);
+  try {
+    await parser.parseFile(
+      filePath,
+      async (batch, { endOffset, linesProcessed, undecodable }) => {
+        if (stopRequested) {
+          const stoppedError = new Error("Range parsing was stopped.");
+          stoppedError.code = RANGE_STOPPED;
+          throw stoppedError;
+        }
+        const { entries, rejected } = buildEntries(batch);
+        let written = { indexed: 0, duplicates: 0, failed: [], rejected: 0 };
+        let latencyMs = null;
+        if (entries.length > 0) {
+          const bulkStart = Date.now();
+          written = await writeBulk(client, entries);
+          latencyMs = Date.now() - bulkStart;
+        }
+        parentPort.postMessage({
+          type: "batch",
+          endOffset,
+          linesProcessed,
+          undecodable,
+          created: written.indexed,
+          duplicates: written.duplicates,
+          failed: written.failed,
+          quarantined: rejected,
+          latencyMs,
+          bulkRejected: written.rejected,
+        });
+      },
+      () => batchSize,
+      undefined,
+      { encoding, startOffset: range.offset, endOffset: range.end, startLine: range.linesProcessed }
+    );
+  } finally {
+    await client.close();
+  }
+}
+
+run().then(
+  () => parentPort.postMessage({ type: "done" }),
+  (error) => {
+    if (error.code === RANGE_STOPPED) {
+      parentPort.postMessage({ type: "stopped" });
+    } else {
+      parentPort.postMessage({ type: "error", message: error.message });
+    }
+  }
+);
@@ -0,0 +1,68 @@
+// Per-file ingest records (data/provenance/<file>.json): which node/index each run of a file wrote to,
+// so everything ingested from a file can be found and removed again
+const fs = require("fs").promises;
+const path = require("path");
+
+const PROVENANCE_DIR = path.join(__dirname, "../../data/provenance");
+
+function recordPath(filename) {
+  return path.join(PROVENANCE_DIR, `${path.basename(filename)}.json`);
+}
+
+async function getProvenance(filename) {
+  try {
+    return JSON.parse(await fs.readFile(recordPath(filename), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+}
+
+// Add an ingest run ({ taskId, targetNode, targetIndex, sourceHash, ingestedAt }) to a file's record.
+// A resumed run has the same task, node and index and is not recorded twice.
+async function recordIngest(filename, ingest) {
+  const record = (await getProvenance(filename)) || { filename, ingests: [] };
+  const known = record.ingests.some(
+    (entry) =>
+      entry.taskId === ingest.taskId &&
+      entry.targetNode === ingest.targetNode &&
+      entry.targetIndex === ingest.targetIndex &&
+      entry.sourceHash === ingest.sourceHash
+  );
+  if (known) return record;
+  record.ingests.push(ingest);
+  record.updatedAt = new Date().toISOString();
+  await fs.mkdir(PROVENANCE_DIR, { recursive: true });
+  const tmpPath = `${recordPath(filename)}.tmp`;
+  await fs.writeFile(tmpPath, JSON.stringify(record, null, 2));
+  await fs.rename(tmpPath, recordPath(filename));
+  return record;
+}
+
+async function deleteProvenance(filename) {
+  try {
+    await fs.unlink(recordPath(filename));
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+  }
+}
+
+// Distinct node/index pairs a file was ingested into, with the file hashes written to each
+function ingestTargets(record) {
+  const targets = new Map();
+  for (const { targetNode, targetIndex, sourceHash } of record.ingests) {
+    const key = `${targetNode || ""}\u0000${targetIndex}`;
+    if (!targets.has(key)) targets.set(key, { targetNode, targetIndex, sourceHashes: [] });
+    const target = targets.get(key);
+    if (!target.sourceHashes.includes(sourceHash)) target.sourceHashes.push(sourceHash);
+  }
+  return [...targets.values()];
+}
+
+module.exports = {
+  PROVENANCE_DIR,
+  getProvenance,
+  recordIngest,
+  deleteProvenance,
+  ingestTargets,
+};
@@ -0,0 +1,36 @@
+// Per-task quarantine files for lines rejected by the ingest rules
+const fs = require("fs").promises;
+const path = require("path");
+
+const QUARANTINE_DIR = path.join(__dirname, "../../data/quarantine");
+
+function quarantinePath(taskId) {
+  return path.join(QUARANTINE_DIR, `${path.basename(String(taskId))}.jsonl`);
+}
+
+// Append rejected lines as JSON records ({ file, line, reason, quarantinedAt }), one per line
+async function appendQuarantined(taskId, filename, rejected) {
+  if (rejected.length === 0) return;
+  await fs.mkdir(QUARANTINE_DIR, { recursive: true });
+  const quarantinedAt = new Date().toISOString();
+  const records = rejected
+    .map(({ line, reason }) => JSON.stringify({ file: filename, line, reason, quarantinedAt }))
+    .join("\n");
+  await fs.appendFile(quarantinePath(taskId), records + "\n");
+}
+
+async function hasQuarantined(taskId) {
+  try {
+    await fs.access(quarantinePath(taskId));
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+module.exports = {
+  QUARANTINE_DIR,
+  quarantinePath,
+  appendQuarantined,
+  hasQuarantined,
+};
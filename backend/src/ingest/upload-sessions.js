@@ -0,0 +1,134 @@
+// Chunked upload sessions: metadata and received bytes live in data/uploads until finalized into data/pending
+const fs = require("fs").promises;
+const { createReadStream } = require("fs");
+const path = require("path");
+const { createHash, randomUUID } = require("crypto");
+
+const UPLOADS_DIR = path.join(__dirname, "../../data/uploads");
+
+// Running SHA-256 per upload, valid while every chunk since offset 0 went through this process
+const hashers = new Map();
+
+function metaPath(uploadId) {
+  return path.join(UPLOADS_DIR, `${path.basename(uploadId)}.json`);
+}
+
+function partPath(uploadId) {
+  return path.join(UPLOADS_DIR, `${path.basename(uploadId)}.part`);
+}
+
+async function receivedBytes(uploadId) {
+  try {
+    return (await fs.stat(partPath(uploadId))).size;
+  } catch (error) {
+    if (error.code === "ENOENT") return 0;
+    throw error;
+  }
+}
+
+// Session metadata plus the current received offset, or null if unknown
+async function getSession(uploadId) {
+  let session;
+  try {
+    session = JSON.parse(await fs.readFile(metaPath(uploadId), "utf8"));
+  } catch (error) {
+    if (error.code === "ENOENT") return null;
+    throw error;
+  }
+  return { ...session, offset: await receivedBytes(uploadId) };
+}
+
+async function listSessions() {
+  let entries;
+  try {
+    entries = await fs.readdir(UPLOADS_DIR);
+  } catch (error) {
+    if (error.code === "ENOENT") return [];
+    throw error;
+  }
+  const sessions = [];
+  for (const entry of entries.filter((name) => name.endsWith(".json"))) {
+    const session = await getSession(path.basename(entry, ".json"));
+    if (session) sessions.push(session);
+  }
+  return sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+}
+
+// Start a session, or return the unfinished one for the same file so a client can resume after a reload.
+// Only a session started with the same whole-file checksum is the same file; name and size are not enough.
+async function createSession({ filename, originalName, size, sha256 }) {
+  const existing = sha256
+    ? (await listSessions()).find(
+        (session) => session.originalName === originalName && session.size === size && session.sha256 === sha256
+      )
+    : null;
+  if (existing) {
+    return { ...existing, resumed: true };
+  }
+  await fs.mkdir(UPLOADS_DIR, { recursive: true });
+  const now = Date.now();
+  const session = { uploadId: randomUUID(), filename, originalName, size, sha256: sha256 || null, createdAt: now, updatedAt: now };
+  await fs.writeFile(metaPath(session.uploadId), JSON.stringify(session, null, 2));
+  await fs.writeFile(partPath(session.uploadId), "");
+  hashers.set(session.uploadId, { hash: createHash("sha256"), offset: 0 });
+  return { ...session, offset: 0, resumed: false };
+}
+
+// Append a chunk that starts exactly at the received offset
+async function appendChunk(session, offset, chunk) {
+  await fs.appendFile(partPath(session.uploadId), chunk);
+  const hasher = hashers.get(session.uploadId);
+  if (hasher && hasher.offset === offset) {
+    hasher.hash.update(chunk);
+    hasher.offset += chunk.length;
+  } else {
+    hashers.delete(session.uploadId); // Lost track (restart or gap); finalize re-hashes the file
+  }
+  const updated = { ...session, updatedAt: Date.now() };
+  delete updated.offset;
+  await fs.writeFile(metaPath(session.uploadId), JSON.stringify(updated, null, 2));
+  return offset + chunk.length;
+}
+
+// SHA-256 of everything received, from the running hash when possible
+async function digestSession(session) {
+  const hasher = hashers.get(session.uploadId);
+  if (hasher && hasher.offset === session.size) {
+    hashers.delete(session.uploadId);
+    return hasher.hash.digest("hex");
+  }
+  const hash = createHash("sha256");
+  for await (const chunk of createReadStream(partPath(session.uploadId))) {
+    hash.update(chunk);
+  }
+  return hash.digest("hex");
+}
+
+// Move the received file to its destination and drop the session
+async function commitSession(session, destination) {
+  await fs.mkdir(path.dirname(destination), { recursive: true });
+  await fs.rename(partPath(session.uploadId), destination);
+  await fs.unlink(metaPath(session.uploadId));
+}
+
+async function deleteSession(uploadId) {
+  hashers.delete(uploadId);
+  for (const file of [partPath(uploadId), metaPath(uploadId)]) {
+    try {
+      await fs.unlink(file);
+    } catch (error) {
+      if (error.code !== "ENOENT") throw error;
+    }
+  }
+}
+
+module.exports = {
+  UPLOADS_DIR,
+  getSession,
+  listSessions,
+  createSession,
+  appendChunk,
+  digestSession,
+  commitSession,
+  deleteSession,
+};
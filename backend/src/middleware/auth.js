@@ -1,4 +1,5 @@
 // Authentication middleware
+const crypto = require("crypto");
 const jwt = require("jsonwebtoken");
 
 const SECRET_KEY = process.env.SECRET_KEY || "your-secret-key";
@@ -26,6 +27,12 @@ function verifyJwt(req, res, next) {
   }
 }
 
+// Server-side key for signing or hashing data (cursors, analytics), derived from the JWT secret;
+// each `purpose` gets a key of its own
+function deriveServerKey(purpose) {
+  return crypto.createHmac("sha256", SECRET_KEY).update(purpose).digest();
+}
+
 // Login function
 function login(username, password) {
   if (username === ADMIN_USER && password === ADMIN_PASS) {
@@ -41,5 +48,6 @@ function login(username, password) {
 
 module.exports = {
   verifyJwt,
-  login
+  login,
+  deriveServerKey
 };
@@ -0,0 +1,289 @@
+// Rate limits and quotas for the public search endpoints (config "rateLimits", edited in Configuration).
+//
+// Each client is an API key (X-API-Key header, one of the configured keys) or else its IP address, and has
+// a token bucket (ratePerMinute tokens refilled continuously, up to burst) and a daily request quota that
+// resets at midnight UTC. Searches also share a cap on how many run at once. Keys get their own limits,
+// by default the key* settings, overridable per key. A limit of 0 is no limit.
+// Rejections are 429 with a Retry-After header (seconds); an unknown API key is 401.
+// Behind a reverse proxy every request comes from the proxy's address, so "trustProxy" names the proxies
+// whose X-Forwarded-For header gives the client address (Express's "trust proxy" setting).
+const net = require("net");
+const { createHash, timingSafeEqual } = require("crypto");
+const { getConfig } = require("../config");
+
+const DEFAULT_RATE_LIMITS = {
+  enabled: true,
+  ipRatePerMinute: 30,
+  ipBurst: 10,
+  ipDailyQuota: 1000,
+  keyRatePerMinute: 120,
+  keyBurst: 30,
+  keyDailyQuota: 20000,
+  maxConcurrentSearches: 8,
+  maxResultsPerSearch: 1000, // Cap on `max` for public searches
+  apiKeys: [], // [{ name, key, ratePerMinute?, burst?, dailyQuota? }]
+  trustProxy: "", // "" (none), a hop count such as "1", or addresses/subnets such as "loopback, 10.0.0.0/8"
+};
+
+const INTEGER_SETTINGS = [
+  "ipRatePerMinute",
+  "ipBurst",
+  "ipDailyQuota",
+  "keyRatePerMinute",
+  "keyBurst",
+  "keyDailyQuota",
+  "maxConcurrentSearches",
+  "maxResultsPerSearch",
+];
+const KEY_LIMITS = ["ratePerMinute", "burst", "dailyQuota"];
+const PRUNE_INTERVAL_MS = 10 * 60 * 1000;
+const PROXY_NAMES = ["loopback", "linklocal", "uniquelocal"];
+
+// An address, a subnet (address/prefix) or one of Express's named ranges
+function isProxyAddress(entry) {
+  if (PROXY_NAMES.includes(entry)) return true;
+  const [address, prefix, extra] = entry.split("/");
+  const family = net.isIP(address);
+  if (!family || extra !== undefined) return false;
+  if (prefix === undefined) return true;
+  return /^\d+$/.test(prefix) && Number(prefix) <= (family === 4 ? 32 : 128);
+}
+
+// The "trust proxy" value for the trustProxy setting: false, a hop count, or a list of addresses
+function trustProxyValue(trustProxy) {
+  if (!trustProxy) return false;
+  if (/^\d+$/.test(trustProxy)) return Number(trustProxy);
+  return trustProxy.split(",").map((entry) => entry.trim());
+}
+
+// Apply the trustProxy setting to the Express app; req.ip follows it from the next request
+function applyTrustProxy(app, settings = getRateLimitSettings()) {
+  app.set("trust proxy", trustProxyValue(settings.trustProxy));
+}
+
+function normalizeRateLimitSettings(input = {}) {
+  if (typeof input !== "object" || input === null || Array.isArray(input)) {
+    throw new Error("Rate limit settings must be an object.");
+  }
+  const settings = { ...DEFAULT_RATE_LIMITS, ...input };
+  if (typeof settings.enabled !== "boolean") throw new Error("enabled must be a boolean.");
+  for (const key of INTEGER_SETTINGS) {
+    if (!Number.isInteger(settings[key]) || settings[key] < 0) {
+      throw new Error(`${key} must be a non-negative integer.`);
+    }
+  }
+  if (settings.maxResultsPerSearch > 10000) {
+    throw new Error("maxResultsPerSearch cannot be more than 10000.");
+  }
+  if (typeof settings.trustProxy !== "string") throw new Error("trustProxy must be a string.");
+  settings.trustProxy = settings.trustProxy.trim();
+  if (settings.trustProxy && !/^\d+$/.test(settings.trustProxy)) {
+    const invalid = trustProxyValue(settings.trustProxy).filter((entry) => !isProxyAddress(entry));
+    if (invalid.length > 0) {
+      throw new Error(
+        `trustProxy must be a hop count or addresses/subnets (${PROXY_NAMES.join(", ")} allowed); not valid: ${invalid.map((entry) => `"${entry}"`).join(", ")}.`
+      );
+    }
+  }
+  if (!Array.isArray(settings.apiKeys)) throw new Error("apiKeys must be an array.");
+  const seen = new Set();
+  const apiKeys = settings.apiKeys.map((entry, i) => {
+    if (!entry || typeof entry !== "object") throw new Error(`API key ${i + 1} must be an object.`);
+    const name = typeof entry.name === "string" ? entry.name.trim() : "";
+    const key = typeof entry.key === "string" ? entry.key.trim() : "";
+    if (!name) throw new Error(`API key ${i + 1} needs a name.`);
+    if (key.length < 16) throw new Error(`API key "${name}" must be at least 16 characters.`);
+    if (seen.has(key)) throw new Error(`API key "${name}" is used twice.`);
+    seen.add(key);
+    const normalized = { name, key };
+    for (const limit of KEY_LIMITS) {
+      if (entry[limit] === undefined || entry[limit] === null || entry[limit] === "") continue;
+      if (!Number.isInteger(entry[limit]) || entry[limit] < 0) {
+        throw new Error(`${limit} of API key "${name}" must be a non-negative integer.`);
+      }
+      normalized[limit] = entry[limit];
+    }
+    return normalized;
+  });
+  return {
+    ...Object.fromEntries(Object.keys(DEFAULT_RATE_LIMITS).map((key) => [key, settings[key]])),
+    apiKeys,
+  };
+}
+
+function getRateLimitSettings() {
+  return { ...DEFAULT_RATE_LIMITS, ...(getConfig("rateLimits") || {}) };
+}
+
+// Live state, in memory: it starts over when the server restarts
+const buckets = new Map(); // client id -> { tokens, updatedAt, capacity, ratePerMinute }
+let day = currentDay();
+let usage = new Map(); // client id -> { label, type, requests } for today
+let totals = { allowed: 0, rejected: { rate: 0, quota: 0, concurrency: 0, apiKey: 0 } };
+let inFlight = 0;
+
+function currentDay() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+function secondsUntilMidnightUtc() {
+  const now = new Date();
+  const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+  return Math.max(1, Math.ceil((midnight - now.getTime()) / 1000));
+}
+
+// Today's counters start over on the first request of a new day
+function rollDay() {
+  const today = currentDay();
+  if (today === day) return;
+  day = today;
+  usage = new Map();
+  totals = { allowed: 0, rejected: { rate: 0, quota: 0, concurrency: 0, apiKey: 0 } };
+}
+
+// Constant-time comparison of an API key with a configured one (fixed-length digests of both)
+function sameKey(given, configured) {
+  const digest = (value) => createHash("sha256").update(value).digest();
+  return timingSafeEqual(digest(given), digest(configured));
+}
+
+// The client a request counts against, with its limits; null for an unknown API key
+function identifyClient(req, settings) {
+  const apiKey = req.get("x-api-key");
+  if (apiKey) {
+    const entry = settings.apiKeys.find((candidate) => sameKey(apiKey, candidate.key));
+    if (!entry) return null;
+    return {
+      id: `key:${entry.key}`,
+      label: entry.name,
+      type: "key",
+      ratePerMinute: entry.ratePerMinute ?? settings.keyRatePerMinute,
+      burst: entry.burst ?? settings.keyBurst,
+      dailyQuota: entry.dailyQuota ?? settings.keyDailyQuota,
+    };
+  }
+  return {
+    id: `ip:${req.ip}`,
+    label: req.ip,
+    type: "ip",
+    ratePerMinute: settings.ipRatePerMinute,
+    burst: settings.ipBurst,
+    dailyQuota: settings.ipDailyQuota,
+  };
+}
+
+// The client's bucket refilled up to now
+function refillBucket(client, now) {
+  const capacity = Math.max(1, client.burst);
+  const bucket = buckets.get(client.id) || { tokens: capacity, updatedAt: now };
+  bucket.tokens = Math.min(capacity, bucket.tokens + ((now - bucket.updatedAt) / 60000) * client.ratePerMinute);
+  bucket.updatedAt = now;
+  bucket.capacity = capacity;
+  bucket.ratePerMinute = client.ratePerMinute;
+  return bucket;
+}
+
+function reject(res, reason, retryAfter, message) {
+  totals.rejected[reason]++;
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ error: message, limit: reason, retryAfter });
+}
+
+// Middleware for a public endpoint. Options:
+//   quota:       count requests against the daily quota
+//   concurrency: count the request against the cap on concurrent searches until its response is done
+//   skip(req):   requests that are not limited at all (admins)
+function publicRateLimit({ quota = true, concurrency = false, skip = () => false } = {}) {
+  return (req, res, next) => {
+    const settings = getRateLimitSettings();
+    if (!settings.enabled || skip(req)) return next();
+    rollDay();
+
+    const client = identifyClient(req, settings);
+    if (!client) {
+      totals.rejected.apiKey++;
+      return res.status(401).json({ error: "Unknown API key" });
+    }
+
+    const now = Date.now();
+    const bucket = client.ratePerMinute > 0 ? refillBucket(client, now) : null;
+    if (bucket && bucket.tokens < 1) {
+      buckets.set(client.id, bucket);
+      const retryAfter = Math.max(1, Math.ceil(((1 - bucket.tokens) / client.ratePerMinute) * 60));
+      return reject(res, "rate", retryAfter, `Too many requests. Try again in ${retryAfter} seconds.`);
+    }
+    const clientUsage = usage.get(client.id) || { label: client.label, type: client.type, requests: 0 };
+    if (quota && client.dailyQuota > 0 && clientUsage.requests >= client.dailyQuota) {
+      return reject(res, "quota", secondsUntilMidnightUtc(), "Daily search quota reached. It resets at midnight UTC.");
+    }
+    if (concurrency && settings.maxConcurrentSearches > 0 && inFlight >= settings.maxConcurrentSearches) {
+      return reject(res, "concurrency", 1, "The server is busy with other searches. Try again in a moment.");
+    }
+
+    if (bucket) {
+      bucket.tokens -= 1;
+      buckets.set(client.id, bucket);
+    }
+    if (quota) {
+      clientUsage.requests++;
+      usage.set(client.id, clientUsage);
+    }
+    totals.allowed++;
+    if (concurrency) {
+      inFlight++;
+      let released = false;
+      const release = () => {
+        if (released) return;
+        released = true;
+        inFlight--;
+      };
+      res.once("finish", release);
+      res.once("close", release);
+    }
+    next();
+  };
+}
+
+// Live counters for the Configuration tab
+function getRateLimitStats() {
+  rollDay();
+  const settings = getRateLimitSettings();
+  const clients = [...usage.entries()]
+    .map(([id, entry]) => {
+      const bucket = buckets.get(id);
+      return { ...entry, tokens: bucket ? Math.floor(bucket.tokens) : null, lastSeen: bucket ? new Date(bucket.updatedAt).toISOString() : null };
+    })
+    .sort((a, b) => b.requests - a.requests);
+  return {
+    day,
+    inFlight,
+    maxConcurrentSearches: settings.maxConcurrentSearches,
+    allowed: totals.allowed,
+    rejected: totals.rejected,
+    trackedClients: buckets.size,
+    topClients: clients.slice(0, 20),
+    apiKeys: settings.apiKeys.map(({ name, key }) => ({
+      name,
+      requests: usage.has(`key:${key}`) ? usage.get(`key:${key}`).requests : 0,
+    })),
+  };
+}
+
+// Forget buckets that have refilled completely, so idle clients do not pile up
+const pruneTimer = setInterval(() => {
+  const now = Date.now();
+  for (const [id, bucket] of buckets) {
+    const refillMs = ((bucket.capacity - bucket.tokens) / bucket.ratePerMinute) * 60000;
+    if (now - bucket.updatedAt >= refillMs) buckets.delete(id);
+  }
+}, PRUNE_INTERVAL_MS);
+pruneTimer.unref();
+
+module.exports = {
+  DEFAULT_RATE_LIMITS,
+  normalizeRateLimitSettings,
+  getRateLimitSettings,
+  applyTrustProxy,
+  publicRateLimit,
+  getRateLimitStats,
+};
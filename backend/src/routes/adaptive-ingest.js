@@ -0,0 +1,34 @@
+// Adaptive bulk indexing bounds: view and edit them
+const express = require("express");
+const { verifyJwt } = require("../middleware/auth");
+const { getConfig, setConfig } = require("../config");
+const { DEFAULT_ADAPTIVE_INGEST, normalizeAdaptiveIngestSettings } = require("../ingest/adaptive-ingest");
+
+const router = express.Router();
+
+// GET the configured settings and the defaults
+router.get("/", verifyJwt, (req, res) => {
+  res.json({
+    settings: { ...DEFAULT_ADAPTIVE_INGEST, ...(getConfig("adaptiveIngest") || {}) },
+    defaults: DEFAULT_ADAPTIVE_INGEST,
+  });
+});
+
+// PUT replace the settings; applies to parses started afterwards
+router.put("/", verifyJwt, async (req, res) => {
+  let settings;
+  try {
+    settings = normalizeAdaptiveIngestSettings(req.body);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  try {
+    await setConfig("adaptiveIngest", settings);
+    res.json({ message: "Adaptive ingest settings saved", settings });
+  } catch (error) {
+    console.error("Error saving adaptive ingest settings:", error);
+    res.status(500).json({ error: "Failed to save adaptive ingest settings" });
+  }
+});
+
+module.exports = router;
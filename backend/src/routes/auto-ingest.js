@@ -0,0 +1,51 @@
+// Drop-folder auto-ingest settings and watcher status
+const express = require("express");
+const fs = require("fs").promises;
+const path = require("path");
+const { verifyJwt } = require("../middleware/auth");
+const { setConfig } = require("../config");
+const { normalizeAutoIngestSettings, reloadAutoIngest, getAutoIngestStatus } = require("../ingest/auto-ingest");
+
+const router = express.Router();
+
+const DATA_DIR = path.join(__dirname, "../../data");
+
+// GET settings, watched directories and the files currently being tracked
+router.get("/", verifyJwt, (req, res) => {
+  res.json(getAutoIngestStatus());
+});
+
+// PUT replace the settings and restart the watcher with them
+router.put("/", verifyJwt, async (req, res) => {
+  let settings;
+  try {
+    settings = normalizeAutoIngestSettings(req.body);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  if (settings.watchDir) {
+    const watchDir = path.resolve(settings.watchDir);
+    if (watchDir === DATA_DIR || watchDir.startsWith(DATA_DIR + path.sep)) {
+      return res.status(400).json({ error: "watchDir must be outside the data directory; use watchPending for data/pending." });
+    }
+    try {
+      const stat = await fs.stat(watchDir);
+      if (!stat.isDirectory()) {
+        return res.status(400).json({ error: `${watchDir} is not a directory.` });
+      }
+    } catch (error) {
+      return res.status(400).json({ error: `Watch directory ${watchDir} does not exist.` });
+    }
+    settings.watchDir = watchDir;
+  }
+  try {
+    await setConfig("autoIngest", settings);
+    reloadAutoIngest();
+    res.json({ message: "Auto-ingest settings saved", ...getAutoIngestStatus() });
+  } catch (error) {
+    console.error("Error saving auto-ingest settings:", error);
+    res.status(500).json({ error: "Failed to save auto-ingest settings" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,57 @@
+// File catalog: every ingest file with its checksum, line count, upload details and parse history
+const express = require("express");
+const { verifyJwt } = require("../middleware/auth");
+const { INVALID_CATALOG_QUERY, listCatalog, getCatalogEntry } = require("../ingest/file-catalog");
+const { isSafeFilename } = require("../ingest/file-source");
+
+const router = express.Router();
+
+router.param("filename", (req, res, next, filename) => {
+  if (!isSafeFilename(filename)) {
+    return res.status(400).json({ error: "Invalid filename." });
+  }
+  next();
+});
+
+// GET a page of the catalog: ?page=&pageSize=&sort=&order=asc|desc&location=&search=
+router.get("/", verifyJwt, async (req, res) => {
+  const page = req.query.page === undefined ? 1 : Number(req.query.page);
+  const pageSize = req.query.pageSize === undefined ? 25 : Number(req.query.pageSize);
+  if (!Number.isInteger(page) || page < 1 || !Number.isInteger(pageSize) || pageSize < 1) {
+    return res.status(400).json({ error: "page and pageSize must be positive integers." });
+  }
+  let result;
+  try {
+    result = await listCatalog({
+      page,
+      pageSize,
+      sort: req.query.sort || undefined,
+      order: req.query.order || undefined,
+      location: req.query.location || undefined,
+      search: typeof req.query.search === "string" ? req.query.search : undefined,
+    });
+  } catch (error) {
+    if (error.code === INVALID_CATALOG_QUERY) {
+      return res.status(400).json({ error: error.message });
+    }
+    console.error("Error reading the file catalog:", error);
+    return res.status(500).json({ error: "Failed to read the file catalog" });
+  }
+  res.json(result);
+});
+
+// GET one file's catalog entry, parse history included
+router.get("/:filename", verifyJwt, async (req, res) => {
+  try {
+    const entry = await getCatalogEntry(req.params.filename);
+    if (!entry) {
+      return res.status(404).json({ error: `${req.params.filename} is not in the file catalog.` });
+    }
+    res.json(entry);
+  } catch (error) {
+    console.error("Error reading the file catalog:", error);
+    res.status(500).json({ error: "Failed to read the file catalog" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,72 @@
+// Ingest normalization/quarantine rules: view, edit and try them on sample lines
+const express = require("express");
+const { verifyJwt } = require("../middleware/auth");
+const { getConfig, setConfig } = require("../config");
+const lineFormats = require("../ingest/line-formats");
+const { DEFAULT_INGEST_RULES, normalizeIngestRules, createRuleApplier } = require("../ingest/ingest-rules");
+
+const router = express.Router();
+
+const MAX_TEST_LINES = 500;
+
+// GET the configured rule set and the defaults
+router.get("/", verifyJwt, (req, res) => {
+  res.json({
+    rules: { ...DEFAULT_INGEST_RULES, ...(getConfig("ingestRules") || {}) },
+    defaults: DEFAULT_INGEST_RULES,
+  });
+});
+
+// PUT replace the rule set; applies to parses started afterwards (resumed parses keep their rules)
+router.put("/", verifyJwt, async (req, res) => {
+  let rules;
+  try {
+    rules = normalizeIngestRules(req.body);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  try {
+    await setConfig("ingestRules", rules);
+    res.json({ message: "Ingest rules saved", rules });
+  } catch (error) {
+    console.error("Error saving ingest rules:", error);
+    res.status(500).json({ error: "Failed to save ingest rules" });
+  }
+});
+
+// POST run sample lines through the parser and a rule set (the request's, or the configured one)
+// Body: { lines: string[], rules?, formatOptions? } -> { formatOptions, results: [{ line, status, reason?, parsed, fields }] }
+router.post("/test", verifyJwt, (req, res) => {
+  const { lines } = req.body || {};
+  if (!Array.isArray(lines) || lines.some((line) => typeof line !== "string")) {
+    return res.status(400).json({ error: "lines must be an array of strings." });
+  }
+  if (lines.length > MAX_TEST_LINES) {
+    return res.status(400).json({ error: `At most ${MAX_TEST_LINES} lines can be tested at once.` });
+  }
+  let rules;
+  let requestedFormatOptions;
+  try {
+    rules = req.body.rules === undefined
+      ? { ...DEFAULT_INGEST_RULES, ...(getConfig("ingestRules") || {}) }
+      : normalizeIngestRules(req.body.rules);
+    requestedFormatOptions = lineFormats.normalizeFormatOptions(req.body.formatOptions);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  const { options } = lineFormats.resolveFormatOptions(requestedFormatOptions, lines);
+  const formatOptions = { ...requestedFormatOptions, ...options };
+  const parseLine = lineFormats.createLineParser(formatOptions);
+  const applyRules = createRuleApplier(rules);
+  const results = lines.map((line) => {
+    const { status, fields } = lineFormats.inspectLine(parseLine, line);
+    if (!fields) return { line, status, parsed: null, fields: null };
+    const ruled = applyRules(fields);
+    return ruled.rejected
+      ? { line, status: "quarantined", reason: ruled.rejected, parsed: fields, fields: null }
+      : { line, status: ruled.changed ? "normalized" : status, parsed: fields, fields: ruled.fields };
+  });
+  res.json({ formatOptions, results });
+});
+
+module.exports = router;
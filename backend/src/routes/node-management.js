@@ -5,7 +5,9 @@ const { getConfig, setConfig } = require("../config");
 const net = require("net");
 const { refreshClusterCache } = require("../cache/indices-cache");
 const clusterManager = require("../elasticsearch/cluster-manager");
-const { createIndexMapping } = require("../elasticsearch/client");
+const { createIndexMapping, STRUCTURED_PROPERTIES } = require("../elasticsearch/client");
+const { upgradeIndexMapping } = require("../elasticsearch/index-upgrade");
+const { invalidateSearchCache } = require("../search/result-cache");
 
 
 
@@ -60,6 +62,18 @@ router.get("/:nodeName/indices", verifyJwt, async (req, res) => {
     }
     // Only include indices that have a shard on this node
     const filteredIndices = indicesResponse.filter((index) => indicesWithShards.has(index.index));
+    // Mappings tell us which indices still use the legacy raw_line-only layout
+    let mappingsByIndex = {};
+    if (filteredIndices.length > 0) {
+      try {
+        const mappingResponse = await nodeClient.indices.getMapping({
+          index: filteredIndices.map((index) => index.index).join(","),
+        });
+        mappingsByIndex = mappingResponse.body || mappingResponse;
+      } catch (e) {
+        mappingsByIndex = {};
+      }
+    }
     // For each index, get true doc count and parse store.size as bytes
     const indicesWithStats = await Promise.all(filteredIndices.map(async (index) => {
       // Get true doc count
@@ -97,6 +111,9 @@ router.get("/:nodeName/indices", verifyJwt, async (req, res) => {
         status: index.status,
         uuid: index.uuid,
         creation,
+        structured: Object.keys(STRUCTURED_PROPERTIES).every(
+          (field) => field in (mappingsByIndex[index.index]?.mappings?.properties || {})
+        ),
       };
     }));
 
@@ -228,6 +245,7 @@ router.delete("/:nodeName/indices/:indexName", verifyJwt, async (req, res) => {
     await nodeClient.indices.delete({
       index: indexName,
     });
+    invalidateSearchCache(indexName);
 
     // Small delay to ensure Elasticsearch propagates the deletion
     await new Promise((resolve) => setTimeout(resolve, 100));
@@ -265,6 +283,71 @@ router.delete("/:nodeName/indices/:indexName", verifyJwt, async (req, res) => {
   }
 });
 
+// Upgrade a legacy raw_line-only index to the structured mapping and backfill existing documents
+router.post("/:nodeName/indices/:indexName/upgrade-mapping", verifyJwt, async (req, res) => {
+  const { nodeName, indexName } = req.params;
+
+  let nodeClient;
+  try {
+    const nodeConfig = await clusterManager.getNodeConfig(nodeName);
+    if (!nodeConfig) {
+      return res.status(404).json({ error: `Node '${nodeName}' not found.` });
+    }
+    const nodeUrl = `http://${nodeConfig.network.host}:${nodeConfig.http.port}`;
+    const { getSingleNodeClient } = require("../elasticsearch/client");
+    nodeClient = getSingleNodeClient(nodeUrl);
+    const exists = await nodeClient.indices.exists({ index: indexName });
+    if (!exists) {
+      return res.status(404).json({ error: `Index '${indexName}' not found on node '${nodeName}'.` });
+    }
+  } catch (error) {
+    console.error(`Error preparing mapping upgrade for ${indexName} on ${nodeName}:`, error);
+    return res.status(500).json({ error: "Failed to start mapping upgrade.", details: error.message });
+  }
+
+  const { createTask, updateTask } = require("../utils/task-utils");
+  const taskId = createTask("Upgrade Index Mapping", "initializing", indexName, nodeName);
+  res.json({ taskId });
+
+  (async () => {
+    try {
+      const result = await upgradeIndexMapping({
+        client: nodeClient,
+        index: indexName,
+        batchSize: getConfig("batchSize") || 1000,
+        onProgress: ({ processed, updated, failed, total }) => {
+          updateTask(taskId, {
+            status: "upgrading",
+            progress: processed,
+            total,
+            message: `Backfilling structured fields: ${updated} updated, ${failed} failed, ${processed}/${total} documents.`,
+          });
+        },
+      });
+      invalidateSearchCache(indexName);
+      try {
+        await refreshClusterCache();
+      } catch (cacheError) {
+        console.warn(`⚠️ Failed to refresh indices cache after mapping upgrade:`, cacheError.message);
+      }
+      updateTask(taskId, {
+        status: "completed",
+        progress: result.total,
+        total: result.total,
+        completed: true,
+        message: `Index '${indexName}' upgraded: ${result.updated} documents backfilled, ${result.failed} failed.`,
+      });
+    } catch (error) {
+      console.error(`Mapping upgrade task ${taskId} failed:`, error);
+      updateTask(taskId, {
+        status: "error",
+        error: error.message,
+        completed: true,
+      });
+    }
+  })();
+});
+
 // GET individual node details
 router.get("/nodes/:nodeName", verifyJwt, async (req, res) => {
   try {
@@ -0,0 +1,47 @@
+// Public search rate limits and quotas: view and edit them, and watch the live counters
+const express = require("express");
+const { verifyJwt } = require("../middleware/auth");
+const { setConfig } = require("../config");
+const {
+  DEFAULT_RATE_LIMITS,
+  normalizeRateLimitSettings,
+  getRateLimitSettings,
+  applyTrustProxy,
+  getRateLimitStats,
+} = require("../middleware/rate-limit");
+
+const router = express.Router();
+
+// GET the configured settings, the defaults and the live counters
+router.get("/", verifyJwt, (req, res) => {
+  res.json({
+    settings: getRateLimitSettings(),
+    defaults: DEFAULT_RATE_LIMITS,
+    stats: getRateLimitStats(),
+  });
+});
+
+// GET only the live counters (polled by the Configuration tab)
+router.get("/stats", verifyJwt, (req, res) => {
+  res.json(getRateLimitStats());
+});
+
+// PUT replace the settings; applies to the next request (trustProxy included)
+router.put("/", verifyJwt, async (req, res) => {
+  let settings;
+  try {
+    settings = normalizeRateLimitSettings(req.body);
+  } catch (validationError) {
+    return res.status(400).json({ error: validationError.message });
+  }
+  try {
+    await setConfig("rateLimits", settings);
+    applyTrustProxy(req.app, settings);
+    res.json({ message: "Rate limit settings saved", settings });
+  } catch (error) {
+    console.error("Error saving rate limit settings:", error);
+    res.status(500).json({ error: "Failed to save rate limit settings" });
+  }
+});
+
+module.exports = router;
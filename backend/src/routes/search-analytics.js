@@ -0,0 +1,19 @@
+// Search analytics for the admin dashboard: latency, errors and hot query shapes over a time window
+const express = require("express");
+const { verifyJwt } = require("../middleware/auth");
+const { WINDOWS, INVALID_ANALYTICS_WINDOW, summarizeSearchAnalytics } = require("../search/search-analytics");
+
+const router = express.Router();
+
+// GET the summary for ?window=1h|24h|7d (default 24h)
+router.get("/", verifyJwt, (req, res) => {
+  try {
+    res.json({ ...summarizeSearchAnalytics(req.query.window || "24h"), windows: Object.keys(WINDOWS) });
+  } catch (error) {
+    if (error.code === INVALID_ANALYTICS_WINDOW) return res.status(400).json({ error: error.message });
+    console.error("Error summarizing search analytics:", error);
+    res.status(500).json({ error: "Failed to summarize search analytics" });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,219 @@
+// Chunked, resumable uploads into data/pending
+//
+// Protocol:
+//   POST   /                      { filename, size, sha256 }    -> session (offset to start from)
+//   GET    /:uploadId                                           -> session with the received offset
+//   PUT    /:uploadId/chunk?offset=N  raw bytes (x-chunk-sha256 optional) -> { offset }
+//   POST   /:uploadId/complete    { sha256? }                   -> { taskId } (verify + move to pending)
+// sha256 is the whole file's: it picks the unfinished session to resume and is checked on complete.
+//   DELETE /:uploadId                                           -> abort
+const express = require("express");
+const path = require("path");
+const { createHash } = require("crypto");
+const { verifyJwt } = require("../middleware/auth");
+const { createTask, updateTask } = require("../utils/task-utils");
+const { pendingFilename } = require("../ingest/file-source");
+const uploadSessions = require("../ingest/upload-sessions");
+const { reserveFilename, releaseFilename, recordFile } = require("../ingest/file-catalog");
+
+const router = express.Router();
+
+const PENDING_DIR = path.join(__dirname, "../../data/pending");
+const CHUNK_SIZE = 8 * 1024 * 1024; // Suggested to clients
+const MAX_CHUNK_SIZE = 64 * 1024 * 1024;
+const SHA256_PATTERN = /^[a-f0-9]{64}$/;
+
+// Uploads with a chunk being written, so two clients cannot append to the same file at once
+const busyUploads = new Set();
+
+function publicSession(session) {
+  return {
+    uploadId: session.uploadId,
+    filename: session.filename,
+    originalName: session.originalName,
+    size: session.size,
+    offset: session.offset,
+    sha256: session.sha256,
+    resumed: session.resumed,
+    chunkSize: CHUNK_SIZE,
+    updatedAt: session.updatedAt,
+  };
+}
+
+// GET unfinished uploads
+router.get("/", verifyJwt, async (req, res) => {
+  try {
+    const sessions = await uploadSessions.listSessions();
+    res.json({ uploads: sessions.map(publicSession) });
+  } catch (error) {
+    console.error("Error listing uploads:", error);
+    res.status(500).json({ error: "Failed to list uploads" });
+  }
+});
+
+// POST start (or resume) an upload
+router.post("/", verifyJwt, async (req, res) => {
+  const { filename, size, sha256 } = req.body || {};
+  if (!filename || typeof filename !== "string") {
+    return res.status(400).json({ error: "filename is required." });
+  }
+  if (!Number.isSafeInteger(size) || size < 0) {
+    return res.status(400).json({ error: "size must be a non-negative integer." });
+  }
+  if (typeof sha256 !== "string" || !SHA256_PATTERN.test(sha256.toLowerCase())) {
+    return res.status(400).json({ error: "sha256 of the whole file is required, hex-encoded." });
+  }
+  try {
+    const session = await uploadSessions.createSession({
+      filename: pendingFilename(filename),
+      originalName: path.basename(filename),
+      size,
+      sha256: sha256.toLowerCase(),
+    });
+    res.json(publicSession(session));
+  } catch (error) {
+    console.error("Error starting upload:", error);
+    res.status(500).json({ error: "Failed to start upload" });
+  }
+});
+
+// GET the received offset of an upload
+router.get("/:uploadId", verifyJwt, async (req, res) => {
+  const session = await uploadSessions.getSession(req.params.uploadId);
+  if (!session) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+  res.json(publicSession(session));
+});
+
+// PUT one chunk; it must start exactly at the received offset
+router.put(
+  "/:uploadId/chunk",
+  verifyJwt,
+  express.raw({ type: "application/octet-stream", limit: MAX_CHUNK_SIZE }),
+  async (req, res) => {
+    const { uploadId } = req.params;
+    const offset = Number(req.query.offset);
+    if (!Number.isSafeInteger(offset) || offset < 0) {
+      return res.status(400).json({ error: "offset query parameter must be a non-negative integer." });
+    }
+    if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+      return res.status(400).json({ error: "Chunk body must be non-empty application/octet-stream." });
+    }
+    if (busyUploads.has(uploadId)) {
+      return res.status(409).json({ error: "Another chunk of this upload is being written." });
+    }
+    busyUploads.add(uploadId);
+    try {
+      const session = await uploadSessions.getSession(uploadId);
+      if (!session) {
+        return res.status(404).json({ error: "Upload not found" });
+      }
+      if (offset !== session.offset) {
+        return res.status(409).json({ error: `Expected offset ${session.offset}.`, offset: session.offset });
+      }
+      if (offset + req.body.length > session.size) {
+        return res.status(400).json({ error: `Chunk exceeds the declared size of ${session.size} bytes.`, offset: session.offset });
+      }
+      const chunkSha256 = req.get("x-chunk-sha256");
+      if (chunkSha256 && createHash("sha256").update(req.body).digest("hex") !== chunkSha256.toLowerCase()) {
+        return res.status(422).json({ error: "Chunk checksum mismatch; resend the chunk.", offset: session.offset });
+      }
+      const newOffset = await uploadSessions.appendChunk(session, offset, req.body);
+      res.json({ uploadId, offset: newOffset, size: session.size });
+    } catch (error) {
+      console.error(`Error writing chunk for upload ${uploadId}:`, error);
+      res.status(500).json({ error: "Failed to write chunk" });
+    } finally {
+      busyUploads.delete(uploadId);
+    }
+  }
+);
+
+// POST finish an upload: verify size and checksum, then move it to data/pending
+router.post("/:uploadId/complete", verifyJwt, async (req, res) => {
+  const { uploadId } = req.params;
+  const { sha256 } = req.body || {};
+  if (sha256 !== undefined && sha256 !== null && (typeof sha256 !== "string" || !SHA256_PATTERN.test(sha256.toLowerCase()))) {
+    return res.status(400).json({ error: "sha256 must be a hex-encoded SHA-256 digest if provided." });
+  }
+  const session = await uploadSessions.getSession(uploadId);
+  if (!session) {
+    return res.status(404).json({ error: "Upload not found" });
+  }
+  if (session.offset !== session.size) {
+    return res.status(409).json({ error: `Upload incomplete: ${session.offset}/${session.size} bytes received.`, offset: session.offset });
+  }
+  if (busyUploads.has(uploadId)) {
+    return res.status(409).json({ error: "Upload is busy." });
+  }
+  const expected = sha256 ? sha256.toLowerCase() : session.sha256;
+  if (!expected) {
+    return res.status(400).json({ error: "sha256 of the whole file is required to finish this upload." });
+  }
+  if (session.sha256 && expected !== session.sha256) {
+    return res.status(409).json({ error: "sha256 does not match the checksum this upload was started with." });
+  }
+  busyUploads.add(uploadId);
+  const taskId = createTask("Finalize Upload", "verifying", session.filename);
+  res.json({ taskId });
+  (async () => {
+    try {
+      updateTask(taskId, { total: session.size, message: `Verifying checksum of ${session.filename}...` });
+      const actual = await uploadSessions.digestSession(session);
+      if (actual !== expected) {
+        await uploadSessions.deleteSession(uploadId);
+        throw new Error(`Checksum mismatch for ${session.filename}: expected ${expected}, got ${actual}. The upload was discarded.`);
+      }
+      // A name already in use gets the next version instead of overwriting the existing file
+      const { filename, version } = await reserveFilename(session.filename);
+      try {
+        await uploadSessions.commitSession(session, path.join(PENDING_DIR, filename));
+      } catch (commitError) {
+        releaseFilename(filename);
+        throw commitError;
+      }
+      await recordFile(filename, "pending", {
+        originalName: session.originalName,
+        version,
+        uploadedBy: req.user && req.user.username,
+        source: "chunked upload",
+      });
+      const storedAs = filename === session.filename ? "" : `, stored as ${filename}`;
+      updateTask(taskId, {
+        status: "completed",
+        progress: session.size,
+        completed: true,
+        sha256: actual,
+        message: `File ${session.filename} uploaded (${session.size} bytes, sha256 ${actual}, verified${storedAs}).`,
+      });
+      console.log(`Task ${taskId} completed: upload ${uploadId} finalized as ${filename}.`);
+    } catch (error) {
+      console.error(`Finalize upload task ${taskId} failed:`, error);
+      updateTask(taskId, {
+        status: "error",
+        error: error.message,
+        completed: true,
+      });
+    } finally {
+      busyUploads.delete(uploadId);
+    }
+  })();
+});
+
+// DELETE abort an upload and discard the received bytes
+router.delete("/:uploadId", verifyJwt, async (req, res) => {
+  const { uploadId } = req.params;
+  if (busyUploads.has(uploadId)) {
+    return res.status(409).json({ error: "Upload is busy." });
+  }
+  try {
+    await uploadSessions.deleteSession(uploadId);
+    res.json({ message: "Upload aborted" });
+  } catch (error) {
+    console.error(`Error aborting upload ${uploadId}:`, error);
+    res.status(500).json({ error: "Failed to abort upload" });
+  }
+});
+
+module.exports = router;
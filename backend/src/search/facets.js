@@ -0,0 +1,200 @@
+// Facets over indexed records: terms counts, distinct counts and an ingest date histogram, run on every
+// targeted node and merged into one answer, plus the filters that narrow the record listing to a facet value.
+//
+// Merging across nodes is exact for histograms and totals. Terms are exact while each node returned all of
+// its values; otherwise a node's cut-off values may be missing from the merged top list and the facet is
+// flagged approximate. Distinct counts are summed per node, so a value present on several nodes is counted
+// once per node: a single-node count is exact (up to HyperLogLog precision), a multi-node one an upper bound.
+// Bad fields, intervals or filters throw with code INVALID_FACET.
+const FACET_FIELDS = ["domain", "host", "email_domain", "source_file", "ingest_task_id"];
+const DEFAULT_FACET_FIELDS = ["domain", "email_domain", "source_file"];
+const DATE_FIELD = "ingested_at";
+const HISTOGRAM_INTERVALS = { hour: "1h", day: "1d", week: "1w", month: "1M" };
+const DEFAULT_BUCKETS = 10;
+const MAX_BUCKETS = 100;
+const CARDINALITY_PRECISION = 40000; // The most Elasticsearch allows
+const INVALID_FACET = "INVALID_FACET";
+
+function facetError(message) {
+  const error = new Error(message);
+  error.code = INVALID_FACET;
+  return error;
+}
+
+function normalizeFacetFields(fields) {
+  if (fields === undefined || fields === null || fields === "") return DEFAULT_FACET_FIELDS;
+  const names = (Array.isArray(fields) ? fields : String(fields).split(","))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+  const unknown = names.filter((name) => !FACET_FIELDS.includes(name));
+  if (unknown.length > 0) {
+    throw facetError(`Unknown facet field(s): ${unknown.join(", ")}. Use: ${FACET_FIELDS.join(", ")}.`);
+  }
+  return [...new Set(names)];
+}
+
+// Filters are "field:value" (terms facets) or "ingested_at:<from>..<to>" (ISO dates, from inclusive,
+// to exclusive, either side may be empty), given as an array or a single string
+function parseFacetFilters(filters) {
+  if (filters === undefined || filters === null || filters === "") return [];
+  return (Array.isArray(filters) ? filters : [filters]).map((filter) => {
+    const text = String(filter);
+    const separator = text.indexOf(":");
+    const field = separator > 0 ? text.slice(0, separator) : "";
+    const value = separator > 0 ? text.slice(separator + 1) : "";
+    if (field === DATE_FIELD) {
+      const [from, to, extra] = value.split("..");
+      const invalidDate = (date) => date && Number.isNaN(Date.parse(date));
+      if (extra !== undefined || to === undefined || (!from && !to) || invalidDate(from) || invalidDate(to)) {
+        throw facetError(`Filter "${text}" must look like ${DATE_FIELD}:<from>..<to> with ISO dates.`);
+      }
+      return { field, from: from || null, to: to || null };
+    }
+    if (!FACET_FIELDS.includes(field) || !value) {
+      throw facetError(`Filter "${text}" must look like <field>:<value>, with field one of: ${FACET_FIELDS.join(", ")}.`);
+    }
+    return { field, value };
+  });
+}
+
+// `query` narrowed by parsed filters: values of the same field are alternatives, different fields all apply
+function applyFacetFilters(query, filters) {
+  if (filters.length === 0) return query;
+  const valuesByField = new Map();
+  const clauses = [];
+  for (const filter of filters) {
+    if (filter.field === DATE_FIELD) {
+      const range = {};
+      if (filter.from) range.gte = filter.from;
+      if (filter.to) range.lt = filter.to;
+      clauses.push({ range: { [DATE_FIELD]: range } });
+    } else {
+      valuesByField.set(filter.field, [...(valuesByField.get(filter.field) || []), filter.value]);
+    }
+  }
+  for (const [field, values] of valuesByField) {
+    clauses.push({ terms: { [field]: [...new Set(values)] } });
+  }
+  return { bool: { must: [query], filter: clauses } };
+}
+
+// End of the histogram bucket starting at `key` (ms since epoch, UTC)
+function bucketEnd(key, interval) {
+  const start = new Date(key);
+  if (interval === "month") return Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + 1, 1);
+  const lengths = { hour: 3600000, day: 86400000, week: 7 * 86400000 };
+  return key + lengths[interval];
+}
+
+function buildAggregations(fields, buckets, interval) {
+  const aggs = {};
+  for (const field of fields) {
+    // Nodes send extra values so the merged top list is less likely to miss one
+    aggs[`terms_${field}`] = { terms: { field, size: Math.min(buckets * 2 + 10, 500) } };
+    aggs[`distinct_${field}`] = { cardinality: { field, precision_threshold: CARDINALITY_PRECISION } };
+  }
+  aggs.histogram = {
+    date_histogram: { field: DATE_FIELD, calendar_interval: HISTOGRAM_INTERVALS[interval], min_doc_count: 1 },
+  };
+  return aggs;
+}
+
+// Run facet aggregations across nodes.
+//   nodes:   [{ node, client, indices }] currently searchable
+//   query:   the Elasticsearch query the records must match (filters already applied)
+//   fields:  terms facets to compute (normalizeFacetFields)
+//   buckets: values per facet (1-100)
+//   interval: ingest histogram interval, one of hour, day, week, month
+// Resolves with { total, facets: [{ field, buckets: [{ value, count }], other, distinct: { value, exact },
+// approximate }], histogram: { field, interval, buckets: [{ from, to, count }] }, warnings: [{ node, indices, error }] }.
+async function facetSearch({ nodes, query, fields, buckets = DEFAULT_BUCKETS, interval = "day" }) {
+  if (!Number.isInteger(buckets) || buckets < 1 || buckets > MAX_BUCKETS) {
+    throw facetError(`buckets must be between 1 and ${MAX_BUCKETS}.`);
+  }
+  if (!HISTOGRAM_INTERVALS[interval]) {
+    throw facetError(`interval must be one of: ${Object.keys(HISTOGRAM_INTERVALS).join(", ")}.`);
+  }
+  const aggs = buildAggregations(fields, buckets, interval);
+  const warnings = [];
+  const responses = [];
+  await Promise.all(
+    nodes.map(async ({ node, client, indices }) => {
+      try {
+        const response = await client.search({
+          index: indices,
+          size: 0,
+          query,
+          aggs,
+          track_total_hits: true,
+          ignore_unavailable: true,
+        });
+        responses.push(response);
+      } catch (error) {
+        warnings.push({ node, indices, error: error.message });
+      }
+    })
+  );
+
+  const facets = fields.map((field) => {
+    const counts = new Map();
+    let other = 0;
+    let truncated = false;
+    let distinct = 0;
+    for (const response of responses) {
+      const terms = response.aggregations[`terms_${field}`];
+      for (const bucket of terms.buckets) {
+        counts.set(bucket.key, (counts.get(bucket.key) || 0) + bucket.doc_count);
+      }
+      other += terms.sum_other_doc_count;
+      if (terms.sum_other_doc_count > 0) truncated = true;
+      distinct += response.aggregations[`distinct_${field}`].value;
+    }
+    const merged = [...counts.entries()]
+      .map(([value, count]) => ({ value, count }))
+      .sort((a, b) => b.count - a.count || String(a.value).localeCompare(String(b.value)));
+    for (const bucket of merged.slice(buckets)) other += bucket.count;
+    return {
+      field,
+      buckets: merged.slice(0, buckets),
+      other,
+      distinct: { value: distinct, exact: responses.length <= 1 },
+      approximate: truncated && responses.length > 1,
+    };
+  });
+
+  const histogramCounts = new Map();
+  for (const response of responses) {
+    for (const bucket of response.aggregations.histogram.buckets) {
+      histogramCounts.set(bucket.key, (histogramCounts.get(bucket.key) || 0) + bucket.doc_count);
+    }
+  }
+  const histogram = {
+    field: DATE_FIELD,
+    interval,
+    buckets: [...histogramCounts.entries()]
+      .sort((a, b) => a[0] - b[0])
+      .map(([key, count]) => ({
+        from: new Date(key).toISOString(),
+        to: new Date(bucketEnd(key, interval)).toISOString(),
+        count,
+      })),
+  };
+
+  return {
+    total: responses.reduce((sum, response) => sum + (response.hits.total ? response.hits.total.value : 0), 0),
+    facets,
+    histogram,
+    warnings,
+  };
+}
+
+module.exports = {
+  FACET_FIELDS,
+  DEFAULT_FACET_FIELDS,
+  HISTOGRAM_INTERVALS,
+  INVALID_FACET,
+  normalizeFacetFields,
+  parseFacetFilters,
+  applyFacetFilters,
+  facetSearch,
+};
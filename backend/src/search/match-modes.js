@@ -0,0 +1,80 @@
+// Match modes: how a search value is compared with a field.
+//
+//   exact      the whole value, case-insensitive                   alice@example.com
+//   prefix     values starting with it                             alice
+//   suffix     values ending with it                               @example.com
+//   substring  values containing it (the free-text default)        alice
+//   regex      values matching a Lucene regular expression         alice[0-9]+@.*\.com
+//   auto       chosen per value by its shape (resolveMatchMode)
+//
+// * and ? stay wildcards in prefix, suffix and substring values. Regular expressions are bounded: at most
+// MAX_REGEX_LENGTH characters, only the standard operators (no ~ & @ <> extensions, so @ is a plain character)
+// and a small automaton limit, so one search cannot tie up a node. Bad modes and patterns throw with code INVALID_MATCH.
+const MATCH_MODES = ["auto", "exact", "prefix", "suffix", "substring", "regex"];
+const INVALID_MATCH = "INVALID_MATCH";
+const MAX_REGEX_LENGTH = 256;
+const MAX_DETERMINIZED_STATES = 2000;
+
+const EMAIL_PATTERN = /^[^\s@*?]+@[^\s@*?]+\.[^\s@*?]+$/;
+const URL_PATTERN = /^[a-z][a-z0-9+.-]*:\/\/\S+$/i;
+
+function matchError(message) {
+  const error = new Error(message);
+  error.code = INVALID_MATCH;
+  return error;
+}
+
+// The requested mode, lowercased; missing means auto
+function normalizeMatchMode(mode) {
+  if (mode === undefined || mode === null || mode === "") return "auto";
+  const value = String(mode).trim().toLowerCase();
+  if (!MATCH_MODES.includes(value)) {
+    throw matchError(`mode must be one of: ${MATCH_MODES.join(", ")}.`);
+  }
+  return value;
+}
+
+// The mode to use for one value: auto picks exact for an email address, prefix for a URL with a scheme
+// (stored URLs usually carry a path after it) and substring for anything else
+function resolveMatchMode(mode, value) {
+  if (mode !== "auto") return mode;
+  const trimmed = String(value).trim();
+  if (EMAIL_PATTERN.test(trimmed)) return "exact";
+  if (URL_PATTERN.test(trimmed)) return "prefix";
+  return "substring";
+}
+
+// A query clause comparing `field` with `value` in a resolved (non-auto) mode
+function matchQuery(field, value, mode, boost) {
+  const options = boost ? { boost } : {};
+  if (mode === "exact") {
+    return { term: { [field]: { value, case_insensitive: true, ...options } } };
+  }
+  if (mode === "regex") {
+    if (value.length > MAX_REGEX_LENGTH) {
+      throw matchError(`Regular expressions are limited to ${MAX_REGEX_LENGTH} characters.`);
+    }
+    return {
+      regexp: {
+        [field]: {
+          value,
+          flags: "NONE",
+          case_insensitive: true,
+          max_determinized_states: MAX_DETERMINIZED_STATES,
+          ...options,
+        },
+      },
+    };
+  }
+  const pattern = mode === "prefix" ? `${value}*` : mode === "suffix" ? `*${value}` : `*${value}*`;
+  return { wildcard: { [field]: { value: pattern, case_insensitive: true, ...options } } };
+}
+
+module.exports = {
+  MATCH_MODES,
+  INVALID_MATCH,
+  MAX_REGEX_LENGTH,
+  normalizeMatchMode,
+  resolveMatchMode,
+  matchQuery,
+};
@@ -0,0 +1,239 @@
+// Exact paging of one search across several nodes.
+//
+// Every node is searched through its own point-in-time (PIT), opened once when the search starts (the first page,
+// or a jump to page N), so its view of the indices is frozen while the user pages, and sorted by _score with
+// _shard_doc as the tie-breaker from the first page on. The nodes' hit lists are merged in one global order
+// (score, then node name, then _shard_doc), so every hit has exactly one place and no page repeats or skips one.
+// The opaque cursor returned with a page records each node's PIT and the sort values of its last hit shown so
+// far; the next page asks each node for `size` hits after that point, through the same PIT, and merges them again.
+// Jumping to a page without a cursor asks each node for its first from + size hits instead (same order, more work).
+// Cursors are signed with a server key, so a client cannot change them. Every cursor of a search shares its PITs
+// (cached first pages hand the same cursor to many clients), so PITs are never closed here: going back to an
+// earlier cursor keeps working, and they expire PIT_KEEP_ALIVE after their last use.
+// One-off pages (continuable false) open no PIT; they are a plain search sorted by _score, then _doc.
+// Bad cursors throw with code INVALID_CURSOR, cursors whose PITs have expired with CURSOR_EXPIRED.
+const { createHash, createHmac, timingSafeEqual } = require("crypto");
+const { deriveServerKey } = require("../middleware/auth");
+
+const PIT_KEEP_ALIVE = "90s"; // Longer than the default search cache TTL, so cached cursors keep working
+const SEARCH_SORT = [{ _score: "desc" }, { _shard_doc: "asc" }];
+const ONE_OFF_SORT = [{ _score: "desc" }, { _doc: "asc" }]; // _shard_doc needs a PIT
+const CURSOR_KEY = deriveServerKey("paged-search-cursor");
+const INVALID_CURSOR = "INVALID_CURSOR";
+const CURSOR_EXPIRED = "CURSOR_EXPIRED";
+
+function cursorError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// Ties a cursor to the search it was issued for
+function searchFingerprint(q, mode) {
+  return createHash("sha256")
+    .update(JSON.stringify([String(q).trim(), mode || "auto"]))
+    .digest("hex")
+    .slice(0, 16);
+}
+
+function signCursor(payload) {
+  return createHmac("sha256", CURSOR_KEY).update(payload).digest("base64url");
+}
+
+// "<base64url state>.<signature>"
+function encodeCursor(state) {
+  const payload = Buffer.from(JSON.stringify(state)).toString("base64url");
+  return `${payload}.${signCursor(payload)}`;
+}
+
+// Cursor state: { search, page, offset, total, max, nodes: { [node]: { pit, after, done } } }
+function decodeCursor(cursor, fingerprint) {
+  const [payload, signature, extra] = String(cursor).split(".");
+  const expected = Buffer.from(signCursor(payload || ""));
+  const given = Buffer.from(signature || "");
+  if (extra !== undefined || given.length !== expected.length || !timingSafeEqual(given, expected)) {
+    throw cursorError(INVALID_CURSOR, "The page cursor is malformed.");
+  }
+  let state;
+  try {
+    state = JSON.parse(Buffer.from(payload, "base64url").toString("utf8"));
+  } catch (error) {
+    throw cursorError(INVALID_CURSOR, "The page cursor is malformed.");
+  }
+  const valid =
+    state &&
+    typeof state === "object" &&
+    Number.isInteger(state.page) &&
+    Number.isInteger(state.offset) &&
+    Number.isInteger(state.total) &&
+    Number.isInteger(state.max) &&
+    state.nodes &&
+    typeof state.nodes === "object" &&
+    Object.values(state.nodes).every(
+      (position) => position && typeof position.pit === "string" && (position.after === null || Array.isArray(position.after))
+    );
+  if (!valid) {
+    throw cursorError(INVALID_CURSOR, "The page cursor is malformed.");
+  }
+  if (state.search !== fingerprint) {
+    throw cursorError(INVALID_CURSOR, "The page cursor belongs to a different search.");
+  }
+  return state;
+}
+
+// Global hit order: higher score first, then node name, then the node's _shard_doc
+function compareHits(a, b) {
+  if (a.hit.sort[0] !== b.hit.sort[0]) return b.hit.sort[0] - a.hit.sort[0];
+  if (a.node !== b.node) return a.node < b.node ? -1 : 1;
+  return a.hit.sort[1] - b.hit.sort[1];
+}
+
+// K-way merge of per-node hit lists (each already in order), up to `limit` hits
+function mergeHits(lists, limit) {
+  const heads = lists.map(() => 0);
+  const merged = [];
+  while (merged.length < limit) {
+    let best = -1;
+    for (let i = 0; i < lists.length; i++) {
+      if (heads[i] >= lists[i].length) continue;
+      if (best === -1 || compareHits(lists[i][heads[i]], lists[best][heads[best]]) < 0) best = i;
+    }
+    if (best === -1) break;
+    merged.push(lists[best][heads[best]++]);
+  }
+  return merged;
+}
+
+function isTimeout(error) {
+  return error.name === "TimeoutError";
+}
+
+function isMissingPit(error) {
+  const body = error.meta && error.meta.body;
+  return !!body && JSON.stringify(body).includes("search_context_missing_exception");
+}
+
+// Search a page across nodes.
+//   nodes:   [{ node, client, indices }] currently searchable
+//   query, source: the Elasticsearch query and _source fields
+//   search:  searchFingerprint of the query, checked against the cursor
+//   size:    page size; max: the most hits the whole search may page through
+//   page:    1-based page to start from when there is no cursor
+//   cursor:  the cursor returned with the previous page, if any
+//   continuable: false for a one-off page (no cursor returned)
+// Resolves with { hits: [{ node, hit }], total, page, cursor (null on the last page), warnings: [{ node, indices, error }],
+// timings: [{ node, latencyMs, ok, timedOut }] } (one per node request made).
+async function searchPage({ nodes, query, source, search, size, max, page = 1, cursor, continuable = true }) {
+  const clients = Object.fromEntries(nodes.map(({ node, client }) => [node, client]));
+  const indicesByNode = Object.fromEntries(nodes.map(({ node, indices }) => [node, indices]));
+  const warnings = [];
+  const timings = [];
+  let state;
+  let skip = 0;
+
+  if (cursor) {
+    state = decodeCursor(cursor, search);
+    state.max = Math.min(state.max, max); // Limits may have been lowered since the search started
+    for (const [node, position] of Object.entries(state.nodes)) {
+      if (!position.done && !clients[node]) {
+        warnings.push({ node, indices: [], error: "Node is no longer searchable; its remaining results are skipped." });
+        position.done = true;
+      }
+    }
+  } else {
+    state = { search, page, offset: 0, total: 0, max, nodes: {} };
+    skip = Math.max(0, Math.min((page - 1) * size, max));
+    await Promise.all(
+      nodes.map(async ({ node, client, indices }) => {
+        if (!continuable) {
+          state.nodes[node] = { pit: null, after: null, done: false };
+          return;
+        }
+        const started = Date.now();
+        try {
+          const pit = await client.openPointInTime({ index: indices, keep_alive: PIT_KEEP_ALIVE });
+          state.nodes[node] = { pit: pit.id, after: null, done: false };
+        } catch (error) {
+          warnings.push({ node, indices, error: error.message });
+          timings.push({ node, latencyMs: Date.now() - started, ok: false, timedOut: isTimeout(error) });
+        }
+      })
+    );
+  }
+
+  const take = Math.max(0, Math.min(size, state.max - state.offset - skip));
+  const active = Object.entries(state.nodes).filter(([, position]) => !position.done);
+  const lists = [];
+  let expired = false;
+  if (take > 0) {
+    await Promise.all(
+      active.map(async ([node, position]) => {
+        const started = Date.now();
+        try {
+          const target = position.pit
+            ? { pit: { id: position.pit, keep_alive: PIT_KEEP_ALIVE }, sort: SEARCH_SORT, search_after: position.after || undefined }
+            : { index: indicesByNode[node], sort: ONE_OFF_SORT };
+          const response = await clients[node].search({
+            ...target,
+            size: skip + take,
+            _source: source,
+            query,
+            track_total_hits: cursor ? false : state.max,
+          });
+          position.pit = response.pit_id || position.pit;
+          if (!cursor) state.total += response.hits.total ? response.hits.total.value : 0;
+          lists.push(response.hits.hits.map((hit) => ({ node, hit })));
+          position.received = response.hits.hits.length;
+          timings.push({ node, latencyMs: Date.now() - started, ok: true, timedOut: !!response.timed_out });
+        } catch (error) {
+          if (isMissingPit(error)) expired = true;
+          warnings.push({ node, indices: indicesByNode[node] || [], error: error.message });
+          timings.push({ node, latencyMs: Date.now() - started, ok: false, timedOut: isTimeout(error) });
+          position.received = null;
+          // A node missing from the first page stays out of the search, so later pages stay consistent
+          if (!cursor) position.done = true;
+        }
+      })
+    );
+  }
+  if (expired && cursor) {
+    throw cursorError(CURSOR_EXPIRED, "These results have expired. Run the search again.");
+  }
+
+  // Hits up to the end of this page are consumed: each node continues after its last consumed hit
+  const consumed = mergeHits(lists, skip + take);
+  for (const [node, position] of active) {
+    const mine = consumed.filter((entry) => entry.node === node);
+    if (mine.length > 0) position.after = mine[mine.length - 1].hit.sort;
+    // A node that sent fewer hits than asked, all of them consumed, has nothing left
+    if (position.received !== null && position.received !== undefined && position.received < skip + take && mine.length === position.received) {
+      position.done = true;
+    }
+    delete position.received;
+  }
+
+  const hits = consumed.slice(skip);
+  state.offset += consumed.length;
+  const pageNumber = cursor ? state.page : page;
+  const hasMore =
+    continuable &&
+    take > 0 &&
+    state.offset < Math.min(state.total, state.max) &&
+    Object.values(state.nodes).some((position) => !position.done);
+
+  return {
+    hits,
+    total: Math.min(state.total, state.max),
+    page: pageNumber,
+    cursor: hasMore ? encodeCursor({ ...state, page: pageNumber + 1 }) : null,
+    warnings,
+    timings,
+  };
+}
+
+module.exports = {
+  INVALID_CURSOR,
+  CURSOR_EXPIRED,
+  searchFingerprint,
+  searchPage,
+};
@@ -0,0 +1,25 @@
+// Search query construction for account lookups
+const { QUERY_SYNTAX, compileQuery, usesQuerySyntax, freeTextQuery } = require("./query-language");
+const { MATCH_MODES, INVALID_MATCH, normalizeMatchMode } = require("./match-modes");
+
+// Fields returned for search results (structured fields plus raw_line for legacy documents)
+const SEARCH_SOURCE_FIELDS = ["raw_line", "url", "username", "password"];
+
+// Build the query for a search: the field-scoped syntax (query-language.js) when the query uses it,
+// otherwise a free-text search, with values compared in match `mode` (match-modes.js, default auto).
+// In regex mode the whole query is one pattern, since ( ) and " are regex characters too.
+// Malformed queries throw with code QUERY_SYNTAX, bad modes and patterns with INVALID_MATCH.
+function buildSearchQuery(q, mode) {
+  const value = String(q).trim();
+  const matchMode = normalizeMatchMode(mode);
+  if (matchMode === "regex") return freeTextQuery(value, matchMode);
+  return usesQuerySyntax(value) ? compileQuery(value, matchMode) : freeTextQuery(value, matchMode);
+}
+
+module.exports = {
+  SEARCH_SOURCE_FIELDS,
+  QUERY_SYNTAX,
+  MATCH_MODES,
+  INVALID_MATCH,
+  buildSearchQuery,
+};
@@ -0,0 +1,277 @@
+// Field-scoped search syntax, compiled into an Elasticsearch bool query.
+//
+//   domain:example.com       host is example.com or one of its subdomains    domain=  host is exactly it
+//   user:alice               username contains alice                          user=    username is exactly it
+//   url:login                URL contains login                               url=     URL is exactly it
+//   email:alice              email-shaped username contains alice             email=   full address, or every
+//                                                                                      address at a domain (email=gmail.com)
+//   "two words"              quoted phrase, as a bare term or a field value (user:"john doe")
+//   a AND b, a OR b, NOT a, -a, ( ... )   adjacent terms are ANDed; AND binds tighter than OR
+//
+// Bare terms keep the free-text behaviour (raw_line substring, exact structured matches ranked first),
+// and * and ? in values are wildcards there as everywhere else. A match mode (match-modes.js) changes how
+// bare terms and `field:` values compare; `field=` is always exact. Every mode but substring compares the
+// structured fields only.
+// Field names are case-insensitive; an unknown `word:` is searched as plain text, since colons are
+// common in credential lines. Fielded terms need the structured mapping, so they never match legacy
+// raw-only indices. Malformed queries throw with code QUERY_SYNTAX and the character `position`.
+const { normalizeHost } = require("../ingest/document");
+const { resolveMatchMode, matchQuery } = require("./match-modes");
+
+const QUERY_SYNTAX = "QUERY_SYNTAX";
+
+const FIELD_ALIASES = {
+  domain: "domain",
+  user: "user",
+  username: "user",
+  url: "url",
+  email: "email",
+};
+
+const OPERATORS = new Set(["AND", "OR", "NOT"]);
+const FIELD_PATTERN = /^([A-Za-z]+)([:=])([\s\S]*)$/;
+
+function syntaxError(message, position) {
+  const error = new Error(message);
+  error.code = QUERY_SYNTAX;
+  error.position = position;
+  return error;
+}
+
+// Read a quoted phrase starting at the opening quote; \" and \\ are escapes
+function readPhrase(input, start) {
+  let value = "";
+  for (let i = start + 1; i < input.length; i++) {
+    const char = input[i];
+    if (char === "\\" && i + 1 < input.length) {
+      value += input[++i];
+    } else if (char === '"') {
+      return { value, end: i + 1 };
+    } else {
+      value += char;
+    }
+  }
+  throw syntaxError(`Unterminated quote starting at character ${start + 1}.`, start);
+}
+
+// Split a query into tokens: ( ) AND OR NOT, and terms { field, exact, value, negated }
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+  while (i < input.length) {
+    const char = input[i];
+    if (/\s/.test(char)) {
+      i++;
+    } else if (char === "(" || char === ")") {
+      tokens.push({ type: char, position: i });
+      i++;
+    } else if (char === '"') {
+      const phrase = readPhrase(input, i);
+      tokens.push({ type: "term", field: null, exact: false, value: phrase.value, position: i });
+      i = phrase.end;
+    } else {
+      const start = i;
+      while (i < input.length && !/[\s()"]/.test(input[i])) i++;
+      let word = input.slice(start, i);
+      if (OPERATORS.has(word)) {
+        tokens.push({ type: word, position: start });
+        continue;
+      }
+      let negated = false;
+      if (word.startsWith("-") && (word.length > 1 || input[i] === '"')) {
+        negated = true;
+        word = word.slice(1);
+      }
+      const match = word.match(FIELD_PATTERN);
+      const field = match && FIELD_ALIASES[match[1].toLowerCase()];
+      let term;
+      if (field) {
+        let value = match[3];
+        if (value === "" && input[i] === '"') {
+          const phrase = readPhrase(input, i);
+          value = phrase.value;
+          i = phrase.end;
+        }
+        if (value.trim() === "") {
+          throw syntaxError(`Missing value after "${match[1]}${match[2]}" at character ${start + 1}.`, start);
+        }
+        term = { type: "term", field, exact: match[2] === "=", value, position: start };
+      } else if (word === "") {
+        const phrase = readPhrase(input, i); // "-" directly followed by a quoted phrase
+        term = { type: "term", field: null, exact: false, value: phrase.value, position: start };
+        i = phrase.end;
+      } else {
+        term = { type: "term", field: null, exact: false, value: word, position: start };
+      }
+      tokens.push(negated ? { type: "NOT", position: start } : null, term);
+    }
+  }
+  return tokens.filter(Boolean);
+}
+
+// Recursive descent: or := and (OR and)* ; and := unary (AND? unary)* ; unary := NOT unary | ( or ) | term
+function parseTokens(tokens, input) {
+  let index = 0;
+  const peek = () => tokens[index];
+  const describe = (token) => (token.type === "term" ? `"${token.value}"` : token.type);
+
+  function parseOr() {
+    const clauses = [parseAnd()];
+    while (peek() && peek().type === "OR") {
+      index++;
+      clauses.push(parseAnd());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: "or", clauses };
+  }
+
+  function parseAnd() {
+    const clauses = [parseUnary()];
+    while (peek() && peek().type !== "OR" && peek().type !== ")") {
+      if (peek().type === "AND") index++;
+      clauses.push(parseUnary());
+    }
+    return clauses.length === 1 ? clauses[0] : { type: "and", clauses };
+  }
+
+  function parseUnary() {
+    const token = peek();
+    if (!token) {
+      throw syntaxError("The query ends where a search term was expected.", input.length);
+    }
+    if (token.type === "NOT") {
+      index++;
+      return { type: "not", clause: parseUnary() };
+    }
+    if (token.type === "(") {
+      index++;
+      const inner = parseOr();
+      if (!peek() || peek().type !== ")") {
+        throw syntaxError(`Missing ")" for the "(" at character ${token.position + 1}.`, token.position);
+      }
+      index++;
+      return inner;
+    }
+    if (token.type === "term") {
+      index++;
+      return token;
+    }
+    throw syntaxError(`Expected a search term at character ${token.position + 1}, found ${describe(token)}.`, token.position);
+  }
+
+  const tree = parseOr();
+  if (index < tokens.length) {
+    const token = tokens[index];
+    throw syntaxError(`Unexpected ${describe(token)} at character ${token.position + 1}.`, token.position);
+  }
+  return tree;
+}
+
+// Parse a query into a tree of { type: "and" | "or", clauses }, { type: "not", clause } and terms
+function parseQuery(q) {
+  const input = String(q);
+  const tokens = tokenize(input);
+  if (tokens.length === 0) {
+    throw syntaxError("The query is empty.", 0);
+  }
+  return parseTokens(tokens, input);
+}
+
+// Whether a query uses the syntax at all; anything else keeps the plain substring search
+function usesQuerySyntax(q) {
+  const input = String(q);
+  return (
+    /["()]/.test(input) ||
+    /(^|\s)(AND|OR|NOT)(\s|$)/.test(input) ||
+    /(^|\s)-\S/.test(input) ||
+    new RegExp(`(^|\\s)(${Object.keys(FIELD_ALIASES).join("|")})[:=]`, "i").test(input)
+  );
+}
+
+// raw_line match for legacy documents only (no structured fields, like index-upgrade.js's LEGACY_DOCS_QUERY),
+// so a value that is not found in a field never matches the rest of a structured line, such as its password
+function legacyRawLineQuery(value, mode) {
+  return { bool: { must: [matchQuery("raw_line", value, mode)], must_not: [{ exists: { field: "username" } }] } };
+}
+
+// Free-text search for a bare term (and for queries without any syntax).
+// In substring mode, exact matches on the structured fields score higher than the raw_line substring match.
+// Exact, prefix and suffix compare username, URL and host, and only fall back to raw_line for legacy
+// documents so raw-only indices stay searchable: exact as a substring of the line, prefix and suffix at its
+// start or end. Regex only compares username, URL and host.
+function freeTextQuery(value, mode = "auto") {
+  const resolved = resolveMatchMode(mode, value);
+  const host = normalizeHost(value) || value.toLowerCase();
+  let should;
+  if (resolved === "substring") {
+    should = [
+      matchQuery("raw_line", value, "substring"),
+      matchQuery("username", value, "exact", 6),
+      { term: { host: { value: host, boost: 5 } } },
+      { term: { domain: { value: host, boost: 4 } } },
+    ];
+  } else if (resolved === "exact") {
+    should = [
+      matchQuery("username", value, "exact", 6),
+      matchQuery("url", value, "exact", 3),
+      legacyRawLineQuery(value, "substring"),
+    ];
+    // An email address's host part is not a host search
+    if (!value.includes("@")) {
+      should.push({ term: { host: { value: host, boost: 5 } } }, { term: { domain: { value: host, boost: 4 } } });
+    }
+  } else {
+    should = ["username", "url", "host"].map((field) => matchQuery(field, value, resolved));
+    if (resolved !== "regex") should.push(legacyRawLineQuery(value, resolved));
+  }
+  return { bool: { should, minimum_should_match: 1 } };
+}
+
+function fieldQuery({ field, exact, value }, mode) {
+  const trimmed = value.trim();
+  const resolved = exact ? "exact" : resolveMatchMode(mode, trimmed);
+  if (field === "domain") {
+    const host = normalizeHost(trimmed) || trimmed.toLowerCase();
+    if (resolved === "exact") return { term: { host } };
+    // The default for domains: the host itself or one of its subdomains
+    if (mode === "auto" || resolved === "substring") {
+      return {
+        bool: {
+          should: [{ term: { host } }, { wildcard: { host: { value: `*.${host}` } } }],
+          minimum_should_match: 1,
+        },
+      };
+    }
+    return matchQuery("host", resolved === "regex" ? trimmed : host, resolved);
+  }
+  if (field === "user") return matchQuery("username", trimmed, resolved);
+  if (field === "url") return matchQuery("url", trimmed, resolved);
+  // email: only email-shaped usernames have email_domain set
+  if (resolved === "exact") {
+    return trimmed.includes("@")
+      ? matchQuery("username", trimmed, "exact")
+      : { term: { email_domain: trimmed.toLowerCase().replace(/^@/, "") } };
+  }
+  return { bool: { filter: [{ exists: { field: "email_domain" } }, matchQuery("username", trimmed, resolved)] } };
+}
+
+function compile(node, mode) {
+  const compileClause = (clause) => compile(clause, mode);
+  if (node.type === "and") return { bool: { must: node.clauses.map(compileClause) } };
+  if (node.type === "or") return { bool: { should: node.clauses.map(compileClause), minimum_should_match: 1 } };
+  if (node.type === "not") return { bool: { must_not: [compileClause(node.clause)] } };
+  return node.field ? fieldQuery(node, mode) : freeTextQuery(node.value, mode);
+}
+
+// Compile a query string into an Elasticsearch query, comparing values in match `mode`
+// (throws QUERY_SYNTAX errors, and INVALID_MATCH for a bad pattern)
+function compileQuery(q, mode = "auto") {
+  return compile(parseQuery(q), mode);
+}
+
+module.exports = {
+  QUERY_SYNTAX,
+  parseQuery,
+  compileQuery,
+  usesQuerySyntax,
+  freeTextQuery,
+};
@@ -0,0 +1,119 @@
+// Cache of public search pages, keyed by the normalized query, match mode, target set and page.
+//
+// Only pages searched without a cursor are cached. Clients served a cached page continue through the cursor
+// it was cached with, reusing that search's point-in-time (paged-search.js) rather than opening new ones.
+//
+// Entries live for config "searchCacheTtlSeconds" (keep it under the paging PIT keep-alive, so cached cursors
+// still work) in an in-process LRU of at most "searchCacheMaxEntries" pages; 0 for either turns the cache off.
+// Another store can be plugged in with setSearchCacheStore: any object with async get(key) and
+// set(key, value, ttlMs), such as a thin wrapper around a shared cache.
+//
+// Invalidation never has to find entries: every key includes a generation number for each targeted index,
+// and invalidateSearchCache bumps the generations of the indices written to, so older entries are never read
+// again and simply age out of the store.
+const { createHash } = require("crypto");
+const { getConfig } = require("../config");
+
+const DEFAULT_TTL_SECONDS = 60;
+const DEFAULT_MAX_ENTRIES = 500;
+
+// Least recently used entries are dropped first: a Map iterates in insertion order, and a hit re-inserts
+function createMemoryStore() {
+  const entries = new Map();
+  return {
+    async get(key) {
+      const entry = entries.get(key);
+      if (!entry) return undefined;
+      entries.delete(key);
+      if (entry.expiresAt <= Date.now()) return undefined;
+      entries.set(key, entry);
+      return entry.value;
+    },
+    async set(key, value, ttlMs) {
+      entries.delete(key);
+      entries.set(key, { value, expiresAt: Date.now() + ttlMs });
+      const maxEntries = getConfig("searchCacheMaxEntries") ?? DEFAULT_MAX_ENTRIES;
+      while (entries.size > maxEntries) {
+        entries.delete(entries.keys().next().value);
+      }
+    },
+  };
+}
+
+let store = createMemoryStore();
+const generations = new Map(); // index name -> generation
+let globalGeneration = 0;
+
+function setSearchCacheStore(customStore) {
+  store = customStore || createMemoryStore();
+}
+
+function cacheTtlMs() {
+  const ttlSeconds = getConfig("searchCacheTtlSeconds") ?? DEFAULT_TTL_SECONDS;
+  const maxEntries = getConfig("searchCacheMaxEntries") ?? DEFAULT_MAX_ENTRIES;
+  return ttlSeconds > 0 && maxEntries > 0 ? ttlSeconds * 1000 : 0;
+}
+
+// Key for one page of a search: { q, mode, targets: [{ node, index }], page, size, max }
+function searchCacheKey({ q, mode, targets, page, size, max }) {
+  const targetKey = targets
+    .map(({ node, index }) => `${node}/${index}@${generations.get(index) || 0}`)
+    .sort();
+  return createHash("sha256")
+    .update(
+      JSON.stringify([
+        String(q).trim().replace(/\s+/g, " "),
+        mode || "auto",
+        globalGeneration,
+        targetKey,
+        page,
+        size,
+        max,
+      ])
+    )
+    .digest("hex");
+}
+
+// The cached page for a key, or undefined; a failing store is treated as a miss
+async function getCachedSearch(key) {
+  if (!cacheTtlMs()) return undefined;
+  try {
+    return await store.get(key);
+  } catch (error) {
+    console.warn("Search cache read failed:", error.message);
+    return undefined;
+  }
+}
+
+async function cacheSearch(key, value) {
+  const ttlMs = cacheTtlMs();
+  if (!ttlMs) return;
+  try {
+    await store.set(key, value, ttlMs);
+  } catch (error) {
+    console.warn("Search cache write failed:", error.message);
+  }
+}
+
+// Forget cached pages that searched any of `indices` (names or a comma-separated list, on any node);
+// with no indices, forget every cached page
+function invalidateSearchCache(indices) {
+  const names = (Array.isArray(indices) ? indices : String(indices || "").split(","))
+    .map((name) => String(name).trim())
+    .filter(Boolean);
+  if (names.length === 0 || names.some((name) => name.includes("*"))) {
+    globalGeneration++;
+    return;
+  }
+  for (const name of names) {
+    generations.set(name, (generations.get(name) || 0) + 1);
+  }
+}
+
+module.exports = {
+  setSearchCacheStore,
+  searchCacheKey,
+  getCachedSearch,
+  cacheSearch,
+  invalidateSearchCache,
+};
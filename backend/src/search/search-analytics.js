@@ -0,0 +1,230 @@
+// Search analytics: one event per /api/search request, appended to data/analytics/search-YYYY-MM-DD.jsonl
+// and kept in memory for the summaries on the admin dashboard.
+//
+// Query text is never stored: an event has a keyed hash (HMAC with a server key) of the normalized query
+// and its shape, the query with every value replaced by its kind (user:<email> AND domain:<host>), so hot
+// searches can be told apart without recording what was searched for, and the hashes cannot be reversed by
+// hashing guesses without the key. Events older than RETENTION_DAYS are dropped, files included: at startup
+// and whenever events start a new day's file.
+const fs = require("fs").promises;
+const path = require("path");
+const { createHmac } = require("crypto");
+const { parseQuery, usesQuerySyntax } = require("./query-language");
+const { deriveServerKey } = require("../middleware/auth");
+
+const ANALYTICS_DIR = path.join(__dirname, "../../data/analytics");
+const RETENTION_DAYS = 7;
+const MAX_EVENTS = 100000; // In memory; the oldest go first
+const TRIM_AT_EVENTS = MAX_EVENTS * 1.1; // Trimmed in batches, so a search never copies the whole buffer
+const WINDOWS = { "1h": 60 * 60 * 1000, "24h": 24 * 60 * 60 * 1000, "7d": RETENTION_DAYS * 24 * 60 * 60 * 1000 };
+const TOP_SHAPES = 20;
+const INVALID_ANALYTICS_WINDOW = "INVALID_ANALYTICS_WINDOW";
+const EVENT_FILE_PATTERN = /^search-\d{4}-\d{2}-\d{2}\.jsonl$/;
+const QUERY_HASH_KEY = deriveServerKey("search-analytics-query");
+
+let events = [];
+let writeChain = Promise.resolve(); // Appends happen one at a time, in order
+let eventDay = new Date().toISOString().slice(0, 10); // Day of the last event (or startup); a new day prunes old files
+
+function normalizeQuery(q) {
+  return String(q || "").trim().replace(/\s+/g, " ").toLowerCase();
+}
+
+function hashQuery(q) {
+  return createHmac("sha256", QUERY_HASH_KEY).update(normalizeQuery(q)).digest("hex").slice(0, 16);
+}
+
+// What kind of value a search term is
+function valueKind(value) {
+  const trimmed = String(value).trim();
+  if (/[*?]/.test(trimmed)) return "<wildcard>";
+  if (/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(trimmed)) return "<email>";
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(trimmed)) return "<url>";
+  if (/^[a-z0-9-]+(\.[a-z0-9-]+)+$/i.test(trimmed)) return "<host>";
+  if (/^\d+$/.test(trimmed)) return "<number>";
+  return "<text>";
+}
+
+function shapeOf(node) {
+  if (node.type === "and") return node.clauses.map(shapeOf).join(" AND ");
+  if (node.type === "or") return `(${node.clauses.map(shapeOf).join(" OR ")})`;
+  if (node.type === "not") return `NOT ${shapeOf(node.clause)}`;
+  return node.field ? `${node.field}${node.exact ? "=" : ":"}${valueKind(node.value)}` : valueKind(node.value);
+}
+
+// The query with its values replaced by their kinds; "<regex>" for regex searches, "<invalid>" if it does not parse
+function queryShape(q, mode) {
+  if (mode === "regex") return "<regex>";
+  const value = String(q || "").trim();
+  if (!usesQuerySyntax(value)) return valueKind(value);
+  try {
+    return shapeOf(parseQuery(value));
+  } catch (error) {
+    return "<invalid>";
+  }
+}
+
+function eventFile(at) {
+  return path.join(ANALYTICS_DIR, `search-${at.slice(0, 10)}.jsonl`);
+}
+
+function retentionStart() {
+  return Date.now() - WINDOWS["7d"];
+}
+
+// Delete event files past the retention period; resolves with the names of the files kept
+async function pruneEventFiles() {
+  let files;
+  try {
+    files = await fs.readdir(ANALYTICS_DIR);
+  } catch (error) {
+    if (error.code !== "ENOENT") throw error;
+    return [];
+  }
+  const oldestDay = new Date(retentionStart()).toISOString().slice(0, 10);
+  const kept = [];
+  for (const file of files.filter((name) => EVENT_FILE_PATTERN.test(name)).sort()) {
+    if (file.slice(7, 17) < oldestDay) {
+      await fs.unlink(path.join(ANALYTICS_DIR, file));
+    } else {
+      kept.push(file);
+    }
+  }
+  return kept;
+}
+
+// Record a search: { q, mode, admin, cache, status, error, timeMs, total, returned,
+// nodes: [{ node, latencyMs, ok, timedOut }] }; the query text itself is replaced by its hash and shape.
+function recordSearchEvent({ q, ...fields }) {
+  const at = new Date().toISOString();
+  const event = { at, queryHash: hashQuery(q), shape: queryShape(q, fields.mode), ...fields };
+  events.push(event);
+  if (events.length > TRIM_AT_EVENTS) events.splice(0, events.length - MAX_EVENTS);
+  const day = at.slice(0, 10);
+  if (day !== eventDay) {
+    // First event of a new day: the oldest day falls out of the retention period
+    const start = new Date(retentionStart()).toISOString();
+    events = events.filter((retained) => retained.at >= start);
+    writeChain = writeChain
+      .then(pruneEventFiles)
+      .catch((error) => console.error("Failed to prune search analytics files:", error.message));
+  }
+  eventDay = day;
+  writeChain = writeChain
+    .then(async () => {
+      await fs.mkdir(ANALYTICS_DIR, { recursive: true });
+      await fs.appendFile(eventFile(at), JSON.stringify(event) + "\n");
+    })
+    .catch((error) => console.error("Failed to write a search analytics event:", error.message));
+}
+
+// Load the retained events on startup and delete files past the retention period
+async function loadSearchAnalytics() {
+  const files = await pruneEventFiles();
+  const loaded = [];
+  for (const file of files) {
+    const content = await fs.readFile(path.join(ANALYTICS_DIR, file), "utf8");
+    for (const line of content.split("\n")) {
+      if (!line) continue;
+      try {
+        loaded.push(JSON.parse(line));
+      } catch (error) {
+        // A line cut short by a crash; skip it
+      }
+    }
+  }
+  const start = new Date(retentionStart()).toISOString();
+  events = [...loaded.filter((event) => event.at >= start), ...events].slice(-MAX_EVENTS);
+  return loaded.length;
+}
+
+// Nearest-rank percentile of sorted numbers
+function percentile(sorted, p) {
+  if (sorted.length === 0) return null;
+  return sorted[Math.min(sorted.length - 1, Math.ceil((p / 100) * sorted.length) - 1)];
+}
+
+function latencyPercentiles(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return { p50: percentile(sorted, 50), p95: percentile(sorted, 95), p99: percentile(sorted, 99) };
+}
+
+function rate(part, whole) {
+  return whole > 0 ? part / whole : 0;
+}
+
+// Summary of the events in a window ("1h", "24h" or "7d"). Latency percentiles cover searches that went to
+// the nodes (cache hits are counted separately); per-node numbers cover every request made to a node.
+function summarizeSearchAnalytics(window = "24h") {
+  if (!WINDOWS[window]) {
+    const windowError = new Error(`window must be one of: ${Object.keys(WINDOWS).join(", ")}.`);
+    windowError.code = INVALID_ANALYTICS_WINDOW;
+    throw windowError;
+  }
+  const to = new Date();
+  const from = new Date(to.getTime() - WINDOWS[window]).toISOString();
+  const inWindow = events.filter((event) => event.at >= from);
+  const completed = inWindow.filter((event) => event.status === 200);
+  const live = completed.filter((event) => event.cache !== "hit");
+  const errors = inWindow.filter((event) => event.status >= 500).length;
+
+  const nodes = {};
+  for (const event of inWindow) {
+    for (const request of event.nodes || []) {
+      const node = nodes[request.node] || (nodes[request.node] = { node: request.node, requests: 0, errors: 0, timeouts: 0, latencies: [] });
+      node.requests++;
+      if (!request.ok) node.errors++;
+      if (request.timedOut) node.timeouts++;
+      node.latencies.push(request.latencyMs);
+    }
+  }
+
+  const shapes = {};
+  for (const event of inWindow) {
+    const shape = shapes[event.shape] || (shapes[event.shape] = { shape: event.shape, count: 0, zeroResults: 0, queries: new Set(), latencies: [] });
+    shape.count++;
+    shape.queries.add(event.queryHash);
+    if (event.status === 200 && event.total === 0) shape.zeroResults++;
+    if (event.status === 200 && event.cache !== "hit") shape.latencies.push(event.timeMs);
+  }
+
+  return {
+    window,
+    from,
+    to: to.toISOString(),
+    searches: inWindow.length,
+    completed: completed.length,
+    errorRate: rate(errors, inWindow.length),
+    invalidRate: rate(inWindow.filter((event) => event.status === 400).length, inWindow.length),
+    zeroResultRate: rate(completed.filter((event) => event.total === 0).length, completed.length),
+    cacheHitRate: rate(completed.filter((event) => event.cache === "hit").length, completed.length),
+    averageFanOut: live.length > 0 ? live.reduce((sum, event) => sum + (event.nodes || []).length, 0) / live.length : 0,
+    latency: latencyPercentiles(live.map((event) => event.timeMs)),
+    nodes: Object.values(nodes)
+      .map(({ latencies, ...node }) => ({
+        ...node,
+        errorRate: rate(node.errors, node.requests),
+        timeoutRate: rate(node.timeouts, node.requests),
+        latency: latencyPercentiles(latencies),
+      }))
+      .sort((a, b) => a.node.localeCompare(b.node)),
+    hotShapes: Object.values(shapes)
+      .sort((a, b) => b.count - a.count)
+      .slice(0, TOP_SHAPES)
+      .map(({ queries, latencies, ...shape }) => ({
+        ...shape,
+        distinctQueries: queries.size,
+        zeroResultRate: rate(shape.zeroResults, shape.count),
+        latency: latencyPercentiles(latencies),
+      })),
+  };
+}
+
+module.exports = {
+  WINDOWS,
+  INVALID_ANALYTICS_WINDOW,
+  recordSearchEvent,
+  loadSearchAnalytics,
+  summarizeSearchAnalytics,
+  queryShape,
+};
@@ -0,0 +1,146 @@
+// Which node/index pairs a search runs against. Shared by /api/search, /api/total-accounts and /api/admin/accounts.
+//
+// By default that is the configured search set (searchIndices, chosen in Configuration), on nodes that are
+// running and reachable now, so staging and half-ingested indices never reach public results. Admins can
+// override it: `scope: "all"` takes every index on every running node, and `node`, `index` and `cluster`
+// narrow that down. Anyone else asking for an override gets SEARCH_TARGET_DENIED; a node or index that does
+// not exist gets UNKNOWN_SEARCH_TARGET, and a named node that is not running SEARCH_TARGET_UNAVAILABLE.
+const { getConfig } = require("../config");
+const { getCacheFiltered } = require("../cache/indices-cache");
+const { isNodeRunning } = require("../elasticsearch/node-utils");
+
+const SEARCH_SCOPES = ["configured", "all"];
+const SEARCH_TARGET_DENIED = "SEARCH_TARGET_DENIED";
+const UNKNOWN_SEARCH_TARGET = "UNKNOWN_SEARCH_TARGET";
+const SEARCH_TARGET_UNAVAILABLE = "SEARCH_TARGET_UNAVAILABLE";
+
+function targetError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+// The override fields of a request's query string
+function targetOverrides(query) {
+  return { node: query.node, index: query.index, cluster: query.cluster, scope: query.scope };
+}
+
+function hasOverride({ node, index, cluster, scope }) {
+  return !!(node || index || cluster || scope);
+}
+
+async function isLive(nodeName, nodeData) {
+  if (nodeData.status !== "running") return false;
+  try {
+    return await isNodeRunning(nodeName, { fastMode: true });
+  } catch (error) {
+    return false;
+  }
+}
+
+// Resolve the targets of a search.
+//   isAdmin:      whether overrides are allowed
+//   overrides:    { node, index, cluster, scope } (see targetOverrides)
+//   defaultScope: the scope when none is given ("configured", or "all" for admin-only listings)
+// Resolves with { scope, targets: [{ node, index }], nodes: [{ node, nodeUrl, indices }],
+// skipped: [{ node, index, reason }] (configured pairs left out), message (why there are no targets) }.
+async function resolveSearchTargets({ isAdmin = false, overrides = {}, defaultScope = "configured" } = {}) {
+  if (hasOverride(overrides) && !isAdmin) {
+    throw targetError(SEARCH_TARGET_DENIED, "Only admins can choose which indices are searched.");
+  }
+  const { node: requestedNode, index: requestedIndex, cluster: requestedCluster } = overrides;
+  const scope = overrides.scope || (requestedNode || requestedIndex || requestedCluster ? "all" : defaultScope);
+  if (!SEARCH_SCOPES.includes(scope)) {
+    throw targetError(UNKNOWN_SEARCH_TARGET, `scope must be one of: ${SEARCH_SCOPES.join(", ")}.`);
+  }
+
+  let cachedIndices = await getCacheFiltered();
+  if (requestedCluster) {
+    cachedIndices = Object.fromEntries(
+      Object.entries(cachedIndices).filter(([, nodeData]) => nodeData.cluster === requestedCluster)
+    );
+  }
+  // A node may be named by its configured name or its URL
+  let nodeName = null;
+  if (requestedNode) {
+    nodeName = cachedIndices[requestedNode]
+      ? requestedNode
+      : Object.keys(cachedIndices).find((name) => cachedIndices[name].nodeUrl === requestedNode);
+    if (!nodeName) {
+      throw targetError(UNKNOWN_SEARCH_TARGET, `Node '${requestedNode}' is not configured${requestedCluster ? ` in cluster '${requestedCluster}'` : ""}`);
+    }
+    if (!(await isLive(nodeName, cachedIndices[nodeName]))) {
+      throw targetError(SEARCH_TARGET_UNAVAILABLE, `Node '${requestedNode}' is not running or not reachable`);
+    }
+  }
+
+  const live = {};
+  for (const [name, nodeData] of Object.entries(cachedIndices)) {
+    if (nodeName && name !== nodeName) continue;
+    if (await isLive(name, nodeData)) live[name] = nodeData;
+  }
+  const hasIndex = (name, index) => (live[name].indices || []).some((info) => info.index === index);
+
+  const targets = [];
+  const skipped = [];
+  if (scope === "configured") {
+    const searchIndices = getConfig("searchIndices") || [];
+    for (const entry of searchIndices) {
+      if (!entry || typeof entry !== "object" || !entry.node || !entry.index) continue;
+      if (nodeName && entry.node !== nodeName) continue;
+      if (requestedIndex && entry.index !== requestedIndex) continue;
+      if (requestedCluster && !cachedIndices[entry.node]) continue;
+      if (!live[entry.node]) {
+        skipped.push({ node: entry.node, index: entry.index, reason: "node not running" });
+      } else if (!hasIndex(entry.node, entry.index)) {
+        skipped.push({ node: entry.node, index: entry.index, reason: "index not found" });
+      } else {
+        targets.push({ node: entry.node, index: entry.index });
+      }
+    }
+  } else {
+    for (const [name, nodeData] of Object.entries(live)) {
+      for (const info of nodeData.indices || []) {
+        if (requestedIndex && info.index !== requestedIndex) continue;
+        targets.push({ node: name, index: info.index });
+      }
+    }
+    if (requestedIndex && targets.length === 0) {
+      throw targetError(
+        UNKNOWN_SEARCH_TARGET,
+        nodeName ? `Index '${requestedIndex}' not found on node '${nodeName}'` : `Index '${requestedIndex}' not found on any running node`
+      );
+    }
+  }
+
+  const nodes = [];
+  for (const target of targets) {
+    let group = nodes.find((candidate) => candidate.node === target.node);
+    if (!group) {
+      group = { node: target.node, nodeUrl: live[target.node].nodeUrl, indices: [] };
+      nodes.push(group);
+    }
+    group.indices.push(target.index);
+  }
+
+  let message;
+  if (targets.length === 0) {
+    if (scope === "configured" && (getConfig("searchIndices") || []).length === 0) {
+      message = "No search indices configured";
+    } else if (Object.keys(live).length === 0) {
+      message = "No Elasticsearch nodes are currently running";
+    } else {
+      message = "No online nodes or indices available for search.";
+    }
+  }
+  return { scope, targets, nodes, skipped, message };
+}
+
+module.exports = {
+  SEARCH_SCOPES,
+  SEARCH_TARGET_DENIED,
+  UNKNOWN_SEARCH_TARGET,
+  SEARCH_TARGET_UNAVAILABLE,
+  targetOverrides,
+  resolveSearchTargets,
+};
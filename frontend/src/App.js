@@ -21,6 +21,7 @@ import ConfigurationManagement from "./pages/AdminDashboard/components/Configura
 import FilesManagement from "./pages/AdminDashboard/components/FilesManagement";
 import AccountManagement from "./pages/AdminDashboard/components/AccountManagement";
 import TaskProgress from "./pages/AdminDashboard/components/TaskProgress";
+import SearchAnalytics from "./pages/AdminDashboard/components/SearchAnalytics";
 
 export default function App() {
   const [token, setToken] = useState(null);
@@ -180,6 +181,7 @@ export default function App() {
                 <Route path="files" element={<FilesManagement />} />
                 <Route path="accounts" element={<AccountManagement />} />
                 <Route path="tasks" element={<TaskProgress />} />
+                <Route path="analytics" element={<SearchAnalytics />} />
                 <Route index element={<ClusterManagement />} />
               </Route>
               <Route path="/privacy-policy" element={<PrivacyPolicy />} />
@@ -24,6 +24,7 @@ import AccountManagement from "./AdminDashboard/components/AccountManagement";
 import NodeDetailsModal from "./AdminDashboard/components/NodeDetailsModal";
 import buttonStyles from "../components/ButtonStyles";
 import TaskProgress from './AdminDashboard/components/TaskProgress';
+import SearchAnalytics from './AdminDashboard/components/SearchAnalytics';
 
 // Simple usePrevious implementation
 function usePrevious(value) {
@@ -103,6 +104,7 @@ export default function AdminDashboard() {
     files: '/admin/files',
     accounts: '/admin/accounts',
     tasks: '/admin/tasks',
+    analytics: '/admin/analytics',
   };
 
   // Determine active tab from route
@@ -112,6 +114,7 @@ export default function AdminDashboard() {
     if (pathname.startsWith('/admin/files')) return 'files';
     if (pathname.startsWith('/admin/accounts')) return 'accounts';
     if (pathname.startsWith('/admin/tasks')) return 'tasks';
+    if (pathname.startsWith('/admin/analytics')) return 'analytics';
     return 'cluster';
   };
   const activeTab = getTabFromPath(location.pathname);
@@ -520,6 +523,18 @@ export default function AdminDashboard() {
                 >
                   Task Progress
                 </Link>
+                <Link
+                  to={tabRoutes.analytics}
+                  className={`py-4 px-1 border-b-2 font-medium text-sm transition-colors duration-200 flex items-center justify-center ${activeTab === "analytics"
+                    ? "border-primary text-primary"
+                    : "border-transparent text-neutral-400 hover:text-neutral-300 hover:border-neutral-300"
+                    } ${!setupCompleted ? "opacity-50 cursor-not-allowed" : ""}`}
+                  tabIndex={!setupCompleted ? -1 : 0}
+                  aria-disabled={!setupCompleted}
+                  onClick={e => { if (!setupCompleted) e.preventDefault(); }}
+                >
+                  Search Analytics
+                </Link>
               </nav>
             </div>
 
@@ -554,6 +569,11 @@ export default function AdminDashboard() {
               {activeTab === "tasks" && (
                 <TaskProgress />
               )}
+
+              {/* Search Analytics Tab */}
+              {activeTab === "analytics" && (
+                <SearchAnalytics showNotification={showNotification} />
+              )}
             </div>
           </div>
 
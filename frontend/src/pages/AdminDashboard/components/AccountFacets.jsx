@@ -0,0 +1,252 @@
+import React, { useState, useEffect } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { faChartBar, faCircleNotch, faTimes, faXmark } from "@fortawesome/free-solid-svg-icons";
+import axiosClient from "../../../api/axiosClient";
+
+const FACET_FIELDS = [
+  { field: "domain", label: "Domain" },
+  { field: "host", label: "Host" },
+  { field: "email_domain", label: "Email Domain" },
+  { field: "source_file", label: "Source File" },
+  { field: "ingest_task_id", label: "Ingest Task" },
+];
+const DEFAULT_FIELDS = ["domain", "email_domain", "source_file"];
+const INTERVALS = ["hour", "day", "week", "month"];
+const DATE_FIELD = "ingested_at";
+
+function fieldLabel(field) {
+  return FACET_FIELDS.find((entry) => entry.field === field)?.label || field;
+}
+
+function formatBucketDate(iso, interval) {
+  const date = new Date(iso);
+  if (interval === "hour") return date.toLocaleString([], { dateStyle: "short", timeStyle: "short" });
+  if (interval === "month") return date.toLocaleDateString([], { year: "numeric", month: "short" });
+  return date.toLocaleDateString();
+}
+
+// Readable form of a "field:value" filter
+function describeFacetFilter(filter) {
+  const separator = filter.indexOf(":");
+  const field = filter.slice(0, separator);
+  const value = filter.slice(separator + 1);
+  if (field === DATE_FIELD) {
+    const [from, to] = value.split("..");
+    return `Ingested ${new Date(from).toLocaleString()} – ${new Date(to).toLocaleString()}`;
+  }
+  return `${fieldLabel(field)}: ${value}`;
+}
+
+// Facet sidebar of the Account Management tab: top values per field and records ingested over time for the
+// records the table shows (same targets and filters). Clicking a value adds it to `filters`, clicking it
+// again removes it; the table filters on the same list.
+export default function AccountFacets({
+  targetParams,
+  filters,
+  onToggleFilter,
+  onClearFilters,
+  reloadKey,
+  showNotification,
+  disabled = false,
+}) {
+  const [fields, setFields] = useState(DEFAULT_FIELDS);
+  const [histogramInterval, setHistogramInterval] = useState("day");
+  const [data, setData] = useState(null);
+  const [loading, setLoading] = useState(false);
+
+  useEffect(() => {
+    if (disabled) return undefined;
+    let cancelled = false;
+    const fetchFacets = async () => {
+      setLoading(true);
+      try {
+        const res = await axiosClient.get("/api/admin/accounts/facets", {
+          params: { ...targetParams, filter: filters, fields: fields.join(","), interval: histogramInterval },
+          paramsSerializer: { indexes: null }, // filter=a&filter=b
+        });
+        if (!cancelled) setData(res.data);
+      } catch (err) {
+        if (cancelled) return;
+        setData(null);
+        showNotification("error", err.response?.data?.error || "Failed to fetch facets", faTimes);
+      } finally {
+        if (!cancelled) setLoading(false);
+      }
+    };
+    fetchFacets();
+    return () => {
+      cancelled = true;
+    };
+  }, [targetParams, filters, fields, histogramInterval, reloadKey, showNotification, disabled]);
+
+  const toggleField = (field) => {
+    setFields((prev) =>
+      prev.includes(field)
+        ? prev.filter((entry) => entry !== field)
+        : FACET_FIELDS.map((entry) => entry.field).filter((entry) => entry === field || prev.includes(entry))
+    );
+  };
+
+  const histogramMax = data?.histogram ? Math.max(1, ...data.histogram.buckets.map((bucket) => bucket.count)) : 1;
+
+  return (
+    <aside className="p-4 bg-neutral-700 rounded-lg border border-neutral-600 text-sm">
+      <div className="flex justify-between items-center mb-3">
+        <h3 className="text-white font-semibold flex items-center">
+          <FontAwesomeIcon icon={faChartBar} className="mr-2 text-blue-400" />
+          Facets
+        </h3>
+        {loading && <FontAwesomeIcon icon={faCircleNotch} spin className="text-neutral-400" />}
+      </div>
+
+      {filters.length > 0 && (
+        <div className="mb-4">
+          <div className="flex flex-wrap gap-2 mb-2">
+            {filters.map((filter) => (
+              <button
+                key={filter}
+                onClick={() => onToggleFilter(filter)}
+                className="px-2 py-1 bg-primary text-white rounded text-xs flex items-center"
+                title="Remove this filter"
+                disabled={disabled}
+              >
+                <span className="truncate max-w-[12rem]">{describeFacetFilter(filter)}</span>
+                <FontAwesomeIcon icon={faXmark} className="ml-2" />
+              </button>
+            ))}
+          </div>
+          <button onClick={onClearFilters} className="text-xs text-neutral-400 hover:text-white" disabled={disabled}>
+            Clear all filters
+          </button>
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-1 mb-4">
+        {FACET_FIELDS.map(({ field, label }) => (
+          <button
+            key={field}
+            onClick={() => toggleField(field)}
+            className={`px-2 py-0.5 rounded text-xs border ${
+              fields.includes(field)
+                ? "border-blue-400 text-blue-300"
+                : "border-neutral-500 text-neutral-400 hover:text-neutral-200"
+            }`}
+          >
+            {label}
+          </button>
+        ))}
+      </div>
+
+      {!data ? (
+        <p className="text-neutral-400">{loading ? "Loading facets..." : "No facets to show."}</p>
+      ) : (
+        <>
+          <p className="text-neutral-300 mb-4">{data.total.toLocaleString()} matching records</p>
+          {data.warnings && (
+            <p className="text-amber-300 text-xs mb-4">
+              Counts leave out node(s) {data.warnings.map((warning) => warning.node).join(", ")}, which failed.
+            </p>
+          )}
+
+          {data.facets.map((facet) => (
+            <div key={facet.field} className="mb-5">
+              <div className="flex justify-between items-baseline mb-1">
+                <h4 className="text-neutral-200 font-medium">{fieldLabel(facet.field)}</h4>
+                <span
+                  className="text-xs text-neutral-400"
+                  title={facet.distinct.exact ? "Distinct values" : "Distinct values summed over nodes (upper bound)"}
+                >
+                  {facet.distinct.exact ? "" : "≤ "}
+                  {facet.distinct.value.toLocaleString()} distinct
+                </span>
+              </div>
+              {facet.buckets.length === 0 ? (
+                <p className="text-xs text-neutral-500">No values</p>
+              ) : (
+                <ul className="space-y-0.5">
+                  {facet.buckets.map((bucket) => {
+                    const filter = `${facet.field}:${bucket.value}`;
+                    const active = filters.includes(filter);
+                    return (
+                      <li key={bucket.value}>
+                        <button
+                          onClick={() => onToggleFilter(filter)}
+                          className={`w-full flex justify-between gap-2 px-2 py-0.5 rounded text-left ${
+                            active ? "bg-primary text-white" : "text-neutral-300 hover:bg-neutral-600"
+                          }`}
+                          disabled={disabled}
+                        >
+                          <span className="truncate" title={String(bucket.value)}>
+                            {String(bucket.value)}
+                          </span>
+                          <span className="text-xs tabular-nums">{bucket.count.toLocaleString()}</span>
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+              {(facet.other > 0 || facet.approximate) && (
+                <p className="text-xs text-neutral-500 mt-1 px-2">
+                  {facet.other > 0 ? `${facet.other.toLocaleString()} in other values` : ""}
+                  {facet.approximate ? " · counts merged from several nodes may miss values" : ""}
+                </p>
+              )}
+            </div>
+          ))}
+
+          {data.histogram && (
+            <div>
+              <div className="flex justify-between items-center mb-1">
+                <h4 className="text-neutral-200 font-medium">Ingested</h4>
+                <select
+                  value={histogramInterval}
+                  onChange={(e) => setHistogramInterval(e.target.value)}
+                  className="bg-neutral-600 border border-neutral-500 text-white rounded px-2 py-0.5 text-xs"
+                >
+                  {INTERVALS.map((option) => (
+                    <option key={option} value={option}>
+                      per {option}
+                    </option>
+                  ))}
+                </select>
+              </div>
+              {data.histogram.buckets.length === 0 ? (
+                <p className="text-xs text-neutral-500">No ingest dates</p>
+              ) : (
+                <ul className="space-y-0.5 max-h-64 overflow-y-auto">
+                  {data.histogram.buckets.map((bucket) => {
+                    const filter = `${DATE_FIELD}:${bucket.from}..${bucket.to}`;
+                    const active = filters.includes(filter);
+                    return (
+                      <li key={bucket.from}>
+                        <button
+                          onClick={() => onToggleFilter(filter)}
+                          className={`w-full px-2 py-0.5 rounded text-left ${
+                            active ? "bg-primary text-white" : "text-neutral-300 hover:bg-neutral-600"
+                          }`}
+                          disabled={disabled}
+                        >
+                          <div className="flex justify-between gap-2">
+                            <span>{formatBucketDate(bucket.from, data.histogram.interval)}</span>
+                            <span className="text-xs tabular-nums">{bucket.count.toLocaleString()}</span>
+                          </div>
+                          <div className="h-1 bg-neutral-600 rounded mt-0.5">
+                            <div
+                              className="h-1 bg-blue-400 rounded"
+                              style={{ width: `${(bucket.count / histogramMax) * 100}%` }}
+                            />
+                          </div>
+                        </button>
+                      </li>
+                    );
+                  })}
+                </ul>
+              )}
+            </div>
+          )}
+        </>
+      )}
+    </aside>
+  );
+}
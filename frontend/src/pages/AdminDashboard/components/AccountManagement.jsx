@@ -17,6 +17,7 @@ import {
   faSitemap,
 } from "@fortawesome/free-solid-svg-icons";
 import buttonStyles from "../../../components/ButtonStyles";
+import AccountFacets from "./AccountFacets";
 
 const AccountManagement = React.memo(function AccountManagement({
   showNotification,
@@ -42,6 +43,23 @@ const AccountManagement = React.memo(function AccountManagement({
   const [selectedNode, setSelectedNode] = useState("");
   const [selectedNodeIndex, setSelectedNodeIndex] = useState(""); // format: nodeName::indexName
 
+  // Facet values picked in the sidebar ("field:value"), applied to the table and the facets alike
+  const [facetFilters, setFacetFilters] = useState([]);
+  const [facetsReloadKey, setFacetsReloadKey] = useState(0);
+
+  // Cluster, node and index params shared by the table and the facets
+  const targetParams = React.useMemo(() => {
+    const params = {};
+    let node = selectedNode;
+    let index = "";
+    if (selectedNodeIndex) {
+      [node, index] = selectedNodeIndex.split("::");
+    }
+    if (selectedCluster) params.cluster = selectedCluster;
+    if (node) params.node = node;
+    if (index) params.index = index;
+    return params;
+  }, [selectedCluster, selectedNode, selectedNodeIndex]);
 
   // Filter nodes by selected cluster
   const availableNodes = React.useMemo(() => {
@@ -147,16 +165,8 @@ const AccountManagement = React.memo(function AccountManagement({
         return;
       }
 
-      // Parse cluster, node+index selection
-      const params = { page, size: pageSize };
-      let node = selectedNode;
-      let index = "";
-      if (selectedNodeIndex) {
-        const [n, i] = selectedNodeIndex.split("::");
-        node = n;
-        index = i;
-      }
-      if (selectedCluster) params.cluster = selectedCluster;
+      const params = { page, size: pageSize, ...targetParams, filter: facetFilters };
+      const { node, index } = targetParams;
 
       // Check if selected node is running before making the request
       if (node) {
@@ -173,11 +183,9 @@ const AccountManagement = React.memo(function AccountManagement({
         }
       }
 
-      if (node) params.node = node;
-      if (index) params.index = index;
-
       const accountsRes = await axiosClient.get("/api/admin/accounts", {
         params,
+        paramsSerializer: { indexes: null }, // filter=a&filter=b
       });
 
       const fetchedAccounts = accountsRes.data.results || [];
@@ -221,18 +229,36 @@ const AccountManagement = React.memo(function AccountManagement({
     page,
     pageSize,
     showNotification,
-    selectedNode,
-    selectedNodeIndex,
+    targetParams,
+    facetFilters,
     availableNodes,
     anyNodesRunning,
     selectedCluster
   ]);
 
+  // Reload the table and the facets after records change
+  const reloadRecords = useCallback(async () => {
+    await fetchAccounts();
+    setFacetsReloadKey((key) => key + 1);
+  }, [fetchAccounts]);
+
+  const toggleFacetFilter = useCallback((filter) => {
+    setFacetFilters((prev) =>
+      prev.includes(filter) ? prev.filter((entry) => entry !== filter) : [...prev, filter]
+    );
+    setPage(1);
+  }, []);
+
+  const clearFacetFilters = useCallback(() => {
+    setFacetFilters([]);
+    setPage(1);
+  }, []);
+
   // Add refresh function
   const handleRefresh = async () => {
     try {
       showNotification('info', 'Refreshing accounts data...', faRefresh);
-      await fetchAccounts();
+      await reloadRecords();
       showNotification('success', 'Accounts data refreshed successfully', faCheckCircle);
     } catch (error) {
       showNotification('error', 'Failed to refresh accounts data', faTimes);
@@ -370,7 +396,7 @@ const AccountManagement = React.memo(function AccountManagement({
       setEditFormData({ url: "", username: "", password: "" });
 
       // Refresh the data
-      await fetchAccounts();
+      await reloadRecords();
     } catch (err) {
       showNotification(
         "error",
@@ -434,7 +460,7 @@ const AccountManagement = React.memo(function AccountManagement({
         "Account deleted successfully!",
         faCheckCircle
       );
-      await fetchAccounts();
+      await reloadRecords();
     } catch (err) {
       showNotification(
         "error",
@@ -531,7 +557,7 @@ const AccountManagement = React.memo(function AccountManagement({
       }
     }
 
-    await fetchAccounts();
+    await reloadRecords();
   };
 
   // Pagination helpers
@@ -736,177 +762,211 @@ const AccountManagement = React.memo(function AccountManagement({
           </div>
         </div>
 
-        {/* Main Content Area */}
-        <div className="overflow-hidden border border-neutral-600 rounded-lg">
-          <table className="min-w-full divide-y divide-neutral-600">
-            <thead className="bg-neutral-700">
-              <tr>
-                <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
-                  <input
-                    type="checkbox"
-                    className="form-checkbox h-4 w-4 text-blue-400 rounded focus:ring-blue-400 bg-neutral-600 border-neutral-500 cursor-pointer"
-                    checked={
-                      selected.length === accounts.length && accounts.length > 0
-                    }
-                    onChange={selectAll}
-                  />
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
-                  URL
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
-                  Username
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
-                  Password
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
-                  Node
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
-                  Index
-                </th>
-                <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
-                  Actions
-                </th>
-              </tr>
-            </thead>
-            <tbody className="divide-y divide-neutral-700">
-              {loading ? (
-                <tr>
-                  <td
-                    colSpan="8"
-                    className="px-6 py-4 text-center text-neutral-400"
-                  >
-                    Loading records...
-                  </td>
-                </tr>
-              ) : accounts.length === 0 ? (
-                <tr>
-                  <td
-                    colSpan="8"
-                    className="px-6 py-4 text-center text-neutral-400"
-                  >
-                    No records found.
-                  </td>
-                </tr>
-              ) : (
-                accounts.map((account) => (
-                  <tr
-                    key={account.id}
-                    className="hover:bg-neutral-700 transition duration-150 ease-in-out"
-                  >
-                    <td className="px-6 py-4 whitespace-nowrap">
+        <div className="flex flex-col lg:flex-row gap-6">
+          {/* Facet Sidebar */}
+          <div className="lg:w-72 shrink-0">
+            <AccountFacets
+              targetParams={targetParams}
+              filters={facetFilters}
+              onToggleFilter={toggleFacetFilter}
+              onClearFilters={clearFacetFilters}
+              reloadKey={facetsReloadKey}
+              showNotification={showNotification}
+              disabled={disabled || !anyNodesRunning}
+            />
+          </div>
+
+          <div className="flex-1 min-w-0">
+            {/* Main Content Area */}
+            <div className="overflow-x-auto border border-neutral-600 rounded-lg">
+              <table className="min-w-full divide-y divide-neutral-600">
+                <thead className="bg-neutral-700">
+                  <tr>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
                       <input
                         type="checkbox"
                         className="form-checkbox h-4 w-4 text-blue-400 rounded focus:ring-blue-400 bg-neutral-600 border-neutral-500 cursor-pointer"
-                        checked={selected.includes(account)}
-                        onChange={() => toggleSelect(account)}
+                        checked={
+                          selected.length === accounts.length && accounts.length > 0
+                        }
+                        onChange={selectAll}
                       />
-                    </td>
-                    <td className="px-6 py-4 text-sm text-neutral-200 break-all">
-                      {account.url}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-neutral-200">
-                      {account.username}
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-neutral-200">
-                      <div className="flex items-center">
-                        {showAllPasswords || !hiddenPasswords[account.id] ? (
-                          <span>{account.password}</span>
-                        ) : (
-                          <span>••••••••</span>
-                        )}
-                        <button
-                          onClick={() => togglePasswordVisibility(account.id)}
-                          className="ml-2 text-neutral-400 hover:text-blue-400 transition-colors"
-                        >
-                          <FontAwesomeIcon
-                            icon={
-                              showAllPasswords || !hiddenPasswords[account.id]
-                                ? faEyeSlash
-                                : faEye
-                            }
-                            className="text-base"
-                          />
-                        </button>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-neutral-200">
-                      <div className="flex items-center space-x-2">
-                        <FontAwesomeIcon
-                          icon={faServer}
-                          className="text-green-400"
-                        />
-                        <span>
-                          {account._source?.node || account.node || account._node || (!selectedNodeIndex ? "All nodes" : "Unknown")}
-                        </span>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm text-neutral-200">
-                      <div className="flex items-center space-x-2">
-                        <FontAwesomeIcon
-                          icon={faDatabase}
-                          className="text-blue-400"
-                        />
-                        <span>
-                          {account._index || account.index || "Unknown"}
-                        </span>
-                      </div>
-                    </td>
-                    <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
-                      <div className="flex space-x-3">
-                        <button
-                          className={buttonStyles.primary + " p-3"}
-                          onClick={() => handleEditClick(account)}
-                          disabled={
-                            disabled ||
-                            editLoading ||
-                            deletingAccountIds.has(account.id)
-                          }
-                          title="Edit Account"
-                        >
-                          <FontAwesomeIcon icon={faEdit} />
-                        </button>
-                        <button
-                          className={buttonStyles.delete + " p-3"}
-                          onClick={() => handleDeleteAccount(account.id)}
-                          disabled={
-                            disabled ||
-                            loading ||
-                            deletingAccountIds.has(account.id)
-                          }
-                          title="Delete Account"
-                        >
-                          <FontAwesomeIcon icon={faTrash} />
-                          {deletingAccountIds.has(account.id) && spinner}
-                        </button>
-                      </div>
-                    </td>
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
+                      URL
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
+                      Username
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
+                      Password
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
+                      Node
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
+                      Index
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
+                      Source
+                    </th>
+                    <th className="px-6 py-3 text-left text-xs font-medium text-neutral-300 uppercase tracking-wider">
+                      Actions
+                    </th>
                   </tr>
-                ))
-              )}
-            </tbody>
-          </table>
-        </div>
+                </thead>
+                <tbody className="divide-y divide-neutral-700">
+                  {loading ? (
+                    <tr>
+                      <td
+                        colSpan="9"
+                        className="px-6 py-4 text-center text-neutral-400"
+                      >
+                        Loading records...
+                      </td>
+                    </tr>
+                  ) : accounts.length === 0 ? (
+                    <tr>
+                      <td
+                        colSpan="9"
+                        className="px-6 py-4 text-center text-neutral-400"
+                      >
+                        No records found.
+                      </td>
+                    </tr>
+                  ) : (
+                    accounts.map((account) => (
+                      <tr
+                        key={account.id}
+                        className="hover:bg-neutral-700 transition duration-150 ease-in-out"
+                      >
+                        <td className="px-6 py-4 whitespace-nowrap">
+                          <input
+                            type="checkbox"
+                            className="form-checkbox h-4 w-4 text-blue-400 rounded focus:ring-blue-400 bg-neutral-600 border-neutral-500 cursor-pointer"
+                            checked={selected.includes(account)}
+                            onChange={() => toggleSelect(account)}
+                          />
+                        </td>
+                        <td className="px-6 py-4 text-sm text-neutral-200 break-all">
+                          {account.url}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-neutral-200">
+                          {account.username}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-neutral-200">
+                          <div className="flex items-center">
+                            {showAllPasswords || !hiddenPasswords[account.id] ? (
+                              <span>{account.password}</span>
+                            ) : (
+                              <span>••••••••</span>
+                            )}
+                            <button
+                              onClick={() => togglePasswordVisibility(account.id)}
+                              className="ml-2 text-neutral-400 hover:text-blue-400 transition-colors"
+                            >
+                              <FontAwesomeIcon
+                                icon={
+                                  showAllPasswords || !hiddenPasswords[account.id]
+                                    ? faEyeSlash
+                                    : faEye
+                                }
+                                className="text-base"
+                              />
+                            </button>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-neutral-200">
+                          <div className="flex items-center space-x-2">
+                            <FontAwesomeIcon
+                              icon={faServer}
+                              className="text-green-400"
+                            />
+                            <span>
+                              {account._source?.node || account.node || account._node || (!selectedNodeIndex ? "All nodes" : "Unknown")}
+                            </span>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm text-neutral-200">
+                          <div className="flex items-center space-x-2">
+                            <FontAwesomeIcon
+                              icon={faDatabase}
+                              className="text-blue-400"
+                            />
+                            <span>
+                              {account._index || account.index || "Unknown"}
+                            </span>
+                          </div>
+                        </td>
+                        <td className="px-6 py-4 text-sm text-neutral-200">
+                          {account.sourceFile ? (
+                            <div>
+                              <div className="break-all">{account.sourceFile}</div>
+                              {account.ingestedAt && (
+                                <div className="text-xs text-neutral-400">
+                                  {new Date(account.ingestedAt).toLocaleString()}
+                                </div>
+                              )}
+                            </div>
+                          ) : (
+                            <span className="text-neutral-500">Unknown</span>
+                          )}
+                        </td>
+                        <td className="px-6 py-4 whitespace-nowrap text-sm font-medium">
+                          <div className="flex space-x-3">
+                            <button
+                              className={buttonStyles.primary + " p-3"}
+                              onClick={() => handleEditClick(account)}
+                              disabled={
+                                disabled ||
+                                editLoading ||
+                                deletingAccountIds.has(account.id)
+                              }
+                              title="Edit Account"
+                            >
+                              <FontAwesomeIcon icon={faEdit} />
+                            </button>
+                            <button
+                              className={buttonStyles.delete + " p-3"}
+                              onClick={() => handleDeleteAccount(account.id)}
+                              disabled={
+                                disabled ||
+                                loading ||
+                                deletingAccountIds.has(account.id)
+                              }
+                              title="Delete Account"
+                            >
+                              <FontAwesomeIcon icon={faTrash} />
+                              {deletingAccountIds.has(account.id) && spinner}
+                            </button>
+                          </div>
+                        </td>
+                      </tr>
+                    ))
+                  )}
+                </tbody>
+              </table>
+            </div>
 
-        {/* Pagination Controls */}
-        <div className="mt-6 flex justify-center items-center space-x-2">
-          <button
-            onClick={() => setPage((prev) => Math.max(1, prev - 1))}
-            disabled={disabled || page === 1 || loading}
-            className={buttonStyles.neutral}
-          >
-            Previous
-          </button>
-          {renderPaginationButtons()}
-          <button
-            onClick={() => setPage((prev) => Math.min(totalPages, prev + 1))}
-            disabled={disabled || page === totalPages || loading}
-            className={buttonStyles.neutral}
-          >
-            Next
-          </button>
+            {/* Pagination Controls */}
+            <div className="mt-6 flex justify-center items-center space-x-2">
+              <button
+                onClick={() => setPage((prev) => Math.max(1, prev - 1))}
+                disabled={disabled || page === 1 || loading}
+                className={buttonStyles.neutral}
+              >
+                Previous
+              </button>
+              {renderPaginationButtons()}
+              <button
+                onClick={() => setPage((prev) => Math.min(totalPages, prev + 1))}
+                disabled={disabled || page === totalPages || loading}
+                className={buttonStyles.neutral}
+              >
+                Next
+              </button>
+            </div>
+          </div>
         </div>
       </section>
 
@@ -0,0 +1,154 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import {
+  faGaugeHigh,
+  faSave,
+  faTimes,
+  faCheckCircle,
+  faCircleNotch,
+} from "@fortawesome/free-solid-svg-icons";
+import axiosClient from "../../../api/axiosClient";
+import buttonStyles from "../../../components/ButtonStyles";
+
+const NUMBER_FIELDS = [
+  { key: "minBatchSize", label: "Min Batch Size", hint: "Lines per bulk request" },
+  { key: "maxBatchSize", label: "Max Batch Size", hint: "Lines per bulk request" },
+  { key: "minConcurrency", label: "Min Files at Once", hint: "Files of one parse indexed in parallel" },
+  { key: "maxConcurrency", label: "Max Files at Once", hint: "Files of one parse indexed in parallel" },
+  {
+    key: "targetLatencyMs",
+    label: "Target Bulk Latency (ms)",
+    hint: "Batches grow while bulk requests stay under this",
+  },
+  {
+    key: "heapHighPercent",
+    label: "Heap High Mark (%)",
+    hint: "Batches shrink when the node's JVM heap reaches this",
+  },
+];
+
+const inputClass =
+  "w-full px-3 py-2 bg-neutral-600 border border-neutral-500 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-primary";
+
+// Bounds for adaptive bulk indexing (Configuration tab)
+export default function AdaptiveIngestSettings({ showNotification }) {
+  const [settings, setSettings] = useState(null);
+  const [savedSettings, setSavedSettings] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const res = await axiosClient.get("/api/admin/adaptive-ingest");
+      setSettings(res.data.settings);
+      setSavedSettings(res.data.settings);
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to fetch adaptive indexing settings",
+        faTimes
+      );
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  const handleChange = (key, value) => {
+    setSettings((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const saveSettings = async () => {
+    if (isSaving) return;
+    setIsSaving(true);
+    try {
+      const res = await axiosClient.put("/api/admin/adaptive-ingest", settings);
+      setSettings(res.data.settings);
+      setSavedSettings(res.data.settings);
+      showNotification("success", "Adaptive indexing settings saved!", faCheckCircle);
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to save adaptive indexing settings",
+        faTimes
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return (
+      <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600 text-neutral-400">
+        <FontAwesomeIcon icon={faCircleNotch} className="fa-spin mr-2" />
+        Loading adaptive indexing settings...
+      </div>
+    );
+  }
+
+  const hasUnsavedChanges = JSON.stringify(settings) !== JSON.stringify(savedSettings);
+
+  return (
+    <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-white flex items-center">
+          <FontAwesomeIcon icon={faGaugeHigh} className="mr-3 text-green-400" />
+          Adaptive Indexing
+        </h3>
+        {hasUnsavedChanges && (
+          <span className="text-yellow-400 text-sm font-medium">Unsaved changes</span>
+        )}
+      </div>
+
+      <p className="text-neutral-300 mb-4">
+        Parses start from the configured batch size and index concurrency, then shrink
+        on bulk rejections, slow requests or high node heap and grow again while the
+        node keeps up. Each file sends one bulk request at a time, so the number of files
+        at once only changes for parses of several files. Live values are shown on each
+        parse task.
+      </p>
+
+      <label className="flex items-center text-neutral-200 mb-6">
+        <input
+          type="checkbox"
+          className="mr-2"
+          checked={settings.enabled}
+          onChange={(e) => handleChange("enabled", e.target.checked)}
+        />
+        Adjust batch size and files at once automatically
+      </label>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        {NUMBER_FIELDS.map(({ key, label, hint }) => (
+          <div key={key}>
+            <label className="block text-sm font-medium text-neutral-300 mb-2">{label}</label>
+            <input
+              type="number"
+              min="1"
+              value={settings[key]}
+              disabled={!settings.enabled}
+              onChange={(e) => handleChange(key, Math.max(1, parseInt(e.target.value) || 1))}
+              className={inputClass}
+            />
+            <p className="text-xs text-neutral-400 mt-1">{hint}</p>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex space-x-4 mt-8 pt-6 border-t border-neutral-600">
+        <button onClick={saveSettings} className={buttonStyles.primary} disabled={isSaving}>
+          <FontAwesomeIcon icon={faSave} className="mr-2" />
+          {isSaving ? "Saving..." : "Save Adaptive Indexing Settings"}
+        </button>
+        <button
+          onClick={() => setSettings(savedSettings)}
+          className={buttonStyles.cancel}
+          disabled={isSaving || !hasUnsavedChanges}
+        >
+          <FontAwesomeIcon icon={faTimes} className="mr-2" />
+          Reset Changes
+        </button>
+      </div>
+    </div>
+  );
+}
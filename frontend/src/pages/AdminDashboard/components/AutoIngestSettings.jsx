@@ -0,0 +1,349 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import {
+  faEye,
+  faSave,
+  faTimes,
+  faCheckCircle,
+  faCircleNotch,
+  faExclamationTriangle,
+} from "@fortawesome/free-solid-svg-icons";
+import axiosClient from "../../../api/axiosClient";
+import buttonStyles from "../../../components/ButtonStyles";
+import { formatBytes } from "../../../utils/format";
+
+const STAGE_LABELS = {
+  waiting: "Waiting for upload to finish",
+  queued: "Queued",
+  validating: "Validating",
+  parsing: "Parsing",
+  rejected: "Rejected",
+};
+
+const inputClass =
+  "w-full px-3 py-2 bg-neutral-600 border border-neutral-500 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-primary";
+
+// Drop-folder watcher settings (Configuration tab)
+export default function AutoIngestSettings({ showNotification, enhancedNodesData = {} }) {
+  const [status, setStatus] = useState(null);
+  const [settings, setSettings] = useState(null);
+  const [formats, setFormats] = useState([]);
+  const [encodings, setEncodings] = useState([]);
+  const [hasUnsavedChanges, setHasUnsavedChanges] = useState(false);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchStatus = useCallback(
+    async (resetSettings = false) => {
+      try {
+        const res = await axiosClient.get("/api/admin/auto-ingest");
+        setStatus(res.data);
+        if (resetSettings) {
+          setSettings(res.data.settings);
+          setHasUnsavedChanges(false);
+        }
+      } catch (err) {
+        showNotification(
+          "error",
+          err.response?.data?.error || "Failed to fetch auto-ingest settings",
+          faTimes
+        );
+      }
+    },
+    [showNotification]
+  );
+
+  useEffect(() => {
+    fetchStatus(true);
+    axiosClient
+      .get("/api/admin/parse-formats")
+      .then((res) => {
+        setFormats(res.data.formats || []);
+        setEncodings(res.data.encodings || []);
+      })
+      .catch((err) => console.error("Failed to fetch parse formats:", err));
+  }, [fetchStatus]);
+
+  // Keep the tracked-files list current while the watcher runs
+  const watching = !!status?.watching;
+  useEffect(() => {
+    if (!watching) return;
+    const interval = setInterval(() => fetchStatus(false), 5000);
+    return () => clearInterval(interval);
+  }, [watching, fetchStatus]);
+
+  const handleChange = (key, value) => {
+    setSettings((prev) => ({ ...prev, [key]: value }));
+    setHasUnsavedChanges(true);
+  };
+
+  const saveSettings = async () => {
+    if (isSaving) return;
+    setIsSaving(true);
+    try {
+      const res = await axiosClient.put("/api/admin/auto-ingest", settings);
+      setStatus(res.data);
+      setSettings(res.data.settings);
+      setHasUnsavedChanges(false);
+      showNotification("success", "Auto-ingest settings saved!", faCheckCircle);
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to save auto-ingest settings",
+        faTimes
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return (
+      <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600 text-neutral-400">
+        <FontAwesomeIcon icon={faCircleNotch} className="fa-spin mr-2" />
+        Loading auto-ingest settings...
+      </div>
+    );
+  }
+
+  const nodeIndices = settings.targetNode
+    ? enhancedNodesData[settings.targetNode]?.indices || []
+    : Object.values(enhancedNodesData).flatMap((node) => node.indices || []);
+
+  return (
+    <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-white flex items-center">
+          <FontAwesomeIcon icon={faEye} className="mr-3 text-purple-400" />
+          Auto-Ingest
+        </h3>
+        <div className="flex items-center space-x-3">
+          {hasUnsavedChanges && (
+            <span className="text-yellow-400 text-sm font-medium">Unsaved changes</span>
+          )}
+          <span
+            className={`px-2 py-1 rounded text-sm text-white ${
+              watching ? "bg-green-600" : "bg-neutral-500"
+            }`}
+          >
+            {watching ? "Watching" : "Off"}
+          </span>
+        </div>
+      </div>
+
+      <p className="text-neutral-300 mb-4">
+        Watch a server directory (and optionally data/pending) for new files. Once a
+        file has stopped growing it is validated on a sample and parsed into the
+        target index. Rejected drop-folder files are moved to its rejected/ subfolder.
+      </p>
+
+      {status?.lastError && (
+        <div className="mb-4 p-3 bg-red-600 bg-opacity-20 border border-red-600 rounded-lg text-red-200 text-sm">
+          <FontAwesomeIcon icon={faExclamationTriangle} className="mr-2" />
+          {status.lastError}
+        </div>
+      )}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div className="md:col-span-2 flex items-center space-x-6">
+          <label className="flex items-center text-neutral-200">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={settings.enabled}
+              onChange={(e) => handleChange("enabled", e.target.checked)}
+            />
+            Enable auto-ingest
+          </label>
+          <label className="flex items-center text-neutral-200">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={settings.watchPending}
+              onChange={(e) => handleChange("watchPending", e.target.checked)}
+            />
+            Also ingest files uploaded to pending
+          </label>
+          <label className="flex items-center text-neutral-200">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={settings.dedupe}
+              onChange={(e) => handleChange("dedupe", e.target.checked)}
+            />
+            Skip duplicates
+          </label>
+        </div>
+
+        <div className="md:col-span-2">
+          <label className="block text-sm font-medium text-neutral-300 mb-2">
+            Watch Directory
+          </label>
+          <input
+            type="text"
+            value={settings.watchDir}
+            placeholder="/srv/trustquery/drop"
+            onChange={(e) => handleChange("watchDir", e.target.value)}
+            className={inputClass}
+          />
+          <p className="text-xs text-neutral-400 mt-1">
+            Absolute path on the server; leave empty to only watch pending
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-neutral-300 mb-2">Target Node</label>
+          <select
+            value={settings.targetNode}
+            onChange={(e) => handleChange("targetNode", e.target.value)}
+            className={inputClass}
+          >
+            <option value="">Default write node</option>
+            {Object.keys(enhancedNodesData).map((nodeName) => (
+              <option key={nodeName} value={nodeName}>
+                {nodeName}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-neutral-300 mb-2">Target Index</label>
+          <input
+            type="text"
+            list="auto-ingest-indices"
+            value={settings.targetIndex}
+            onChange={(e) => handleChange("targetIndex", e.target.value)}
+            className={inputClass}
+          />
+          <datalist id="auto-ingest-indices">
+            {nodeIndices.map((idx) => (
+              <option key={idx.index} value={idx.index} />
+            ))}
+          </datalist>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-neutral-300 mb-2">Line Format</label>
+          <select
+            value={settings.format}
+            onChange={(e) => handleChange("format", e.target.value)}
+            className={inputClass}
+          >
+            <option value="auto">Auto-detect</option>
+            {formats.map((format) => (
+              <option key={format.name} value={format.name}>
+                {format.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-neutral-300 mb-2">Encoding</label>
+          <select
+            value={settings.encoding}
+            onChange={(e) => handleChange("encoding", e.target.value)}
+            className={inputClass}
+          >
+            <option value="auto">Auto-detect</option>
+            {encodings.map((option) => (
+              <option key={option.id} value={option.id}>
+                {option.label}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-neutral-300 mb-2">
+            Stable Time (seconds)
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={settings.stableSeconds}
+            onChange={(e) => handleChange("stableSeconds", parseInt(e.target.value) || 30)}
+            className={inputClass}
+          />
+          <p className="text-xs text-neutral-400 mt-1">
+            A file is picked up once its size has not changed for this long
+          </p>
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-neutral-300 mb-2">
+            Poll Interval (seconds)
+          </label>
+          <input
+            type="number"
+            min="1"
+            value={settings.pollSeconds}
+            onChange={(e) => handleChange("pollSeconds", parseInt(e.target.value) || 10)}
+            className={inputClass}
+          />
+        </div>
+
+        <div>
+          <label className="block text-sm font-medium text-neutral-300 mb-2">
+            Max Malformed Lines (%)
+          </label>
+          <input
+            type="number"
+            min="0"
+            max="100"
+            value={Math.round(settings.maxMalformedRatio * 100)}
+            onChange={(e) =>
+              handleChange(
+                "maxMalformedRatio",
+                Math.min(100, Math.max(0, parseInt(e.target.value) || 0)) / 100
+              )
+            }
+            className={inputClass}
+          />
+          <p className="text-xs text-neutral-400 mt-1">
+            Files with more malformed lines in the validation sample are rejected
+          </p>
+        </div>
+      </div>
+
+      {status?.files?.length > 0 && (
+        <div className="mt-6">
+          <h4 className="text-lg font-medium text-white mb-2">Tracked Files</h4>
+          <ul className="space-y-2">
+            {status.files.map((file) => (
+              <li
+                key={`${file.source}/${file.filename}`}
+                className="flex justify-between bg-neutral-800 p-3 rounded-lg border border-neutral-600 text-sm"
+              >
+                <span className="text-white break-all">
+                  {file.filename}
+                  <span className="text-neutral-400 ml-2">
+                    ({file.source === "pending" ? "pending" : "drop folder"}, {formatBytes(file.size)})
+                  </span>
+                </span>
+                <span className={file.stage === "rejected" ? "text-red-400" : "text-neutral-300"}>
+                  {STAGE_LABELS[file.stage] || file.stage}
+                </span>
+              </li>
+            ))}
+          </ul>
+        </div>
+      )}
+
+      <div className="flex space-x-4 mt-8 pt-6 border-t border-neutral-600">
+        <button onClick={saveSettings} className={buttonStyles.primary} disabled={isSaving}>
+          <FontAwesomeIcon icon={faSave} className="mr-2" />
+          {isSaving ? "Saving..." : "Save Auto-Ingest Settings"}
+        </button>
+        <button
+          onClick={() => fetchStatus(true)}
+          className={buttonStyles.cancel}
+          disabled={isSaving}
+        >
+          <FontAwesomeIcon icon={faTimes} className="mr-2" />
+          Reset Changes
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -16,6 +16,10 @@ import {
 } from "@fortawesome/free-solid-svg-icons";
 import { formatBytes } from "../../../utils/format";
 import buttonStyles from "../../../components/ButtonStyles";
+import AutoIngestSettings from "./AutoIngestSettings";
+import IngestRulesSettings from "./IngestRulesSettings";
+import AdaptiveIngestSettings from "./AdaptiveIngestSettings";
+import RateLimitSettings from "./RateLimitSettings";
 
 export default function ConfigurationManagement({
   showNotification,
@@ -594,6 +598,21 @@ export default function ConfigurationManagement({
             )}
           </div>
 
+          {/* Drop-folder auto-ingest */}
+          <AutoIngestSettings
+            showNotification={showNotification}
+            enhancedNodesData={indicesByNodes}
+          />
+
+          {/* Ingest normalization / quarantine rules */}
+          <IngestRulesSettings showNotification={showNotification} />
+
+          {/* Adaptive bulk indexing bounds */}
+          <AdaptiveIngestSettings showNotification={showNotification} />
+
+          {/* Public search rate limits, quotas and API keys */}
+          <RateLimitSettings showNotification={showNotification} />
+
           {/* System Settings */}
           <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600">
             <div className="flex justify-between items-center mb-6">
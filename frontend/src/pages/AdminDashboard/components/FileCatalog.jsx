@@ -0,0 +1,289 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import {
+  faBook,
+  faSort,
+  faSortUp,
+  faSortDown,
+  faChevronDown,
+  faChevronRight,
+  faSyncAlt,
+  faTimes,
+} from "@fortawesome/free-solid-svg-icons";
+import axiosClient from "../../../api/axiosClient";
+import buttonStyles from "../../../components/ButtonStyles";
+import { formatBytes } from "../../../utils/format";
+
+const PAGE_SIZE = 25;
+
+const COLUMNS = [
+  { key: "filename", label: "File" },
+  { key: "location", label: "Location" },
+  { key: "size", label: "Size" },
+  { key: "lineCount", label: "Lines" },
+  { key: null, label: "SHA-256" },
+  { key: "uploadedAt", label: "Uploaded" },
+  { key: "parseCount", label: "Parses" },
+  { key: "indexCount", label: "Indices" },
+  { key: "lastParsedAt", label: "Last parse" },
+];
+
+const LOCATION_STYLES = {
+  pending: "text-amber-300",
+  unparsed: "text-blue-300",
+  parsed: "text-green-400",
+  deleted: "text-neutral-500",
+};
+
+const PARSE_STATUS_STYLES = {
+  completed: "text-green-400",
+  "needs review": "text-amber-400",
+  paused: "text-amber-400",
+  running: "text-blue-400",
+  failed: "text-red-400",
+};
+
+const inputClass =
+  "px-3 py-2 bg-neutral-600 border border-neutral-500 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-primary";
+
+function formatDate(value) {
+  return value ? new Date(value).toLocaleString() : "—";
+}
+
+// Catalog of every ingest file: checksum, size, line count, who uploaded it and its parse history
+export default function FileCatalog({ showNotification, refreshKey }) {
+  const [files, setFiles] = useState([]);
+  const [total, setTotal] = useState(0);
+  const [page, setPage] = useState(1);
+  const [sort, setSort] = useState("uploadedAt");
+  const [order, setOrder] = useState("desc");
+  const [location, setLocation] = useState("");
+  const [search, setSearch] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [expanded, setExpanded] = useState(null); // Filename whose parse history is shown
+
+  const fetchCatalog = useCallback(async () => {
+    setLoading(true);
+    try {
+      const res = await axiosClient.get("/api/admin/catalog", {
+        params: { page, pageSize: PAGE_SIZE, sort, order, location: location || undefined, search: search || undefined },
+      });
+      setFiles(res.data.files);
+      setTotal(res.data.total);
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to fetch the file catalog",
+        faTimes
+      );
+    } finally {
+      setLoading(false);
+    }
+  }, [page, sort, order, location, search, showNotification]);
+
+  useEffect(() => {
+    fetchCatalog();
+  }, [fetchCatalog, refreshKey]);
+
+  const handleSort = (key) => {
+    if (sort === key) {
+      setOrder((prev) => (prev === "asc" ? "desc" : "asc"));
+    } else {
+      setSort(key);
+      setOrder(key === "filename" || key === "location" ? "asc" : "desc");
+    }
+    setPage(1);
+  };
+
+  const pageCount = Math.max(1, Math.ceil(total / PAGE_SIZE));
+
+  return (
+    <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600 mt-4">
+      <div className="flex flex-wrap justify-between items-center gap-4 mb-6">
+        <h3 className="text-xl font-semibold text-white flex items-center">
+          <FontAwesomeIcon icon={faBook} className="mr-3 text-blue-400" />
+          File Catalog
+          <span className="ml-3 text-sm font-normal text-neutral-400">{total} files</span>
+        </h3>
+        <div className="flex flex-wrap items-center gap-2">
+          <input
+            type="text"
+            value={search}
+            onChange={(e) => {
+              setSearch(e.target.value);
+              setPage(1);
+            }}
+            placeholder="Search file names"
+            className={inputClass}
+          />
+          <select
+            value={location}
+            onChange={(e) => {
+              setLocation(e.target.value);
+              setPage(1);
+            }}
+            className={inputClass}
+          >
+            <option value="">All locations</option>
+            <option value="pending">Pending</option>
+            <option value="unparsed">Unparsed</option>
+            <option value="parsed">Parsed</option>
+            <option value="deleted">Deleted</option>
+          </select>
+          <button onClick={fetchCatalog} disabled={loading} className={buttonStyles.refresh} title="Reload the catalog">
+            <FontAwesomeIcon icon={faSyncAlt} className={loading ? "fa-spin" : ""} />
+          </button>
+        </div>
+      </div>
+
+      {files.length === 0 ? (
+        <p className="text-neutral-400">{loading ? "Loading catalog..." : "No catalogued files found."}</p>
+      ) : (
+        <div className="w-full border border-neutral-700 rounded-lg bg-neutral-900 overflow-x-auto shadow-inner">
+          <table className="w-full text-sm text-left text-neutral-300">
+            <thead className="text-xs uppercase text-neutral-400 border-b border-neutral-700">
+              <tr>
+                <th className="px-3 py-3" />
+                {COLUMNS.map((column) => (
+                  <th key={column.label} className="px-3 py-3 whitespace-nowrap">
+                    {column.key ? (
+                      <button onClick={() => handleSort(column.key)} className="uppercase hover:text-white">
+                        {column.label}
+                        <FontAwesomeIcon
+                          icon={sort !== column.key ? faSort : order === "asc" ? faSortUp : faSortDown}
+                          className="ml-1"
+                        />
+                      </button>
+                    ) : (
+                      column.label
+                    )}
+                  </th>
+                ))}
+              </tr>
+            </thead>
+            <tbody>
+              {files.map((file) => {
+                const lastParse = file.parses.length > 0 ? file.parses[file.parses.length - 1] : null;
+                const isExpanded = expanded === file.filename;
+                return (
+                  <React.Fragment key={file.filename}>
+                    <tr className="border-b border-neutral-800 hover:bg-neutral-800">
+                      <td className="px-3 py-2">
+                        <button
+                          onClick={() => setExpanded(isExpanded ? null : file.filename)}
+                          disabled={file.parses.length === 0}
+                          className="text-neutral-400 hover:text-white disabled:opacity-30"
+                          title="Parse history"
+                        >
+                          <FontAwesomeIcon icon={isExpanded ? faChevronDown : faChevronRight} />
+                        </button>
+                      </td>
+                      <td className="px-3 py-2 text-white">
+                        {file.filename}
+                        {file.originalName !== file.filename && (
+                          <span className="block text-xs text-neutral-400">
+                            uploaded as {file.originalName} (version {file.version})
+                          </span>
+                        )}
+                      </td>
+                      <td className={`px-3 py-2 ${LOCATION_STYLES[file.location]}`}>{file.location}</td>
+                      <td className="px-3 py-2 whitespace-nowrap">{file.size !== null ? formatBytes(file.size) : "—"}</td>
+                      <td className="px-3 py-2">{file.lineCount !== null ? file.lineCount.toLocaleString() : "—"}</td>
+                      <td className="px-3 py-2 font-mono text-xs" title={file.sha256 || ""}>
+                        {file.sha256 ? file.sha256.slice(0, 12) : "—"}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {formatDate(file.uploadedAt)}
+                        <span className="block text-xs text-neutral-400">
+                          {file.uploadedBy ? `by ${file.uploadedBy}` : file.source}
+                        </span>
+                      </td>
+                      <td className="px-3 py-2">{file.parses.length}</td>
+                      <td
+                        className="px-3 py-2"
+                        title={file.indices.map((target) => `${target.targetNode} / ${target.targetIndex}`).join("\n")}
+                      >
+                        {file.indices.length}
+                      </td>
+                      <td className="px-3 py-2 whitespace-nowrap">
+                        {lastParse ? (
+                          <>
+                            {formatDate(lastParse.startedAt)}
+                            <span className={`block text-xs ${PARSE_STATUS_STYLES[lastParse.status] || "text-neutral-400"}`}>
+                              {lastParse.status}
+                            </span>
+                          </>
+                        ) : (
+                          "—"
+                        )}
+                      </td>
+                    </tr>
+                    {isExpanded && (
+                      <tr className="border-b border-neutral-800 bg-neutral-800">
+                        <td />
+                        <td colSpan={COLUMNS.length} className="px-3 py-3">
+                          {file.indices.length > 0 && (
+                            <div className="mb-3 text-xs">
+                              <span className="text-neutral-400">Documents in: </span>
+                              {file.indices.map((target) => (
+                                <span
+                                  key={`${target.targetNode}/${target.targetIndex}`}
+                                  className={`inline-block mr-2 mb-1 px-2 py-0.5 rounded bg-neutral-700 ${
+                                    target.complete ? "text-neutral-200" : "text-amber-300"
+                                  }`}
+                                  title={`Last ingested ${formatDate(target.ingestedAt)}${target.complete ? "" : " (partial)"}`}
+                                >
+                                  {target.targetNode} / {target.targetIndex}
+                                  {target.complete ? "" : " (partial)"}
+                                </span>
+                              ))}
+                            </div>
+                          )}
+                          <ul className="space-y-2">
+                            {[...file.parses].reverse().map((parse, index) => (
+                              <li key={`${parse.taskId}-${index}`} className="flex flex-wrap gap-x-4 text-xs">
+                                <span className={PARSE_STATUS_STYLES[parse.status] || "text-neutral-400"}>
+                                  {parse.status}
+                                  {parse.resumed ? " (resumed)" : ""}
+                                  {parse.reingest ? " (re-ingest)" : ""}
+                                </span>
+                                <span>{formatDate(parse.startedAt)}</span>
+                                <span>
+                                  {parse.targetNode} / {parse.targetIndex}
+                                </span>
+                                {parse.created !== undefined && <span>{parse.created.toLocaleString()} indexed</span>}
+                                {parse.duplicates > 0 && <span>{parse.duplicates.toLocaleString()} duplicates</span>}
+                                {parse.failed > 0 && <span className="text-amber-300">{parse.failed.toLocaleString()} failed</span>}
+                                {parse.quarantined > 0 && <span>{parse.quarantined.toLocaleString()} quarantined</span>}
+                                {parse.undecodable > 0 && <span>{parse.undecodable.toLocaleString()} undecodable</span>}
+                                <span className="text-neutral-500">task {parse.taskId || "—"}</span>
+                              </li>
+                            ))}
+                          </ul>
+                        </td>
+                      </tr>
+                    )}
+                  </React.Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      {total > PAGE_SIZE && (
+        <div className="flex justify-end items-center gap-3 mt-4 text-sm text-neutral-300">
+          <button onClick={() => setPage((prev) => prev - 1)} disabled={page <= 1 || loading} className={buttonStyles.neutral}>
+            Previous
+          </button>
+          <span>
+            Page {page} of {pageCount}
+          </span>
+          <button onClick={() => setPage((prev) => prev + 1)} disabled={page >= pageCount || loading} className={buttonStyles.neutral}>
+            Next
+          </button>
+        </div>
+      )}
+    </div>
+  );
+}
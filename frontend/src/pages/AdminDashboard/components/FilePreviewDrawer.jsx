@@ -0,0 +1,362 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import {
+  faTimes,
+  faSpinner,
+  faMagnifyingGlass,
+  faClipboardCheck,
+  faArrowRightArrowLeft,
+  faExclamationTriangle,
+} from "@fortawesome/free-solid-svg-icons";
+import axiosClient from "../../../api/axiosClient";
+import buttonStyles from "../../../components/ButtonStyles";
+
+const SAMPLE_SIZES = [25, 50, 100, 200];
+
+const STATUS_STYLES = {
+  ok: "bg-green-700 text-green-100",
+  malformed: "bg-amber-600 text-white",
+  empty: "bg-neutral-600 text-neutral-200",
+  header: "bg-blue-700 text-blue-100",
+  quarantined: "bg-red-700 text-red-100",
+};
+
+// Shown instead of "," etc. so whitespace delimiters are visible
+function describeDelimiter(delimiter) {
+  if (!delimiter) return "none";
+  if (delimiter === "\t") return "tab";
+  return `"${delimiter}"`;
+}
+
+function describeDetection(detection) {
+  if (!detection) return "chosen manually";
+  return `${Math.round((detection.confidence || 0) * 100)}% confidence, ${detection.reason}`;
+}
+
+// Side drawer for a pending file: parsed sample lines plus a whole-file dry-run report
+export default function FilePreviewDrawer({
+  filename,
+  availableFormats = [],
+  availableEncodings = [],
+  onClose,
+  onMoveToUnparsed,
+  showNotification,
+}) {
+  const [format, setFormat] = useState("auto");
+  const [encoding, setEncoding] = useState("auto");
+  const [sampleSize, setSampleSize] = useState(50);
+  const [preview, setPreview] = useState(null);
+  const [previewLoading, setPreviewLoading] = useState(false);
+  const [dryRunTask, setDryRunTask] = useState(null);
+
+  const fetchPreview = useCallback(async () => {
+    setPreviewLoading(true);
+    try {
+      const res = await axiosClient.get(
+        `/api/admin/pending-files/${encodeURIComponent(filename)}/preview`,
+        { params: { lines: sampleSize, format, encoding } }
+      );
+      setPreview(res.data);
+    } catch (err) {
+      setPreview(null);
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to preview file",
+        faTimes
+      );
+    } finally {
+      setPreviewLoading(false);
+    }
+  }, [filename, sampleSize, format, encoding, showNotification]);
+
+  useEffect(() => {
+    fetchPreview();
+  }, [fetchPreview]);
+
+  // A report from other settings would be misleading
+  useEffect(() => {
+    setDryRunTask(null);
+  }, [filename, format, encoding]);
+
+  // Poll the dry-run task until it finishes
+  const dryRunTaskId = dryRunTask?.taskId;
+  const dryRunDone = !!dryRunTask?.completed;
+  useEffect(() => {
+    if (!dryRunTaskId || dryRunDone) return;
+    const interval = setInterval(async () => {
+      try {
+        const res = await axiosClient.get(`/api/admin/tasks/${dryRunTaskId}`);
+        setDryRunTask(res.data);
+      } catch (err) {
+        console.error("Failed to fetch dry-run task:", err);
+      }
+    }, 1000);
+    return () => clearInterval(interval);
+  }, [dryRunTaskId, dryRunDone]);
+
+  const handleDryRun = async () => {
+    try {
+      const res = await axiosClient.post(
+        `/api/admin/pending-files/${encodeURIComponent(filename)}/dry-run`,
+        { formatOptions: { format }, encoding }
+      );
+      setDryRunTask({ taskId: res.data.taskId, status: "scanning", completed: false });
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to start dry run",
+        faTimes
+      );
+    }
+  };
+
+  const report = dryRunTask?.report;
+  const dryRunning = !!dryRunTask && !dryRunTask.completed;
+
+  return (
+    <div className="fixed inset-0 bg-black bg-opacity-60 flex justify-end z-50" onClick={onClose}>
+      <div
+        className="bg-neutral-800 w-full max-w-3xl h-full overflow-y-auto shadow-2xl border-l border-neutral-700 p-6"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="flex justify-between items-center mb-6">
+          <h3 className="text-2xl font-bold text-white flex items-center break-all">
+            <FontAwesomeIcon icon={faMagnifyingGlass} className="mr-3 text-blue-400" />
+            {filename}
+          </h3>
+          <button
+            onClick={onClose}
+            className="text-neutral-400 hover:text-red-400 text-3xl transition-colors"
+          >
+            <FontAwesomeIcon icon={faTimes} />
+          </button>
+        </div>
+
+        {/* Parse settings */}
+        <div className="grid grid-cols-3 gap-4 mb-4">
+          <div>
+            <label className="block text-sm font-medium text-neutral-300 mb-1">Line format</label>
+            <select
+              value={format}
+              onChange={(e) => setFormat(e.target.value)}
+              className="w-full p-2 border border-neutral-700 rounded-md bg-neutral-900 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="auto">Auto-detect</option>
+              {availableFormats.map((option) => (
+                <option key={option.name} value={option.name}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-neutral-300 mb-1">Encoding</label>
+            <select
+              value={encoding}
+              onChange={(e) => setEncoding(e.target.value)}
+              className="w-full p-2 border border-neutral-700 rounded-md bg-neutral-900 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              <option value="auto">Auto-detect</option>
+              {availableEncodings.map((option) => (
+                <option key={option.id} value={option.id}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="block text-sm font-medium text-neutral-300 mb-1">Sample lines</label>
+            <select
+              value={sampleSize}
+              onChange={(e) => setSampleSize(Number(e.target.value))}
+              className="w-full p-2 border border-neutral-700 rounded-md bg-neutral-900 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+            >
+              {SAMPLE_SIZES.map((size) => (
+                <option key={size} value={size}>
+                  {size}
+                </option>
+              ))}
+            </select>
+          </div>
+        </div>
+
+        {preview && (
+          <div className="text-sm text-neutral-300 mb-4 space-y-1">
+            <p>
+              <span className="text-neutral-400">Format:</span> {preview.formatOptions.format}, delimiter{" "}
+              {describeDelimiter(preview.delimiter)} ({describeDetection(preview.formatDetection)})
+            </p>
+            <p>
+              <span className="text-neutral-400">Encoding:</span> {preview.encoding} (
+              {describeDetection(preview.encodingDetection)})
+            </p>
+          </div>
+        )}
+
+        {/* Sample lines */}
+        <div className="border border-neutral-700 rounded-lg bg-neutral-900 max-h-96 overflow-auto mb-6">
+          {previewLoading ? (
+            <p className="text-neutral-400 p-4">
+              <FontAwesomeIcon icon={faSpinner} className="mr-2 fa-spin" />
+              Loading preview...
+            </p>
+          ) : !preview || preview.lines.length === 0 ? (
+            <p className="text-neutral-400 p-4">No lines to preview.</p>
+          ) : (
+            <table className="w-full text-xs text-left text-neutral-200">
+              <thead className="sticky top-0 bg-neutral-800 text-neutral-400">
+                <tr>
+                  <th className="p-2">#</th>
+                  <th className="p-2">Status</th>
+                  <th className="p-2">URL</th>
+                  <th className="p-2">Username</th>
+                  <th className="p-2">Password</th>
+                </tr>
+              </thead>
+              <tbody>
+                {preview.lines.map(({ lineNumber, line, status, reason, fields }) => (
+                  <tr key={lineNumber} className="border-t border-neutral-800" title={reason ? `${reason}: ${line}` : line}>
+                    <td className="p-2 text-neutral-500">{lineNumber}</td>
+                    <td className="p-2">
+                      <span className={`px-2 py-0.5 rounded ${STATUS_STYLES[status]}`}>{status}</span>
+                    </td>
+                    {fields ? (
+                      <>
+                        <td className="p-2 break-all">{fields.url}</td>
+                        <td className="p-2 break-all">{fields.username}</td>
+                        <td className="p-2 break-all">{fields.password}</td>
+                      </>
+                    ) : (
+                      <td className="p-2 text-neutral-500 break-all" colSpan={3}>
+                        {line}
+                      </td>
+                    )}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          )}
+        </div>
+
+        {/* Dry run */}
+        <div className="p-4 bg-neutral-700 rounded-lg border border-neutral-600 mb-6">
+          <div className="flex justify-between items-center mb-3">
+            <h4 className="text-lg font-semibold text-white flex items-center">
+              <FontAwesomeIcon icon={faClipboardCheck} className="mr-2 text-green-400" />
+              Dry Run
+            </h4>
+            <button onClick={handleDryRun} disabled={dryRunning} className={buttonStyles.refresh}>
+              <FontAwesomeIcon
+                icon={dryRunning ? faSpinner : faClipboardCheck}
+                className={"mr-2" + (dryRunning ? " fa-spin" : "")}
+              />
+              {dryRunning ? "Scanning..." : report ? "Run Again" : "Scan Whole File"}
+            </button>
+          </div>
+
+          {!dryRunTask && (
+            <p className="text-sm text-neutral-400">
+              Parses the whole file with the settings above without indexing anything.
+            </p>
+          )}
+          {dryRunning && (
+            <div>
+              <p className="text-sm text-neutral-300 mb-2">{dryRunTask.message || "Starting..."}</p>
+              {dryRunTask.total > 0 && (
+                <div className="w-full bg-neutral-600 rounded-full h-2">
+                  <div
+                    className="bg-blue-500 h-2 rounded-full"
+                    style={{ width: `${Math.min(100, ((dryRunTask.progress || 0) / dryRunTask.total) * 100)}%` }}
+                  />
+                </div>
+              )}
+            </div>
+          )}
+          {dryRunTask?.status === "error" && (
+            <p className="text-sm text-red-400">
+              <FontAwesomeIcon icon={faExclamationTriangle} className="mr-2" />
+              {dryRunTask.error}
+            </p>
+          )}
+          {report && (
+            <div className="space-y-4 text-sm text-neutral-200">
+              <div className="grid grid-cols-3 gap-3">
+                {[
+                  ["Total lines", report.totalLines],
+                  ["Parsed", report.parsedLines],
+                  ["Malformed", report.malformedLines],
+                  ["Empty", report.emptyLines],
+                  ["Header rows", report.headerLines],
+                  ["Undecodable", report.undecodableLines],
+                  ["Quarantined", report.quarantinedLines],
+                  ["Would be indexed", report.indexableLines],
+                ].map(([label, value]) => (
+                  <div key={label} className="bg-neutral-800 rounded-md p-3">
+                    <div className="text-neutral-400 text-xs">{label}</div>
+                    <div className="text-lg font-semibold text-white">{value.toLocaleString()}</div>
+                  </div>
+                ))}
+              </div>
+              <p>
+                <span className="text-neutral-400">Format:</span> {report.format}, delimiter{" "}
+                {describeDelimiter(report.delimiter)} · <span className="text-neutral-400">Encoding:</span>{" "}
+                {report.encoding}
+              </p>
+              {Object.keys(report.quarantineReasons).length > 0 && (
+                <div>
+                  <div className="text-neutral-400 mb-1">Quarantined by ingest rules</div>
+                  <ul>
+                    {Object.entries(report.quarantineReasons).map(([reason, count]) => (
+                      <li key={reason} className="flex justify-between border-b border-neutral-600 py-1">
+                        <span>{reason}</span>
+                        <span className="text-neutral-400 ml-2">{count.toLocaleString()}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {report.topDomains.length > 0 && (
+                <div>
+                  <div className="text-neutral-400 mb-1">
+                    Top domains{report.domainsApproximate ? " (approximate)" : ""}
+                  </div>
+                  <ul className="grid grid-cols-2 gap-x-6">
+                    {report.topDomains.map(({ domain, count }) => (
+                      <li key={domain} className="flex justify-between border-b border-neutral-600 py-1">
+                        <span className="break-all">{domain}</span>
+                        <span className="text-neutral-400 ml-2">{count.toLocaleString()}</span>
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+              {report.malformedSamples.length > 0 && (
+                <div>
+                  <div className="text-neutral-400 mb-1">Malformed lines</div>
+                  <ul className="font-mono text-xs bg-neutral-900 rounded-md p-2 space-y-1">
+                    {report.malformedSamples.map(({ lineNumber, line }) => (
+                      <li key={lineNumber} className="break-all">
+                        <span className="text-neutral-500 mr-2">{lineNumber}</span>
+                        {line}
+                      </li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end space-x-3">
+          <button onClick={() => onMoveToUnparsed(filename)} className={buttonStyles.primary}>
+            <FontAwesomeIcon icon={faArrowRightArrowLeft} className="mr-2" />
+            Move to Unparsed
+          </button>
+          <button onClick={onClose} className={buttonStyles.cancel}>
+            Close
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
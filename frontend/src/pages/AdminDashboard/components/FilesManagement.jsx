@@ -20,9 +20,32 @@ import {
   faFileArrowDown,
   faFileArrowUp,
   faFileArchive,
+  faFileLines,
+  faWandMagicSparkles,
+  faPause,
+  faForward,
+  faLanguage,
+  faMagnifyingGlass,
+  faEraser,
+  faClone,
 } from "@fortawesome/free-solid-svg-icons";
 import { formatBytes } from "../../../utils/format";
 import buttonStyles from "../../../components/ButtonStyles";
+import { uploadFileInChunks } from "../../../utils/chunkedUpload";
+import FilePreviewDrawer from "./FilePreviewDrawer";
+import FileCatalog from "./FileCatalog";
+
+const FORMAT_FIELDS = ["url", "username", "password"];
+
+const DEFAULT_FORMAT_OPTIONS = {
+  format: "auto",
+  hasHeader: false,
+  delimiter: "",
+  columns: { url: "", username: "", password: "" },
+  fields: { url: "", username: "", password: "" },
+  pattern: "",
+  flags: "",
+};
 
 const FilesManagement = React.memo(function FilesManagement({
   showNotification,
@@ -33,13 +56,20 @@ const FilesManagement = React.memo(function FilesManagement({
   enhancedNodesData = {},
   disabled = false,
 }) {
-  const [uploadPercentage, setUploadPercentage] = useState(0);
   const [uploadFiles, setUploadFiles] = useState([]);
+  const [uploadProgress, setUploadProgress] = useState({}); // Per-file { loaded, total, status, error }
+  const [unfinishedUploads, setUnfinishedUploads] = useState([]); // Server-side upload sessions
   const [unparsedFiles, setUnparsedFiles] = useState([]);
+  const [partialFiles, setPartialFiles] = useState({}); // Parse checkpoints keyed by filename
   const [parsedFiles, setParsedFiles] = useState([]);
   const [pendingFiles, setPendingFiles] = useState([]);
+  const [filesVersion, setFilesVersion] = useState(0); // Bumped on every reload so the catalog follows
+  const [previewFile, setPreviewFile] = useState(null); // Pending file shown in the preview drawer
   const [loading, setLoading] = useState(false);
   const [deletingFiles, setDeletingFiles] = useState(new Set()); // Track which files are being deleted
+  const [selectedFiles, setSelectedFiles] = useState({}); // Batch selection: "location/filename" -> { filename, location }
+  const [batchMoveTarget, setBatchMoveTarget] = useState("unparsed");
+  const [batchReparseFiles, setBatchReparseFiles] = useState(null); // Selection re-parsed through the parsing options modal
 
   // Parsing options modal state
   const [showParsingOptionsModal, setShowParsingOptionsModal] = useState(false);
@@ -49,20 +79,37 @@ const FilesManagement = React.memo(function FilesManagement({
   const cachedIndicesByNodes = enhancedNodesData;
   const [parseAllFiles, setParseAllFiles] = useState(true);
   const [selectedSingleFile, setSelectedSingleFile] = useState("");
+  const [reingestMode, setReingestMode] = useState(false); // Single file is a parsed file copied into another index
+
+  // Line format state for the parsing options modal
+  const [availableFormats, setAvailableFormats] = useState([]);
+  const [formatOptions, setFormatOptions] = useState(DEFAULT_FORMAT_OPTIONS);
+  const [fileFormats, setFileFormats] = useState({}); // Per-file format overrides for "Parse All"
+  const [formatDetections, setFormatDetections] = useState({});
+  const [detectingFormats, setDetectingFormats] = useState(false);
+  const [dedupe, setDedupe] = useState(false); // Content-hash document IDs
+  const [availableEncodings, setAvailableEncodings] = useState([]);
+  const [encoding, setEncoding] = useState("auto");
+  const [fileEncodings, setFileEncodings] = useState({}); // Per-file encoding overrides for "Parse All"
+  const [acceptFailures, setAcceptFailures] = useState(false); // Move files to parsed even with failed lines
 
   // Fetch files data
   const fetchFilesData = useCallback(async () => {
     try {
       setLoading(true);
-      const [unparsedRes, parsedRes, pendingRes] = await Promise.all([
+      const [unparsedRes, parsedRes, pendingRes, uploadsRes] = await Promise.all([
         axiosClient.get("/api/admin/files"),
         axiosClient.get("/api/admin/parsed-files"),
         axiosClient.get("/api/admin/pending-files"),
+        axiosClient.get("/api/admin/uploads"),
       ]);
 
       setUnparsedFiles(unparsedRes.data.files || []);
+      setPartialFiles(unparsedRes.data.partial || {});
       setParsedFiles(parsedRes.data.files || []);
       setPendingFiles(pendingRes.data.files || []);
+      setUnfinishedUploads(uploadsRes.data.uploads || []);
+      setFilesVersion((prev) => prev + 1);
     } catch (err) {
       showNotification(
         "error",
@@ -78,6 +125,59 @@ const FilesManagement = React.memo(function FilesManagement({
     fetchFilesData();
   }, [fetchFilesData]);
 
+  // Drop selected files that are no longer where they were selected
+  useEffect(() => {
+    const listed = { pending: pendingFiles, unparsed: unparsedFiles, parsed: parsedFiles };
+    setSelectedFiles((prev) => {
+      const kept = Object.entries(prev).filter(([, file]) => listed[file.location].includes(file.filename));
+      return kept.length === Object.keys(prev).length ? prev : Object.fromEntries(kept);
+    });
+  }, [pendingFiles, unparsedFiles, parsedFiles]);
+
+  // Refresh checkpoint percentages while a file is being parsed
+  const hasRunningParse = Object.values(partialFiles).some(
+    (checkpoint) => checkpoint.status === "running"
+  );
+  useEffect(() => {
+    if (!hasRunningParse) return undefined;
+    const interval = setInterval(fetchFilesData, 5000);
+    return () => clearInterval(interval);
+  }, [hasRunningParse, fetchFilesData]);
+
+  // Fetch the list of supported line formats and encodings once
+  useEffect(() => {
+    axiosClient
+      .get("/api/admin/parse-formats")
+      .then((res) => {
+        setAvailableFormats(res.data.formats || []);
+        setAvailableEncodings(res.data.encodings || []);
+      })
+      .catch((err) => console.error("Failed to fetch parse formats:", err));
+  }, []);
+
+  // Auto-detect the line format (and encoding, unless one is forced) of the given unparsed files
+  const detectFileFormats = async (filenames, forcedEncoding = "auto", location = "unparsed") => {
+    setDetectingFormats(true);
+    try {
+      const results = await Promise.all(
+        filenames.map((filename) =>
+          axiosClient
+            .get(`/api/admin/detect-format/${encodeURIComponent(filename)}`, {
+              params: {
+                ...(forcedEncoding !== "auto" ? { encoding: forcedEncoding } : {}),
+                ...(location !== "unparsed" ? { location } : {}),
+              },
+            })
+            .then((res) => [filename, res.data])
+            .catch((err) => [filename, { error: err.response?.data?.error || "Detection failed" }])
+        )
+      );
+      setFormatDetections((prev) => ({ ...prev, ...Object.fromEntries(results) }));
+    } finally {
+      setDetectingFormats(false);
+    }
+  };
+
   // Listen for cache refresh events to update node indices data
   useEffect(() => {
     const handleCacheRefresh = () => {
@@ -93,15 +193,28 @@ const FilesManagement = React.memo(function FilesManagement({
   }, []);
 
   // Initialize parsing options when modal opens
-  const openParsingOptionsModal = (parseAll = true, singleFile = "") => {
+  const openParsingOptionsModal = (parseAll = true, singleFile = "", batchFiles = null, reingest = false) => {
     setParseAllFiles(parseAll);
     setSelectedSingleFile(singleFile);
+    setBatchReparseFiles(batchFiles);
+    setReingestMode(reingest);
 
     // Reset state
     setSelectedNode(null);
     setTargetIndex("");
+    setFormatOptions(DEFAULT_FORMAT_OPTIONS);
+    setFileFormats({});
+    setFormatDetections({});
+    setDedupe(false);
+    setEncoding("auto");
+    setFileEncodings({});
+    setAcceptFailures(false);
 
     setShowParsingOptionsModal(true);
+    // Batch re-parses detect each file's format on the server, since most are not in unparsed yet
+    if (!batchFiles) {
+      detectFileFormats(parseAll ? unparsedFiles : [singleFile], "auto", reingest ? "parsed" : "unparsed");
+    }
   };
 
   const closeParsingOptionsModal = () => {
@@ -109,6 +222,65 @@ const FilesManagement = React.memo(function FilesManagement({
     setSelectedNode(null);
     setTargetIndex("");
     setSelectedSingleFile("");
+    setBatchReparseFiles(null);
+    setReingestMode(false);
+    setFormatDetections({});
+  };
+
+  const updateFormatOption = (key, value) => {
+    setFormatOptions((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const updateFormatMapping = (group, field, value) => {
+    setFormatOptions((prev) => ({ ...prev, [group]: { ...prev[group], [field]: value } }));
+  };
+
+  // Build the formatOptions payload, dropping options that don't apply to the chosen format
+  const buildFormatOptions = (format = formatOptions.format) => {
+    const options = { format };
+    if (format === "csv" || format === "tsv") {
+      options.hasHeader = formatOptions.hasHeader;
+      if (format === "csv" && formatOptions.delimiter) options.delimiter = formatOptions.delimiter;
+    }
+    if (["pipe", "semicolon", "csv", "tsv"].includes(format)) {
+      const columns = Object.fromEntries(
+        Object.entries(formatOptions.columns).filter(([, v]) => v !== "")
+      );
+      if (Object.keys(columns).length > 0) options.columns = columns;
+    }
+    if (format === "jsonl") {
+      const fields = Object.fromEntries(
+        Object.entries(formatOptions.fields).filter(([, v]) => v !== "")
+      );
+      if (Object.keys(fields).length > 0) options.fields = fields;
+    }
+    if (format === "regex") {
+      options.pattern = formatOptions.pattern;
+      if (formatOptions.flags) options.flags = formatOptions.flags;
+    }
+    return options;
+  };
+
+  const describeDetection = (detection) => {
+    if (!detection) return detectingFormats ? "Detecting..." : "Unknown";
+    if (detection.error) return detection.error;
+    const header = detection.options?.hasHeader ? ", header row" : "";
+    return `${detection.format}${header} (${Math.round((detection.confidence || 0) * 100)}% confidence)`;
+  };
+
+  const describeEncodingDetection = (detection) => {
+    if (!detection) return detectingFormats ? "Detecting..." : "Unknown";
+    if (detection.error || !detection.encodingDetection) return "Unknown";
+    const { encoding: detected, confidence, reason } = detection.encodingDetection;
+    return `${detected} (${Math.round((confidence || 0) * 100)}% confidence, ${reason})`;
+  };
+
+  // The encoding choice changes how the sample decodes, so refresh the single-file preview
+  const handleEncodingChange = (value) => {
+    setEncoding(value);
+    if (!parseAllFiles && selectedSingleFile && !batchReparseFiles) {
+      detectFileFormats([selectedSingleFile], value, reingestMode ? "parsed" : "unparsed");
+    }
   };
 
   const getRunningNodes = () => {
@@ -140,45 +312,77 @@ const FilesManagement = React.memo(function FilesManagement({
     // Note: Now using enhancedNodesData prop, so no need to fetch
   };
 
+  const setFileUploadProgress = (name, update) => {
+    setUploadProgress((prev) => ({ ...prev, [name]: { ...prev[name], ...update } }));
+  };
+
+  // Upload selected files one by one in chunks; a file the server already has part of continues
+  // from the received offset, so re-selecting an interrupted file resumes it
   const handleUpload = async () => {
     if (uploadFiles.length === 0) return;
 
-    const formData = new FormData();
-    uploadFiles.forEach((file) => formData.append("files", file));
-
-    setUploadPercentage(0);
+    setUploadProgress({});
     setLoading(true);
+    const failed = [];
+
+    for (const file of uploadFiles) {
+      setFileUploadProgress(file.name, { loaded: 0, total: file.size, status: "hashing", error: null });
+      try {
+        const taskId = await uploadFileInChunks(file, {
+          onHashProgress: (loaded, total) => setFileUploadProgress(file.name, { loaded, total }),
+          onProgress: (loaded, total) => setFileUploadProgress(file.name, { loaded, total, status: "uploading" }),
+        });
+        setFileUploadProgress(file.name, { status: "done" });
+        setTasksList((prev) => [
+          ...prev,
+          {
+            id: taskId,
+            type: "upload",
+            status: "running",
+            progress: 0,
+            message: `Verifying ${file.name}...`,
+            completed: false,
+            timestamp: new Date().toISOString(),
+          },
+        ]);
+      } catch (err) {
+        failed.push(file);
+        setFileUploadProgress(file.name, {
+          status: "error",
+          error: err.response?.data?.error || err.message || "Upload failed",
+        });
+      }
+    }
 
-    try {
-      const response = await axiosClient.post("/api/admin/upload", formData, {
-        headers: { "Content-Type": "multipart/form-data" },
-        onUploadProgress: (progressEvent) => {
-          const percentCompleted = Math.round(
-            (progressEvent.loaded * 100) / progressEvent.total
-          );
-          setUploadPercentage(percentCompleted);
-        },
-      });
+    if (failed.length === 0) {
+      showNotification("success", "Files uploaded successfully!", faCheckCircle);
+    } else {
+      showNotification(
+        "error",
+        `${failed.length} upload(s) failed. Press Upload again to resume from where they stopped.`,
+        faTimes,
+        false
+      );
+    }
+    setUploadFiles(failed); // Keep failed files selected so a retry resumes them
+    setLoading(false);
+    fetchFilesData();
+  };
 
-      if (response.data.success) {
-        showNotification(
-          "success",
-          "Files uploaded successfully!",
-          faCheckCircle
-        );
-        setUploadFiles([]);
-        setUploadPercentage(0);
-        fetchFilesData();
-      }
+  // Discard the received bytes of an unfinished upload
+  const handleDiscardUpload = async (upload) => {
+    if (!window.confirm(`Discard the partial upload of '${upload.originalName}'?`)) {
+      return;
+    }
+    try {
+      await axiosClient.delete(`/api/admin/uploads/${upload.uploadId}`);
+      await fetchFilesData();
     } catch (err) {
       showNotification(
         "error",
-        err.response?.data?.error || "Upload failed",
+        err.response?.data?.error || "Failed to discard upload",
         faTimes
       );
-      setUploadPercentage(0);
-    } finally {
-      setLoading(false);
     }
   };
 
@@ -192,9 +396,104 @@ const FilesManagement = React.memo(function FilesManagement({
   };
 
   const handleParseSingleFile = (filename) => {
+    const checkpoint = partialFiles[filename];
+    if (
+      checkpoint &&
+      !window.confirm(
+        `'${filename}' is already ${checkpoint.percent}% parsed. Parse it again from the start instead of resuming? Lines indexed so far will be indexed again unless "Skip duplicates" is enabled.`
+      )
+    ) {
+      return;
+    }
     openParsingOptionsModal(false, filename);
   };
 
+  // Continue a partially parsed file from its last checkpoint
+  const handleResumeFile = async (filename) => {
+    try {
+      const response = await axiosClient.post(
+        `/api/admin/parse/${encodeURIComponent(filename)}/resume`
+      );
+      const taskId = response.data.taskId;
+      setCurrentRunningTaskId(taskId);
+      localStorage.setItem("currentTaskId", taskId);
+      setTasksList((prev) => [
+        ...prev,
+        {
+          id: taskId,
+          type: "parse-single",
+          status: "running",
+          progress: 0,
+          message: `Resuming ${filename}...`,
+          completed: false,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+      showNotification(
+        "success",
+        `Resuming '${filename}' from ${partialFiles[filename]?.percent ?? 0}%`,
+        faInfoCircle,
+        true
+      );
+      fetchFilesData();
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to resume parsing",
+        faTimes
+      );
+    }
+  };
+
+  // Accept the failed lines of a fully parsed file and move it to parsed
+  const handleAcceptFailures = async (filename) => {
+    const checkpoint = partialFiles[filename];
+    if (
+      !window.confirm(
+        `Mark '${filename}' as parsed even though ${checkpoint?.failed} line(s) could not be indexed?`
+      )
+    ) {
+      return;
+    }
+    try {
+      await axiosClient.post(
+        `/api/admin/parse/${encodeURIComponent(filename)}/accept-failures`
+      );
+      showNotification(
+        "success",
+        `Accepted failures for '${filename}'.`,
+        faCheckCircle
+      );
+      await fetchFilesData();
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to accept failures",
+        faTimes
+      );
+    }
+  };
+
+  // Ask a running parse task to stop after its current batch
+  const handlePauseFile = async (filename) => {
+    const taskId = partialFiles[filename]?.taskId;
+    if (!taskId) return;
+    try {
+      await axiosClient.post(`/api/admin/tasks/${taskId}/pause`);
+      showNotification(
+        "info",
+        `Pausing '${filename}' after the current batch...`,
+        faInfoCircle
+      );
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to pause parsing",
+        faTimes
+      );
+    }
+  };
+
   const executeParsingTask = async () => {
     // Validate inputs
     if (!selectedNode) {
@@ -215,6 +514,15 @@ const FilesManagement = React.memo(function FilesManagement({
       return;
     }
 
+    if (formatOptions.format === "regex" && !formatOptions.pattern) {
+      showNotification(
+        "error",
+        "Please enter a regex pattern for the custom regex format",
+        faExclamationTriangle
+      );
+      return;
+    }
+
     const runningNodes = getRunningNodes();
     if (runningNodes.length === 0) {
       showNotification(
@@ -230,16 +538,44 @@ const FilesManagement = React.memo(function FilesManagement({
       const requestBody = {
         targetIndex,
         targetNode: getNodeUrl(selectedNode),
+        formatOptions: buildFormatOptions(),
+        encoding,
+        dedupe,
+        acceptFailures,
       };
-
+      if (!parseAllFiles && partialFiles[selectedSingleFile]) {
+        requestBody.restart = true; // Confirmed in handleParseSingleFile
+      }
       if (parseAllFiles) {
+        requestBody.fileFormats = Object.fromEntries(
+          Object.entries(fileFormats)
+            .filter(([, format]) => format && format !== "default")
+            .map(([filename, format]) => [filename, buildFormatOptions(format)])
+        );
+        requestBody.fileEncodings = Object.fromEntries(
+          Object.entries(fileEncodings).filter(([, value]) => value && value !== "default")
+        );
+      }
+
+      if (reingestMode) {
+        response = await axiosClient.post(
+          `/api/admin/parsed-files/${encodeURIComponent(selectedSingleFile)}/reingest`,
+          { targetIndex, targetNode: requestBody.targetNode, formatOptions: requestBody.formatOptions, encoding, dedupe }
+        );
+      } else if (batchReparseFiles) {
+        response = await axiosClient.post("/api/admin/files/batch", {
+          ...requestBody,
+          action: "reparse",
+          files: batchReparseFiles,
+        });
+      } else if (parseAllFiles) {
         response = await axiosClient.post(
           "/api/admin/parse-all-unparsed",
           requestBody
         );
       } else {
         response = await axiosClient.post(
-          `/api/admin/parse/${selectedSingleFile}`,
+          `/api/admin/parse/${encodeURIComponent(selectedSingleFile)}`,
           requestBody
         );
       }
@@ -254,10 +590,14 @@ const FilesManagement = React.memo(function FilesManagement({
           ...prev,
           {
             id: taskId,
-            type: parseAllFiles ? "parse-all" : "parse-single",
+            type: reingestMode ? "reingest" : batchReparseFiles ? "batch-reparse" : parseAllFiles ? "parse-all" : "parse-single",
             status: "running",
             progress: 0,
-            message: parseAllFiles
+            message: reingestMode
+              ? `Re-ingesting ${selectedSingleFile}...`
+              : batchReparseFiles
+              ? `Re-parsing ${batchReparseFiles.length} files...`
+              : parseAllFiles
               ? "Parsing all files..."
               : `Parsing ${selectedSingleFile}...`,
             completed: false,
@@ -272,6 +612,7 @@ const FilesManagement = React.memo(function FilesManagement({
           true
         );
 
+        if (batchReparseFiles) setSelectedFiles({});
         closeParsingOptionsModal();
         fetchFilesData();
       }
@@ -346,6 +687,121 @@ const FilesManagement = React.memo(function FilesManagement({
     }
   };
 
+  const fileKey = (location, filename) => `${location}/${filename}`;
+
+  const toggleFileSelection = (location, filename) => {
+    setSelectedFiles((prev) => {
+      const key = fileKey(location, filename);
+      const next = { ...prev };
+      if (next[key]) {
+        delete next[key];
+      } else {
+        next[key] = { filename, location };
+      }
+      return next;
+    });
+  };
+
+  // Select every file of a list, or clear the list's selection when it is already fully selected
+  const toggleLocationSelection = (location, filenames) => {
+    setSelectedFiles((prev) => {
+      const next = { ...prev };
+      const allSelected = filenames.every((filename) => next[fileKey(location, filename)]);
+      for (const filename of filenames) {
+        if (allSelected) {
+          delete next[fileKey(location, filename)];
+        } else {
+          next[fileKey(location, filename)] = { filename, location };
+        }
+      }
+      return next;
+    });
+  };
+
+  const selectedFileList = Object.values(selectedFiles);
+
+  const renderSelectAll = (location, filenames) =>
+    filenames.length > 0 && (
+      <label className="flex items-center text-sm text-neutral-300">
+        <input
+          type="checkbox"
+          checked={filenames.every((filename) => selectedFiles[fileKey(location, filename)])}
+          onChange={() => toggleLocationSelection(location, filenames)}
+          className="mr-2 h-4 w-4"
+        />
+        Select all
+      </label>
+    );
+
+  const renderSelectBox = (location, filename) => (
+    <input
+      type="checkbox"
+      checked={!!selectedFiles[fileKey(location, filename)]}
+      onChange={() => toggleFileSelection(location, filename)}
+      className="mr-3 h-4 w-4 flex-shrink-0"
+      title={`Select '${filename}' for a batch operation`}
+    />
+  );
+
+  // Delete or move the selected files as one background task with per-file results
+  const runBatchOperation = async (action, options = {}) => {
+    if (selectedFileList.length === 0) return;
+    const verb = action === "delete" ? "Deleting" : `Moving to ${options.to}`;
+    try {
+      const res = await axiosClient.post("/api/admin/files/batch", {
+        action,
+        files: selectedFileList,
+        ...options,
+      });
+      const taskId = res.data.taskId;
+      setCurrentRunningTaskId(taskId);
+      setTasksList((prev) => [
+        ...prev,
+        {
+          id: taskId,
+          type: `batch-${action}`,
+          status: "running",
+          progress: 0,
+          message: `${verb}: ${selectedFileList.length} file(s)...`,
+          completed: false,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+      showNotification(
+        "success",
+        `${verb}: ${selectedFileList.length} file(s). Per-file results are on the task.`,
+        faInfoCircle,
+        true
+      );
+      setSelectedFiles({});
+      fetchFilesData();
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || `Failed to start the batch ${action}`,
+        faTimes
+      );
+    }
+  };
+
+  const handleBatchDelete = () => {
+    if (!window.confirm(`Are you sure you want to delete ${selectedFileList.length} selected file(s)?`)) {
+      return;
+    }
+    runBatchOperation("delete");
+  };
+
+  const handleBatchReparse = () => {
+    if (
+      !window.confirm(
+        `Re-parse ${selectedFileList.length} selected file(s) from the start? Files outside unparsed are moved there first.`
+      )
+    ) {
+      return;
+    }
+    openParsingOptionsModal(false, "", selectedFileList);
+  };
+
   const handleDeleteUnparsedFile = async (filename) => {
     if (!window.confirm(`Are you sure you want to delete '${filename}'?`)) {
       return;
@@ -379,6 +835,48 @@ const FilesManagement = React.memo(function FilesManagement({
     }
   };
 
+  // Delete every document ingested from a parsed file; the backend moves the file back to unparsed
+  const handleDeleteBySource = async (filename) => {
+    if (
+      !window.confirm(
+        `Remove all records ingested from '${filename}' and move it back to unparsed?`
+      )
+    ) {
+      return;
+    }
+    try {
+      const res = await axiosClient.post(
+        `/api/admin/delete-by-source/${encodeURIComponent(filename)}`
+      );
+      const taskId = res.data.taskId;
+      setCurrentRunningTaskId(taskId);
+      setTasksList((prev) => [
+        ...prev,
+        {
+          id: taskId,
+          type: "delete-by-source",
+          status: "running",
+          progress: 0,
+          message: `Removing records from ${filename}...`,
+          completed: false,
+          timestamp: new Date().toISOString(),
+        },
+      ]);
+      showNotification(
+        "success",
+        `Removing records ingested from '${filename}'...`,
+        faInfoCircle,
+        true
+      );
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to remove ingested records",
+        faTimes
+      );
+    }
+  };
+
   const handleDeleteParsedFile = async (filename) => {
     if (!window.confirm(`Are you sure you want to delete '${filename}'?`)) {
       return;
@@ -429,22 +927,79 @@ const FilesManagement = React.memo(function FilesManagement({
             </h3>
           </div>
 
-          {loading && uploadPercentage > 0 && uploadPercentage <= 100 && (
+          {Object.keys(uploadProgress).length > 0 && (
+            <ul className="mb-4 w-full space-y-3">
+              {Object.entries(uploadProgress).map(([name, progress]) => {
+                const percent = progress.total > 0
+                  ? Math.floor((progress.loaded / progress.total) * 100)
+                  : 100;
+                return (
+                  <li key={name}>
+                    <div className="flex justify-between text-sm text-neutral-300 mb-1">
+                      <span className="truncate mr-2">{name}</span>
+                      <span>
+                        {progress.status === "error"
+                          ? progress.error
+                          : progress.status === "done"
+                          ? "Uploaded"
+                          : progress.status === "hashing"
+                          ? `Computing checksum... ${percent}%`
+                          : `${formatBytes(progress.loaded)} / ${formatBytes(progress.total)} (${percent}%)`}
+                      </span>
+                    </div>
+                    <div className="w-full bg-neutral-200 rounded-full h-2.5">
+                      <div
+                        className={`h-2.5 rounded-full transition-all duration-300 ease-in-out ${
+                          progress.status === "error" ? "bg-red-500" : "bg-primary"
+                        }`}
+                        style={{ width: `${percent}%` }}
+                      ></div>
+                    </div>
+                  </li>
+                );
+              })}
+            </ul>
+          )}
+          {unfinishedUploads.length > 0 && !loading && (
             <div className="mb-4 w-full">
-              <p>Uploading files: {uploadPercentage}%</p>
-              <div className="w-full bg-neutral-200 rounded-full h-2.5">
-                <div
-                  className="bg-primary h-2.5 rounded-full transition-all duration-300 ease-in-out"
-                  style={{ width: `${uploadPercentage}%` }}
-                ></div>
-              </div>
+              <p className="text-sm text-neutral-300 mb-2">
+                Unfinished uploads (select the same file again and press Upload to resume):
+              </p>
+              <ul className="space-y-2">
+                {unfinishedUploads.map((upload) => (
+                  <li
+                    key={upload.uploadId}
+                    className="flex items-center bg-neutral-800 p-2 rounded text-sm"
+                  >
+                    <span className="text-white truncate w-1/3 mr-2">{upload.originalName}</span>
+                    <div className="flex-1 bg-neutral-600 rounded-full h-2 mr-2">
+                      <div
+                        className="bg-amber-500 h-2 rounded-full"
+                        style={{
+                          width: `${upload.size > 0 ? Math.floor((upload.offset / upload.size) * 100) : 0}%`,
+                        }}
+                      ></div>
+                    </div>
+                    <span className="text-neutral-400 mr-2">
+                      {formatBytes(upload.offset)} / {formatBytes(upload.size)}
+                    </span>
+                    <button
+                      onClick={() => handleDiscardUpload(upload)}
+                      className="text-neutral-400 hover:text-red-400 transition-colors duration-150"
+                      title="Discard partial upload"
+                    >
+                      <FontAwesomeIcon icon={faTrash} />
+                    </button>
+                  </li>
+                ))}
+              </ul>
             </div>
           )}
           <div className="flex items-center space-x-4">
             <input
               multiple
               type="file"
-              accept=".txt"
+              accept=".txt,.gz,.zip"
               onChange={(e) => {
                 setUploadFiles(Array.from(e.target.files));
               }}
@@ -469,12 +1024,59 @@ const FilesManagement = React.memo(function FilesManagement({
           </div>
         </div>
 
+        {/* Batch operations on the files selected below */}
+        {selectedFileList.length > 0 && (
+          <div className="sticky top-0 z-10 flex flex-wrap items-center gap-3 p-4 mt-4 bg-neutral-900 rounded-lg border border-blue-600 shadow-lg">
+            <span className="text-white font-semibold mr-auto">
+              {selectedFileList.length} file(s) selected
+            </span>
+            <select
+              value={batchMoveTarget}
+              onChange={(e) => setBatchMoveTarget(e.target.value)}
+              className="p-2 border border-neutral-700 rounded-md bg-neutral-800 text-white"
+              title="Destination of the move"
+            >
+              <option value="pending">Pending</option>
+              <option value="unparsed">Unparsed</option>
+              <option value="parsed">Parsed</option>
+            </select>
+            <button
+              onClick={() => runBatchOperation("move", { to: batchMoveTarget })}
+              disabled={isAnyTaskRunning}
+              className={buttonStyles.primary}
+            >
+              <FontAwesomeIcon icon={faArrowRightArrowLeft} className="mr-2" />
+              Move
+            </button>
+            <button
+              onClick={handleBatchReparse}
+              disabled={isAnyTaskRunning}
+              className={buttonStyles.create}
+            >
+              <FontAwesomeIcon icon={faPlay} className="mr-2" />
+              Re-parse
+            </button>
+            <button
+              onClick={handleBatchDelete}
+              disabled={isAnyTaskRunning}
+              className={buttonStyles.delete}
+            >
+              <FontAwesomeIcon icon={faTrash} className="mr-2" />
+              Delete
+            </button>
+            <button onClick={() => setSelectedFiles({})} className={buttonStyles.neutral}>
+              Clear
+            </button>
+          </div>
+        )}
+
         <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600 mt-4">
           <div className="flex justify-between items-center mb-6">
             <h3 className="text-xl font-semibold text-white flex items-center">
               <FontAwesomeIcon icon={faFile} className="mr-3 text-blue-400" />
               Pending Files
             </h3>
+            {renderSelectAll("pending", pendingFiles)}
           </div>
 
           {loading ? (
@@ -488,8 +1090,20 @@ const FilesManagement = React.memo(function FilesManagement({
                   key={f}
                   className="flex justify-between items-center bg-neutral-800 p-4 rounded-lg shadow-sm hover:shadow-md transition duration-200 ease-in-out border border-neutral-700"
                 >
-                  <span className="font-medium text-white">{f}</span>
+                  <span className="font-medium text-white flex items-center">
+                    {renderSelectBox("pending", f)}
+                    {f}
+                  </span>
                   <div className="space-x-2">
+                    <button
+                      onClick={() => setPreviewFile(f)}
+                      disabled={deletingFiles.has(f)}
+                      title={`Preview how '${f}' will be parsed`}
+                      className={buttonStyles.refresh}
+                    >
+                      <FontAwesomeIcon icon={faMagnifyingGlass} className="mr-2" />
+                      Preview
+                    </button>
                     <button
                       onClick={() => handleMoveToUnparsed(f)}
                       className={buttonStyles.primary}
@@ -541,14 +1155,17 @@ const FilesManagement = React.memo(function FilesManagement({
               Unparsed Files
             </h3>
 
-            <button
-              onClick={handleParseAll}
-              className={buttonStyles.neutral}
-              disabled={unparsedFiles.length === 0}
-            >
-              <FontAwesomeIcon icon={faCog} className="mr-2" />
-              Parse All Files
-            </button>
+            <div className="flex items-center space-x-4">
+              {renderSelectAll("unparsed", unparsedFiles)}
+              <button
+                onClick={handleParseAll}
+                className={buttonStyles.neutral}
+                disabled={unparsedFiles.length === 0}
+              >
+                <FontAwesomeIcon icon={faCog} className="mr-2" />
+                Parse All Files
+              </button>
+            </div>
           </div>
 
           {loading ? (
@@ -562,14 +1179,96 @@ const FilesManagement = React.memo(function FilesManagement({
                   key={f}
                   className="flex justify-between items-center bg-neutral-800 p-4 rounded-lg shadow-sm hover:shadow-md transition duration-200 ease-in-out border border-neutral-700"
                 >
-                  <span className="font-medium text-white">{f}</span>
+                  <div className="flex-1 min-w-0 mr-4">
+                    <span className="font-medium text-white flex items-center">
+                      {renderSelectBox("unparsed", f)}
+                      {f}
+                    </span>
+                    {partialFiles[f] && (
+                      <div className="mt-2">
+                        <div className="w-full bg-neutral-700 rounded-full h-2">
+                          <div
+                            className={`h-2 rounded-full ${
+                              partialFiles[f].status === "running"
+                                ? "bg-blue-500"
+                                : partialFiles[f].status === "failed" ||
+                                  partialFiles[f].status === "needs review"
+                                ? "bg-red-500"
+                                : "bg-amber-500"
+                            }`}
+                            style={{ width: `${partialFiles[f].percent}%` }}
+                          />
+                        </div>
+                        <p className="text-xs text-neutral-400 mt-1">
+                          {partialFiles[f].percent}% parsed (
+                          {partialFiles[f].linesProcessed} lines
+                          {partialFiles[f].totalBytes
+                            ? ` of ${formatBytes(partialFiles[f].totalBytes)}`
+                            : ""}
+                          {partialFiles[f].parallelRanges > 0
+                            ? `, ${partialFiles[f].parallelRanges} parallel ranges`
+                            : ""}
+                          ) into{" "}
+                          <span className="text-neutral-300">
+                            {partialFiles[f].targetIndex}
+                          </span>{" "}
+                          &middot; {partialFiles[f].status}
+                          {partialFiles[f].failed > 0 && (
+                            <span className="text-red-400">
+                              {" "}
+                              &middot; {partialFiles[f].failed} failed line(s)
+                            </span>
+                          )}
+                          {partialFiles[f].error && (
+                            <span className="text-red-400">
+                              {" "}
+                              &middot; {partialFiles[f].error}
+                            </span>
+                          )}
+                        </p>
+                      </div>
+                    )}
+                  </div>
                   <div className="flex space-x-2">
+                    {partialFiles[f]?.status === "running" ? (
+                      <button
+                        onClick={() => handlePauseFile(f)}
+                        className={buttonStyles.amber}
+                        title={`Pause parsing '${f}' after the current batch`}
+                      >
+                        <FontAwesomeIcon icon={faPause} className="mr-2" />
+                        Pause
+                      </button>
+                    ) : partialFiles[f]?.status === "needs review" ? (
+                      <button
+                        onClick={() => handleAcceptFailures(f)}
+                        disabled={isAnyTaskRunning}
+                        className={buttonStyles.amber}
+                        title={`Move '${f}' to parsed despite its failed lines`}
+                      >
+                        <FontAwesomeIcon icon={faCheckCircle} className="mr-2" />
+                        Accept
+                      </button>
+                    ) : (
+                      partialFiles[f] && (
+                        <button
+                          onClick={() => handleResumeFile(f)}
+                          disabled={isAnyTaskRunning}
+                          className={buttonStyles.create}
+                          title={`Resume '${f}' from its last checkpoint`}
+                        >
+                          <FontAwesomeIcon icon={faForward} className="mr-2" />
+                          Resume
+                        </button>
+                      )
+                    )}
                     <button
                       onClick={() => handleParseSingleFile(f)}
+                      disabled={partialFiles[f]?.status === "running"}
                       className={buttonStyles.primary}
                     >
                       <FontAwesomeIcon icon={faPlay} className="mr-2" />
-                      Parse
+                      {partialFiles[f] ? "Restart" : "Parse"}
                     </button>
                     <button
                       onClick={() => handleDeleteUnparsedFile(f)}
@@ -605,6 +1304,7 @@ const FilesManagement = React.memo(function FilesManagement({
               />
               Parsed Files
             </h3>
+            {renderSelectAll("parsed", parsedFiles)}
           </div>
 
           {loading ? (
@@ -618,30 +1318,59 @@ const FilesManagement = React.memo(function FilesManagement({
                   key={f}
                   className="flex justify-between items-center bg-neutral-800 p-4 rounded-lg shadow-sm hover:shadow-md transition duration-200 ease-in-out border border-neutral-700"
                 >
-                  <span className="font-medium text-white">{f}</span>
-                  <button
-                    onClick={() => handleDeleteParsedFile(f)}
-                    disabled={
-                      loading ||
-                      isAnyTaskRunning ||
-                      deletingFiles.has(f)
-                    }
-                    title={`Delete '${f}'`}
-                    className={buttonStyles.delete}
-                  >
-                    <FontAwesomeIcon
-                      icon={deletingFiles.has(f) ? faSpinner : faTrash}
-                      className={
-                        "mr-2" + (deletingFiles.has(f) ? " fa-spin" : "")
+                  <span className="font-medium text-white flex items-center">
+                    {renderSelectBox("parsed", f)}
+                    {f}
+                  </span>
+                  <div className="space-x-2">
+                    <button
+                      onClick={() => openParsingOptionsModal(false, f, null, true)}
+                      disabled={loading || isAnyTaskRunning || deletingFiles.has(f)}
+                      title={`Index '${f}' into another node/index; the file stays in parsed`}
+                      className={buttonStyles.primary}
+                    >
+                      <FontAwesomeIcon icon={faClone} className="mr-2" />
+                      Re-ingest
+                    </button>
+                    <button
+                      onClick={() => handleDeleteBySource(f)}
+                      disabled={
+                        loading ||
+                        isAnyTaskRunning ||
+                        deletingFiles.has(f)
                       }
-                    />
-                    {deletingFiles.has(f) ? "Deleting..." : "Delete"}
-                  </button>
+                      title={`Remove all records ingested from '${f}' and move it back to unparsed`}
+                      className={buttonStyles.amber}
+                    >
+                      <FontAwesomeIcon icon={faEraser} className="mr-2" />
+                      Remove Records
+                    </button>
+                    <button
+                      onClick={() => handleDeleteParsedFile(f)}
+                      disabled={
+                        loading ||
+                        isAnyTaskRunning ||
+                        deletingFiles.has(f)
+                      }
+                      title={`Delete '${f}'`}
+                      className={buttonStyles.delete}
+                    >
+                      <FontAwesomeIcon
+                        icon={deletingFiles.has(f) ? faSpinner : faTrash}
+                        className={
+                          "mr-2" + (deletingFiles.has(f) ? " fa-spin" : "")
+                        }
+                      />
+                      {deletingFiles.has(f) ? "Deleting..." : "Delete"}
+                    </button>
+                  </div>
                 </li>
               ))}
             </ul>
           )}
         </div>
+
+        <FileCatalog showNotification={showNotification} refreshKey={filesVersion} />
       </section>
 
       {/* Parsing Options Modal */}
@@ -651,7 +1380,11 @@ const FilesManagement = React.memo(function FilesManagement({
             <div className="flex justify-between items-center mb-6">
               <h3 className="text-2xl font-bold text-white flex items-center">
                 <FontAwesomeIcon icon={faCog} className="mr-3 text-blue-500" />
-                {parseAllFiles
+                {reingestMode
+                  ? `Re-ingest ${selectedSingleFile}`
+                  : batchReparseFiles
+                  ? `Re-parse ${batchReparseFiles.length} Selected Files`
+                  : parseAllFiles
                   ? "Parse All Files"
                   : `Parse ${selectedSingleFile}`}
               </h3>
@@ -753,6 +1486,255 @@ const FilesManagement = React.memo(function FilesManagement({
                 </div>
               )}
 
+              {/* Step 3: Line Format */}
+              <div>
+                <label className="block text-sm font-medium text-neutral-300 mb-2">
+                  <FontAwesomeIcon icon={faFileLines} className="mr-2" />
+                  Step 3: Line Format{parseAllFiles ? " (default for all files)" : ""}
+                </label>
+                <select
+                  value={formatOptions.format}
+                  onChange={(e) => updateFormatOption("format", e.target.value)}
+                  className="w-full p-3 border border-neutral-700 rounded-md bg-neutral-900 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="auto">Auto-detect from file contents</option>
+                  {availableFormats.map((format) => (
+                    <option key={format.name} value={format.name}>
+                      {format.label}
+                    </option>
+                  ))}
+                </select>
+
+                {(formatOptions.format === "csv" || formatOptions.format === "tsv") && (
+                  <div className="mt-3 flex items-center space-x-6">
+                    <label className="flex items-center text-sm text-neutral-300">
+                      <input
+                        type="checkbox"
+                        checked={formatOptions.hasHeader}
+                        onChange={(e) => updateFormatOption("hasHeader", e.target.checked)}
+                        className="mr-2"
+                      />
+                      First line is a header
+                    </label>
+                    {formatOptions.format === "csv" && (
+                      <label className="flex items-center text-sm text-neutral-300">
+                        Delimiter
+                        <input
+                          type="text"
+                          maxLength={1}
+                          value={formatOptions.delimiter}
+                          placeholder=","
+                          onChange={(e) => updateFormatOption("delimiter", e.target.value)}
+                          className="ml-2 w-12 p-1 border border-neutral-700 rounded bg-neutral-900 text-white text-center"
+                        />
+                      </label>
+                    )}
+                  </div>
+                )}
+
+                {["pipe", "semicolon", "csv", "tsv"].includes(formatOptions.format) && (
+                  <div className="mt-3 grid grid-cols-3 gap-2">
+                    {FORMAT_FIELDS.map((field) => (
+                      <input
+                        key={field}
+                        type="text"
+                        value={formatOptions.columns[field]}
+                        placeholder={`${field} column (name or #)`}
+                        onChange={(e) => updateFormatMapping("columns", field, e.target.value)}
+                        className="p-2 border border-neutral-700 rounded bg-neutral-900 text-white text-sm"
+                      />
+                    ))}
+                  </div>
+                )}
+
+                {formatOptions.format === "jsonl" && (
+                  <div className="mt-3 grid grid-cols-3 gap-2">
+                    {FORMAT_FIELDS.map((field) => (
+                      <input
+                        key={field}
+                        type="text"
+                        value={formatOptions.fields[field]}
+                        placeholder={`${field} path (e.g. creds.${field})`}
+                        onChange={(e) => updateFormatMapping("fields", field, e.target.value)}
+                        className="p-2 border border-neutral-700 rounded bg-neutral-900 text-white text-sm"
+                      />
+                    ))}
+                  </div>
+                )}
+
+                {formatOptions.format === "regex" && (
+                  <div className="mt-3 flex space-x-2">
+                    <input
+                      type="text"
+                      value={formatOptions.pattern}
+                      placeholder="^(?<url>[^ ]+) (?<username>[^ ]+) (?<password>.+)$"
+                      onChange={(e) => updateFormatOption("pattern", e.target.value)}
+                      className="flex-1 p-2 border border-neutral-700 rounded bg-neutral-900 text-white text-sm font-mono"
+                    />
+                    <input
+                      type="text"
+                      value={formatOptions.flags}
+                      placeholder="flags"
+                      onChange={(e) => updateFormatOption("flags", e.target.value)}
+                      className="w-20 p-2 border border-neutral-700 rounded bg-neutral-900 text-white text-sm font-mono"
+                    />
+                  </div>
+                )}
+
+                {/* Detection results */}
+                {parseAllFiles ? (
+                  <ul className="mt-3 space-y-2 max-h-48 overflow-y-auto">
+                    {unparsedFiles.map((filename) => (
+                      <li
+                        key={filename}
+                        className="flex justify-between items-center bg-neutral-900 p-2 rounded text-sm"
+                      >
+                        <span className="text-white truncate mr-2">{filename}</span>
+                        <span className="text-neutral-400 mr-2 flex items-center">
+                          <FontAwesomeIcon icon={faWandMagicSparkles} className="mr-1 text-blue-400" />
+                          {describeDetection(formatDetections[filename])}
+                        </span>
+                        <span
+                          className="text-neutral-500 mr-2 text-xs"
+                          title={describeEncodingDetection(formatDetections[filename])}
+                        >
+                          {formatDetections[filename]?.encoding || ""}
+                        </span>
+                        <select
+                          value={fileEncodings[filename] || "default"}
+                          onChange={(e) =>
+                            setFileEncodings((prev) => ({ ...prev, [filename]: e.target.value }))
+                          }
+                          className="p-1 mr-2 border border-neutral-700 rounded bg-neutral-800 text-white"
+                          title="Character encoding"
+                        >
+                          <option value="default">Default encoding</option>
+                          <option value="auto">Detect</option>
+                          {availableEncodings.map((option) => (
+                            <option key={option.id} value={option.id}>
+                              {option.id}
+                            </option>
+                          ))}
+                        </select>
+                        <select
+                          value={fileFormats[filename] || "default"}
+                          onChange={(e) =>
+                            setFileFormats((prev) => ({ ...prev, [filename]: e.target.value }))
+                          }
+                          className="p-1 border border-neutral-700 rounded bg-neutral-800 text-white"
+                        >
+                          <option value="default">Use default</option>
+                          <option value="auto">Auto-detect</option>
+                          {availableFormats.map((format) => (
+                            <option key={format.name} value={format.name}>
+                              {format.name}
+                            </option>
+                          ))}
+                        </select>
+                      </li>
+                    ))}
+                  </ul>
+                ) : batchReparseFiles ? (
+                  <p className="mt-3 text-sm text-neutral-400">
+                    With auto-detect, each file&apos;s format is detected when its parse starts.
+                  </p>
+                ) : (
+                  <div className="mt-3">
+                    <p className="text-sm text-neutral-400 flex items-center">
+                      <FontAwesomeIcon
+                        icon={detectingFormats ? faSpinner : faWandMagicSparkles}
+                        className={"mr-2 text-blue-400" + (detectingFormats ? " fa-spin" : "")}
+                      />
+                      Detected: {describeDetection(formatDetections[selectedSingleFile])}
+                    </p>
+                    {formatDetections[selectedSingleFile]?.preview?.length > 0 && (
+                      <table className="mt-2 w-full text-xs text-neutral-300 table-fixed">
+                        <thead>
+                          <tr className="text-left text-neutral-400">
+                            {FORMAT_FIELDS.map((field) => (
+                              <th key={field} className="p-1">{field}</th>
+                            ))}
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {formatDetections[selectedSingleFile].preview.slice(0, 5).map((row, i) => (
+                            <tr key={i} className="border-t border-neutral-700">
+                              {FORMAT_FIELDS.map((field) => (
+                                <td key={field} className="p-1 truncate">{row[field]}</td>
+                              ))}
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    )}
+                  </div>
+                )}
+              </div>
+
+              {/* Step 4: Character Encoding */}
+              <div>
+                <label className="block text-sm font-medium text-neutral-300 mb-2">
+                  <FontAwesomeIcon icon={faLanguage} className="mr-2" />
+                  Step 4: Character Encoding{parseAllFiles ? " (default for all files)" : ""}
+                </label>
+                <select
+                  value={encoding}
+                  onChange={(e) => handleEncodingChange(e.target.value)}
+                  className="w-full p-3 border border-neutral-700 rounded-md bg-neutral-900 text-white focus:outline-none focus:ring-2 focus:ring-blue-500"
+                >
+                  <option value="auto">Detect from byte order mark / contents</option>
+                  {availableEncodings.map((option) => (
+                    <option key={option.id} value={option.id}>
+                      {option.label}
+                    </option>
+                  ))}
+                </select>
+                {!parseAllFiles && !batchReparseFiles && (
+                  <p className="text-sm text-neutral-400 mt-2">
+                    Detected: {describeEncodingDetection(formatDetections[selectedSingleFile])}
+                  </p>
+                )}
+                <p className="text-xs text-neutral-400 mt-1">
+                  Lines are transcoded to UTF-8 while parsing. Lines with bytes that are
+                  invalid in the chosen encoding are counted in the task result.
+                </p>
+              </div>
+
+              {/* Deduplication */}
+              <div>
+                <label className="flex items-center text-sm font-medium text-neutral-300">
+                  <input
+                    type="checkbox"
+                    checked={dedupe}
+                    onChange={(e) => setDedupe(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Skip duplicates (content-hash document IDs)
+                </label>
+                <p className="text-xs text-neutral-400 mt-1 ml-5">
+                  Lines already present in the target index are counted as duplicates
+                  instead of being indexed again. Only effective for data ingested with
+                  this option enabled.
+                </p>
+              </div>
+
+              {/* Failed lines */}
+              <div>
+                <label className="flex items-center text-sm font-medium text-neutral-300">
+                  <input
+                    type="checkbox"
+                    checked={acceptFailures}
+                    onChange={(e) => setAcceptFailures(e.target.checked)}
+                    className="mr-2"
+                  />
+                  Mark files as parsed even if some lines fail to index
+                </label>
+                <p className="text-xs text-neutral-400 mt-1 ml-5">
+                  Failed lines are always written to the task&apos;s dead-letter file. Without
+                  this option, files with failures stay in Unparsed Files for review.
+                </p>
+              </div>
+
               {/* Status Warnings */}
               {getRunningNodes().length === 0 && (
                 <div className="bg-red-600 bg-opacity-20 border border-red-600 rounded-lg p-4">
@@ -773,11 +1755,12 @@ const FilesManagement = React.memo(function FilesManagement({
                   <h4 className="text-white font-semibold mb-2">
                     Task Summary
                   </h4>
-                  {parseAllFiles ? (
+                  {parseAllFiles || batchReparseFiles ? (
                     <ul className="text-neutral-300 text-sm space-y-1">
                       <li>
                         • Files to process:{" "}
-                        <strong>{unparsedFiles.length}</strong>
+                        <strong>{batchReparseFiles ? batchReparseFiles.length : unparsedFiles.length}</strong>
+                        {batchReparseFiles && " (re-parsed from the start)"}
                       </li>
                       <li>
                         • Target node: <strong>{selectedNode.name}</strong>
@@ -790,11 +1773,21 @@ const FilesManagement = React.memo(function FilesManagement({
                         • Available indices on node:{" "}
                         <strong>{getNodeIndices(selectedNode).length}</strong>
                       </li>
+                      <li>
+                        • Default line format: <strong>{formatOptions.format}</strong>
+                      </li>
+                      <li>
+                        • Default encoding: <strong>{encoding}</strong>
+                      </li>
+                      <li>
+                        • Skip duplicates: <strong>{dedupe ? "Yes" : "No"}</strong>
+                      </li>
                     </ul>
                   ) : (
                     <ul className="text-neutral-300 text-sm space-y-1">
                       <li>
                         • File to process: <strong>{selectedSingleFile}</strong>
+                        {reingestMode && " (stays in parsed)"}
                       </li>
                       <li>
                         • Target node: <strong>{selectedNode.name}</strong>
@@ -807,6 +1800,25 @@ const FilesManagement = React.memo(function FilesManagement({
                         • Available indices on node:{" "}
                         <strong>{getNodeIndices(selectedNode).length}</strong>
                       </li>
+                      <li>
+                        • Line format:{" "}
+                        <strong>
+                          {formatOptions.format === "auto"
+                            ? `auto (${describeDetection(formatDetections[selectedSingleFile])})`
+                            : formatOptions.format}
+                        </strong>
+                      </li>
+                      <li>
+                        • Encoding:{" "}
+                        <strong>
+                          {encoding === "auto"
+                            ? `auto (${formatDetections[selectedSingleFile]?.encoding || "detecting..."})`
+                            : encoding}
+                        </strong>
+                      </li>
+                      <li>
+                        • Skip duplicates: <strong>{dedupe ? "Yes" : "No"}</strong>
+                      </li>
                     </ul>
                   )}
                 </div>
@@ -853,6 +1865,20 @@ const FilesManagement = React.memo(function FilesManagement({
           </div>
         </div>
       )}
+
+      {previewFile && (
+        <FilePreviewDrawer
+          filename={previewFile}
+          availableFormats={availableFormats}
+          availableEncodings={availableEncodings}
+          showNotification={showNotification}
+          onClose={() => setPreviewFile(null)}
+          onMoveToUnparsed={(filename) => {
+            setPreviewFile(null);
+            handleMoveToUnparsed(filename);
+          }}
+        />
+      )}
     </>
   );
 });
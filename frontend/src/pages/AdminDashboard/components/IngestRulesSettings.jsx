@@ -0,0 +1,266 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import {
+  faFilter,
+  faSave,
+  faTimes,
+  faCheckCircle,
+  faCircleNotch,
+  faVial,
+} from "@fortawesome/free-solid-svg-icons";
+import axiosClient from "../../../api/axiosClient";
+import buttonStyles from "../../../components/ButtonStyles";
+
+const RULE_OPTIONS = [
+  { key: "trimWhitespace", label: "Trim whitespace around fields" },
+  { key: "stripScheme", label: "Strip http:// and https:// from URLs" },
+  { key: "stripWww", label: "Strip www. from URLs" },
+  { key: "lowercaseHost", label: "Lowercase URL hosts" },
+  { key: "lowercaseEmail", label: "Lowercase email usernames" },
+  { key: "dropMissingPassword", label: "Quarantine lines without a password" },
+  { key: "dropControlChars", label: "Quarantine lines with control characters" },
+];
+
+const STATUS_STYLES = {
+  ok: "text-green-400",
+  normalized: "text-blue-300",
+  malformed: "text-amber-400",
+  quarantined: "text-red-400",
+  empty: "text-neutral-500",
+  header: "text-neutral-500",
+};
+
+const SAMPLE_PLACEHOLDER = "https://www.Example.com/login:Alice@Mail.com:secret\nexample.org:bob:";
+
+const inputClass =
+  "w-full px-3 py-2 bg-neutral-600 border border-neutral-500 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-primary";
+
+// Ingest normalization/quarantine rules with a sample-line tester (Configuration tab)
+export default function IngestRulesSettings({ showNotification }) {
+  const [rules, setRules] = useState(null);
+  const [savedRules, setSavedRules] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [sampleText, setSampleText] = useState("");
+  const [testResults, setTestResults] = useState(null);
+  const [isTesting, setIsTesting] = useState(false);
+
+  const fetchRules = useCallback(async () => {
+    try {
+      const res = await axiosClient.get("/api/admin/ingest-rules");
+      setRules(res.data.rules);
+      setSavedRules(res.data.rules);
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to fetch ingest rules",
+        faTimes
+      );
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    fetchRules();
+  }, [fetchRules]);
+
+  const handleChange = (key, value) => {
+    setRules((prev) => ({ ...prev, [key]: value }));
+    setTestResults(null);
+  };
+
+  const saveRules = async () => {
+    if (isSaving) return;
+    setIsSaving(true);
+    try {
+      const res = await axiosClient.put("/api/admin/ingest-rules", rules);
+      setRules(res.data.rules);
+      setSavedRules(res.data.rules);
+      showNotification("success", "Ingest rules saved!", faCheckCircle);
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to save ingest rules",
+        faTimes
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  // Test the rules as currently edited, saved or not
+  const testRules = async () => {
+    const lines = sampleText.split(/\r?\n/);
+    setIsTesting(true);
+    try {
+      const res = await axiosClient.post("/api/admin/ingest-rules/test", { lines, rules });
+      setTestResults(res.data);
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to test ingest rules",
+        faTimes
+      );
+    } finally {
+      setIsTesting(false);
+    }
+  };
+
+  if (!rules) {
+    return (
+      <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600 text-neutral-400">
+        <FontAwesomeIcon icon={faCircleNotch} className="fa-spin mr-2" />
+        Loading ingest rules...
+      </div>
+    );
+  }
+
+  const hasUnsavedChanges = JSON.stringify(rules) !== JSON.stringify(savedRules);
+
+  return (
+    <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-white flex items-center">
+          <FontAwesomeIcon icon={faFilter} className="mr-3 text-amber-400" />
+          Ingest Rules
+        </h3>
+        {hasUnsavedChanges && (
+          <span className="text-yellow-400 text-sm font-medium">Unsaved changes</span>
+        )}
+      </div>
+
+      <p className="text-neutral-300 mb-4">
+        Applied to every parsed line before indexing. Lines a rule rejects are written
+        to the parse task's quarantine file instead of the index. Resumed parses keep
+        the rules they started with.
+      </p>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-3 mb-6">
+        {RULE_OPTIONS.map(({ key, label }) => (
+          <label key={key} className="flex items-center text-neutral-200">
+            <input
+              type="checkbox"
+              className="mr-2"
+              checked={rules[key]}
+              onChange={(e) => handleChange(key, e.target.checked)}
+            />
+            {label}
+          </label>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-6">
+        <div>
+          <label className="block text-sm font-medium text-neutral-300 mb-2">
+            Max Field Length
+          </label>
+          <input
+            type="number"
+            min="0"
+            value={rules.maxFieldLength}
+            onChange={(e) =>
+              handleChange("maxFieldLength", Math.max(0, parseInt(e.target.value) || 0))
+            }
+            className={inputClass}
+          />
+          <p className="text-xs text-neutral-400 mt-1">
+            Characters per URL, username or password; 0 for no limit
+          </p>
+        </div>
+        <div>
+          <label className="block text-sm font-medium text-neutral-300 mb-2">
+            Longer Fields
+          </label>
+          <select
+            value={rules.overLengthAction}
+            onChange={(e) => handleChange("overLengthAction", e.target.value)}
+            disabled={rules.maxFieldLength === 0}
+            className={inputClass}
+          >
+            <option value="truncate">Truncate to the limit</option>
+            <option value="quarantine">Quarantine the line</option>
+          </select>
+        </div>
+      </div>
+
+      {/* Tester */}
+      <div className="mt-6">
+        <label className="block text-sm font-medium text-neutral-300 mb-2">
+          Test Against Sample Lines
+        </label>
+        <textarea
+          rows={5}
+          value={sampleText}
+          placeholder={SAMPLE_PLACEHOLDER}
+          onChange={(e) => {
+            setSampleText(e.target.value);
+            setTestResults(null);
+          }}
+          className={inputClass + " font-mono text-sm"}
+        />
+        <button
+          onClick={testRules}
+          disabled={isTesting || sampleText.trim() === ""}
+          className={buttonStyles.refresh + " mt-3"}
+        >
+          <FontAwesomeIcon
+            icon={isTesting ? faCircleNotch : faVial}
+            className={"mr-2" + (isTesting ? " fa-spin" : "")}
+          />
+          Test Rules
+        </button>
+
+        {testResults && (
+          <div className="mt-4 border border-neutral-600 rounded-lg bg-neutral-900 overflow-auto max-h-80">
+            <p className="text-xs text-neutral-400 px-3 pt-2">
+              Parsed as {testResults.formatOptions.format}
+            </p>
+            <table className="w-full text-xs text-left text-neutral-200">
+              <thead className="text-neutral-400">
+                <tr>
+                  <th className="p-2">Line</th>
+                  <th className="p-2">Result</th>
+                  <th className="p-2">Indexed as</th>
+                </tr>
+              </thead>
+              <tbody>
+                {testResults.results.map((result, i) => (
+                  <tr key={i} className="border-t border-neutral-800 align-top">
+                    <td className="p-2 font-mono break-all">{result.line}</td>
+                    <td className={`p-2 ${STATUS_STYLES[result.status] || ""}`}>
+                      {result.status}
+                      {result.reason && (
+                        <div className="text-neutral-400">{result.reason}</div>
+                      )}
+                    </td>
+                    <td className="p-2 font-mono break-all">
+                      {result.fields
+                        ? [result.fields.url, result.fields.username, result.fields.password].join(" | ")
+                        : "—"}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        )}
+      </div>
+
+      <div className="flex space-x-4 mt-8 pt-6 border-t border-neutral-600">
+        <button onClick={saveRules} className={buttonStyles.primary} disabled={isSaving}>
+          <FontAwesomeIcon icon={faSave} className="mr-2" />
+          {isSaving ? "Saving..." : "Save Ingest Rules"}
+        </button>
+        <button
+          onClick={() => {
+            setRules(savedRules);
+            setTestResults(null);
+          }}
+          className={buttonStyles.cancel}
+          disabled={isSaving || !hasUnsavedChanges}
+        >
+          <FontAwesomeIcon icon={faTimes} className="mr-2" />
+          Reset Changes
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -9,6 +9,7 @@ import {
   faCircleNotch,
   faMemory,
   faRefresh,
+  faArrowUpFromBracket,
 } from "@fortawesome/free-solid-svg-icons";
 import axiosClient from "../../../api/axiosClient";
 import { formatBytes } from "../../../utils/format";
@@ -37,6 +38,8 @@ const NodeDetailsModal = React.memo(function NodeDetailsModal({
   const [indicesError, setIndicesError] = useState(null);
   const [isCreatingIndex, setIsCreatingIndex] = useState(false);
   const [isDeletingIndex, setIsDeletingIndex] = useState(null);
+  const [upgradingIndex, setUpgradingIndex] = useState(null);
+  const [indicesInfo, setIndicesInfo] = useState(null);
   const refreshInProgress = useRef(false);
   const [activeTab, setActiveTab] = useState("overview");
 
@@ -190,6 +193,29 @@ const NodeDetailsModal = React.memo(function NodeDetailsModal({
     }
   };
 
+  // Start a task that adds the structured fields to a legacy raw_line-only index
+  const handleUpgradeMapping = async (index) => {
+    if (upgradingIndex) return;
+    if (!window.confirm(`Upgrade '${index.index}' to the structured mapping? Existing documents will be backfilled in a background task.`)) {
+      return;
+    }
+    setUpgradingIndex(index.index);
+    setIndicesError(null);
+    setIndicesInfo(null);
+    try {
+      await axiosClient.post(
+        `/api/admin/node-management/${node.name}/indices/${index.index}/upgrade-mapping`
+      );
+      setIndicesInfo(`Mapping upgrade for '${index.index}' started. Follow its progress in the Task Progress tab.`);
+    } catch (err) {
+      const errorMessage =
+        err.response?.data?.error || err.message || "Failed to upgrade index";
+      setIndicesError(`Failed to upgrade index: ${errorMessage}`);
+    } finally {
+      setUpgradingIndex(null);
+    }
+  };
+
   const renderContent = () => {
     const isStarting = node.status === "starting" || node.cacheStatus === "starting";
     const isStopping = node.status === "stopping" || node.cacheStatus === "stopping";
@@ -606,6 +632,7 @@ const NodeDetailsModal = React.memo(function NodeDetailsModal({
               </div>
             )}
             {fromCache && (<div className="mb-4 p-2 bg-yellow-700 text-yellow-100 rounded text-sm">Data shown is from cache and may be stale. Start the node for live data.</div>)}
+            {indicesInfo && (<div className="mb-4 p-2 bg-blue-700 text-blue-100 rounded text-sm">{indicesInfo}</div>)}
 
             <div className="flex justify-between items-center mb-4">
               <h3 className="text-xl font-semibold text-white flex items-center">
@@ -681,6 +708,14 @@ const NodeDetailsModal = React.memo(function NodeDetailsModal({
                     <tr key={index.uuid} className="hover:bg-neutral-700">
                       <td className="py-3 px-6 text-white font-medium">
                         {index.index}
+                        {index.structured === false && (
+                          <span
+                            className="ml-2 px-2 py-0.5 rounded bg-amber-700 text-amber-100 text-xs"
+                            title="Only raw_line is indexed. Upgrade to add url, domain and username fields."
+                          >
+                            legacy mapping
+                          </span>
+                        )}
                       </td>
                       <td className="py-3 px-6 text-neutral-300">
                         {index["doc.count"]}
@@ -702,7 +737,20 @@ const NodeDetailsModal = React.memo(function NodeDetailsModal({
                       <td className="py-3 px-6 text-neutral-300">
                         {index.status}
                       </td>
-                      <td className="py-3 px-6 text-neutral-400 text-sm">
+                      <td className="py-3 px-6 text-neutral-400 text-sm space-x-2">
+                        {index.structured === false && (
+                          <button
+                            onClick={() => handleUpgradeMapping(index)}
+                            className={buttonStyles.amber}
+                            title="Upgrade to structured mapping"
+                            disabled={node.status !== "running" || upgradingIndex === index.index}
+                          >
+                            <FontAwesomeIcon
+                              icon={upgradingIndex === index.index ? faCircleNotch : faArrowUpFromBracket}
+                              className={upgradingIndex === index.index ? "fa-spin" : ""}
+                            />
+                          </button>
+                        )}
                         <button
                           onClick={() => handleDeleteClick(index)}
                           className={buttonStyles.delete}
@@ -0,0 +1,328 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import {
+  faShieldHalved,
+  faSave,
+  faTimes,
+  faCheckCircle,
+  faCircleNotch,
+  faPlus,
+  faTrash,
+} from "@fortawesome/free-solid-svg-icons";
+import axiosClient from "../../../api/axiosClient";
+import buttonStyles from "../../../components/ButtonStyles";
+
+const LIMIT_GROUPS = [
+  {
+    title: "Per IP address",
+    fields: [
+      { key: "ipRatePerMinute", label: "Requests per Minute", hint: "Token bucket refill rate" },
+      { key: "ipBurst", label: "Burst", hint: "Requests allowed back to back" },
+      { key: "ipDailyQuota", label: "Daily Search Quota", hint: "Searches per day, reset at midnight UTC" },
+    ],
+  },
+  {
+    title: "Per API key (defaults)",
+    fields: [
+      { key: "keyRatePerMinute", label: "Requests per Minute", hint: "Token bucket refill rate" },
+      { key: "keyBurst", label: "Burst", hint: "Requests allowed back to back" },
+      { key: "keyDailyQuota", label: "Daily Search Quota", hint: "Searches per day, reset at midnight UTC" },
+    ],
+  },
+  {
+    title: "All public searches",
+    fields: [
+      { key: "maxConcurrentSearches", label: "Concurrent Searches", hint: "Searches running at once" },
+      { key: "maxResultsPerSearch", label: "Max Results per Search", hint: "Caps the max parameter (up to 10000)" },
+    ],
+  },
+];
+
+const KEY_LIMITS = [
+  { key: "ratePerMinute", label: "Per min" },
+  { key: "burst", label: "Burst" },
+  { key: "dailyQuota", label: "Daily" },
+];
+
+const STATS_INTERVAL_MS = 5000;
+
+const inputClass =
+  "w-full px-3 py-2 bg-neutral-600 border border-neutral-500 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-primary";
+
+function generateApiKey() {
+  const bytes = new Uint8Array(24);
+  window.crypto.getRandomValues(bytes);
+  return Array.from(bytes, (byte) => byte.toString(16).padStart(2, "0")).join("");
+}
+
+// Rate limits, quotas and API keys for the public search endpoints, with live counters (Configuration tab)
+export default function RateLimitSettings({ showNotification }) {
+  const [settings, setSettings] = useState(null);
+  const [savedSettings, setSavedSettings] = useState(null);
+  const [stats, setStats] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+
+  const fetchSettings = useCallback(async () => {
+    try {
+      const res = await axiosClient.get("/api/admin/rate-limits");
+      setSettings(res.data.settings);
+      setSavedSettings(res.data.settings);
+      setStats(res.data.stats);
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to fetch rate limit settings",
+        faTimes
+      );
+    }
+  }, [showNotification]);
+
+  useEffect(() => {
+    fetchSettings();
+  }, [fetchSettings]);
+
+  // Live counters; a failed poll just keeps the last values
+  useEffect(() => {
+    const interval = setInterval(async () => {
+      try {
+        const res = await axiosClient.get("/api/admin/rate-limits/stats");
+        setStats(res.data);
+      } catch (err) {
+        console.error("Failed to refresh rate limit counters:", err);
+      }
+    }, STATS_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, []);
+
+  const handleChange = (key, value) => {
+    setSettings((prev) => ({ ...prev, [key]: value }));
+  };
+
+  const handleKeyChange = (index, key, value) => {
+    setSettings((prev) => ({
+      ...prev,
+      apiKeys: prev.apiKeys.map((entry, i) => (i === index ? { ...entry, [key]: value } : entry)),
+    }));
+  };
+
+  const addApiKey = () => {
+    setSettings((prev) => ({ ...prev, apiKeys: [...prev.apiKeys, { name: "", key: generateApiKey() }] }));
+  };
+
+  const removeApiKey = (index) => {
+    setSettings((prev) => ({ ...prev, apiKeys: prev.apiKeys.filter((_, i) => i !== index) }));
+  };
+
+  const saveSettings = async () => {
+    if (isSaving) return;
+    setIsSaving(true);
+    try {
+      const res = await axiosClient.put("/api/admin/rate-limits", settings);
+      setSettings(res.data.settings);
+      setSavedSettings(res.data.settings);
+      showNotification("success", "Rate limit settings saved!", faCheckCircle);
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to save rate limit settings",
+        faTimes
+      );
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  if (!settings) {
+    return (
+      <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600 text-neutral-400">
+        <FontAwesomeIcon icon={faCircleNotch} className="fa-spin mr-2" />
+        Loading rate limit settings...
+      </div>
+    );
+  }
+
+  const hasUnsavedChanges = JSON.stringify(settings) !== JSON.stringify(savedSettings);
+  const rejected = stats
+    ? stats.rejected.rate + stats.rejected.quota + stats.rejected.concurrency + stats.rejected.apiKey
+    : 0;
+
+  return (
+    <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600">
+      <div className="flex justify-between items-center mb-4">
+        <h3 className="text-xl font-semibold text-white flex items-center">
+          <FontAwesomeIcon icon={faShieldHalved} className="mr-3 text-red-400" />
+          Search Rate Limits
+        </h3>
+        {hasUnsavedChanges && (
+          <span className="text-yellow-400 text-sm font-medium">Unsaved changes</span>
+        )}
+      </div>
+
+      <p className="text-neutral-300 mb-4">
+        Limits for the public search page and API. Clients sending an <code>X-API-Key</code> header
+        with one of the keys below get that key's limits, everyone else is limited by IP address.
+        Admins are never limited. A limit of 0 turns it off.
+      </p>
+
+      {stats && (
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-4 mb-6 text-sm">
+          <div className="p-3 bg-neutral-800 rounded-md">
+            <p className="text-neutral-400">Searches running</p>
+            <p className="text-white text-lg">
+              {stats.inFlight}
+              {stats.maxConcurrentSearches > 0 ? ` / ${stats.maxConcurrentSearches}` : ""}
+            </p>
+          </div>
+          <div className="p-3 bg-neutral-800 rounded-md">
+            <p className="text-neutral-400">Allowed today</p>
+            <p className="text-white text-lg">{stats.allowed.toLocaleString()}</p>
+          </div>
+          <div
+            className="p-3 bg-neutral-800 rounded-md"
+            title={`Rate ${stats.rejected.rate}, quota ${stats.rejected.quota}, busy ${stats.rejected.concurrency}, unknown key ${stats.rejected.apiKey}`}
+          >
+            <p className="text-neutral-400">Rejected today</p>
+            <p className={`text-lg ${rejected > 0 ? "text-amber-300" : "text-white"}`}>{rejected.toLocaleString()}</p>
+          </div>
+          <div className="p-3 bg-neutral-800 rounded-md">
+            <p className="text-neutral-400">Clients tracked</p>
+            <p className="text-white text-lg">{stats.trackedClients}</p>
+          </div>
+          {stats.topClients.length > 0 && (
+            <div className="col-span-2 md:col-span-4 text-xs text-neutral-300">
+              <span className="text-neutral-400">Busiest today: </span>
+              {stats.topClients.slice(0, 5).map((client) => (
+                <span key={`${client.type}-${client.label}`} className="inline-block mr-3">
+                  {client.label} ({client.requests.toLocaleString()})
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+
+      <label className="flex items-center text-neutral-200 mb-6">
+        <input
+          type="checkbox"
+          className="mr-2"
+          checked={settings.enabled}
+          onChange={(e) => handleChange("enabled", e.target.checked)}
+        />
+        Limit public searches
+      </label>
+
+      {LIMIT_GROUPS.map(({ title, fields }) => (
+        <div key={title} className="mb-6">
+          <h4 className="text-sm font-semibold text-neutral-200 mb-3">{title}</h4>
+          <div className="grid grid-cols-1 md:grid-cols-3 gap-6">
+            {fields.map(({ key, label, hint }) => (
+              <div key={key}>
+                <label className="block text-sm font-medium text-neutral-300 mb-2">{label}</label>
+                <input
+                  type="number"
+                  min="0"
+                  value={settings[key]}
+                  disabled={!settings.enabled}
+                  onChange={(e) => handleChange(key, Math.max(0, parseInt(e.target.value) || 0))}
+                  className={inputClass}
+                />
+                <p className="text-xs text-neutral-400 mt-1">{hint}</p>
+              </div>
+            ))}
+          </div>
+        </div>
+      ))}
+
+      <div className="mb-6">
+        <h4 className="text-sm font-semibold text-neutral-200 mb-3">Trusted Proxies</h4>
+        <input
+          type="text"
+          value={settings.trustProxy}
+          placeholder="None"
+          onChange={(e) => handleChange("trustProxy", e.target.value)}
+          className={`${inputClass} md:w-1/2 font-mono text-sm`}
+        />
+        <p className="text-xs text-neutral-400 mt-1">
+          Behind a reverse proxy or load balancer every search comes from the proxy's address, so all
+          clients share one IP limit. Name the proxies here and the client address is taken from
+          their <code>X-Forwarded-For</code> header instead: a hop count such as <code>1</code>, or
+          addresses and subnets such as <code>loopback, 10.0.0.0/8</code>. Leave empty when clients
+          connect directly, since they could otherwise send the header themselves.
+        </p>
+      </div>
+
+      <div className="mb-2 flex justify-between items-center">
+        <h4 className="text-sm font-semibold text-neutral-200">API Keys</h4>
+        <button onClick={addApiKey} className={buttonStyles.create}>
+          <FontAwesomeIcon icon={faPlus} className="mr-2" />
+          Add Key
+        </button>
+      </div>
+      {settings.apiKeys.length === 0 ? (
+        <p className="text-sm text-neutral-400">No API keys. Leave a key's limits empty to use the defaults above.</p>
+      ) : (
+        <ul className="space-y-3">
+          {settings.apiKeys.map((entry, index) => {
+            const usage = stats?.apiKeys.find((candidate) => candidate.name === entry.name);
+            return (
+              <li key={index} className="grid grid-cols-1 md:grid-cols-12 gap-2 items-center">
+                <input
+                  type="text"
+                  value={entry.name}
+                  placeholder="Name"
+                  onChange={(e) => handleKeyChange(index, "name", e.target.value)}
+                  className={`${inputClass} md:col-span-2`}
+                />
+                <input
+                  type="text"
+                  value={entry.key}
+                  onChange={(e) => handleKeyChange(index, "key", e.target.value)}
+                  className={`${inputClass} md:col-span-4 font-mono text-xs`}
+                />
+                {KEY_LIMITS.map(({ key, label }) => (
+                  <input
+                    key={key}
+                    type="number"
+                    min="0"
+                    value={entry[key] ?? ""}
+                    placeholder={label}
+                    title={`${label} (empty = default)`}
+                    onChange={(e) =>
+                      handleKeyChange(index, key, e.target.value === "" ? undefined : Math.max(0, parseInt(e.target.value) || 0))
+                    }
+                    className={`${inputClass} md:col-span-1`}
+                  />
+                ))}
+                <span className="text-xs text-neutral-400 md:col-span-1">
+                  {usage ? `${usage.requests.toLocaleString()} today` : ""}
+                </span>
+                <button
+                  onClick={() => removeApiKey(index)}
+                  className={`${buttonStyles.delete} md:col-span-1`}
+                  title="Remove this key"
+                >
+                  <FontAwesomeIcon icon={faTrash} />
+                </button>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+
+      <div className="flex space-x-4 mt-8 pt-6 border-t border-neutral-600">
+        <button onClick={saveSettings} className={buttonStyles.primary} disabled={isSaving}>
+          <FontAwesomeIcon icon={faSave} className="mr-2" />
+          {isSaving ? "Saving..." : "Save Rate Limit Settings"}
+        </button>
+        <button
+          onClick={() => setSettings(savedSettings)}
+          className={buttonStyles.cancel}
+          disabled={isSaving || !hasUnsavedChanges}
+        >
+          <FontAwesomeIcon icon={faTimes} className="mr-2" />
+          Reset Changes
+        </button>
+      </div>
+    </div>
+  );
+}
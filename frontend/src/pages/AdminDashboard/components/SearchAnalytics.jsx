@@ -0,0 +1,195 @@
+import React, { useState, useEffect, useCallback } from "react";
+import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
+import { faChartLine, faCircleNotch, faRotateRight, faTimes } from "@fortawesome/free-solid-svg-icons";
+import axiosClient from "../../../api/axiosClient";
+import buttonStyles from "../../../components/ButtonStyles";
+
+const WINDOW_OPTIONS = [
+  { value: "1h", label: "Last hour" },
+  { value: "24h", label: "Last 24 hours" },
+  { value: "7d", label: "Last 7 days" },
+];
+
+const REFRESH_INTERVAL_MS = 30000;
+
+function formatPercent(rate) {
+  return `${(rate * 100).toFixed(rate > 0 && rate < 0.01 ? 2 : 1)}%`;
+}
+
+function formatMs(value) {
+  return value === null || value === undefined ? "—" : `${value.toLocaleString()} ms`;
+}
+
+// Search latency, error and timeout rates per node, zero-result rate and the most frequent query shapes
+export default function SearchAnalytics({ showNotification }) {
+  const [timeWindow, setTimeWindow] = useState("24h");
+  const [summary, setSummary] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+
+  const fetchSummary = useCallback(async () => {
+    setIsLoading(true);
+    try {
+      const res = await axiosClient.get("/api/admin/search-analytics", { params: { window: timeWindow } });
+      setSummary(res.data);
+    } catch (err) {
+      showNotification(
+        "error",
+        err.response?.data?.error || "Failed to fetch search analytics",
+        faTimes
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  }, [timeWindow, showNotification]);
+
+  useEffect(() => {
+    fetchSummary();
+    const interval = setInterval(fetchSummary, REFRESH_INTERVAL_MS);
+    return () => clearInterval(interval);
+  }, [fetchSummary]);
+
+  const cards = summary
+    ? [
+        { label: "Searches", value: summary.searches.toLocaleString() },
+        { label: "Latency p50", value: formatMs(summary.latency.p50) },
+        { label: "Latency p95", value: formatMs(summary.latency.p95) },
+        { label: "Latency p99", value: formatMs(summary.latency.p99) },
+        { label: "Zero-result rate", value: formatPercent(summary.zeroResultRate) },
+        { label: "Error rate", value: formatPercent(summary.errorRate), warn: summary.errorRate > 0 },
+        { label: "Invalid queries", value: formatPercent(summary.invalidRate) },
+        { label: "Cache hit rate", value: formatPercent(summary.cacheHitRate) },
+      ]
+    : [];
+
+  return (
+    <div className="space-y-6">
+      <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600">
+        <div className="flex flex-wrap justify-between items-center gap-4 mb-4">
+          <h3 className="text-xl font-semibold text-white flex items-center">
+            <FontAwesomeIcon icon={faChartLine} className="mr-3 text-blue-400" />
+            Search Analytics
+          </h3>
+          <div className="flex items-center gap-3">
+            <select
+              value={timeWindow}
+              onChange={(e) => setTimeWindow(e.target.value)}
+              className="px-3 py-2 bg-neutral-600 border border-neutral-500 rounded-md text-white focus:outline-none focus:ring-2 focus:ring-primary"
+            >
+              {WINDOW_OPTIONS.map(({ value, label }) => (
+                <option key={value} value={value}>
+                  {label}
+                </option>
+              ))}
+            </select>
+            <button onClick={fetchSummary} className={buttonStyles.refresh} disabled={isLoading}>
+              <FontAwesomeIcon icon={isLoading ? faCircleNotch : faRotateRight} className={`mr-2 ${isLoading ? "fa-spin" : ""}`} />
+              Refresh
+            </button>
+          </div>
+        </div>
+        <p className="text-neutral-300 mb-4">
+          Every search from the public page, the API and the admin search. Latency percentiles cover searches
+          answered by the nodes; cache hits are left out. Queries are kept as a hash and a shape, never as text.
+        </p>
+
+        {!summary ? (
+          <p className="text-neutral-400">
+            <FontAwesomeIcon icon={faCircleNotch} className="fa-spin mr-2" />
+            Loading search analytics...
+          </p>
+        ) : (
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4 text-sm">
+            {cards.map(({ label, value, warn }) => (
+              <div key={label} className="p-3 bg-neutral-800 rounded-md">
+                <p className="text-neutral-400">{label}</p>
+                <p className={`text-lg ${warn ? "text-amber-300" : "text-white"}`}>{value}</p>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+      {summary && (
+        <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600">
+          <h4 className="text-lg font-semibold text-white mb-1">Nodes</h4>
+          <p className="text-sm text-neutral-400 mb-4">
+            {summary.averageFanOut > 0
+              ? `A search goes to ${summary.averageFanOut.toFixed(1)} node(s) on average.`
+              : "No searches reached a node in this window."}
+          </p>
+          {summary.nodes.length > 0 && (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm text-left text-neutral-200">
+                <thead className="text-neutral-400 border-b border-neutral-600">
+                  <tr>
+                    <th className="py-2 pr-4">Node</th>
+                    <th className="py-2 pr-4">Requests</th>
+                    <th className="py-2 pr-4">p50</th>
+                    <th className="py-2 pr-4">p95</th>
+                    <th className="py-2 pr-4">p99</th>
+                    <th className="py-2 pr-4">Errors</th>
+                    <th className="py-2 pr-4">Timeouts</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.nodes.map((node) => (
+                    <tr key={node.node} className="border-b border-neutral-600 last:border-0">
+                      <td className="py-2 pr-4 font-medium text-white">{node.node}</td>
+                      <td className="py-2 pr-4">{node.requests.toLocaleString()}</td>
+                      <td className="py-2 pr-4">{formatMs(node.latency.p50)}</td>
+                      <td className="py-2 pr-4">{formatMs(node.latency.p95)}</td>
+                      <td className="py-2 pr-4">{formatMs(node.latency.p99)}</td>
+                      <td className={`py-2 pr-4 ${node.errors > 0 ? "text-red-400" : ""}`}>
+                        {formatPercent(node.errorRate)}
+                      </td>
+                      <td className={`py-2 pr-4 ${node.timeouts > 0 ? "text-amber-300" : ""}`}>
+                        {formatPercent(node.timeoutRate)}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+
+      {summary && (
+        <div className="p-6 bg-neutral-700 rounded-lg border border-neutral-600">
+          <h4 className="text-lg font-semibold text-white mb-1">Hot Query Shapes</h4>
+          <p className="text-sm text-neutral-400 mb-4">
+            Queries with their values replaced by kinds, such as <code>user:&lt;email&gt;</code>.
+          </p>
+          {summary.hotShapes.length === 0 ? (
+            <p className="text-neutral-400">No searches in this window.</p>
+          ) : (
+            <div className="overflow-x-auto">
+              <table className="min-w-full text-sm text-left text-neutral-200">
+                <thead className="text-neutral-400 border-b border-neutral-600">
+                  <tr>
+                    <th className="py-2 pr-4">Shape</th>
+                    <th className="py-2 pr-4">Searches</th>
+                    <th className="py-2 pr-4">Distinct Queries</th>
+                    <th className="py-2 pr-4">Zero Results</th>
+                    <th className="py-2 pr-4">p95</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {summary.hotShapes.map((shape) => (
+                    <tr key={shape.shape} className="border-b border-neutral-600 last:border-0">
+                      <td className="py-2 pr-4 font-mono text-xs text-white break-all">{shape.shape}</td>
+                      <td className="py-2 pr-4">{shape.count.toLocaleString()}</td>
+                      <td className="py-2 pr-4">{shape.distinctQueries.toLocaleString()}</td>
+                      <td className="py-2 pr-4">{formatPercent(shape.zeroResultRate)}</td>
+                      <td className="py-2 pr-4">{formatMs(shape.latency.p95)}</td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
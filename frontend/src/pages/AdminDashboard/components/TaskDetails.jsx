@@ -6,7 +6,25 @@ import {
   faCheckCircle,
   faCircleNotch,
   faTimes,
+  faFileArrowDown,
 } from "@fortawesome/free-solid-svg-icons";
+import axiosClient from "../../../api/axiosClient";
+import { formatBytes } from "../../../utils/format";
+
+// Download a parse task's dead-letter or quarantine file (needs the auth header, so not a plain link)
+async function downloadTaskFile(url, filename) {
+  try {
+    const response = await axiosClient.get(url, { responseType: "blob" });
+    const objectUrl = window.URL.createObjectURL(response.data);
+    const link = document.createElement("a");
+    link.href = objectUrl;
+    link.download = filename;
+    link.click();
+    window.URL.revokeObjectURL(objectUrl);
+  } catch (err) {
+    console.error(`Failed to download ${filename}:`, err);
+  }
+}
 
 export default function TaskDetails({ tasks, removeTask, estimateRemainingTime }) {
   // Sort tasks to show most recent first
@@ -36,7 +54,12 @@ export default function TaskDetails({ tasks, removeTask, estimateRemainingTime }
           const percent = task.total > 0 ? Math.round((task.progress / task.total) * 100) : 0;
           let statusColorClass = "text-neutral-400";
           if (isCompleted) {
-            statusColorClass = task.status === "completed" ? "text-green-400" : "text-red-400";
+            statusColorClass =
+              task.status === "completed"
+                ? "text-green-400"
+                : task.status === "paused" || task.status === "completed with errors"
+                ? "text-amber-400"
+                : "text-red-400";
           } else if (
             task.status === "processing" ||
             task.status === "parsing" ||
@@ -85,7 +108,10 @@ export default function TaskDetails({ tasks, removeTask, estimateRemainingTime }
               <div className="flex justify-between text-sm mt-2 text-neutral-300">
                 <span>
                   {task.message}
-                  {task.total > 0 && ` (${task.progress}/${task.total})`}
+                  {task.total > 0 &&
+                    (task.unit === "bytes"
+                      ? ` (${formatBytes(task.progress || 0)} / ${formatBytes(task.total)})`
+                      : ` (${task.progress}/${task.total})`)}
                 </span>
                 <span>
                   {estimateRemainingTime(task.startTime, task.progress, task.total) && (
@@ -95,6 +121,67 @@ export default function TaskDetails({ tasks, removeTask, estimateRemainingTime }
                   )}
                 </span>
               </div>
+              {task.adaptive && (
+                <div
+                  className="flex flex-wrap gap-x-4 text-xs mt-2 text-neutral-400"
+                  title={task.adaptive.enabled ? "Adjusted live by adaptive indexing" : "Adaptive indexing is off"}
+                >
+                  <span>Batch {task.adaptive.batchSize.toLocaleString()}</span>
+                  <span>Files at once {task.adaptive.concurrency}</span>
+                  {task.adaptive.avgLatencyMs !== null && (
+                    <span>Bulk {task.adaptive.avgLatencyMs} ms avg</span>
+                  )}
+                  {task.adaptive.heapPercent !== null && <span>Heap {task.adaptive.heapPercent}%</span>}
+                  {task.adaptive.rejections > 0 && (
+                    <span className="text-amber-300">{task.adaptive.rejections} rejections</span>
+                  )}
+                  {!isCompleted && task.adaptive.lastAdjustment && (
+                    <span>Last change: {task.adaptive.lastAdjustment}</span>
+                  )}
+                </div>
+              )}
+              {task.results && task.results.some((result) => result.status !== "ok") && (
+                <ul className="text-xs mt-2 space-y-1 max-h-32 overflow-y-auto">
+                  {task.results
+                    .filter((result) => result.status !== "ok")
+                    .map((result) => (
+                      <li
+                        key={`${result.location}/${result.filename}`}
+                        className={result.status === "error" ? "text-red-400" : "text-amber-300"}
+                      >
+                        {result.filename} ({result.location}): {result.message}
+                      </li>
+                    ))}
+                </ul>
+              )}
+              {task.deadLetter && (
+                <div className="flex justify-between items-center text-sm mt-2 text-amber-300">
+                  <span>
+                    {task.indexed} indexed, {task.failed} failed
+                  </span>
+                  <button
+                    onClick={() => downloadTaskFile(task.deadLetter, `dead-letter-${task.taskId}.jsonl`)}
+                    className="text-amber-300 hover:text-white transition-colors duration-150"
+                    title="Download the lines that could not be indexed"
+                  >
+                    <FontAwesomeIcon icon={faFileArrowDown} className="mr-1" />
+                    Failed lines
+                  </button>
+                </div>
+              )}
+              {task.quarantine && (
+                <div className="flex justify-between items-center text-sm mt-2 text-neutral-300">
+                  <span>{task.quarantined} quarantined by ingest rules</span>
+                  <button
+                    onClick={() => downloadTaskFile(task.quarantine, `quarantine-${task.taskId}.jsonl`)}
+                    className="text-neutral-300 hover:text-white transition-colors duration-150"
+                    title="Download the lines rejected by the ingest rules"
+                  >
+                    <FontAwesomeIcon icon={faFileArrowDown} className="mr-1" />
+                    Quarantined lines
+                  </button>
+                </div>
+              )}
             </li>
           );
         })}
@@ -2,12 +2,38 @@ import React, { useState, useEffect, useRef } from "react";
 import { FontAwesomeIcon } from "@fortawesome/react-fontawesome";
 import {
   faCircleNotch,
+  faCircleQuestion,
 } from "@fortawesome/free-solid-svg-icons";
 import SearchResultItem from "../components/SearchResultItem";
 import useSound from "../components/useSound";
 import Globe from "react-globe.gl";
 import buttonStyles from "../components/ButtonStyles";
 
+// Examples shown in the search syntax help; clicking one fills the search bar
+const SYNTAX_EXAMPLES = [
+  { query: "domain:example.com", description: "example.com and its subdomains" },
+  { query: "domain=mail.example.com", description: "exactly this host" },
+  { query: "user:alice", description: "username contains alice" },
+  { query: "user=alice", description: "username is exactly alice" },
+  { query: "url:login", description: "URL contains login" },
+  { query: "email=gmail.com", description: "every address at gmail.com" },
+  { query: 'user:"john doe"', description: "quoted phrase" },
+  { query: "user:alice domain:example.com", description: "both must match (same as AND)" },
+  { query: "domain:a.com OR domain:b.com", description: "either matches" },
+  { query: "user:admin NOT domain:example.com", description: "exclude matches (also -domain:...)" },
+  { query: "(user:alice OR user:bob) url:admin", description: "group with parentheses" },
+];
+
+// How search values are compared (the `mode` parameter of /api/search)
+const MATCH_MODE_OPTIONS = [
+  { value: "auto", label: "Auto", description: "Exact for email addresses, prefix for URLs, otherwise contains" },
+  { value: "exact", label: "Exact", description: "The whole value matches" },
+  { value: "prefix", label: "Starts with", description: "Values starting with the search" },
+  { value: "suffix", label: "Ends with", description: "Values ending with the search" },
+  { value: "substring", label: "Contains", description: "Values containing the search" },
+  { value: "regex", label: "Regex", description: "The whole search is a regular expression" },
+];
+
 export default function HomePage() {
   const [query, setQuery] = useState("");
   const [searchTerm, setSearchTerm] = useState("");
@@ -20,6 +46,8 @@ export default function HomePage() {
     useState(false);
   const [loading, setLoading] = useState(false); // Pagination states
   const [searchWarning, setSearchWarning] = useState("");
+  const [syntaxError, setSyntaxError] = useState(null); // { message, position, query } from the server
+  const [showSyntaxHelp, setShowSyntaxHelp] = useState(false);
 
   const [currentPage, setCurrentPage] = useState(1);
   const [itemsPerPage, setItemsPerPage] = useState(20);
@@ -27,8 +55,8 @@ export default function HomePage() {
   const [totalCollectedData, setTotalCollectedData] = useState(0);
   const [searchMessage, setSearchMessage] = useState("");
   const [maxTotalResults, setMaxTotalResults] = useState(100); // New state for max total results
-  const [searchAfterStack, setSearchAfterStack] = useState([]); // Stack of search_after values for deep pagination
-  const [currentSearchAfter, setCurrentSearchAfter] = useState(null); // Current search_after value
+  const [matchMode, setMatchMode] = useState("auto");
+  const [pageCursors, setPageCursors] = useState({}); // Page number -> cursor the server returned for it
 
   // Sound hooks
 
@@ -145,13 +173,14 @@ export default function HomePage() {
     fetchTotalCollectedData();
   }, []);
 
-  const fetchResults = async (queryToFetch, pageToFetch, searchAfter = null) => {
+  const fetchResults = async (queryToFetch, pageToFetch, cursor = null) => {
     setStatus("Searching...");
     setHasSearchedAndFound(false);
     setShowAlertAnimation(false);
     setLoading(true);
     setSearchMessage("");
     setSearchWarning("");
+    setSyntaxError(null);
     try {
       const token = localStorage.getItem("adminToken");
       const headers = {
@@ -164,9 +193,9 @@ export default function HomePage() {
       // Build the search URL
       let searchUrl = `/api/search?q=${encodeURIComponent(
         queryToFetch
-      )}&page=${pageToFetch}&size=${itemsPerPage}&max=${maxTotalResults}`;
-      if (searchAfter) {
-        searchUrl += `&search_after=${encodeURIComponent(JSON.stringify(searchAfter))}`;
+      )}&page=${pageToFetch}&size=${itemsPerPage}&max=${maxTotalResults}&mode=${matchMode}`;
+      if (cursor) {
+        searchUrl += `&cursor=${encodeURIComponent(cursor)}`;
       }
 
       const res = await fetch(searchUrl, {
@@ -174,28 +203,38 @@ export default function HomePage() {
       });
       const data = await res.json();
 
+      if (!res.ok && data.cursorExpired && cursor) {
+        // The search behind the cursor has expired: jump to the page instead, which starts over
+        setPageCursors({});
+        await fetchResults(queryToFetch, pageToFetch, null);
+        return;
+      }
+      if (!res.ok) {
+        setResults([]);
+        setTotalResults(0);
+        if (data.syntaxError) {
+          setSyntaxError({ message: data.error, position: data.position, query: queryToFetch });
+          setStatus("");
+        } else {
+          setStatus(data.error || "Search failed. Please try again later.");
+        }
+        return;
+      }
+
       setResults(data.results || []);
       setTotalResults(data.total || 0);
       setSearchWarning(data.warning || "");
 
-      // Track search_after for deep pagination
-      if (data.results && data.results.length > 0) {
-        const lastResult = data.results[data.results.length - 1];
-        // Use _score and id for search_after
-        if (lastResult && typeof lastResult._score !== "undefined" && lastResult.id) {
-          setCurrentSearchAfter([lastResult._score, lastResult.id]);
-        } else {
-          setCurrentSearchAfter(null);
-        }
-      } else {
-        setCurrentSearchAfter(null);
+      // The cursor continues exactly where this page ended; keep it for the next page
+      if (data.cursor) {
+        setPageCursors((prev) => ({ ...prev, [pageToFetch + 1]: data.cursor }));
       }
 
       // Set search message based on results
-      if (data.searchedIndices && data.searchedIndices.length > 0) {
-        const searchedCount = data.searchedIndices.length;
+      if (data.searchIndices && data.searchIndices.length > 0) {
+        const searchedCount = data.searchIndices.length;
         if (searchedCount === 1) {
-          setSearchMessage(`Searched in index: ${data.searchedIndices[0]}`);
+          setSearchMessage(`Searched in index: ${data.searchIndices[0].index}`);
         } else {
           setSearchMessage(`Searched across ${searchedCount} indices`);
         }
@@ -233,15 +272,12 @@ export default function HomePage() {
   };
   useEffect(() => {
     if (searchTerm) {
-      // For page 1, reset searchAfterStack and use from/size
+      // Page 1 starts a new search; later pages continue it with their cursor, or jump there without one
       if (currentPage === 1) {
-        setSearchAfterStack([]);
-        setCurrentSearchAfter(null);
+        setPageCursors({});
         fetchResults(searchTerm, 1, null);
       } else {
-        // For deep pages, use search_after from stack
-        const prevSearchAfter = searchAfterStack[currentPage - 2] || null;
-        fetchResults(searchTerm, currentPage, prevSearchAfter);
+        fetchResults(searchTerm, currentPage, pageCursors[currentPage] || null);
       }
     }
     // eslint-disable-next-line react-hooks/exhaustive-deps
@@ -253,6 +289,7 @@ export default function HomePage() {
       // If the query is the same and we are on the first page, we need to force a re-fetch.
       // The `useEffect` won't trigger if both searchTerm and currentPage don't change.
       if (trimmedQuery === searchTerm && currentPage === 1) {
+        setPageCursors({});
         fetchResults(trimmedQuery, 1);
         setHasAlertPlayedForCurrentSearch(false);
       } else {
@@ -272,15 +309,6 @@ export default function HomePage() {
       pageNumber <= totalPages &&
       pageNumber !== currentPage
     ) {
-      // If going forward, push current search_after to stack
-      if (pageNumber > currentPage && currentSearchAfter) {
-        setSearchAfterStack((prev) => {
-          const newStack = [...prev];
-          newStack[currentPage - 1] = currentSearchAfter;
-          return newStack;
-        });
-      }
-      // If going backward, just update page (stack will be used)
       setCurrentPage(pageNumber);
     }
   };
@@ -363,11 +391,18 @@ export default function HomePage() {
   const handleMaxResultsChange = (e) => {
     setItemsPerPage(Number(e.target.value));
     setCurrentPage(1); // Reset to first page on change
+    setPageCursors({}); // Cursors were issued for the old page size and limit
   };
   // Handler for max total results change
   const handleMaxTotalResultsChange = (e) => {
     setMaxTotalResults(Number(e.target.value));
     setCurrentPage(1); // Reset to first page on change
+    setPageCursors({}); // Cursors were issued for the old page size and limit
+  };
+  const handleMatchModeChange = (e) => {
+    setMatchMode(e.target.value);
+    setCurrentPage(1);
+    setPageCursors({});
   };
 
   return (
@@ -468,6 +503,16 @@ export default function HomePage() {
             className="flex-grow outline-none focus:outline-none text-lg sm:text-xl placeholder-muted py-1.5 px-3 bg-transparent border-none"
             aria-label="Search query"
           />
+          <button
+            type="button"
+            onClick={() => setShowSyntaxHelp((prev) => !prev)}
+            className="text-muted hover:text-primary text-xl px-2 transition-colors duration-150"
+            title="Search syntax"
+            aria-label="Search syntax help"
+            aria-expanded={showSyntaxHelp}
+          >
+            <FontAwesomeIcon icon={faCircleQuestion} />
+          </button>
           <button
             onClick={handleSearchButtonClick}
             className="bg-button-bg hover:bg-button-hover-bg text-white px-8 py-3 rounded-full font-bold shadow-md hover:shadow-lg transition duration-200 ease-in-out active:scale-95 focus:outline-none focus:ring-3 focus:ring-primary focus:ring-offset-2 disabled:opacity-50 disabled:cursor-not-allowed w-full sm:w-auto"
@@ -476,8 +521,73 @@ export default function HomePage() {
             Search
           </button>
         </div>
+        {showSyntaxHelp && (
+          <div className="relative max-w-2xl mx-auto">
+            <div className="absolute z-20 left-0 right-0 mt-2 p-4 bg-background border border-border rounded-xl shadow-2xl text-left text-sm">
+              <div className="flex justify-between items-center mb-2">
+                <h4 className="font-semibold text-text">Search syntax</h4>
+                <button
+                  onClick={() => setShowSyntaxHelp(false)}
+                  className="text-muted hover:text-primary"
+                  aria-label="Close search syntax help"
+                >
+                  ✕
+                </button>
+              </div>
+              <p className="text-muted mb-3">
+                Plain text searches whole lines. Use <code>field:value</code> to match inside a field and{" "}
+                <code>field=value</code> for an exact match. Fields: <code>domain</code>, <code>user</code>,{" "}
+                <code>url</code>, <code>email</code>. Combine terms with <code>AND</code>, <code>OR</code>,{" "}
+                <code>NOT</code> (upper case) and parentheses; <code>*</code> is a wildcard.
+              </p>
+              <ul className="space-y-1">
+                {SYNTAX_EXAMPLES.map((example) => (
+                  <li key={example.query} className="flex justify-between gap-4">
+                    <button
+                      onClick={() => {
+                        setQuery(example.query);
+                        setShowSyntaxHelp(false);
+                      }}
+                      className="font-mono text-primary hover:underline text-left"
+                      title="Use this query"
+                    >
+                      {example.query}
+                    </button>
+                    <span className="text-muted text-right">{example.description}</span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          </div>
+        )}
+        {syntaxError && (
+          <div className="max-w-2xl mx-auto mt-3 p-3 rounded-lg border border-red-400 text-sm text-left">
+            <p className="text-red-500 font-medium">{syntaxError.message}</p>
+            {Number.isInteger(syntaxError.position) && (
+              <pre className="mt-2 font-mono text-xs text-muted whitespace-pre overflow-x-auto">
+                {syntaxError.query}
+                {"\n"}
+                {" ".repeat(syntaxError.position)}^
+              </pre>
+            )}
+          </div>
+        )}
         {/* Dropdowns below search bar */}
         <div className="flex flex-col sm:flex-row justify-center items-center mt-2 mb-4 gap-4">
+          <div className="flex flex-col items-start">
+            <label htmlFor="match-mode-select" className="text-xs font-medium text-muted mb-1">Match</label>
+            <select
+              id="match-mode-select"
+              value={matchMode}
+              onChange={handleMatchModeChange}
+              className="border border-border rounded px-2 py-1 bg-background text-text focus:outline-none focus:ring-2 focus:ring-primary text-sm"
+              title={MATCH_MODE_OPTIONS.find((opt) => opt.value === matchMode).description}
+            >
+              {MATCH_MODE_OPTIONS.map((opt) => (
+                <option key={opt.value} value={opt.value} title={opt.description}>{opt.label}</option>
+              ))}
+            </select>
+          </div>
           <div className="flex flex-col items-start">
             <label htmlFor="max-total-results-select" className="text-xs font-medium text-muted mb-1">Max total results to fetch</label>
             <select
@@ -567,6 +677,7 @@ export default function HomePage() {
           </div>
         )}
         {!status &&
+          !syntaxError &&
           searchTerm.trim() &&
           results.length === 0 &&
           totalResults === 0 && (
@@ -0,0 +1,90 @@
+// Chunked, resumable upload of one file through /api/admin/uploads
+import axiosClient from "../api/axiosClient";
+import { createSha256 } from "./sha256";
+
+const MAX_ATTEMPTS = 5;
+const HASH_SLICE_BYTES = 8 * 1024 * 1024;
+
+function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+// SHA-256 of a chunk, or null where WebCrypto is unavailable (non-secure origins)
+async function chunkChecksum(buffer) {
+  if (!window.crypto?.subtle) return null;
+  return toHex(await window.crypto.subtle.digest("SHA-256", buffer));
+}
+
+// SHA-256 of the whole file, read a slice at a time; onProgress(hashedBytes, totalBytes) after every slice
+async function fileChecksum(file, onProgress) {
+  const hash = createSha256();
+  for (let offset = 0; offset < file.size; offset += HASH_SLICE_BYTES) {
+    hash.update(await file.slice(offset, offset + HASH_SLICE_BYTES).arrayBuffer());
+    onProgress(Math.min(offset + HASH_SLICE_BYTES, file.size), file.size);
+  }
+  return hash.digestHex();
+}
+
+const wait = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+// Upload `file`, continuing from whatever the server already has for it.
+// The file is hashed first: the checksum identifies the upload to resume and is verified on finalize.
+// onHashProgress(hashedBytes, totalBytes) is called while hashing, onProgress(receivedBytes, totalBytes)
+// after every chunk. Resolves with the taskId of the finalize task (checksum verification + move to pending).
+export async function uploadFileInChunks(file, { onProgress = () => {}, onHashProgress = () => {} } = {}) {
+  const sha256 = await fileChecksum(file, onHashProgress);
+  const { data: session } = await axiosClient.post("/api/admin/uploads", {
+    filename: file.name,
+    size: file.size,
+    sha256,
+  });
+  const { uploadId, chunkSize } = session;
+  let offset = session.offset;
+  onProgress(offset, file.size);
+
+  while (offset < file.size) {
+    const buffer = await file.slice(offset, offset + chunkSize).arrayBuffer();
+    const checksum = await chunkChecksum(buffer);
+    let attempt = 0;
+    for (;;) {
+      try {
+        const { data } = await axiosClient.put(
+          `/api/admin/uploads/${uploadId}/chunk`,
+          buffer,
+          {
+            params: { offset },
+            headers: {
+              "Content-Type": "application/octet-stream",
+              ...(checksum ? { "x-chunk-sha256": checksum } : {}),
+            },
+          }
+        );
+        offset = data.offset;
+        break;
+      } catch (err) {
+        const status = err.response?.status;
+        if (status === 409 && typeof err.response.data?.offset === "number") {
+          offset = err.response.data.offset; // Server has a different view; continue from there
+          break;
+        }
+        attempt++;
+        if ((status && status < 500 && status !== 422) || attempt >= MAX_ATTEMPTS) {
+          throw err;
+        }
+        await wait(1000 * 2 ** attempt);
+        // The chunk may have landed before the connection dropped
+        const { data: current } = await axiosClient.get(`/api/admin/uploads/${uploadId}`);
+        if (current.offset !== offset) {
+          offset = current.offset;
+          break;
+        }
+      }
+    }
+    onProgress(offset, file.size);
+  }
+
+  const { data } = await axiosClient.post(`/api/admin/uploads/${uploadId}/complete`, { sha256 });
+  return data.taskId;
+}